@@ -1,6 +1,2740 @@
-import React, { useState, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { LineChart, Line, BarChart, Bar, ErrorBar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
 import { Download, Info } from 'lucide-react';
+import {
+  getProfile,
+  listProfiles,
+  onProfilesChange,
+  check_psi_consistency,
+  critical_ri,
+  surface_params,
+  describe_surface,
+  SURFACE_PARAMS,
+  PHYSICAL_CONSTANTS,
+  solve_fluxes,
+  reconstruct_profiles,
+  export_profile_reconstruction,
+  RECONSTRUCTION_DEFAULTS,
+  transfer_coefficients,
+  transfer_lookup,
+  export_transfer_table,
+  TRANSFER_LOOKUP_DEFAULTS,
+  RI_SCHEMES,
+  RI_SCHEME_DEFAULTS,
+  compare_ri_schemes,
+  export_ri_scheme_comparison,
+  readDataset,
+  stability_series,
+  export_stability_series,
+  bias_diagnostics,
+  BOOTSTRAP_DEFAULTS,
+  CLASSIFICATIONS,
+  CLASS_VARIABLES,
+  classification_table,
+  parse_class_table,
+  classify_stability,
+  classify_rows,
+  class_bands,
+  describe_grid,
+  EXPORT_FORMATS,
+  DEFAULT_PRECISION,
+  checkPrecision,
+  formatValue,
+  export_reference_table,
+  REFERENCE_COLUMNS,
+  comparison_columns,
+  export_comparison_table,
+  parseNumericColumns,
+  describeSkipped,
+  propagate_uncertainty,
+  UNCERTAINTY_DEFAULTS,
+  fit_profile,
+  register_fitted_profile,
+  TOWER_FORMS,
+  tower_ri_g,
+  tower_curves,
+  encodeState,
+  decodeState,
+  profileDefinitions,
+  restoreProfiles,
+  loadSessions,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  importSessions,
+  phi_m,
+  phi_h,
+  ri_g,
+  ri_b,
+  zeta_from_rig,
+  zeta_from_rib
+} from './web/most.js';
+import { createMostWorker } from './web/most-worker.js';
+
+// Rows per table chunk, so the charts fill in progressively
+const TABLE_CHUNK = 50;
+
+// Grid specifications (see zeta_grid) behind the regime presets
+const REGIME_GRIDS = {
+  full: { spacing: 'linear', min: -10, max: 10, step: 0.1 },
+  unstable: { spacing: 'linear', min: -10, max: 0, step: 0.1 },
+  stable: { spacing: 'linear', min: 0, max: 10, step: 0.1 }
+};
+
+/**
+ * Save text or bytes as a file download.
+ */
+const downloadFile = (content, filename, mime) => {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Stability quantities a paired model/observed column may hold (see bias_diagnostics)
+const BIAS_QUANTITIES = { zeta: 'ζ', L: 'L (m)', Ri_b: 'Ri_b', Ri_g: 'Ri_g' };
+
+// Observed columns (after ζ) pasted for each fit target, with labels
+const FIT_TARGETS = {
+  phi_m: { label: 'φ_m', columns: ['phi_m'] },
+  phi_h: { label: 'φ_h', columns: ['phi_h'] },
+  phi: { label: 'φ_m and φ_h', columns: ['phi_m', 'phi_h'] },
+  Ri_g: { label: 'Ri_g', columns: ['Ri_g'] }
+};
+const FIT_COLUMN_LABELS = { phi_m: 'φ_m', phi_h: 'φ_h', Ri_g: 'Ri_g' };
+
+// Display precision of uncertainty results
+const UNCERTAINTY_PRECISION = { notation: 'significant', digits: 4 };
+
+// x axes of ComparisonChart: row key, axis label and tooltip symbol
+const ZETA_AXIS = { key: 'zeta', label: 'ζ = z/L', symbol: 'ζ' };
+const RIB_AXIS = { key: 'Ri_b', label: 'Ri_b', symbol: 'Ri_b' };
+
+// Line colours for overlaid profiles, in selection order
+const PROFILE_COLORS = ['#8884d8', '#ff7300', '#82ca9d', '#d84aff', '#0088fe', '#ff4f81', '#00c49f', '#a0522d'];
+
+// Starting point for a user-defined class table (label, min, max per line)
+const CUSTOM_CLASS_TABLE = ['Unstable, -inf, -0.05', 'Neutral, -0.05, 0.05', 'Stable, 0.05, inf'].join('\n');
+
+// Quantities the stability classifier accepts
+const CLASSIFY_INPUTS = { zeta: 'ζ = z/L', L: 'L (m)', Ri_b: 'Ri_b' };
+
+// Settings kept in the URL and in saved sessions (see lib/session.js), as
+// typed; only values that differ from these appear in a shared link.
+// Pasted data and imported files are not part of it.
+const TOOL_STATE_DEFAULTS = {
+  profile: 'BD71',
+  regime: 'full',
+  grid: { spacing: 'log', min: '-10', max: '10', step: '0.1', count: '101', min_abs: '0.001' },
+  surface: { Z: String(SURFACE_PARAMS.Z), Z0M: String(SURFACE_PARAMS.Z0M), Z0H: String(SURFACE_PARAMS.Z0H) },
+  conversion: { mode: 'rig_to_zeta', input: '0.1', run: false },
+  uncertainty: {
+    value: '0',
+    z_over_z0: '0',
+    coefficients: {},
+    method: UNCERTAINTY_DEFAULTS.method,
+    samples: String(UNCERTAINTY_DEFAULTS.samples),
+    level: String(UNCERTAINTY_DEFAULTS.level),
+    seed: String(UNCERTAINTY_DEFAULTS.seed)
+  },
+  compare: { enabled: false, profiles: ['BD71', 'HOG88', 'CB05'], baseline: 'BD71', relative: 'difference' },
+  table: { show: false, format: 'csv', notation: DEFAULT_PRECISION.notation, digits: String(DEFAULT_PRECISION.digits) },
+  flux: {
+    mode: 'bulk',
+    u: '5', theta: '290', theta_s: '292',
+    z1: '2', u1: '3.5', theta1: '290.4', z2: '10', u2: '5', theta2: '290',
+    RHO: String(PHYSICAL_CONSTANTS.RHO), KAPPA: String(PHYSICAL_CONSTANTS.KAPPA), G: String(PHYSICAL_CONSTANTS.G)
+  },
+  reconstruction: {
+    u_star: '0.3', theta_star: '0.05', theta_s: String(RECONSTRUCTION_DEFAULTS.theta_s),
+    scale: 'L', L: '100', zeta: '0.1', z_ref: '10',
+    z_top: String(RECONSTRUCTION_DEFAULTS.z_top), overlay: true
+  },
+  transfer: {
+    min: String(TRANSFER_LOOKUP_DEFAULTS.rib.min),
+    max: String(TRANSFER_LOOKUP_DEFAULTS.rib.max),
+    count: String(TRANSFER_LOOKUP_DEFAULTS.rib.count),
+    z_over_z0m: TRANSFER_LOOKUP_DEFAULTS.z_over_z0m.join(', '),
+    kb_inv: String(TRANSFER_LOOKUP_DEFAULTS.kb_inv)
+  },
+  schemes: {
+    selected: [...RI_SCHEME_DEFAULTS.schemes],
+    min: String(RI_SCHEME_DEFAULTS.rib.min),
+    max: String(RI_SCHEME_DEFAULTS.rib.max),
+    count: String(RI_SCHEME_DEFAULTS.rib.count)
+  },
+  classes: { scheme: 'regime', variable: 'zeta', table: CUSTOM_CLASS_TABLE, bands: true, from: 'L', value: '-50' },
+  batch: { mode: 'rib_to_zeta' },
+  fit: { target: 'phi' },
+  tower: { form: 'log-linear', units: 'K', air_temperature: false, heights: '' },
+  profiles: {}
+};
+
+// Values a shared link may set for the select controls
+const TOOL_STATE_CHOICES = {
+  regime: ['full', 'unstable', 'stable', 'custom'],
+  'grid.spacing': ['linear', 'log', 'rig', 'rib'],
+  'conversion.mode': ['rig_to_zeta', 'rib_to_zeta', 'zeta_to_all'],
+  'uncertainty.method': ['both', 'linear', 'monte-carlo'],
+  'compare.relative': ['difference', 'ratio'],
+  'table.format': Object.keys(EXPORT_FORMATS),
+  'table.notation': ['fixed', 'significant', 'full'],
+  'flux.mode': ['bulk', 'two-level'],
+  'reconstruction.scale': ['L', 'zeta'],
+  'classes.scheme': [...Object.keys(CLASSIFICATIONS), 'custom'],
+  'classes.variable': Object.keys(CLASS_VARIABLES),
+  'classes.from': Object.keys(CLASSIFY_INPUTS),
+  'batch.mode': ['rig_to_zeta', 'rib_to_zeta', 'zeta_to_all'],
+  'fit.target': Object.keys(FIT_TARGETS),
+  'tower.form': Object.keys(TOWER_FORMS),
+  'tower.units': ['K', 'C']
+};
+
+/**
+ * Register the profiles a decoded state carries and fall back to the
+ * default profile if its own is unknown.
+ */
+const restoreToolState = ({ state, warnings }) => {
+  const restored = restoreProfiles(state.profiles);
+  const known = new Set(listProfiles().map(p => p.key));
+  const problems = [...warnings, ...restored.warnings];
+  if (!known.has(state.profile)) {
+    problems.push(`Unknown profile '${state.profile}'; using ${TOOL_STATE_DEFAULTS.profile}`);
+    state.profile = TOOL_STATE_DEFAULTS.profile;
+  }
+  return { state, warnings: problems };
+};
+
+/**
+ * State at page load: the defaults overlaid with the URL query, if any;
+ * a link that cannot be read gives the defaults.
+ */
+const initialToolState = () => {
+  if (typeof window === 'undefined') return { state: TOOL_STATE_DEFAULTS, warnings: [] };
+  try {
+    return restoreToolState(decodeState(window.location.search, TOOL_STATE_DEFAULTS, { choices: TOOL_STATE_CHOICES }));
+  } catch (e) {
+    return { state: TOOL_STATE_DEFAULTS, warnings: [`Link could not be read (${e.message}); using the defaults`] };
+  }
+};
+
+/**
+ * localStorage, or null where it is unavailable (e.g. blocked by privacy settings).
+ */
+const browserStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Bulk transfer coefficients at ζ, formatted for the conversion result.
+ */
+const transferFields = (zeta, profile, surface) => {
+  const { C_D, C_H, C_D_ratio, C_H_ratio } = transfer_coefficients(zeta, profile, surface);
+  return {
+    C_D: C_D.toPrecision(5),
+    C_H: C_H.toPrecision(5),
+    'C_D/C_DN': C_D_ratio.toFixed(4),
+    'C_H/C_HN': C_H_ratio.toFixed(4)
+  };
+};
+
+/**
+ * Stability class bands (see class_bands) shaded behind a chart's lines.
+ * A function rather than a component, as Recharts only draws its own
+ * elements as direct children of the chart.
+ */
+const classAreas = bands => bands.map(({ x1, x2, key, color }) => (
+  <ReferenceArea key={`${key}_${x1}`} x1={x1} x2={x2} fill={color} fillOpacity={0.12} strokeOpacity={0} ifOverflow="hidden" />
+));
+
+/**
+ * One comparison chart: a line per entry of `lines` ({ dataKey, name, stroke, dashed }),
+ * against ζ unless `x` names another row key (e.g. RIB_AXIS), over optional
+ * stability class `bands` on the same axis.
+ */
+const ComparisonChart = ({ title, data, lines, yLabel, precision, x = ZETA_AXIS, bands = [] }) => (
+  <div className="bg-white border border-gray-200 rounded p-4">
+    <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+    <ResponsiveContainer width="100%" height={250}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis
+          dataKey={x.key}
+          type="number"
+          domain={['dataMin', 'dataMax']}
+          label={{ value: x.label, position: 'insideBottom', offset: -5 }}
+        />
+        <YAxis label={{ value: yLabel, angle: -90, position: 'insideLeft' }} />
+        <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={(value) => `${x.symbol} = ${formatValue(value, precision)}`} />
+        <Legend />
+        {classAreas(bands)}
+        {lines.map(({ dataKey, name, stroke, dashed }) => (
+          <Line
+            key={dataKey}
+            type="monotone"
+            dataKey={dataKey}
+            stroke={stroke}
+            strokeDasharray={dashed ? '5 5' : undefined}
+            dot={false}
+            name={name}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+/**
+ * Per-class error statistics as bars with bootstrap confidence whiskers.
+ * Each entry of `bars` ({ dataKey, name, fill }) reads its interval from
+ * `${dataKey}_ci` as [below, above] offsets.
+ */
+const BinnedErrorChart = ({ title, data, bars, yLabel, precision }) => (
+  <div className="bg-white border border-gray-200 rounded p-4">
+    <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+    <ResponsiveContainer width="100%" height={250}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="label" interval={0} tick={{ fontSize: 11 }} />
+        <YAxis label={{ value: yLabel, angle: -90, position: 'insideLeft' }} />
+        <Tooltip formatter={(value) => formatValue(value, precision)} />
+        <Legend />
+        <ReferenceLine y={0} stroke="#666" />
+        {bars.map(({ dataKey, name, fill }) => (
+          <Bar key={dataKey} dataKey={dataKey} name={name} fill={fill} isAnimationActive={false}>
+            <ErrorBar dataKey={`${dataKey}_ci`} width={6} strokeWidth={1.5} stroke="#333" />
+          </Bar>
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+/**
+ * Monte Carlo histogram ({ edges, counts } from propagate_uncertainty) as bars
+ * at the bin centres.
+ */
+const HistogramChart = ({ title, histogram, xLabel }) => {
+  const data = Array.from(histogram.counts, (count, k) => ({
+    x: Number(formatValue(0.5 * (histogram.edges[k] + histogram.edges[k + 1]), UNCERTAINTY_PRECISION)),
+    count
+  }));
+  return (
+    <div className="bg-white border border-gray-200 rounded p-4">
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+      <ResponsiveContainer width="100%" height={200}>
+        <BarChart data={data} barCategoryGap={0}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" tick={{ fontSize: 10 }} label={{ value: xLabel, position: 'insideBottom', offset: -5 }} />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Bar dataKey="count" name="Draws" fill="#8884d8" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+/**
+ * propagate_uncertainty result: nominal, linear and Monte Carlo intervals for
+ * ζ, φ_m and φ_h, the linear variance budget, and Monte Carlo histograms.
+ */
+const UncertaintyResult = ({ uncertainty }) => {
+  const { nominal, linear, monte_carlo: mc, level } = uncertainty;
+  const f = x => formatValue(x, UNCERTAINTY_PRECISION);
+  const pct = `${+(level * 100).toFixed(2)}%`;
+  const outputs = [['zeta', 'ζ'], ['phi_m', 'φ_m'], ['phi_h', 'φ_h']];
+  return (
+    <div className="mt-4">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="p-2 text-left">Output</th>
+            <th className="p-2 text-right">Nominal</th>
+            {linear && <th className="p-2 text-right">Linear ±σ</th>}
+            {linear && <th className="p-2 text-right">Linear {pct} CI</th>}
+            {mc && <th className="p-2 text-right">MC median</th>}
+            {mc && <th className="p-2 text-right">MC mean ± std</th>}
+            {mc && <th className="p-2 text-right">MC {pct} CI</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {outputs.map(([key, label]) => (
+            <tr key={key} className="border-t border-gray-200 font-mono">
+              <td className="p-2">{label}</td>
+              <td className="p-2 text-right">{f(nominal[key])}</td>
+              {linear && <td className="p-2 text-right">±{f(linear[key].sigma)}</td>}
+              {linear && <td className="p-2 text-right">[{f(linear[key].ci[0])}, {f(linear[key].ci[1])}]</td>}
+              {mc && <td className="p-2 text-right">{f(mc[key].median)}</td>}
+              {mc && <td className="p-2 text-right">{f(mc[key].mean)} ± {f(mc[key].std)}</td>}
+              {mc && <td className="p-2 text-right">[{f(mc[key].ci[0])}, {f(mc[key].ci[1])}]</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {linear && linear.sources.length > 0 && (
+        <p className="text-xs text-gray-600 mt-2">
+          Share of linear ζ variance:{' '}
+          {linear.sources.map(s => `${s.source === 'z_over_z0' ? 'z/z0m' : s.source} ${(100 * s.share.zeta).toFixed(1)}%`).join(', ')}
+        </p>
+      )}
+      {mc && (
+        <p className={`text-xs mt-1 ${mc.failed ? 'text-amber-700' : 'text-gray-600'}`}>
+          Monte Carlo: {mc.converged} of {mc.samples} draws converged (seed {mc.seed}); outcomes:{' '}
+          {Object.entries(mc.reasons).map(([r, n]) => `${r} ${n}`).join(', ')}
+        </p>
+      )}
+      {mc && mc.converged > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+          {outputs.map(([key, label]) => (
+            <HistogramChart key={key} title={`${label} (Monte Carlo)`} histogram={mc[key].histogram} xLabel={label} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Colour key of a class table: a swatch and label per class.
+ */
+const ClassLegend = ({ classes }) => (
+  <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+    {classes.map(({ key, min, label, color }) => (
+      <span key={`${key}_${min}`} className="flex items-center gap-1">
+        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+        {label}
+      </span>
+    ))}
+  </div>
+);
+
+/**
+ * Chart/legend label for a critical_ri entry: a true peak is Ri_c, otherwise
+ * the value at the ζ bound.
+ */
+const criticalLabel = (name, c) =>
+  c.interior ? `${name},c = ${c.value.toFixed(4)}` : `${name}(ζ = ${c.zeta}) = ${c.value.toFixed(4)}`;
+
+/**
+ * Surface panel: z, z0m and z0h as typed, with the logarithms they give
+ * (`surfaceInfo`, see surface_params) or why they were rejected.
+ */
+const SurfacePanel = ({ surfaceInput, setSurfaceInput, surfaceInfo, surfaceError }) => (
+  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+    <h2 className="text-sm font-semibold text-gray-700 mb-2">Surface (used for Ri_b, tables and export)</h2>
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      {[
+        ['Z', 'Measurement height z (m)'],
+        ['Z0M', 'Momentum roughness z0m (m)'],
+        ['Z0H', 'Thermal roughness z0h (m)']
+      ].map(([key, label]) => (
+        <div key={key}>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={surfaceInput[key]}
+            onChange={(e) => setSurfaceInput(prev => ({ ...prev, [key]: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label={label}
+          />
+        </div>
+      ))}
+      <div className="text-xs text-gray-600 flex flex-col justify-end">
+        <p>kB⁻¹ = ln(z0m/z0h) = {surfaceInfo.KB_INV.toFixed(3)}</p>
+        <p>ln(z/z0m) = {surfaceInfo.LN_ZM.toFixed(3)}, ln(z/z0h) = {surfaceInfo.LN_ZH.toFixed(3)}</p>
+      </div>
+    </div>
+    {surfaceError && (
+      <p className="text-xs text-red-600 font-semibold mt-2">{surfaceError} (using defaults)</p>
+    )}
+  </div>
+);
+
+/**
+ * Flux solver panel: the observation layout and values as typed, and the
+ * solve_fluxes result, which the profile reconstruction can take its scales from.
+ */
+const FluxPanel = ({ fluxMode, setFluxMode, fluxInput, setFluxInput, fluxResult, setFluxResult, profile, surface }) => {
+  /**
+   * Solve for u*, θ*, L, H and τ.
+   *
+   * Bulk mode uses one level at the surface-panel height z with that
+   * panel's z0m/z0h; two-level mode uses the two observed levels.
+   */
+  const handleFluxes = useCallback(() => {
+    const num = key => parseFloat(fluxInput[key]);
+    const obs = fluxMode === 'bulk'
+      ? { levels: [{ z: surface.Z, u: num('u'), theta: num('theta') }], theta_s: num('theta_s'), surface }
+      : {
+          levels: [
+            { z: num('z1'), u: num('u1'), theta: num('theta1') },
+            { z: num('z2'), u: num('u2'), theta: num('theta2') }
+          ]
+        };
+    try {
+      setFluxResult(solve_fluxes(obs, profile, { RHO: num('RHO'), KAPPA: num('KAPPA'), G: num('G') }));
+    } catch (e) {
+      setFluxResult({ converged: false, message: e.message });
+    }
+  }, [fluxInput, fluxMode, profile, surface]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Flux Solver (u*, θ*, L, H, τ)</h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+        <div className="col-span-2">
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Observations</label>
+          <select
+            value={fluxMode}
+            onChange={(e) => setFluxMode(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select observation layout"
+          >
+            <option value="bulk">Bulk: one level + surface θ_s (z, z0m, z0h above)</option>
+            <option value="two-level">Two levels</option>
+          </select>
+        </div>
+        {(fluxMode === 'bulk'
+          ? [['u', `U at z = ${surface.Z} m (m/s)`], ['theta', 'θ at z (K)'], ['theta_s', 'Surface θ_s (K)']]
+          : [
+              ['z1', 'z₁ (m)'], ['u1', 'U₁ (m/s)'], ['theta1', 'θ₁ (K)'],
+              ['z2', 'z₂ (m)'], ['u2', 'U₂ (m/s)'], ['theta2', 'θ₂ (K)']
+            ]
+        ).concat([['RHO', 'ρ (kg/m³)'], ['KAPPA', 'κ'], ['G', 'g (m/s²)']]).map(([key, label]) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              step="any"
+              value={fluxInput[key]}
+              onChange={(e) => setFluxInput(prev => ({ ...prev, [key]: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        ))}
+        <div className="flex items-end">
+          <button
+            onClick={handleFluxes}
+            className="w-full bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+            aria-label="Solve for fluxes"
+          >
+            Solve
+          </button>
+        </div>
+      </div>
+
+      {fluxResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {!fluxResult.converged ? (
+            <p className="text-red-600 font-semibold">{fluxResult.message}</p>
+          ) : (
+            <div>
+              <p className="text-xs text-green-700 mb-2">
+                ✓ Converged ({fluxResult.method}): ζ solver {fluxResult.solver.reason} in{' '}
+                {fluxResult.solver.iterations} iterations; closure L = {fluxResult.intermediate.L_closure.toPrecision(6)} m
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+                {[
+                  ['u* (m/s)', fluxResult.u_star],
+                  ['θ* (K)', fluxResult.theta_star],
+                  ['L (m)', fluxResult.L],
+                  ['H (W/m²)', fluxResult.H],
+                  ['τ (N/m²)', fluxResult.tau]
+                ].map(([key, val]) => (
+                  <div key={key} className="bg-gray-50 p-2 rounded">
+                    <p className="text-xs text-gray-600">{key}</p>
+                    <p className="text-lg font-mono font-bold text-gray-800">{val.toPrecision(5)}</p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs font-semibold text-gray-700 mb-1">Intermediate quantities</p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-1 text-xs font-mono text-gray-700">
+                {Object.entries(fluxResult.intermediate).map(([key, val]) => (
+                  <p key={key}>{key} = {val.toPrecision(6)}</p>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Batch conversion panel: pasted or uploaded inputs converted in the
+ * worker (`workerRef`), with progress, cancellation and CSV export.
+ */
+const BatchPanel = ({ batchMode, setBatchMode, workerRef, profile, surface }) => {
+  const [batchText, setBatchText] = useState('');                 // Pasted/uploaded batch data
+  const [batchResult, setBatchResult] = useState(null);           // Batch output + summary
+  const [batchProgress, setBatchProgress] = useState(null);       // { done, total } while running
+  const batchJobRef = useRef(null);                               // Job in flight, cancelled by a new batch
+
+  /**
+   * Run the batch conversion on the pasted/uploaded text in the worker.
+   *
+   * Column 1 holds the inputs; an optional column 2 holds per-sample z/z0.
+   * Starting a new batch cancels the one in flight.
+   */
+  const handleBatch = useCallback(async () => {
+    const parsed = parseNumericColumns(batchText);
+    const { columns } = parsed;
+    const skipped = describeSkipped(parsed);
+    if (columns.length === 0 || columns[0].length === 0) {
+      setBatchResult({ error: 'No numeric rows found' });
+      return;
+    }
+    if (batchJobRef.current) batchJobRef.current.cancel();
+
+    const values = columns[0];
+    const z_over_z0 = columns.length > 1 ? columns[1] : undefined;
+    const job = workerRef.current.run(
+      { type: 'batch', mode: batchMode, values, profile, surface, z_over_z0 },
+      { onProgress: progress => batchJobRef.current === job && setBatchProgress(progress) }
+    );
+    batchJobRef.current = job;
+    setBatchProgress({ done: 0, total: values.length });
+
+    try {
+      const result = await job.promise;
+      if (batchJobRef.current !== job) return;
+      setBatchResult(result.cancelled ? { error: 'Batch cancelled' } : { ...result, values, z_over_z0, skipped, mode: batchMode });
+    } catch (e) {
+      if (batchJobRef.current === job) setBatchResult({ error: `Batch failed: ${e.message}` });
+    }
+    if (batchJobRef.current === job) {
+      batchJobRef.current = null;
+      setBatchProgress(null);
+    }
+  }, [batchText, batchMode, profile, surface]);
+
+  const cancelBatch = useCallback(() => {
+    if (batchJobRef.current) batchJobRef.current.cancel();
+  }, []);
+
+  const handleBatchFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    if (file) setBatchText(await file.text());
+  }, []);
+
+  /**
+   * Export batch results as CSV (one row per input element).
+   */
+  const exportBatchCSV = useCallback(() => {
+    if (!batchResult || batchResult.error) return;
+    const { values, z_over_z0, mode } = batchResult;
+    const headers = ['input', ...(z_over_z0 ? ['z_over_z0'] : []), 'zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b', 'converged', 'reason'];
+    const { tag, header } = describe_surface(surface);
+    const rows = Array.from(values, (v, i) => [
+      v,
+      ...(z_over_z0 ? [z_over_z0[i]] : []),
+      batchResult.zeta[i], batchResult.phi_m[i], batchResult.phi_h[i], batchResult.Ri_g[i], batchResult.Ri_b[i],
+      batchResult.converged[i], batchResult.reason[i]
+    ].join(','));
+    const csv = [`# MOST batch ${mode}: ${profile}`, `# Surface: ${header}`, headers.join(','), ...rows].join('\n');
+
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `MOST_batch_${mode}_${profile}_${tag}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [batchResult, profile, surface]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Batch Conversion</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Paste or upload one value per line (comma/semicolon/tab/space separated; decimal commas are read with
+        semicolons or tabs); an optional second column gives per-sample z/z0. Header and # comment lines are
+        skipped; unreadable fields are reported.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <textarea
+          value={batchText}
+          onChange={(e) => setBatchText(e.target.value)}
+          rows={6}
+          className="md:col-span-2 w-full p-2 border border-gray-300 rounded font-mono text-xs"
+          placeholder={'Ri_b,z_over_z0\n0.05,1000\n-0.2,500'}
+          aria-label="Batch input data"
+        />
+        <div className="flex flex-col gap-2">
+          <select
+            value={batchMode}
+            onChange={(e) => setBatchMode(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select batch input quantity"
+          >
+            <option value="rib_to_zeta">Ri_b → ζ</option>
+            <option value="rig_to_zeta">Ri_g → ζ</option>
+            <option value="zeta_to_all">ζ → All parameters</option>
+          </select>
+          <input
+            type="file"
+            accept=".csv,.txt,.dat"
+            onChange={handleBatchFile}
+            className="text-xs"
+            aria-label="Upload batch data file"
+          />
+          {batchProgress ? (
+            <button
+              onClick={cancelBatch}
+              className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 transition"
+              aria-label="Cancel batch conversion"
+            >
+              Cancel ({batchProgress.done} / {batchProgress.total})
+            </button>
+          ) : (
+            <button
+              onClick={handleBatch}
+              className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+              aria-label="Run batch conversion"
+            >
+              Run Batch
+            </button>
+          )}
+          {batchProgress && (
+            <progress
+              value={batchProgress.done}
+              max={batchProgress.total}
+              className="w-full"
+              aria-label="Batch conversion progress"
+            />
+          )}
+          {batchResult && !batchResult.error && !batchProgress && (
+            <button
+              onClick={exportBatchCSV}
+              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition flex items-center justify-center gap-2"
+              aria-label="Export batch results as CSV"
+            >
+              <Download className="w-4 h-4" />
+              Results CSV
+            </button>
+          )}
+        </div>
+      </div>
+
+      {batchResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {batchResult.error ? (
+            <p className="text-red-600 font-semibold">{batchResult.error}</p>
+          ) : (
+            <div>
+              <p className={`text-xs mb-2 ${batchResult.summary.failed ? 'text-amber-700' : 'text-green-700'}`}>
+                {batchResult.summary.converged} of {batchResult.summary.count} converged
+                {batchResult.summary.failed > 0 &&
+                  ` (${Object.entries(batchResult.summary.reasons)
+                    .filter(([r]) => r !== 'residual' && r !== 'bracket-width' && r !== 'input')
+                    .map(([r, c]) => `${c} ${r}`)
+                    .join(', ')})`}
+                {batchResult.skipped}
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {['min', 'max', 'mean', 'median', 'std'].map(stat => (
+                  <div key={stat} className="bg-gray-50 p-2 rounded">
+                    <p className="text-xs text-gray-600">ζ {stat}</p>
+                    <p className="text-lg font-mono font-bold text-gray-800">
+                      {batchResult.summary.zeta[stat].toFixed(4)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Custom reference grid panel: spacing and range as typed, with the grid
+ * they describe and how many Ri targets had no ζ (`tableDropped`).
+ */
+const GridPanel = ({ gridInput, setGridInput, grid, tableDropped }) => (
+  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+    <h2 className="text-sm font-semibold text-gray-700 mb-2">Reference Grid</h2>
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+      <div>
+        <label className="block text-xs font-semibold text-gray-700 mb-1">Spacing</label>
+        <select
+          value={gridInput.spacing}
+          onChange={(e) => setGridInput(prev => ({ ...prev, spacing: e.target.value }))}
+          className="w-full p-2 border border-gray-300 rounded"
+          aria-label="Select grid spacing"
+        >
+          <option value="linear">Linear in ζ</option>
+          <option value="log">Log-spaced in |ζ|</option>
+          <option value="rig">Even in Ri_g</option>
+          <option value="rib">Even in Ri_b</option>
+        </select>
+      </div>
+      {[
+        ['min', `Min ${gridInput.spacing === 'rig' ? 'Ri_g' : gridInput.spacing === 'rib' ? 'Ri_b' : 'ζ'}`],
+        ['max', `Max ${gridInput.spacing === 'rig' ? 'Ri_g' : gridInput.spacing === 'rib' ? 'Ri_b' : 'ζ'}`],
+        gridInput.spacing === 'linear' ? ['step', 'Step'] : ['count', 'Points'],
+        ...(gridInput.spacing === 'log' ? [['min_abs', 'Smallest |ζ|']] : [])
+      ].map(([key, label]) => (
+        <div key={key}>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+          <input
+            type="number"
+            step="any"
+            value={gridInput[key]}
+            onChange={(e) => setGridInput(prev => ({ ...prev, [key]: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label={label}
+          />
+        </div>
+      ))}
+    </div>
+    <p className="text-xs text-gray-600 mt-2">
+      {describe_grid(grid).header}
+      {tableDropped.length > 0 &&
+        `; ${tableDropped.length} target(s) with no solution left out (e.g. above the critical value)`}
+    </p>
+  </div>
+);
+
+/**
+ * Export format and precision controls, shared by every export; the
+ * precision as typed, with why it was rejected (`precisionError`).
+ */
+const ExportOptionsPanel = ({ exportFormat, setExportFormat, precisionInput, setPrecisionInput, precisionError }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+    <div>
+      <label className="block text-xs font-semibold text-gray-700 mb-1">Export Format</label>
+      <select
+        value={exportFormat}
+        onChange={(e) => setExportFormat(e.target.value)}
+        className="w-full p-2 border border-gray-300 rounded"
+        aria-label="Select export format"
+      >
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+    </div>
+    <div>
+      <label className="block text-xs font-semibold text-gray-700 mb-1">Precision</label>
+      <select
+        value={precisionInput.notation}
+        onChange={(e) => setPrecisionInput(prev => ({ ...prev, notation: e.target.value }))}
+        className="w-full p-2 border border-gray-300 rounded"
+        aria-label="Select number notation"
+      >
+        <option value="fixed">Decimal places</option>
+        <option value="significant">Significant figures</option>
+        <option value="full">Full precision</option>
+      </select>
+    </div>
+    <div>
+      <label className="block text-xs font-semibold text-gray-700 mb-1">Digits</label>
+      <input
+        type="number"
+        min="0"
+        max="17"
+        step="1"
+        value={precisionInput.digits}
+        disabled={precisionInput.notation === 'full'}
+        onChange={(e) => setPrecisionInput(prev => ({ ...prev, digits: e.target.value }))}
+        className="w-full p-2 border border-gray-300 rounded disabled:opacity-50"
+        aria-label="Number of digits"
+      />
+    </div>
+    {precisionError && (
+      <p className="md:col-span-3 text-xs text-red-600 font-semibold">{precisionError} (using 4 decimals)</p>
+    )}
+  </div>
+);
+
+/**
+ * Observation import panel: reads a file into `obsData` (shared with the bias
+ * diagnostics), maps its columns and charts and exports the stability series.
+ */
+const ObservationsPanel = ({ obsData, setObsData, profile, surface, exportFormat, precision }) => {
+  const [obsMapping, setObsMapping] = useState({                  // Column mapping for the import (as chosen)
+    layout: 'two-level',
+    z1: '2', u1: '', theta1: '', z2: '10', u2: '', theta2: '', theta_s: '',
+    temperature_units: 'C', air_temperature: true,
+    flux_kind: 'none', flux: '', u_star: '', T: '', z_sonic: '10'
+  });
+  const [obsResult, setObsResult] = useState(null);               // stability_series output or { error }
+
+  /**
+   * Read an uploaded observation file (CSV, TOA5 or NetCDF-3) in the page.
+   */
+  const handleObsFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setObsResult(null);
+    try {
+      const dataset = readDataset(new Uint8Array(await file.arrayBuffer()), { filename: file.name });
+      setObsData({ dataset, filename: file.name });
+    } catch (err) {
+      setObsData({ error: `Could not read ${file.name}: ${err.message}` });
+    }
+  }, []);
+
+  /**
+   * stability_series mapping from the import controls. Bulk mode takes its
+   * roughness from the surface panel.
+   */
+  const obsSeriesMapping = useMemo(() => {
+    const m = obsMapping;
+    const mapping = {
+      levels: m.layout === 'bulk'
+        ? [{ z: parseFloat(m.z1), u: m.u1, theta: m.theta1 }]
+        : [{ z: parseFloat(m.z1), u: m.u1, theta: m.theta1 }, { z: parseFloat(m.z2), u: m.u2, theta: m.theta2 }],
+      temperature_units: m.temperature_units,
+      air_temperature: m.air_temperature
+    };
+    if (m.layout === 'bulk') {
+      mapping.theta_s = m.theta_s;
+      mapping.surface = { Z0M: surface.Z0M, Z0H: surface.Z0H };
+    }
+    if (m.flux_kind !== 'none') {
+      mapping.sonic = { z: parseFloat(m.z_sonic), [m.flux_kind]: m.flux };
+      if (m.flux_kind !== 'L') mapping.sonic.u_star = m.u_star;
+      if (m.flux_kind !== 'L' && m.T) mapping.sonic.T = m.T;
+    }
+    return mapping;
+  }, [obsMapping, surface]);
+
+  /**
+   * Compute Ri_b and ζ for every imported record (and sonic ζ if mapped).
+   */
+  const handleObsSeries = useCallback(() => {
+    if (!obsData || obsData.error) return;
+    try {
+      setObsResult(stability_series(obsData.dataset, obsSeriesMapping, profile));
+    } catch (e) {
+      setObsResult({ error: e.message });
+    }
+  }, [obsData, obsSeriesMapping, profile]);
+
+  // Chart rows for the stability time series (record index if there is no time column)
+  const obsChartData = useMemo(() => {
+    if (!obsResult || obsResult.error) return [];
+    const { time, zeta, zeta_sonic, Ri_b } = obsResult;
+    return Array.from(zeta, (z, i) => ({
+      t: time ? time[i] : i,
+      zeta: Number.isFinite(z) ? z : null,
+      zeta_sonic: zeta_sonic && Number.isFinite(zeta_sonic[i]) ? zeta_sonic[i] : null,
+      Ri_b: Number.isFinite(Ri_b[i]) ? Ri_b[i] : null
+    }));
+  }, [obsResult]);
+
+  const formatObsTime = useCallback(
+    t => (obsResult && obsResult.time ? new Date(t).toISOString().slice(0, 16).replace('T', ' ') : `#${t}`),
+    [obsResult]
+  );
+
+  /**
+   * Export the stability series in the selected format and precision.
+   */
+  const exportObsSeries = useCallback(() => {
+    if (!obsResult || obsResult.error) return;
+    try {
+      const { content, filename, mime } = export_stability_series(exportFormat, obsResult, profile, {
+        mapping: obsSeriesMapping,
+        source: obsData.filename,
+        precision
+      });
+      downloadFile(content, filename, mime);
+    } catch (e) {
+      setObsResult(prev => ({ ...prev, exportError: `Export failed: ${e.message}` }));
+    }
+  }, [obsResult, obsData, obsSeriesMapping, exportFormat, profile, precision]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Observations (CSV, TOA5, NetCDF-3)</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Files are read in the browser and never uploaded. Ri_b from the mapped profile columns is
+        inverted to ζ with zeta_from_rib for every record; mapped sonic fluxes give ζ = z/L for comparison.
+      </p>
+      <input
+        type="file"
+        accept=".csv,.txt,.dat,.nc"
+        onChange={handleObsFile}
+        className="text-xs mb-4"
+        aria-label="Upload observation file"
+      />
+      {obsData && obsData.error && <p className="text-red-600 font-semibold mb-2">{obsData.error}</p>}
+
+      {obsData && !obsData.error && (() => {
+        const { dataset, filename } = obsData;
+        const numeric = dataset.names.filter(n => dataset.columns[n]);
+        const set = key => e => {
+          const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+          setObsMapping(prev => ({ ...prev, [key]: value }));
+        };
+        const columnSelect = (key, label) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <select
+              value={obsMapping[key]}
+              onChange={set(key)}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            >
+              <option value="">—</option>
+              {numeric.map(n => (
+                <option key={n} value={n}>{n}{dataset.units[n] ? ` (${dataset.units[n]})` : ''}</option>
+              ))}
+            </select>
+          </div>
+        );
+        const numberInput = (key, label) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              step="any"
+              value={obsMapping[key]}
+              onChange={set(key)}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        );
+        return (
+          <div>
+            <p className="text-xs text-gray-700 mb-2">
+              {filename}: {dataset.format.toUpperCase()}, {dataset.length} records, {numeric.length} numeric columns
+              {dataset.time_column ? `; time from '${dataset.time_column}'` : '; no time column (records are numbered)'}
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+              <div className="col-span-2">
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Profile layout</label>
+                <select
+                  value={obsMapping.layout}
+                  onChange={set('layout')}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  aria-label="Select profile layout"
+                >
+                  <option value="two-level">Two levels</option>
+                  <option value="bulk">Bulk: one level + surface temperature (z0m, z0h above)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Temperature units</label>
+                <select
+                  value={obsMapping.temperature_units}
+                  onChange={set('temperature_units')}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  aria-label="Select temperature units"
+                >
+                  <option value="C">°C</option>
+                  <option value="K">K</option>
+                </select>
+              </div>
+              <div className="col-span-3 flex items-end">
+                <label className="text-xs text-gray-700 flex items-center gap-2">
+                  <input type="checkbox" checked={obsMapping.air_temperature} onChange={set('air_temperature')} />
+                  Air temperature: add g z / c_p for potential temperature
+                </label>
+              </div>
+              {numberInput('z1', obsMapping.layout === 'bulk' ? 'z (m)' : 'z₁ (m)')}
+              {columnSelect('u1', obsMapping.layout === 'bulk' ? 'U' : 'U₁')}
+              {columnSelect('theta1', obsMapping.layout === 'bulk' ? 'T' : 'T₁')}
+              {obsMapping.layout === 'bulk'
+                ? columnSelect('theta_s', 'Surface T_s')
+                : [numberInput('z2', 'z₂ (m)'), columnSelect('u2', 'U₂'), columnSelect('theta2', 'T₂')]}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Sonic fluxes</label>
+                <select
+                  value={obsMapping.flux_kind}
+                  onChange={set('flux_kind')}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  aria-label="Select sonic flux column type"
+                >
+                  <option value="none">None</option>
+                  <option value="H">H (W/m²)</option>
+                  <option value="w_theta">w'θ' (K m/s)</option>
+                  <option value="L">Obukhov L (m)</option>
+                </select>
+              </div>
+              {obsMapping.flux_kind !== 'none' && [
+                numberInput('z_sonic', 'Sonic z (m)'),
+                columnSelect('flux', { H: 'H column', w_theta: "w'θ' column", L: 'L column' }[obsMapping.flux_kind]),
+                ...(obsMapping.flux_kind !== 'L'
+                  ? [columnSelect('u_star', 'u* column'), columnSelect('T', 'Mean T (optional)')]
+                  : [])
+              ]}
+              <div className="flex items-end">
+                <button
+                  onClick={handleObsSeries}
+                  className="w-full bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+                  aria-label="Compute stability for every record"
+                >
+                  Compute
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {obsResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {obsResult.error ? (
+            <p className="text-red-600 font-semibold">{obsResult.error}</p>
+          ) : (
+            <div>
+              <div className="flex items-start justify-between gap-4 mb-2">
+                <p className={`text-xs ${obsResult.summary.failed ? 'text-amber-700' : 'text-green-700'}`}>
+                  {obsResult.summary.converged} of {obsResult.summary.count} records converged ({obsResult.method})
+                  {obsResult.summary.failed > 0 &&
+                    ` (${Object.entries(obsResult.summary.reasons)
+                      .filter(([r]) => r !== 'residual' && r !== 'bracket-width')
+                      .map(([r, c]) => `${c} ${r}`)
+                      .join(', ')})`}
+                  {Object.keys(obsResult.summary.invalid).length > 0 &&
+                    `; ${Object.entries(obsResult.summary.invalid).map(([m, c]) => `${m} (${c} record(s))`).join('; ')}`}
+                  {obsResult.summary.comparison && obsResult.summary.comparison.count > 0 &&
+                    `; ζ − ζ_sonic over ${obsResult.summary.comparison.count} records: bias ${formatValue(obsResult.summary.comparison.bias, precision)},` +
+                    ` RMSE ${formatValue(obsResult.summary.comparison.rmse, precision)}, r = ${formatValue(obsResult.summary.comparison.r, precision)}`}
+                </p>
+                <button
+                  onClick={exportObsSeries}
+                  className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition flex items-center gap-2"
+                  aria-label={`Export stability series as ${EXPORT_FORMATS[exportFormat].label}`}
+                >
+                  <Download className="w-4 h-4" />
+                  Series
+                </button>
+              </div>
+              {obsResult.exportError && <p className="text-red-600 text-xs mb-2">{obsResult.exportError}</p>}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart data={obsChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatObsTime} />
+                    <YAxis label={{ value: 'ζ = z/L', angle: -90, position: 'insideLeft' }} />
+                    <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={formatObsTime} />
+                    <Legend />
+                    <Line type="linear" dataKey="zeta" stroke="#8884d8" dot={false} name="ζ (profile Ri_b)" connectNulls={false} />
+                    {obsResult.zeta_sonic && (
+                      <Line type="linear" dataKey="zeta_sonic" stroke="#ff7300" dot={false} name="ζ (sonic)" connectNulls={false} />
+                    )}
+                  </LineChart>
+                </ResponsiveContainer>
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart data={obsChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatObsTime} />
+                    <YAxis label={{ value: 'Ri_b', angle: -90, position: 'insideLeft' }} />
+                    <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={formatObsTime} />
+                    <Legend />
+                    <Line type="linear" dataKey="Ri_b" stroke="#82ca9d" dot={false} name="Ri_b" connectNulls={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Profile comparison panel: which profiles to overlay (`compareProfiles` as
+ * chosen, `comparedProfiles` still registered), the baseline and difference or ratio.
+ */
+const ComparisonPanel = ({
+  compareMode, setCompareMode, profileList, compareProfiles, setCompareProfiles, comparedProfiles,
+  comparisonBaseline, setCompareBaseline, compareRelative, setCompareRelative
+}) => {
+  const toggleCompared = useCallback(key => {
+    setCompareProfiles(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  }, []);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <label className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={compareMode}
+          onChange={(e) => setCompareMode(e.target.checked)}
+          aria-label="Compare several profiles"
+        />
+        Compare profiles (overlay on the charts, table and export)
+      </label>
+      {compareMode && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {profileList.map(({ key, name }) => (
+              <label key={key} className="text-xs text-gray-700 flex items-center gap-1">
+                <input type="checkbox" checked={compareProfiles.includes(key)} onChange={() => toggleCompared(key)} />
+                {name}
+              </label>
+            ))}
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">Baseline</label>
+            <select
+              value={comparisonBaseline || ''}
+              onChange={(e) => setCompareBaseline(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label="Select baseline profile"
+            >
+              {comparedProfiles.map(key => (
+                <option key={key} value={key}>{key}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">Against baseline</label>
+            <select
+              value={compareRelative}
+              onChange={(e) => setCompareRelative(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label="Select difference or ratio"
+            >
+              <option value="difference">Difference (profile − baseline)</option>
+              <option value="ratio">Ratio (profile / baseline)</option>
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Bias diagnostics panel: paired model and observed columns of the imported
+ * file (`obsData`), binned by stability class with bootstrap intervals.
+ */
+const BiasPanel = ({ obsData, profile, surface, precision }) => {
+  const [biasMapping, setBiasMapping] = useState({                // Paired model/observed columns (as chosen)
+    model: '', model_quantity: 'Ri_b', observed: '', observed_quantity: 'L',
+    flux_name: 'H', flux_model: '', flux_observed: '',
+    samples: String(BOOTSTRAP_DEFAULTS.samples), seed: String(BOOTSTRAP_DEFAULTS.seed)
+  });
+  const [biasResult, setBiasResult] = useState(null);             // bias_diagnostics output or { error }
+  const [biasQuantity, setBiasQuantity] = useState(0);            // Index of the charted quantity
+
+  /**
+   * Bias diagnostics of paired model/observed columns of the imported file.
+   * Ri_b and L are mapped to ζ on the surface panel's height and roughness.
+   */
+  const handleBias = useCallback(() => {
+    if (!obsData || obsData.error) return;
+    const { columns } = obsData.dataset;
+    const m = biasMapping;
+    const column = (name, what) => {
+      if (!columns[name]) throw new Error(`Choose a numeric column for the ${what}`);
+      return columns[name];
+    };
+    try {
+      const fluxes = m.flux_model || m.flux_observed
+        ? [{
+          name: m.flux_name || 'flux',
+          units: obsData.dataset.units[m.flux_observed] || '',
+          model: column(m.flux_model, 'model flux'),
+          observed: column(m.flux_observed, 'observed flux')
+        }]
+        : [];
+      setBiasResult(bias_diagnostics(
+        { quantity: m.model_quantity, values: column(m.model, 'model stability') },
+        { quantity: m.observed_quantity, values: column(m.observed, 'observed stability') },
+        profile,
+        { surface, fluxes, samples: parseInt(m.samples, 10), seed: parseInt(m.seed, 10) }
+      ));
+      setBiasQuantity(0);
+    } catch (e) {
+      setBiasResult({ error: e.message });
+    }
+  }, [obsData, biasMapping, profile, surface]);
+
+  // Chart rows for the charted quantity: one per class, CIs as [below, above] offsets
+  const biasChartData = useMemo(() => {
+    if (!biasResult || biasResult.error) return [];
+    const { bins } = biasResult.quantities[biasQuantity] || biasResult.quantities[0];
+    const finite = x => (Number.isFinite(x) ? x : null);
+    return bins.map((b, k) => {
+      const row = { label: biasResult.classes[k].label, count: b.count };
+      ['bias', 'rmse', 'mae', 'r'].forEach(key => {
+        const [lo, hi] = b.ci[key];
+        row[key] = finite(b[key]);
+        row[`${key}_ci`] = Number.isFinite(lo) ? [b[key] - lo, hi - b[key]] : [0, 0];
+      });
+      return row;
+    });
+  }, [biasResult, biasQuantity]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Bias Diagnostics (model vs. observations)</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Paired model and observed columns of {obsData.filename} are both mapped to ζ (Ri via the selected
+        profile, L as z/L with the surface panel's z) and binned by the observed stability class. Bias is
+        model − observed; intervals are {BOOTSTRAP_DEFAULTS.level * 100}% percentile bootstrap.
+      </p>
+      {(() => {
+        const { dataset } = obsData;
+        const numeric = dataset.names.filter(n => dataset.columns[n]);
+        const set = key => e => {
+          const { value } = e.target;
+          setBiasMapping(prev => ({ ...prev, [key]: value }));
+        };
+        const field = (key, label, options) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            {options ? (
+              <select
+                value={biasMapping[key]}
+                onChange={set(key)}
+                className="w-full p-2 border border-gray-300 rounded"
+                aria-label={label}
+              >
+                {options.map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={biasMapping[key]}
+                onChange={set(key)}
+                className="w-full p-2 border border-gray-300 rounded"
+                aria-label={label}
+              />
+            )}
+          </div>
+        );
+        const columnOptions = [['', '—'], ...numeric.map(n => [n, dataset.units[n] ? `${n} (${dataset.units[n]})` : n])];
+        const quantityOptions = Object.entries(BIAS_QUANTITIES);
+        return (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+            {field('model', 'Model stability column', columnOptions)}
+            {field('model_quantity', 'Model quantity', quantityOptions)}
+            {field('observed', 'Observed stability column', columnOptions)}
+            {field('observed_quantity', 'Observed quantity', quantityOptions)}
+            {field('samples', 'Bootstrap samples')}
+            {field('seed', 'Seed')}
+            {field('flux_name', 'Flux name (optional)')}
+            {field('flux_model', 'Model flux column', columnOptions)}
+            {field('flux_observed', 'Observed flux column', columnOptions)}
+            <div className="flex items-end">
+              <button
+                onClick={handleBias}
+                className="w-full bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+                aria-label="Compute bias diagnostics"
+              >
+                Diagnose
+              </button>
+            </div>
+          </div>
+        );
+      })()}
+
+      {biasResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {biasResult.error ? (
+            <p className="text-red-600 font-semibold">{biasResult.error}</p>
+          ) : (() => {
+            const quantity = biasResult.quantities[biasQuantity] || biasResult.quantities[0];
+            const { overall } = quantity;
+            const interval = (stats, key) => `${formatValue(stats[key], precision)} [${stats.ci[key].map(v => formatValue(v, precision)).join(', ')}]`;
+            const unit = quantity.units && quantity.units !== '1' ? ` (${quantity.units})` : '';
+            return (
+              <div>
+                <div className="flex items-start justify-between gap-4 mb-2">
+                  <p className="text-xs text-gray-700">
+                    {overall.count} of {biasResult.length} pairs; all classes: bias {interval(overall, 'bias')},
+                    RMSE {interval(overall, 'rmse')}, MAE {interval(overall, 'mae')}, r = {interval(overall, 'r')}
+                    {(biasResult.unconverted.model > 0 || biasResult.unconverted.observed > 0) &&
+                      ` (no ζ for ${biasResult.unconverted.model} model and ${biasResult.unconverted.observed} observed values)`}
+                  </p>
+                  {biasResult.quantities.length > 1 && (
+                    <select
+                      value={biasQuantity}
+                      onChange={(e) => setBiasQuantity(Number(e.target.value))}
+                      className="p-2 border border-gray-300 rounded text-sm"
+                      aria-label="Select diagnosed quantity"
+                    >
+                      {biasResult.quantities.map((q, k) => (
+                        <option key={q.name} value={k}>{q.name === 'zeta' ? 'ζ' : q.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <BinnedErrorChart
+                    title={`Bias by stability class${unit}`}
+                    data={biasChartData}
+                    bars={[{ dataKey: 'bias', name: 'Bias (model − obs)', fill: '#8884d8' }]}
+                    yLabel="Bias"
+                    precision={precision}
+                  />
+                  <BinnedErrorChart
+                    title={`RMSE and MAE by stability class${unit}`}
+                    data={biasChartData}
+                    bars={[
+                      { dataKey: 'rmse', name: 'RMSE', fill: '#ff7300' },
+                      { dataKey: 'mae', name: 'MAE', fill: '#82ca9d' }
+                    ]}
+                    yLabel="Error"
+                    precision={precision}
+                  />
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-xs border border-gray-300">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        {['Class', 'ζ range', 'n', 'Bias', 'RMSE', 'MAE', 'r'].map(h => (
+                          <th key={h} className="border border-gray-300 px-2 py-1 text-left">{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {quantity.bins.map((b, k) => {
+                        const { label, min, max } = biasResult.classes[k];
+                        return (
+                          <tr key={label}>
+                            <td className="border border-gray-300 px-2 py-1">{label}</td>
+                            <td className="border border-gray-300 px-2 py-1">[{Number.isFinite(min) ? min : '−∞'}, {Number.isFinite(max) ? max : '∞'})</td>
+                            <td className="border border-gray-300 px-2 py-1">{b.count}</td>
+                            {['bias', 'rmse', 'mae', 'r'].map(key => (
+                              <td key={key} className="border border-gray-300 px-2 py-1 font-mono">{interval(b, key)}</td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            );
+          })()}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Uncertainty inputs of the conversion: σ of the input, z/z0m (Ri_b only) and
+ * the selected profile's coefficients, and the propagation settings.
+ */
+const UncertaintyInputs = ({ conversionMode, uncertaintyInput, setUncertaintyInput, currentProfile }) => (
+  <div className="border-t border-gray-200 pt-3 mb-4">
+    <h3 className="text-sm font-semibold text-gray-700 mb-2">Uncertainty (1σ, optional)</h3>
+    <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-2">
+      {[['value', 'σ(input)'], ...(conversionMode === 'rib_to_zeta' ? [['z_over_z0', 'σ(z/z0m)']] : [])].map(([key, label]) => (
+        <div key={key}>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={uncertaintyInput[key]}
+            onChange={(e) => setUncertaintyInput(prev => ({ ...prev, [key]: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label={label}
+          />
+        </div>
+      ))}
+      <div>
+        <label className="block text-xs font-semibold text-gray-700 mb-1">Method</label>
+        <select
+          value={uncertaintyInput.method}
+          onChange={(e) => setUncertaintyInput(prev => ({ ...prev, method: e.target.value }))}
+          className="w-full p-2 border border-gray-300 rounded"
+          aria-label="Select propagation method"
+        >
+          <option value="both">Linear + Monte Carlo</option>
+          <option value="linear">Linear (first order)</option>
+          <option value="monte-carlo">Monte Carlo</option>
+        </select>
+      </div>
+      {[['samples', 'Draws'], ['level', 'Level'], ['seed', 'Seed']].map(([key, label]) => (
+        <div key={key}>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+          <input
+            type="number"
+            step={key === 'level' ? '0.01' : '1'}
+            value={uncertaintyInput[key]}
+            onChange={(e) => setUncertaintyInput(prev => ({ ...prev, [key]: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label={`Monte Carlo ${label.toLowerCase()}`}
+          />
+        </div>
+      ))}
+    </div>
+    {currentProfile.schema.length > 0 && (
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {currentProfile.schema.map(({ regime: r, key, symbol, description }) => {
+          const name = `${r}.${key}`;
+          const label = `σ(${symbol}, ${r}) [${currentProfile[r][key]}]`;
+          return (
+            <div key={name}>
+              <label className="block text-xs font-semibold text-gray-700 mb-1" title={description}>{label}</label>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={uncertaintyInput.coefficients[name] ?? ''}
+                placeholder="0"
+                onChange={(e) => setUncertaintyInput(prev => ({
+                  ...prev,
+                  coefficients: { ...prev.coefficients, [name]: e.target.value }
+                }))}
+                className="w-full p-2 border border-gray-300 rounded"
+                aria-label={label}
+              />
+            </div>
+          );
+        })}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Coefficient fitting panel: pasted or uploaded observations fitted with the
+ * selected profile's form, and saving the fit as a new profile (then selected).
+ */
+const FitPanel = ({ fitTarget, setFitTarget, profile, setProfile, currentProfile, precision }) => {
+  const [fitText, setFitText] = useState('');                    // Pasted/uploaded ζ and observed columns
+  const [fitExcluded, setFitExcluded] = useState([]);             // Coefficients held at their profile value
+  const [fitResult, setFitResult] = useState(null);               // fit_profile output or { error }
+  const [fitSave, setFitSave] = useState({ key: '', name: '', message: null }); // New profile key/name and save outcome
+
+  /**
+   * Fit the selected profile's coefficients to the pasted columns: ζ, then
+   * the target's observed columns (φ_m and/or φ_h, or Ri_g).
+   */
+  const handleFit = useCallback(() => {
+    const parsed = parseNumericColumns(fitText);
+    const { columns } = parsed;
+    const skipped = describeSkipped(parsed);
+    const needed = FIT_TARGETS[fitTarget].columns;
+    if (columns.length < 1 + needed.length || columns[0].length === 0) {
+      setFitResult({ error: `Need ${1 + needed.length} numeric columns: ζ, ${needed.map(c => FIT_COLUMN_LABELS[c]).join(', ')}` });
+      return;
+    }
+    const data = { zeta: columns[0] };
+    needed.forEach((c, k) => { data[c] = columns[k + 1]; });
+    const parameters = getProfile(profile).schema
+      .map(({ regime: r, key }) => `${r}.${key}`)
+      .filter(name => !fitExcluded.includes(name));
+    try {
+      setFitResult({ ...fit_profile(data, profile, { target: fitTarget, parameters }), data, skipped });
+      setFitSave(prev => ({ ...prev, message: null }));
+    } catch (e) {
+      setFitResult({ error: `Fit failed: ${e.message}` });
+    }
+  }, [fitText, fitTarget, fitExcluded, profile]);
+
+  const handleFitFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    if (file) setFitText(await file.text());
+  }, []);
+
+  /**
+   * Register the fitted coefficients as a new profile and select it.
+   */
+  const saveFittedProfile = useCallback(() => {
+    const key = fitSave.key.trim();
+    if (!key) {
+      setFitSave(prev => ({ ...prev, message: { error: 'Enter a key for the new profile' } }));
+      return;
+    }
+    try {
+      register_fitted_profile(key, fitResult, { name: fitSave.name.trim() || undefined });
+      setProfile(key);
+      setFitSave(prev => ({ ...prev, message: { ok: `Saved as ${key}` } }));
+    } catch (e) {
+      setFitSave(prev => ({ ...prev, message: { error: e.message } }));
+    }
+  }, [fitResult, fitSave]);
+
+  // Observed, fitted and original-profile values at each fitted record, in ζ order
+  const fitChartData = useMemo(() => {
+    if (!fitResult || fitResult.error) return [];
+    const p = getProfile(fitResult.profile);
+    const { data, fitted } = fitResult;
+    const rows = [];
+    data.zeta.forEach((zeta, i) => {
+      const row = { zeta };
+      let used = false;
+      Object.keys(fitted).forEach(c => {
+        if (!Number.isFinite(fitted[c][i])) return;
+        used = true;
+        row[`obs_${c}`] = data[c][i];
+        row[`fit_${c}`] = fitted[c][i];
+        row[`base_${c}`] = c === 'Ri_g' ? ri_g(zeta, p) : p[c](zeta, p);
+      });
+      if (used) rows.push(row);
+    });
+    return rows.sort((a, b) => a.zeta - b.zeta);
+  }, [fitResult]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Coefficient Fitting ({currentProfile.name})</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Paste or upload columns ζ, {FIT_TARGETS[fitTarget].columns.map(c => FIT_COLUMN_LABELS[c]).join(', ')}
+        {' '}(comma/tab/space separated). The selected profile's coefficients are fitted by nonlinear least
+        squares (Levenberg–Marquardt); unticked coefficients keep their current values.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <textarea
+          value={fitText}
+          onChange={(e) => setFitText(e.target.value)}
+          rows={6}
+          className="md:col-span-2 w-full p-2 border border-gray-300 rounded font-mono text-xs"
+          placeholder={'zeta,phi_m,phi_h\n-0.5,0.55,0.31\n0.2,2.0,1.9'}
+          aria-label="Fit input data"
+        />
+        <div className="flex flex-col gap-2">
+          <select
+            value={fitTarget}
+            onChange={(e) => setFitTarget(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select fitted quantity"
+          >
+            {Object.entries(FIT_TARGETS).map(([key, { label }]) => (
+              <option key={key} value={key}>Fit {label} against ζ</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,.txt,.dat"
+            onChange={handleFitFile}
+            className="text-xs"
+            aria-label="Upload fit data file"
+          />
+          <button
+            onClick={handleFit}
+            className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+            aria-label="Fit profile coefficients"
+          >
+            Fit Coefficients
+          </button>
+        </div>
+      </div>
+      {currentProfile.schema.length > 0 && (
+        <div className="flex flex-wrap gap-4 mb-4 text-sm">
+          {currentProfile.schema.map(({ regime: r, key, symbol, description }) => {
+            const name = `${r}.${key}`;
+            return (
+              <label key={name} className="flex items-center gap-1" title={description}>
+                <input
+                  type="checkbox"
+                  checked={!fitExcluded.includes(name)}
+                  onChange={(e) => setFitExcluded(prev => (e.target.checked ? prev.filter(n => n !== name) : [...prev, name]))}
+                />
+                {symbol} ({r})
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {fitResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {fitResult.error ? (
+            <p className="text-red-600 font-semibold">{fitResult.error}</p>
+          ) : (
+            <div>
+              <p className={`text-xs mb-2 ${fitResult.converged ? 'text-green-700' : 'text-amber-700'}`}>
+                {fitResult.converged ? '✓ Converged' : '⚠ Not converged'} ({fitResult.reason}) in {fitResult.iterations}{' '}
+                iterations; {fitResult.count} records, {fitResult.goodness.dof} degrees of freedom
+                {fitResult.skipped}
+                {fitResult.fixed.length > 0 && `; not constrained by the data: ${fitResult.fixed.join(', ')}`}
+              </p>
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-xs border border-gray-300">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      {['Coefficient', 'Initial', 'Fitted', 'Std. error', ...fitResult.parameters.map(q => `r(${q.symbol}, ${q.name.split('.')[0]})`)].map(h => (
+                        <th key={h} className="border border-gray-300 px-2 py-1 text-left">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fitResult.parameters.map((q, a) => (
+                      <tr key={q.name}>
+                        <td className="border border-gray-300 px-2 py-1">{q.symbol} ({q.name.split('.')[0]})</td>
+                        <td className="border border-gray-300 px-2 py-1 font-mono">{formatValue(q.initial, UNCERTAINTY_PRECISION)}</td>
+                        <td className="border border-gray-300 px-2 py-1 font-mono">{formatValue(q.value, UNCERTAINTY_PRECISION)}</td>
+                        <td className="border border-gray-300 px-2 py-1 font-mono">{formatValue(q.stderr, UNCERTAINTY_PRECISION)}</td>
+                        {fitResult.parameters.map((_, b) => (
+                          <td key={b} className="border border-gray-300 px-2 py-1 font-mono">
+                            {fitResult.correlation ? fitResult.correlation[a][b].toFixed(3) : '—'}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-700 mb-4">
+                RSS {formatValue(fitResult.goodness.rss, UNCERTAINTY_PRECISION)}, reduced χ²{' '}
+                {formatValue(fitResult.goodness.reduced_chi2, UNCERTAINTY_PRECISION)}, AIC{' '}
+                {formatValue(fitResult.goodness.aic, UNCERTAINTY_PRECISION)};{' '}
+                {Object.entries(fitResult.goodness.columns).map(([c, g]) =>
+                  `${FIT_COLUMN_LABELS[c]}: RMSE ${formatValue(g.rmse, UNCERTAINTY_PRECISION)}, bias ${formatValue(g.bias, UNCERTAINTY_PRECISION)}, R² ${formatValue(g.r2, UNCERTAINTY_PRECISION)}`
+                ).join('; ')}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                {Object.keys(fitResult.fitted).map(c => (
+                  <div key={c} className="bg-white border border-gray-200 rounded p-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">{FIT_COLUMN_LABELS[c]}: observed, fitted and {fitResult.profile}</h3>
+                    <ResponsiveContainer width="100%" height={250}>
+                      <LineChart data={fitChartData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis
+                          dataKey="zeta"
+                          type="number"
+                          domain={['dataMin', 'dataMax']}
+                          label={{ value: 'ζ = z/L', position: 'insideBottom', offset: -5 }}
+                        />
+                        <YAxis label={{ value: FIT_COLUMN_LABELS[c], angle: -90, position: 'insideLeft' }} />
+                        <Tooltip formatter={(value) => formatValue(value, precision)} />
+                        <Legend />
+                        <Line dataKey={`obs_${c}`} name="Observed" stroke="#8884d8" strokeWidth={0} dot={{ r: 2 }} isAnimationActive={false} />
+                        <Line dataKey={`fit_${c}`} name="Fitted" stroke="#ff7300" dot={false} isAnimationActive={false} />
+                        <Line dataKey={`base_${c}`} name={fitResult.profile} stroke="#82ca9d" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                {[['key', 'New profile key', 'e.g. BD71_SITE'], ['name', 'Display name (optional)', `${getProfile(fitResult.profile).name} (fitted)`]].map(([key, label, placeholder]) => (
+                  <div key={key}>
+                    <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+                    <input
+                      type="text"
+                      value={fitSave[key]}
+                      placeholder={placeholder}
+                      onChange={(e) => setFitSave(prev => ({ ...prev, [key]: e.target.value }))}
+                      className="w-full p-2 border border-gray-300 rounded"
+                      aria-label={label}
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={saveFittedProfile}
+                  className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+                  aria-label="Save fitted coefficients as a new profile"
+                >
+                  Save as Profile
+                </button>
+                {fitSave.message && (
+                  <p className={`text-xs font-semibold ${fitSave.message.error ? 'text-red-600' : 'text-green-700'}`}>
+                    {fitSave.message.error || fitSave.message.ok}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Share and sessions panel: copies the page link and saves, loads, deletes,
+ * exports and imports named sessions of `toolState`, applied with
+ * `applyToolState`; `linkWarnings` says what of the page link did not apply.
+ */
+const SessionsPanel = ({ toolState, applyToolState, linkWarnings }) => {
+  const [sessions, setSessions] = useState(() => {                // Saved sessions { name: { saved, state } }
+    const storage = browserStorage();
+    return storage ? loadSessions(storage) : {};
+  });
+  const [sessionName, setSessionName] = useState('');             // Name to save the current state under
+  const [sessionSelected, setSessionSelected] = useState('');     // Saved session picked for load/delete
+  const [sessionMessage, setSessionMessage] = useState(            // Outcome of the last share/session action { text, error }
+    linkWarnings.length ? { text: `Link partly applied: ${linkWarnings.join('; ')}`, error: true } : null
+  );
+
+  const copyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setSessionMessage({ text: 'Link copied to the clipboard', error: false });
+    } catch (e) {
+      setSessionMessage({ text: `Copy this link: ${window.location.href}`, error: false });
+    }
+  }, []);
+
+  const handleSaveSession = useCallback(() => {
+    const storage = browserStorage();
+    if (!storage) {
+      setSessionMessage({ text: 'Sessions need browser storage, which is unavailable here', error: true });
+      return;
+    }
+    try {
+      const name = sessionName.trim();
+      setSessions(saveSession(storage, name, toolState));
+      setSessionSelected(name);
+      setSessionMessage({ text: `Saved session '${name}'`, error: false });
+    } catch (e) {
+      setSessionMessage({ text: e.message, error: true });
+    }
+  }, [sessionName, toolState]);
+
+  const handleLoadSession = useCallback(() => {
+    const session = sessions[sessionSelected];
+    if (!session) return;
+    const warnings = applyToolState(session.state);
+    setSessionMessage(warnings.length
+      ? { text: `Loaded '${sessionSelected}' with changes: ${warnings.join('; ')}`, error: true }
+      : { text: `Loaded session '${sessionSelected}'`, error: false });
+  }, [sessions, sessionSelected, applyToolState]);
+
+  const handleDeleteSession = useCallback(() => {
+    const storage = browserStorage();
+    if (!storage || !sessions[sessionSelected]) return;
+    setSessions(deleteSession(storage, sessionSelected));
+    setSessionMessage({ text: `Deleted session '${sessionSelected}'`, error: false });
+    setSessionSelected('');
+  }, [sessions, sessionSelected]);
+
+  const handleExportSessions = useCallback(() => {
+    const chosen = sessionSelected && sessions[sessionSelected]
+      ? { [sessionSelected]: sessions[sessionSelected] }
+      : sessions;
+    const tag = sessionSelected ? sessionSelected.replace(/[^\w.-]+/g, '_') : 'all';
+    downloadFile(exportSessions(chosen), `MOST_sessions_${tag}.json`, 'application/json');
+  }, [sessions, sessionSelected]);
+
+  const handleImportSessions = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const storage = browserStorage();
+    if (!storage) {
+      setSessionMessage({ text: 'Sessions need browser storage, which is unavailable here', error: true });
+      return;
+    }
+    try {
+      const { sessions: all, imported } = importSessions(storage, await file.text());
+      setSessions(all);
+      if (imported.length) setSessionSelected(imported[0]);
+      setSessionMessage({ text: `Imported ${imported.length} session(s) from ${file.name}: ${imported.join(', ')}`, error: false });
+    } catch (err) {
+      setSessionMessage({ text: err.message, error: true });
+    }
+  }, []);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Share &amp; Sessions</h2>
+      <p className="text-xs text-gray-600 mb-3">
+        The page address always holds the current settings (profile and fitted coefficients, regime or grid,
+        surface, conversion and comparison options), so copying it reproduces this view. Named sessions are
+        kept in this browser and can be exported and imported as JSON. Pasted data and imported files are not included.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center">
+        <button
+          onClick={copyLink}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition"
+          aria-label="Copy a link to the current settings"
+        >
+          Copy Link
+        </button>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={sessionName}
+            onChange={(e) => setSessionName(e.target.value)}
+            placeholder="Session name"
+            className="flex-1 min-w-0 p-2 border border-gray-300 rounded"
+            aria-label="Session name"
+          />
+          <button
+            onClick={handleSaveSession}
+            disabled={!sessionName.trim()}
+            className="bg-green-600 text-white px-3 py-2 rounded hover:bg-green-700 transition disabled:opacity-50"
+            aria-label="Save the current settings as a session"
+          >
+            Save
+          </button>
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={sessionSelected}
+            onChange={(e) => setSessionSelected(e.target.value)}
+            className="flex-1 min-w-0 p-2 border border-gray-300 rounded"
+            aria-label="Select saved session"
+          >
+            <option value="">{Object.keys(sessions).length ? 'Saved sessions…' : 'No saved sessions'}</option>
+            {Object.entries(sessions).map(([name, { saved }]) => (
+              <option key={name} value={name}>{name} ({new Date(saved).toLocaleString()})</option>
+            ))}
+          </select>
+          <button
+            onClick={handleLoadSession}
+            disabled={!sessions[sessionSelected]}
+            className="bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+            aria-label="Load selected session"
+          >
+            Load
+          </button>
+          <button
+            onClick={handleDeleteSession}
+            disabled={!sessions[sessionSelected]}
+            className="bg-red-600 text-white px-3 py-2 rounded hover:bg-red-700 transition disabled:opacity-50"
+            aria-label="Delete selected session"
+          >
+            Delete
+          </button>
+        </div>
+        <div className="flex gap-2 items-center">
+          <button
+            onClick={handleExportSessions}
+            disabled={Object.keys(sessions).length === 0}
+            className="bg-green-600 text-white px-3 py-2 rounded hover:bg-green-700 transition flex items-center gap-2 disabled:opacity-50"
+            aria-label={sessionSelected ? 'Export selected session as JSON' : 'Export all sessions as JSON'}
+          >
+            <Download className="w-4 h-4" />
+            JSON
+          </button>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportSessions}
+            className="text-xs min-w-0"
+            aria-label="Import sessions from JSON"
+          />
+        </div>
+      </div>
+      {sessionMessage && (
+        <p className={`text-xs mt-2 break-all ${sessionMessage.error ? 'text-red-700' : 'text-green-700'}`}>
+          {sessionMessage.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tower profiles panel: pasted or uploaded z, U, θ levels fitted for Ri_g, with
+ * MOST shape overlays; `sendTowerLevel` hands one level's Ri_g to the converter.
+ */
+const TowerPanel = ({ towerInput, setTowerInput, profile, currentProfile, precision, sendTowerLevel }) => {
+  const [towerText, setTowerText] = useState('');                // Pasted/uploaded z, u, θ tower columns
+  const [towerResult, setTowerResult] = useState(null);           // tower_ri_g output or { error }
+
+  /**
+   * Fit the pasted tower profiles and derive Ri_g and ζ at the chosen
+   * heights (default: between successive levels).
+   */
+  const handleTower = useCallback(() => {
+    const parsed = parseNumericColumns(towerText);
+    const { columns } = parsed;
+    const skipped = describeSkipped(parsed);
+    if (columns.length < 3 || columns[0].length === 0) {
+      setTowerResult({ error: 'Need 3 numeric columns: z (m), U (m/s), θ' });
+      return;
+    }
+    const heights = towerInput.heights.trim()
+      ? towerInput.heights.split(/[,\s]+/).filter(Boolean).map(Number)
+      : undefined;
+    try {
+      const result = tower_ri_g({ z: columns[0], u: columns[1], theta: columns[2] }, profile, {
+        form: towerInput.form,
+        heights,
+        temperature_units: towerInput.units,
+        air_temperature: towerInput.air_temperature
+      });
+      setTowerResult({ ...result, profile, skipped, curves: tower_curves(result, profile) });
+    } catch (e) {
+      setTowerResult({ error: `Tower fit failed: ${e.message}` });
+    }
+  }, [towerText, towerInput, profile]);
+
+  const handleTowerFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    if (file) setTowerText(await file.text());
+  }, []);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Tower Profiles → Ri_g ({currentProfile.name})</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Paste or upload columns z (m), U (m/s), θ from 3–8 tower levels (comma/tab/space separated; NaN
+        where a level lacks a sensor). Each profile is fitted by least squares, Ri_g = (g/θ)(∂θ/∂z)/(∂U/∂z)²
+        is taken from the fitted gradients and inverted with zeta_from_rig; ± values are 1σ from the fits.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <textarea
+          value={towerText}
+          onChange={(e) => setTowerText(e.target.value)}
+          rows={6}
+          className="md:col-span-2 w-full p-2 border border-gray-300 rounded font-mono text-xs"
+          placeholder={'z,U,theta\n2,3.1,290.2\n4,3.8,290.4\n8,4.5,290.7\n16,5.3,291.1'}
+          aria-label="Tower profile data"
+        />
+        <div className="flex flex-col gap-2">
+          <select
+            value={towerInput.form}
+            onChange={(e) => setTowerInput(prev => ({ ...prev, form: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select tower profile form"
+          >
+            {Object.entries(TOWER_FORMS).map(([key, { label }]) => (
+              <option key={key} value={key}>{key}: {label}</option>
+            ))}
+          </select>
+          <select
+            value={towerInput.units}
+            onChange={(e) => setTowerInput(prev => ({ ...prev, units: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select temperature units"
+          >
+            <option value="K">θ in K</option>
+            <option value="C">θ in °C</option>
+          </select>
+          <label className="flex items-center gap-1 text-sm">
+            <input
+              type="checkbox"
+              checked={towerInput.air_temperature}
+              onChange={(e) => setTowerInput(prev => ({ ...prev, air_temperature: e.target.checked }))}
+            />
+            Column is air temperature (add g z / c_p)
+          </label>
+          <input
+            type="text"
+            value={towerInput.heights}
+            placeholder="Ri_g heights (m), default between levels"
+            onChange={(e) => setTowerInput(prev => ({ ...prev, heights: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Heights for Ri_g"
+          />
+          <input
+            type="file"
+            accept=".csv,.txt,.dat"
+            onChange={handleTowerFile}
+            className="text-xs"
+            aria-label="Upload tower profile file"
+          />
+          <button
+            onClick={handleTower}
+            className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
+            aria-label="Fit tower profiles"
+          >
+            Fit Profiles
+          </button>
+        </div>
+      </div>
+
+      {towerResult && (
+        <div className="bg-white border border-gray-300 rounded p-4">
+          {towerResult.error ? (
+            <p className="text-red-600 font-semibold">{towerResult.error}</p>
+          ) : (
+            <div>
+              <p className="text-xs text-gray-700 mb-2">
+                {towerResult.form} fits: U RMSE {formatValue(towerResult.fits.u.rmse, UNCERTAINTY_PRECISION)} m/s
+                (R² {formatValue(towerResult.fits.u.r2, UNCERTAINTY_PRECISION)}, {towerResult.fits.u.count} levels),
+                θ RMSE {formatValue(towerResult.fits.theta.rmse, UNCERTAINTY_PRECISION)} K
+                (R² {formatValue(towerResult.fits.theta.r2, UNCERTAINTY_PRECISION)}, {towerResult.fits.theta.count} levels)
+                {towerResult.fits.u.covariance === null && '; as many levels as coefficients, so no uncertainty estimate'}
+                {towerResult.skipped}
+              </p>
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-xs border border-gray-300">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      {['z (m)', '∂U/∂z (1/s)', '∂θ/∂z (K/m)', 'Ri_g', 'ζ', 'L (m)', ''].map(h => (
+                        <th key={h} className="border border-gray-300 px-2 py-1 text-left">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {towerResult.levels.map(level => {
+                      const pm = (value, sigma) => `${formatValue(value, UNCERTAINTY_PRECISION)}${Number.isFinite(sigma) ? ` ± ${formatValue(sigma, UNCERTAINTY_PRECISION)}` : ''}`;
+                      return (
+                        <tr key={level.z} className={level.extrapolated ? 'text-amber-700' : ''}>
+                          <td className="border border-gray-300 px-2 py-1 font-mono">
+                            {formatValue(level.z, UNCERTAINTY_PRECISION)}{level.extrapolated && ' (outside the levels)'}
+                          </td>
+                          <td className="border border-gray-300 px-2 py-1 font-mono">{pm(level.dudz, level.dudz_sigma)}</td>
+                          <td className="border border-gray-300 px-2 py-1 font-mono">{pm(level.dthdz, level.dthdz_sigma)}</td>
+                          <td className="border border-gray-300 px-2 py-1 font-mono">{pm(level.Ri_g, level.Ri_g_sigma)}</td>
+                          {level.converged ? (
+                            <>
+                              <td className="border border-gray-300 px-2 py-1 font-mono">{pm(level.zeta, level.zeta_sigma)}</td>
+                              <td className="border border-gray-300 px-2 py-1 font-mono">{formatValue(level.L, UNCERTAINTY_PRECISION)}</td>
+                            </>
+                          ) : (
+                            <td colSpan={2} className="border border-gray-300 px-2 py-1 text-red-600">{level.message}</td>
+                          )}
+                          <td className="border border-gray-300 px-2 py-1">
+                            {Number.isFinite(level.Ri_g) && (
+                              <button
+                                onClick={() => sendTowerLevel(level)}
+                                className="text-purple-700 underline"
+                                aria-label={`Convert Ri_g at ${level.z} m`}
+                              >
+                                Use in converter
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {towerResult.most ? (
+                <p className="text-xs text-gray-700 mb-4">
+                  {towerResult.profile} shapes at L = {formatValue(towerResult.most.L, UNCERTAINTY_PRECISION)} m
+                  (ζ at z = {formatValue(towerResult.reference.z, UNCERTAINTY_PRECISION)} m):
+                  u* = {formatValue(towerResult.most.u.u_star, UNCERTAINTY_PRECISION)} m/s,
+                  z0m = {formatValue(towerResult.most.u.z0m, UNCERTAINTY_PRECISION)} m,
+                  θ* = {formatValue(towerResult.most.theta.theta_star, UNCERTAINTY_PRECISION)} K;
+                  RMSE U {formatValue(towerResult.most.u.rmse, UNCERTAINTY_PRECISION)} m/s,
+                  θ {formatValue(towerResult.most.theta.rmse, UNCERTAINTY_PRECISION)} K
+                </p>
+              ) : (
+                <p className="text-xs text-amber-700 mb-4">
+                  No {towerResult.profile} shapes: {towerResult.reference.message}
+                </p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[['u', 'U (m/s)'], ['theta', 'θ (K)']].map(([c, label]) => (
+                  <div key={c} className="bg-white border border-gray-200 rounded p-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">{label}: measured, fitted and {towerResult.profile}</h3>
+                    <ResponsiveContainer width="100%" height={300}>
+                      <LineChart layout="vertical" data={towerResult.curves}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis
+                          type="number"
+                          domain={['auto', 'auto']}
+                          label={{ value: label, position: 'insideBottom', offset: -5 }}
+                        />
+                        <YAxis
+                          dataKey="z"
+                          type="number"
+                          scale="log"
+                          domain={['dataMin', 'dataMax']}
+                          tickFormatter={(z) => formatValue(z, UNCERTAINTY_PRECISION)}
+                          label={{ value: 'z (m)', angle: -90, position: 'insideLeft' }}
+                        />
+                        <Tooltip formatter={(value) => formatValue(value, precision)} />
+                        <Legend />
+                        <Line
+                          data={Array.from(towerResult.fits[c].z, (z, i) => ({ z, measured: towerResult.fits[c].values[i] }))}
+                          dataKey="measured"
+                          name="Measured"
+                          stroke="#8884d8"
+                          strokeWidth={0}
+                          dot={{ r: 3 }}
+                          isAnimationActive={false}
+                        />
+                        <Line dataKey={`${c}_fit`} name={`Fitted (${towerResult.form})`} stroke="#ff7300" dot={false} isAnimationActive={false} />
+                        {towerResult.most && (
+                          <Line dataKey={`${c}_most`} name={towerResult.profile} stroke="#82ca9d" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Transfer lookup panel: the Ri_b range, z/z0m ratios and kB⁻¹ as typed, and
+ * the C_D/C_H lookup export in the shared format and precision.
+ */
+const TransferPanel = ({ transferInput, setTransferInput, profile, exportFormat, precision }) => {
+  const [transferMessage, setTransferMessage] = useState(null);   // Outcome of the last lookup export
+
+  /**
+   * Export the C_D/C_H lookup table over the Ri_b range and z/z0m ratios,
+   * in the reference-table export format.
+   */
+  const handleTransferExport = useCallback(() => {
+    try {
+      const lookup = transfer_lookup(profile, {
+        rib: { min: parseFloat(transferInput.min), max: parseFloat(transferInput.max), count: parseInt(transferInput.count, 10) },
+        z_over_z0m: transferInput.z_over_z0m.split(/[,\s]+/).filter(Boolean).map(Number),
+        kb_inv: parseFloat(transferInput.kb_inv)
+      });
+      // Fixed decimals would flatten C_D (~10⁻³), so they fall back to the export's significant digits
+      const { content, filename, mime } = export_transfer_table(exportFormat, lookup, profile, {
+        precision: precision.notation === 'fixed' ? undefined : precision
+      });
+      downloadFile(content, filename, mime);
+      setTransferMessage({
+        text: `Exported ${filename}: ${lookup.rows.length} rows` +
+          (lookup.failed ? `, ${lookup.failed} above the critical Ri_b (NaN, converged = 0)` : ''),
+        error: false
+      });
+    } catch (e) {
+      setTransferMessage({ text: `Export failed: ${e.message}`, error: true });
+    }
+  }, [profile, transferInput, exportFormat, precision]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Bulk Transfer Lookup Table (C_D, C_H)</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        C_D = κ²/[ln(z/z0m) − ψ_m(ζ) + ψ_m(ζ z0m/z)]² and C_H likewise with ψ_h, after inverting each Ri_b with
+        zeta_from_rib, for every z/z0m ratio: one block of Ri_b rows per ratio, with the neutral values and
+        ratios, ready to interpolate in a bulk flux scheme. Uses the export format below, with 6 significant
+        digits unless significant or full precision is chosen there.
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 items-end">
+        {[
+          ['min', 'Ri_b min'],
+          ['max', 'Ri_b max'],
+          ['count', 'Ri_b values'],
+          ['z_over_z0m', 'z/z0m ratios'],
+          ['kb_inv', 'kB⁻¹ = ln(z0m/z0h)']
+        ].map(([key, label]) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type={key === 'z_over_z0m' ? 'text' : 'number'}
+              step="any"
+              value={transferInput[key]}
+              onChange={(e) => setTransferInput(prev => ({ ...prev, [key]: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        ))}
+        <button
+          onClick={handleTransferExport}
+          className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+          aria-label="Export transfer coefficient lookup table"
+        >
+          Export Lookup ({EXPORT_FORMATS[exportFormat].label})
+        </button>
+      </div>
+      {transferMessage && (
+        <p className={`text-xs mt-2 ${transferMessage.error ? 'text-red-600 font-semibold' : 'text-green-700'}`}>
+          {transferMessage.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Ri-based schemes panel: the schemes shown and their Ri_b range as typed,
+ * charted against the selected profile's MOST functions, and their export.
+ */
+const SchemesPanel = ({ schemeInput, setSchemeInput, profile, surface, exportFormat, precision }) => {
+  const [schemeMessage, setSchemeMessage] = useState(null);       // Outcome of the last scheme comparison export
+
+  // Ri-based schemes against the MOST F_m, F_h of the selected profile and surface
+  const schemeComparison = useMemo(() => {
+    try {
+      return {
+        result: compare_ri_schemes(profile, {
+          rib: { min: parseFloat(schemeInput.min), max: parseFloat(schemeInput.max), count: parseInt(schemeInput.count, 10) },
+          schemes: schemeInput.selected.filter(key => RI_SCHEMES[key]),
+          surface
+        }),
+        error: null
+      };
+    } catch (e) {
+      return { result: null, error: e.message };
+    }
+  }, [profile, schemeInput, surface]);
+
+  const toggleScheme = useCallback(key => {
+    setSchemeInput(prev => ({
+      ...prev,
+      selected: prev.selected.includes(key) ? prev.selected.filter(k => k !== key) : [...prev.selected, key]
+    }));
+  }, []);
+
+  /**
+   * Export the scheme comparison shown in the charts, in the
+   * reference-table export format and precision.
+   */
+  const handleSchemeExport = useCallback(() => {
+    const { result } = schemeComparison;
+    if (!result) return;
+    try {
+      const { content, filename, mime } = export_ri_scheme_comparison(exportFormat, result, profile, { surface, precision });
+      downloadFile(content, filename, mime);
+      setSchemeMessage({ text: `Exported ${filename}: ${result.rows.length} rows`, error: false });
+    } catch (e) {
+      setSchemeMessage({ text: `Export failed: ${e.message}`, error: true });
+    }
+  }, [schemeComparison, exportFormat, profile, surface, precision]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Ri-based NWP Schemes vs MOST</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        Operational schemes scale the neutral coefficients directly, C_D = C_DN F_m(Ri_b) and C_H = C_HN F_h(Ri_b).
+        MOST gives F_m = C_D/C_DN and F_h = C_H/C_HN through zeta_from_rib and ψ_m, ψ_h for {profile} and the surface
+        above, and F = 0 beyond its critical Ri_b ({formatValue(schemeComparison.result?.critical ?? NaN, precision)}).
+        The stable mixing column is ∫F dRi_b over the stable part of the range relative to MOST.
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+        <div className="col-span-2 flex flex-wrap gap-x-4 gap-y-1">
+          {Object.entries(RI_SCHEMES).map(([key, { name }]) => (
+            <label key={key} className="text-xs text-gray-700 flex items-center gap-1">
+              <input type="checkbox" checked={schemeInput.selected.includes(key)} onChange={() => toggleScheme(key)} />
+              {name}
+            </label>
+          ))}
+        </div>
+        {[
+          ['min', 'Ri_b min'],
+          ['max', 'Ri_b max'],
+          ['count', 'Ri_b values']
+        ].map(([key, label]) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              step="any"
+              value={schemeInput[key]}
+              onChange={(e) => setSchemeInput(prev => ({ ...prev, [key]: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        ))}
+      </div>
+      {schemeComparison.error && (
+        <p className="text-xs text-red-600 font-semibold mt-2">{schemeComparison.error}</p>
+      )}
+      {schemeComparison.result && (
+        <div className="mt-4">
+          {schemeComparison.result.schemes.length > 0 && (
+            <table className="w-full text-xs border border-gray-200 mb-4">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="p-1 text-left">Scheme</th>
+                  <th className="p-1 text-left">Tail</th>
+                  <th className="p-1 text-left">Stable F_m</th>
+                  <th className="p-1 text-left">Stable F_h</th>
+                  <th className="p-1 text-right">Stable mixing F_m / MOST</th>
+                  <th className="p-1 text-right">Stable mixing F_h / MOST</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schemeComparison.result.schemes.map(key => {
+                  const scheme = RI_SCHEMES[key];
+                  const { stable } = scheme.equations(scheme);
+                  const mixing = schemeComparison.result.stable[key];
+                  return (
+                    <tr key={key} className="border-t border-gray-200">
+                      <td className="p-1" title={scheme.reference}>{scheme.name}</td>
+                      <td className="p-1">{scheme.tail}</td>
+                      <td className="p-1 font-mono">{stable.F_m}</td>
+                      <td className="p-1 font-mono">{stable.F_h}</td>
+                      <td className="p-1 text-right font-mono">{formatValue(mixing.F_m, precision)}</td>
+                      <td className="p-1 text-right font-mono">{formatValue(mixing.F_h, precision)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {['m', 'h'].map(x => (
+              <ComparisonChart
+                key={x}
+                title={`F_${x} = ${x === 'm' ? 'C_D/C_DN' : 'C_H/C_HN'} against Ri_b`}
+                data={schemeComparison.result.rows}
+                lines={[
+                  { dataKey: `F_${x}_MOST`, name: `MOST (${profile})`, stroke: '#000000' },
+                  ...schemeComparison.result.schemes.map((key, i) => ({
+                    dataKey: `F_${x}_${key}`,
+                    name: key,
+                    stroke: PROFILE_COLORS[i % PROFILE_COLORS.length],
+                    dashed: RI_SCHEMES[key].tail === 'short'
+                  }))
+                ]}
+                yLabel={`F_${x}`}
+                precision={precision}
+                x={RIB_AXIS}
+              />
+            ))}
+          </div>
+          <div className="flex items-center gap-4 mt-4">
+            <button
+              onClick={handleSchemeExport}
+              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+              aria-label="Export Ri scheme comparison"
+            >
+              Export Comparison ({EXPORT_FORMATS[exportFormat].label})
+            </button>
+            {schemeMessage && (
+              <p className={`text-xs ${schemeMessage.error ? 'text-red-600 font-semibold' : 'text-green-700'}`}>
+                {schemeMessage.text}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Profile reconstruction panel: scales and top height as typed (or taken from
+ * the flux solver result), the u(z), θ(z) charts and their export.
+ */
+const ReconstructionPanel = ({
+  reconInput, setReconInput, fluxResult, fluxMode, fluxInput, profile, profileList, surface, exportFormat, precision
+}) => {
+  const [reconMessage, setReconMessage] = useState(null);         // Outcome of the last profile export
+
+  // u(z), θ(z) from the typed scales over the surface-panel roughness, with
+  // every registered profile overlaid if asked
+  const reconstruction = useMemo(() => {
+    const num = key => parseFloat(reconInput[key]);
+    try {
+      const scales = { u_star: num('u_star'), theta_star: num('theta_star'), theta_s: num('theta_s') };
+      if (reconInput.scale === 'L') scales.L = num('L');
+      else Object.assign(scales, { zeta: num('zeta'), z_ref: num('z_ref') });
+      return {
+        result: reconstruct_profiles(scales, profile, {
+          compare: reconInput.overlay ? profileList.map(p => p.key) : [],
+          surface,
+          z_top: num('z_top')
+        }),
+        error: null
+      };
+    } catch (e) {
+      return { result: null, error: e.message };
+    }
+  }, [reconInput, profile, profileList, surface]);
+
+  // Take u*, θ*, L (and θ_s in bulk mode) from the flux solver
+  const takeFluxScales = useCallback(() => {
+    if (!fluxResult?.converged) return;
+    setReconInput(prev => ({
+      ...prev,
+      u_star: String(Number(fluxResult.u_star.toPrecision(6))),
+      theta_star: String(Number(fluxResult.theta_star.toPrecision(6))),
+      scale: 'L',
+      L: String(Number(fluxResult.L.toPrecision(6))),
+      ...(fluxMode === 'bulk' && { theta_s: fluxInput.theta_s })
+    }));
+  }, [fluxResult, fluxMode, fluxInput]);
+
+  const handleReconExport = useCallback(() => {
+    if (!reconstruction.result) return;
+    try {
+      const { content, filename, mime } = export_profile_reconstruction(exportFormat, reconstruction.result, { precision });
+      downloadFile(content, filename, mime);
+      setReconMessage({ text: `Exported ${filename}: ${reconstruction.result.rows.length} heights`, error: false });
+    } catch (e) {
+      setReconMessage({ text: `Export failed: ${e.message}`, error: true });
+    }
+  }, [reconstruction, exportFormat, precision]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Vertical Profiles u(z), θ(z)</h2>
+      <p className="text-xs text-gray-600 mb-2">
+        u(z) = (u*/κ)[ln(z/z0m) − ψ_m(z/L) + ψ_m(z0m/L)] and θ(z) = θ_s + (θ*/κ)[ln(z/z0h) − ψ_h(z/L) + ψ_h(z0h/L)],
+        from the roughness length up to the top height, with z0m and z0h from the surface panel. The neutral log
+        profiles (dashed) show what stability changes.
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+        {[
+          ['u_star', 'u* (m/s)'],
+          ['theta_star', 'θ* (K)'],
+          ['theta_s', 'θ_s (K)'],
+          ['z_top', 'Top height (m)']
+        ].map(([key, label]) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              step="any"
+              value={reconInput[key]}
+              onChange={(e) => setReconInput(prev => ({ ...prev, [key]: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">Stability given as</label>
+          <select
+            value={reconInput.scale}
+            onChange={(e) => setReconInput(prev => ({ ...prev, scale: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select how stability is given"
+          >
+            <option value="L">Obukhov length L</option>
+            <option value="zeta">ζ at a reference height</option>
+          </select>
+        </div>
+        {(reconInput.scale === 'L' ? [['L', 'L (m)']] : [['zeta', 'ζ'], ['z_ref', 'Reference height (m)']]).map(([key, label]) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              step="any"
+              value={reconInput[key]}
+              onChange={(e) => setReconInput(prev => ({ ...prev, [key]: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label={label}
+            />
+          </div>
+        ))}
+        <label className="flex items-center gap-1 text-sm">
+          <input
+            type="checkbox"
+            checked={reconInput.overlay}
+            onChange={(e) => setReconInput(prev => ({ ...prev, overlay: e.target.checked }))}
+          />
+          Overlay the other profiles
+        </label>
+        <button
+          onClick={takeFluxScales}
+          disabled={!fluxResult?.converged}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+          aria-label="Use the flux solver scales"
+        >
+          Use Flux Solver Result
+        </button>
+      </div>
+      {reconstruction.error && (
+        <p className="text-xs text-red-600 font-semibold mt-2">{reconstruction.error}</p>
+      )}
+      {reconstruction.result && (
+        <div className="mt-4">
+          {reconstruction.result.warnings.map(w => (
+            <p key={w} className="text-xs text-amber-700 mb-2">{w}</p>
+          ))}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[['u', 'u (m/s)'], ['theta', 'θ (K)']].map(([c, label]) => (
+              <div key={c} className="bg-white border border-gray-200 rounded p-4">
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                  {label} at L = {formatValue(reconstruction.result.L, UNCERTAINTY_PRECISION)} m
+                </h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart layout="vertical" data={reconstruction.result.rows}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      type="number"
+                      domain={['auto', 'auto']}
+                      label={{ value: label, position: 'insideBottom', offset: -5 }}
+                    />
+                    <YAxis
+                      dataKey="z"
+                      type="number"
+                      scale="log"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(z) => formatValue(z, UNCERTAINTY_PRECISION)}
+                      label={{ value: 'z (m)', angle: -90, position: 'insideLeft' }}
+                    />
+                    <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={(z) => `z = ${formatValue(z, precision)} m`} />
+                    <Legend />
+                    {reconstruction.result.profiles.map((key, i) => (
+                      <Line
+                        key={key}
+                        dataKey={`${c}_${key}`}
+                        name={key}
+                        stroke={PROFILE_COLORS[i % PROFILE_COLORS.length]}
+                        strokeWidth={i === 0 ? 2.5 : 1.5}
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                    <Line dataKey={`${c}_neutral`} name="Neutral log" stroke="#666666" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-4 mt-4">
+            <button
+              onClick={handleReconExport}
+              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+              aria-label="Export reconstructed profiles"
+            >
+              Export Profiles ({EXPORT_FORMATS[exportFormat].label})
+            </button>
+            {reconMessage && (
+              <p className={`text-xs ${reconMessage.error ? 'text-red-600 font-semibold' : 'text-green-700'}`}>
+                {reconMessage.text}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Stability classes panel: the classification or user-defined table as typed,
+ * the resolved `classTable` (or why it was rejected) and a classifier for one value.
+ */
+const ClassesPanel = ({ classInput, setClassInput, classTable, classError, surfaceInfo, profile, profileList, surface }) => {
+  // Class of the value typed into the classifier, given as ζ, L or Ri_b
+  const classified = useMemo(() => {
+    const value = parseFloat(classInput.value);
+    if (isNaN(value)) return { error: 'Enter a number to classify' };
+    try {
+      return classify_stability(value, { from: classInput.from, scheme: classTable, prof: profile, surface });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [classInput.value, classInput.from, classTable, profile, profileList, surface]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <h2 className="text-sm font-semibold text-gray-700 mb-2">Stability Classes (results, chart bands, table column)</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">Classification</label>
+          <select
+            value={classInput.scheme}
+            onChange={(e) => setClassInput(prev => ({ ...prev, scheme: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select stability classification"
+          >
+            {Object.entries(CLASSIFICATIONS).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+            <option value="custom">User-defined table</option>
+          </select>
+        </div>
+        {classInput.scheme === 'custom' && (
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">Bounds in</label>
+            <select
+              value={classInput.variable}
+              onChange={(e) => setClassInput(prev => ({ ...prev, variable: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded"
+              aria-label="Select class table variable"
+            >
+              {Object.entries(CLASS_VARIABLES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="flex items-end">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={classInput.bands}
+              onChange={(e) => setClassInput(prev => ({ ...prev, bands: e.target.checked }))}
+            />
+            Shade classes on the ζ charts
+          </label>
+        </div>
+      </div>
+      {classInput.scheme === 'custom' && (
+        <div className="mt-3">
+          <label className="block text-xs font-semibold text-gray-700 mb-1">
+            One class per line: label, min, max (ascending, [min, max); -inf/inf for open ends)
+          </label>
+          <textarea
+            value={classInput.table}
+            onChange={(e) => setClassInput(prev => ({ ...prev, table: e.target.value }))}
+            rows={4}
+            className="w-full p-2 border border-gray-300 rounded font-mono text-xs"
+            aria-label="User-defined class table"
+          />
+        </div>
+      )}
+      {classError && <p className="text-xs text-red-600 font-semibold mt-2">{classError} (using stability regimes)</p>}
+      <table className="text-xs mt-3 border-collapse">
+        <tbody>
+          {classTable.classes.map(({ key, label, min, max, color }) => (
+            <tr key={`${key}_${min}`}>
+              <td className="pr-2">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+              </td>
+              <td className="pr-4 text-gray-700">{label}</td>
+              <td className="font-mono text-gray-600">
+                {Number.isFinite(min) ? `${formatValue(min, UNCERTAINTY_PRECISION)} ≤ ` : ''}
+                {CLASS_VARIABLES[classTable.variable].label}
+                {Number.isFinite(max) ? ` < ${formatValue(max, UNCERTAINTY_PRECISION)}` : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {classTable.key === 'pasquill-gifford' && (
+        <p className="text-xs text-gray-600 mt-1">
+          Golder (1972): class centres 1/L = a + b log10(z0) at z0m = {surfaceInfo.Z0M} m, bounds halfway between;
+          ζ = z/L at z = {surfaceInfo.Z} m.
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-3">
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">Classify</label>
+          <select
+            value={classInput.from}
+            onChange={(e) => setClassInput(prev => ({ ...prev, from: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Select classified quantity"
+          >
+            {Object.entries(CLASSIFY_INPUTS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">Value</label>
+          <input
+            type="number"
+            step="any"
+            value={classInput.value}
+            onChange={(e) => setClassInput(prev => ({ ...prev, value: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded"
+            aria-label="Value to classify"
+          />
+        </div>
+        <div className="md:col-span-2 flex items-end text-sm">
+          {classified.error ? (
+            <p className="text-red-600">{classified.error}</p>
+          ) : (
+            <p className="text-gray-700">
+              <span className="font-semibold">{classified.class?.label ?? 'Unclassified'}</span>
+              {' '}(ζ = {formatValue(classified.zeta, UNCERTAINTY_PRECISION)}
+              {classified.variable !== 'zeta' &&
+                `, ${CLASS_VARIABLES[classified.variable].label} = ${formatValue(classified.value, UNCERTAINTY_PRECISION)}`})
+              {classified.message && <span className="block text-xs text-amber-700">{classified.message}</span>}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
 
 /**
  * MOSTStabilityTool
@@ -12,10 +2746,14 @@ import { Download, Info } from 'lucide-react';
  * - Ri_b (bulk Richardson number)
  * - φ_m, φ_h (stability functions)
  * 
- * Supports three canonical MOST profiles:
+ * Supports every profile in the web/most.js registry, including:
  * - Businger-Dyer 1971 (BD71)
  * - Högström 1988 (HOG88)
  * - Cheng-Brutsaert 2005 (CB05)
+ * Profiles added with registerProfile() appear without changes here.
+ *
+ * All physics (φ, ψ, Ri and their inversions) lives in the framework-free
+ * module web/most.js; this component only handles state and rendering.
  * 
  * @component
  * @returns {JSX.Element} Interactive MOST stability reference tool
@@ -25,387 +2763,201 @@ const MOSTStabilityTool = () => {
   // STATE MANAGEMENT
   // ============================================================================
 
-  const [profile, setProfile] = useState('BD71');           // Selected MOST profile
-  const [regime, setRegime] = useState('full');              // Stability range
-  const [showTable, setShowTable] = useState(false);         // Table visibility toggle
-  const [conversionMode, setConversionMode] = useState('rig_to_zeta'); // Conversion type
-  const [inputValue, setInputValue] = useState('0.1');       // User input value
+  const [initial] = useState(initialToolState);               // URL state at load { state, warnings }
+  const [profile, setProfile] = useState(initial.state.profile);   // Selected MOST profile
+  const [regime, setRegime] = useState(initial.state.regime);      // Stability range preset or 'custom'
+  const [gridInput, setGridInput] = useState(initial.state.grid);  // Custom grid (as typed)
+  const [showTable, setShowTable] = useState(initial.state.table.show); // Table visibility toggle
+  const [conversionMode, setConversionMode] = useState(initial.state.conversion.mode); // Conversion type
+  const [inputValue, setInputValue] = useState(initial.state.conversion.input); // User input value
   const [conversionResult, setConversionResult] = useState(null); // Conversion result
+  const [uncertaintyInput, setUncertaintyInput] = useState(initial.state.uncertainty); // σ of input, z/z0, coefficients and Monte Carlo settings (as typed)
+  const [profileList, setProfileList] = useState(listProfiles);   // Registered profiles
+  const [fluxMode, setFluxMode] = useState(initial.state.flux.mode); // Flux solver layout
+  const [fluxInput, setFluxInput] = useState(() => {              // Flux solver observations (as typed)
+    const inputs = { ...initial.state.flux };
+    delete inputs.mode;
+    return inputs;
+  });
+  const [fluxResult, setFluxResult] = useState(null);             // Flux solver result
+  const [reconInput, setReconInput] = useState(initial.state.reconstruction); // Profile reconstruction scales and heights (as typed)
+  const [transferInput, setTransferInput] = useState(initial.state.transfer); // Transfer lookup Ri_b range, z/z0m list, kB⁻¹ (as typed)
+  const [schemeInput, setSchemeInput] = useState(initial.state.schemes); // Ri-based schemes shown and their Ri_b range (as typed)
+  const [classInput, setClassInput] = useState(initial.state.classes); // Stability classification, custom table and classifier input (as typed)
+  const [batchMode, setBatchMode] = useState(initial.state.batch.mode); // Batch input quantity
+  const [obsData, setObsData] = useState(null);                   // Imported dataset { dataset, filename } or { error }
+  const [fitTarget, setFitTarget] = useState(initial.state.fit.target); // Fitted quantity (see FIT_TARGETS)
+  const [towerInput, setTowerInput] = useState(initial.state.tower); // Tower fit form, units and Ri_g heights (as typed)
+  const [referenceData, setReferenceData] = useState([]);         // Full-precision reference rows (filled by the worker)
+  const [compareMode, setCompareMode] = useState(initial.state.compare.enabled); // Overlay several profiles instead of one
+  const [compareProfiles, setCompareProfiles] = useState(initial.state.compare.profiles); // Profiles to overlay
+  const [compareBaseline, setCompareBaseline] = useState(initial.state.compare.baseline); // Reference for difference/ratio panels
+  const [compareRelative, setCompareRelative] = useState(initial.state.compare.relative); // 'difference' or 'ratio'
+  const [comparisonData, setComparisonData] = useState([]);       // Full-precision comparison rows (filled by the worker)
+  const [tableProgress, setTableProgress] = useState(null);       // { done, total } while generating
+  const [tableError, setTableError] = useState(null);             // Table generation failure
+  const [tableDropped, setTableDropped] = useState([]);           // Ri targets with no ζ (Ri-spaced grids)
+  const [exportFormat, setExportFormat] = useState(initial.state.table.format); // Reference table export format
+  const [precisionInput, setPrecisionInput] = useState({          // Table/export precision (as typed)
+    notation: initial.state.table.notation,
+    digits: initial.state.table.digits
+  });
+  const [surfaceInput, setSurfaceInput] = useState(initial.state.surface); // z, z0m, z0h in metres (as typed)
+  const [restoreCount, setRestoreCount] = useState(0);            // Bumped to run a pending conversion (session loaded, tower Ri_g sent)
 
-  // ============================================================================
-  // CONSTANTS: MOST PROFILE PARAMETERS
-  // ============================================================================
-
-  /**
-   * Canonical MOST profile parameters from literature.
-   * Each profile defines stability function coefficients for unstable and stable regimes.
-   * 
-   * References:
-   * - BD71: Businger et al. (1971), J. Atmos. Sci., 28, 181–189
-   * - HOG88: Högström (1988), Boundary-Layer Meteorology, 44, 25–60
-   * - CB05: Cheng & Brutsaert (2005), J. Atmos. Sci., 62, 2112–2132
-   */
-  const profiles = {
-    BD71: {
-      name: 'Businger-Dyer 1971',
-      unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
-      stable: { bm: 5, bh: 5 }
-    },
-    HOG88: {
-      name: 'Högström 1988',
-      unstable: { am: 19.3, ah: 11.6, bm: 0.25, bh: 0.5 },
-      stable: { bm: 6, bh: 7.8 }
-    },
-    CB05: {
-      name: 'Cheng-Brutsaert 2005',
-      unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
-      stable: { bm: 6.1, bh: 6.1, cm: 5.3, ch: 5.3 }
-    }
-  };
+  // Keep the dropdown in sync with profiles registered after mount
+  useEffect(() => onProfilesChange(setProfileList), []);
 
-  // Numerical integration and convergence parameters
-  const NUMERICAL_PARAMS = {
-    PSI_STEPS: 100,        // Number of steps for numerical integration of ψ
-    NEWTON_TOL: 1e-10,     // Convergence tolerance for Newton's method
-    NEWTON_MAX_ITER: 100,  // Maximum iterations for Newton's method
-    DERIVATIVE_DZ: 1e-8,   // Step size for numerical differentiation
-    SINGULARITY_TOL: 1e-10, // Tolerance for singularity avoidance
-    ZETA_BOUNDS: [-10, 10] // Physical bounds for dimensionless height
-  };
-  // Add canonical roughness ratio (z/z0), e.g., z=10 m, z0=0.01 m → 1000
-  const SURFACE_PARAMS = {
-    Z_OVER_Z0: 1000
-  };
+  // Table generation and batch conversions run off the main thread
+  const workerRef = useRef(null);
+  useEffect(() => {
+    workerRef.current = createMostWorker();
+    return () => workerRef.current.terminate();
+  }, []);
 
-  // ============================================================================
-  // CORE PHYSICS: STABILITY FUNCTIONS
-  // ============================================================================
+  const currentProfile = getProfile(profile);
+  const equations = currentProfile.equations ? currentProfile.equations(currentProfile) : null;
 
-  /**
-   * Momentum stability function φ_m(ζ).
-   * 
-   * Defines how the stability parameter ζ affects momentum flux in the surface layer.
-   * 
-   * Physics:
-   * - Unstable (ζ < 0): Convective instability enhances mixing
-   * - Stable (ζ > 0): Static stability suppresses mixing
-   * 
-   * @param {number} zeta - Dimensionless height (z/L where L is Obukhov length)
-   * @param {string} prof - Profile name ('BD71', 'HOG88', or 'CB05')
-   * @returns {number} Stability function φ_m (dimensionless)
-   */
-  const phi_m = (zeta, prof) => {
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: (1 - a_m * ζ)^(-b_m)
-      // This formulation ensures φ_m decreases (enhanced mixing) as instability increases
-      return Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm);
-    } else {
-      // Stable: linear or quadratic term
-      if (prof === 'CB05') {
-        // CB05 includes quadratic term: 1 + b_m*ζ + c_m*ζ²
-        return 1 + p.stable.bm * zeta + p.stable.cm * zeta * zeta;
-      }
-      // BD71, HOG88: linear only: 1 + b_m*ζ
-      return 1 + p.stable.bm * zeta;
-    }
-  };
+  // dψ/dζ = (1 - φ)/ζ sanity check for the selected profile's ψ implementation
+  const psiCheck = useMemo(() => check_psi_consistency(profile)[0], [profile]);
 
-  /**
-   * Heat stability function φ_h(ζ).
-   * Analogous to φ_m but for heat (temperature) gradients.
-   * Typically differs from φ_m in unstable regime (different exponent).
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name ('BD71', 'HOG88', or 'CB05')
-   * @returns {number} Stability function φ_h (dimensionless)
-   */
-  const phi_h = (zeta, prof) => {
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: (1 - a_h * ζ)^(-b_h)
-      // Heat typically has different coefficient (a_h ≠ a_m)
-      return Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh);
-    } else {
-      // Stable: same structure as φ_m
-      if (prof === 'CB05') {
-        return 1 + p.stable.bh * zeta + p.stable.ch * zeta * zeta;
-      }
-      return 1 + p.stable.bh * zeta;
+  // Surface used for Ri_b; invalid input keeps the defaults and reports why
+  const { surface, surfaceInfo, surfaceError } = useMemo(() => {
+    const candidate = {
+      Z: parseFloat(surfaceInput.Z),
+      Z0M: parseFloat(surfaceInput.Z0M),
+      Z0H: parseFloat(surfaceInput.Z0H)
+    };
+    try {
+      return { surface: candidate, surfaceInfo: surface_params(candidate), surfaceError: null };
+    } catch (e) {
+      return { surface: SURFACE_PARAMS, surfaceInfo: surface_params(SURFACE_PARAMS), surfaceError: e.message };
     }
-  };
-
-  /**
-   * Gradient Richardson number Ri_g(ζ).
-   * 
-   * Local stability measure comparing static stability to wind shear.
-   * Ri_g = (g/θ₀) * (dθ/dz) / (du/dz)²
-   * 
-   * In MOST scaling:
-   * Ri_g ≈ ζ * φ_h / φ_m²
-   * 
-   * Physical interpretation:
-   * - Ri_g < 0: Unstable (convection dominates)
-   * - Ri_g ≈ 0: Neutral
-   * - Ri_g > 0: Stable (shear dominates)
-   * - Ri_g > Ri_c (~0.25): Turbulence suppressed (local maximum)
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Gradient Richardson number (dimensionless)
-   */
-  const ri_g = (zeta, prof) => {
-    const pm = phi_m(zeta, prof);
-    const ph = phi_h(zeta, prof);
-    return zeta * ph / (pm * pm);
-  };
+  }, [surfaceInput]);
 
-  /**
-   * Integral momentum stability function ψ_m(ζ).
-   * 
-   * Defined as: ψ_m = ∫₀^ζ (1/φ_m - 1) dz'
-   * 
-   * Used in logarithmic wind profile:
-   * u(z) = (u*/κ) * [ln(z/z₀) - ψ_m(ζ)]
-   * 
-   * Unstable regime: Analytical solution available
-   * Stable regime: Numerical integration required
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Integral stability function ψ_m (dimensionless)
-   */
-  const psi_m = (zeta, prof) => {
-    // Handle neutral condition (ζ ≈ 0)
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: Analytical solution (standard form)
-      // x = (1 - a_m * ζ)^0.25
-      // ψ_m = 2*ln((1+x)/2) + ln((1+x²)/2) - 2*atan(x) + π/2
-      const x = Math.pow(1 - p.unstable.am * zeta, 0.25);
-      return (
-        2 * Math.log((1 + x) / 2) +
-        Math.log((1 + x * x) / 2) -
-        2 * Math.atan(x) +
-        Math.PI / 2
-      );
-    } else {
-      // Stable: Numerical integration via trapezoidal rule
-      // ψ_m(ζ) ≈ ∑ (1/φ_m - 1) * Δz
-      const steps = NUMERICAL_PARAMS.PSI_STEPS;
-      const dz = zeta / steps;
-      let sum = 0;
-      for (let i = 1; i <= steps; i++) {
-        const z = i * dz;
-        sum += (1 / phi_m(z, prof) - 1) * dz;
-      }
-      return sum;
+  // Precision for the table and exports; invalid input keeps the default and reports why
+  const { precision, precisionError } = useMemo(() => {
+    try {
+      return {
+        precision: checkPrecision({ notation: precisionInput.notation, digits: parseInt(precisionInput.digits, 10) }),
+        precisionError: null
+      };
+    } catch (e) {
+      return { precision: DEFAULT_PRECISION, precisionError: e.message };
     }
-  };
+  }, [precisionInput]);
 
-  /**
-   * Integral heat stability function ψ_h(ζ).
-   * Analogous to ψ_m but for temperature gradient.
-   * 
-   * Used in logarithmic temperature profile:
-   * θ(z) - θ(z₀) = (θ*/κ) * [ln(z/z₀) - ψ_h(ζ)]
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Integral stability function ψ_h (dimensionless)
-   */
-  const psi_h = (zeta, prof) => {
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: Analytical solution
-      // y = (1 - a_h * ζ)^0.5
-      // ψ_h = 2*ln((1+y)/2)
-      const y = Math.pow(1 - p.unstable.ah * zeta, 0.5);
-      return 2 * Math.log((1 + y) / 2);
-    } else {
-      // Stable: Numerical integration
-      const steps = NUMERICAL_PARAMS.PSI_STEPS;
-      const dz = zeta / steps;
-      let sum = 0;
-      for (let i = 1; i <= steps; i++) {
-        const z = i * dz;
-        sum += (1 / phi_h(z, prof) - 1) * dz;
-      }
-      return sum;
+  // Stability classes for results, chart bands and tables; an invalid custom
+  // table keeps the stability regimes and reports why
+  const { classTable, classError } = useMemo(() => {
+    try {
+      const scheme = classInput.scheme === 'custom' ? parse_class_table(classInput.table, classInput.variable) : classInput.scheme;
+      return { classTable: classification_table(scheme, surface), classError: null };
+    } catch (e) {
+      return { classTable: classification_table('regime'), classError: e.message };
     }
-  };
-
-  /**
-   * Bulk Richardson number Ri_b(ζ).
-   * 
-   * Ri_b(ζ; z/z0) ≈ ζ * [ln(z/z0) - ψ_h(ζ)] / [ln(z/z0) - ψ_m(ζ)]²
-   * Assumes z >> z0; ln(z/z0) is treated as a constant per chosen z/z0.
-   * 
-   * Physical interpretation:
-   * - More integrative than local Ri_g
-   * - Used to determine if turbulence decouples in stable layer
-   * - Critical value Ri_b,crit ≈ 0.2–0.3
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Bulk Richardson number (dimensionless)
-   */
-  const ri_b = (zeta, prof) => {
-    // Avoid undefined ln near nonpositive ratios and near-neutral ζ artifacts
-    const ln_z_over_z0 = SURFACE_PARAMS.Z_OVER_Z0 > 0 ? Math.log(SURFACE_PARAMS.Z_OVER_Z0) : 0;
-    if (ln_z_over_z0 <= 0) return 0;
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const psim = psi_m(zeta, prof);
-    const psih = psi_h(zeta, prof);
+  }, [classInput.scheme, classInput.table, classInput.variable, surface]);
 
-    const denomTerm = ln_z_over_z0 - psim;
-    const denominator = denomTerm * denomTerm;
-    if (denominator < 1e-15) return 0;
-
-    return zeta * (ln_z_over_z0 - psih) / denominator;
-  };
+  // Largest stable Ri_g / Ri_b (re-evaluated if the profile is re-registered)
+  const critical = useMemo(() => critical_ri(profile, surface), [profile, profileList, surface]);
 
   // ============================================================================
-  // INVERSION: NEWTON'S METHOD FOR PARAMETER CONVERSION
+  // DATA GENERATION: REFERENCE TABLES
   // ============================================================================
 
   /**
-   * Invert Ri_g to find ζ using Newton's method.
-   * 
-   * Solves: Ri_g(ζ) = rig_target
-   * 
-   * Algorithm: Newton-Raphson with numerical differentiation
-   * f(ζ) = Ri_g(ζ) - rig_target
-   * ζ_{n+1} = ζ_n - f(ζ_n) / f'(ζ_n)
-   * 
-   * Includes bounds checking and singular point avoidance.
-   * 
-   * @param {number} rig_target - Target gradient Richardson number
-   * @param {string} prof - Profile name
-   * @param {number} [initial_guess=0.1] - Initial ζ for iteration
-   * @returns {number} Dimensionless height ζ = z/L
+   * Grid specification for the reference table: a regime preset, or the
+   * custom controls (step for linear spacing, point count otherwise).
+   * Invalid values are reported by zeta_grid when the table is generated.
    */
-  const zeta_from_rig = useCallback((rig_target, prof, initial_guess = 0.1) => {
-    let zeta = initial_guess;
-    const { NEWTON_TOL, NEWTON_MAX_ITER, DERIVATIVE_DZ, ZETA_BOUNDS } = NUMERICAL_PARAMS;
-
-    for (let i = 0; i < NEWTON_MAX_ITER; i++) {
-      // Evaluate function: f(ζ) = Ri_g(ζ) - rig_target
-      const f = ri_g(zeta, prof) - rig_target;
-      
-      // Check convergence
-      if (Math.abs(f) < NEWTON_TOL) {
-        return zeta;
-      }
-
-      // Numerical derivative via central difference
-      // f'(ζ) ≈ [f(ζ + dz) - f(ζ - dz)] / (2*dz)
-      const df =
-        (ri_g(zeta + DERIVATIVE_DZ, prof) - ri_g(zeta - DERIVATIVE_DZ, prof)) /
-        (2 * DERIVATIVE_DZ);
-
-      // Avoid division by near-zero derivative
-      if (Math.abs(df) < 1e-15) break;
+  const grid = useMemo(() => {
+    if (regime !== 'custom') return REGIME_GRIDS[regime];
+    const { spacing, min, max, step, count, min_abs } = gridInput;
+    const spec = { spacing, min: parseFloat(min), max: parseFloat(max) };
+    if (spacing === 'linear') spec.step = parseFloat(step);
+    else spec.count = parseInt(count, 10);
+    if (spacing === 'log') spec.min_abs = parseFloat(min_abs);
+    return spec;
+  }, [regime, gridInput]);
 
-      // Newton step
-      zeta = zeta - f / df;
+  // Compared profiles still registered (in selection order) and the effective baseline
+  const comparedProfiles = useMemo(
+    () => compareProfiles.filter(key => profileList.some(p => p.key === key)),
+    [compareProfiles, profileList]
+  );
+  const comparisonBaseline = comparedProfiles.includes(compareBaseline) ? compareBaseline : comparedProfiles[0];
 
-      // Enforce physical bounds
-      zeta = Math.max(ZETA_BOUNDS[0], Math.min(ZETA_BOUNDS[1], zeta));
-    }
-    return zeta;
-  }, []);
+  // Column keys and labels of the comparison table (see comparison_columns)
+  const comparisonColumns = useMemo(
+    () => (comparedProfiles.length
+      ? comparison_columns(comparedProfiles, { baseline: comparisonBaseline, relative: compareRelative })
+      : []),
+    [comparedProfiles, comparisonBaseline, compareRelative, profileList]
+  );
 
   /**
-   * Invert Ri_b to find ζ using Newton's method.
-   * Similar to zeta_from_rig but for bulk Richardson number.
-   * 
-   * @param {number} rib_target - Target bulk Richardson number
-   * @param {string} prof - Profile name
-   * @param {number} [initial_guess=0.1] - Initial ζ for iteration
-   * @returns {number} Dimensionless height ζ = z/L
+   * Generate reference data for the selected profile, grid and surface, or
+   * in comparison mode for every compared profile (Ri-spaced grids are
+   * inverted with the baseline).
+   *
+   * Rows as reference_row (comparison_row keys in
+   * comparison mode) arrive from the worker in chunks and are appended as
+   * they come, so charts and table fill in progressively. A change of
+   * inputs cancels the job in flight.
    */
-  const zeta_from_rib = useCallback((rib_target, prof, initial_guess = 0.1) => {
-    let zeta = initial_guess;
-    const { NEWTON_TOL, NEWTON_MAX_ITER, DERIVATIVE_DZ, ZETA_BOUNDS } = NUMERICAL_PARAMS;
-
-    for (let i = 0; i < NEWTON_MAX_ITER; i++) {
-      // Avoid singularity at ζ = 0
-      if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) {
-        zeta = NUMERICAL_PARAMS.SINGULARITY_TOL;
-      }
+  useEffect(() => {
+    let active = true;
+    setReferenceData([]);
+    setComparisonData([]);
+    setTableError(null);
+    setTableDropped([]);
+    if (compareMode && comparedProfiles.length === 0) {
+      setTableProgress(null);
+      setTableError('Select at least one profile to compare');
+      return;
+    }
+    setTableProgress({ done: 0, total: null });
 
-      const f = ri_b(zeta, prof) - rib_target;
-      if (Math.abs(f) < NEWTON_TOL) {
-        return zeta;
+    const append = compareMode ? setComparisonData : setReferenceData;
+    const job = workerRef.current.run(
+      compareMode
+        ? { type: 'compare', profiles: comparedProfiles, baseline: comparisonBaseline, relative: compareRelative, grid, surface }
+        : { type: 'table', profile, grid, surface },
+      {
+        chunkSize: TABLE_CHUNK,
+        onChunk: chunk => active && append(prev => [...prev, ...chunk.rows]),
+        onProgress: progress => active && setTableProgress(progress)
       }
+    );
+    job.promise
+      .then(result => {
+        if (!active) return;
+        setTableProgress(null);
+        if (!result.cancelled) setTableDropped(result.dropped);
+      })
+      .catch(e => {
+        if (!active) return;
+        setTableProgress(null);
+        setTableError(`Table generation failed: ${e.message}`);
+      });
 
-      const df =
-        (ri_b(zeta + DERIVATIVE_DZ, prof) - ri_b(zeta - DERIVATIVE_DZ, prof)) /
-        (2 * DERIVATIVE_DZ);
-
-      if (Math.abs(df) < 1e-15) break;
-
-      zeta = zeta - f / df;
-      zeta = Math.max(ZETA_BOUNDS[0], Math.min(ZETA_BOUNDS[1], zeta));
-    }
-    return zeta;
-  }, []);
-
-  // ============================================================================
-  // DATA GENERATION: REFERENCE TABLES
-  // ============================================================================
+    return () => {
+      active = false;
+      job.cancel();
+    };
+  }, [profile, profileList, grid, surface, compareMode, comparedProfiles, comparisonBaseline, compareRelative]);
 
-  /**
-   * Generate reference data for selected profile and regime.
-   * 
-   * Creates a regular grid of ζ values and computes all stability parameters.
-   * Memoized to avoid recalculation when UI updates.
-   * 
-   * Returns array of objects: { zeta, phi_m, phi_h, Ri_g, Ri_b }
-   * 
-   * @returns {Array<Object>} Reference data points
-   */
-  const referenceData = useMemo(() => {
-    const data = [];
-    let zetaRange = [];
-
-    // Select ζ range based on regime
-    if (regime === 'unstable') {
-      // Unstable: ζ from -10 to 0 (101 points)
-      zetaRange = Array.from({ length: 101 }, (_, i) => -10 + i * 0.1);
-    } else if (regime === 'stable') {
-      // Stable: ζ from 0 to 10 (101 points)
-      zetaRange = Array.from({ length: 101 }, (_, i) => i * 0.1);
-    } else {
-      // Full range: ζ from -10 to 10 (201 points)
-      zetaRange = Array.from({ length: 201 }, (_, i) => -10 + i * 0.1);
-    }
-
-    // Calculate stability parameters for each ζ
-    for (const zeta of zetaRange) {
-      const pm = phi_m(zeta, profile);
-      const ph = phi_h(zeta, profile);
-      const rig = ri_g(zeta, profile);
-      // Avoid Ri_b calculation near singularity
-      const rib = Math.abs(zeta) > 1e-5 ? ri_b(zeta, profile) : 0;
-
-      data.push({
-        zeta: parseFloat(zeta.toFixed(4)),
-        phi_m: parseFloat(pm.toFixed(4)),
-        phi_h: parseFloat(ph.toFixed(4)),
-        Ri_g: parseFloat(rig.toFixed(4)),
-        Ri_b: parseFloat(rib.toFixed(4))
-      });
+  // Class of every table row (Ri_b of the baseline in comparison mode) and
+  // the bands they make along ζ
+  const { rowClasses, zetaBands } = useMemo(() => {
+    const rows = compareMode ? comparisonData : referenceData;
+    try {
+      const indices = classify_rows(rows, classTable, compareMode ? comparisonBaseline : profile, surface);
+      return { rowClasses: indices, zetaBands: classInput.bands ? class_bands(rows, indices, classTable) : [] };
+    } catch (e) {
+      return { rowClasses: new Int16Array(rows.length).fill(-1), zetaBands: [] };
     }
-
-    return data;
-  }, [profile, regime]);
+  }, [compareMode, comparisonData, referenceData, classTable, comparisonBaseline, profile, surface, classInput.bands]);
 
   // ============================================================================
   // EVENT HANDLERS: CONVERSION AND EXPORT
@@ -415,7 +2967,10 @@ const MOSTStabilityTool = () => {
    * Handle user conversion request.
    * 
    * Validates input and calls appropriate conversion function based on mode.
-   * Updates conversionResult state with output parameters.
+   * Updates conversionResult state with output parameters; inversions also
+   * carry the solver diagnostics, and a non-converged solve is an error.
+   * When any σ is non-zero, propagate_uncertainty adds ζ, φ_m and φ_h
+   * intervals (coefficients outside the current profile's schema are ignored).
    */
   const handleConversion = useCallback(() => {
     const input = parseFloat(inputValue);
@@ -425,29 +2980,46 @@ const MOSTStabilityTool = () => {
     }
 
     let result = {};
+    const classOf = zeta => classify_stability(zeta, { scheme: classTable, prof: profile, surface });
 
     try {
       if (conversionMode === 'rig_to_zeta') {
         // Input: Ri_g, Output: ζ and derived parameters
         const initialGuess = input > 0 ? 0.1 : -0.1;
-        const zeta = zeta_from_rig(input, profile, initialGuess);
+        const solved = zeta_from_rig(input, profile, initialGuess);
+        if (!solved.converged) {
+          setConversionResult({ error: solved.message, solver: solved });
+          return;
+        }
+        const zeta = solved.zeta;
         result = {
           input: `Ri_g = ${input}`,
+          solver: solved,
           zeta: zeta.toFixed(6),
-          Ri_b: ri_b(zeta, profile).toFixed(6),
+          Ri_b: ri_b(zeta, profile, surface).toFixed(6),
           phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
+          phi_h: phi_h(zeta, profile).toFixed(4),
+          ...transferFields(zeta, profile, surface),
+          classification: classOf(zeta)
         };
       } else if (conversionMode === 'rib_to_zeta') {
         // Input: Ri_b, Output: ζ and derived parameters
         const initialGuess = input > 0 ? 0.1 : -0.1;
-        const zeta = zeta_from_rib(input, profile, initialGuess);
+        const solved = zeta_from_rib(input, profile, initialGuess, surface);
+        if (!solved.converged) {
+          setConversionResult({ error: solved.message, solver: solved });
+          return;
+        }
+        const zeta = solved.zeta;
         result = {
           input: `Ri_b = ${input}`,
+          solver: solved,
           zeta: zeta.toFixed(6),
           Ri_g: ri_g(zeta, profile).toFixed(6),
           phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
+          phi_h: phi_h(zeta, profile).toFixed(4),
+          ...transferFields(zeta, profile, surface),
+          classification: classOf(zeta)
         };
       } else if (conversionMode === 'zeta_to_all') {
         // Input: ζ, Output: All stability parameters
@@ -455,36 +3027,165 @@ const MOSTStabilityTool = () => {
         result = {
           input: `ζ = ${input}`,
           Ri_g: ri_g(zeta, profile).toFixed(6),
-          Ri_b: ri_b(zeta, profile).toFixed(6),
+          Ri_b: ri_b(zeta, profile, surface).toFixed(6),
           phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
+          phi_h: phi_h(zeta, profile).toFixed(4),
+          ...transferFields(zeta, profile, surface),
+          classification: classOf(zeta)
         };
       }
+
+      const sigmaOf = text => (text.trim() === '' ? 0 : parseFloat(text));
+      const coefficientKeys = getProfile(profile).schema.map(({ regime, key }) => `${regime}.${key}`);
+      const sigma = {
+        value: sigmaOf(uncertaintyInput.value),
+        z_over_z0: conversionMode === 'rib_to_zeta' ? sigmaOf(uncertaintyInput.z_over_z0) : 0,
+        coefficients: Object.fromEntries(coefficientKeys
+          .filter(k => uncertaintyInput.coefficients[k] !== undefined)
+          .map(k => [k, sigmaOf(uncertaintyInput.coefficients[k])])
+          .filter(([, v]) => v !== 0))
+      };
+      if (sigma.value !== 0 || sigma.z_over_z0 !== 0 || Object.keys(sigma.coefficients).length) {
+        result.uncertainty = propagate_uncertainty(conversionMode, input, profile, {
+          surface,
+          sigma,
+          method: uncertaintyInput.method,
+          samples: parseInt(uncertaintyInput.samples, 10),
+          level: parseFloat(uncertaintyInput.level),
+          seed: parseInt(uncertaintyInput.seed, 10)
+        });
+      }
       setConversionResult(result);
     } catch (e) {
       setConversionResult({ error: `Conversion failed: ${e.message}` });
     }
-  }, [inputValue, conversionMode, profile, zeta_from_rig, zeta_from_rib]);
+  }, [inputValue, conversionMode, profile, surface, uncertaintyInput, classTable]);
 
   /**
-   * Export reference data as CSV file.
-   * Downloads current table as comma-separated values.
+   * Send one level's Ri_g, with its fit uncertainty as the input σ, to the
+   * converter and run it.
    */
-  const exportCSV = useCallback(() => {
-    const headers = ['zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b'];
-    const csv = [
-      headers.join(','),
-      ...referenceData.map(row => headers.map(h => row[h]).join(','))
-    ].join('\n');
+  const sendTowerLevel = useCallback(level => {
+    setConversionMode('rig_to_zeta');
+    setInputValue(String(level.Ri_g));
+    if (Number.isFinite(level.Ri_g_sigma)) {
+      setUncertaintyInput(prev => ({ ...prev, value: String(level.Ri_g_sigma) }));
+    }
+    pendingConversion.current = true;
+    setRestoreCount(n => n + 1);
+  }, []);
 
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `MOST_reference_${profile}_${regime}.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
-  }, [referenceData, profile, regime]);
+  /**
+   * Export the reference table in the selected format (CSV, JSON, NetCDF,
+   * LaTeX or Markdown) at the selected precision. Profile coefficients,
+   * surface, grid and solver settings are embedded (see export_reference_table),
+   * and every row carries its stability class.
+   */
+  const exportTable = useCallback(() => {
+    try {
+      const { content, filename, mime } = compareMode
+        ? export_comparison_table(exportFormat, {
+            profiles: comparedProfiles,
+            baseline: comparisonBaseline,
+            relative: compareRelative,
+            rows: comparisonData,
+            columns: comparisonColumns
+          }, { surface, grid, precision, classification: classTable })
+        : export_reference_table(exportFormat, referenceData, profile, { surface, grid, precision, classification: classTable });
+      downloadFile(content, filename, mime);
+    } catch (e) {
+      setTableError(`Export failed: ${e.message}`);
+    }
+  }, [
+    exportFormat, referenceData, profile, grid, surface, precision, classTable,
+    compareMode, comparedProfiles, comparisonBaseline, compareRelative, comparisonData, comparisonColumns
+  ]);
+
+  // ============================================================================
+  // SHARING: URL STATE AND SESSIONS
+  // ============================================================================
+
+  /**
+   * Current settings in the TOOL_STATE_DEFAULTS shape, with the definitions
+   * of any fitted profiles in use so their coefficients travel along.
+   */
+  const toolState = useMemo(() => ({
+    profile,
+    regime,
+    grid: gridInput,
+    surface: surfaceInput,
+    conversion: { mode: conversionMode, input: inputValue, run: Boolean(conversionResult && !conversionResult.error) },
+    uncertainty: uncertaintyInput,
+    compare: { enabled: compareMode, profiles: compareProfiles, baseline: compareBaseline, relative: compareRelative },
+    table: { show: showTable, format: exportFormat, notation: precisionInput.notation, digits: precisionInput.digits },
+    flux: { mode: fluxMode, ...fluxInput },
+    reconstruction: reconInput,
+    transfer: transferInput,
+    schemes: schemeInput,
+    classes: classInput,
+    batch: { mode: batchMode },
+    fit: { target: fitTarget },
+    tower: towerInput,
+    profiles: profileDefinitions([profile, ...(compareMode ? compareProfiles : [])])
+  }), [
+    profile, regime, gridInput, surfaceInput, conversionMode, inputValue, conversionResult, uncertaintyInput,
+    compareMode, compareProfiles, compareBaseline, compareRelative, showTable, exportFormat, precisionInput,
+    fluxMode, fluxInput, reconInput, transferInput, schemeInput, classInput, batchMode, fitTarget, towerInput, profileList
+  ]);
+
+  // Keep the address bar in step, so the URL always reproduces the view
+  useEffect(() => {
+    const query = encodeState(toolState, TOOL_STATE_DEFAULTS);
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
+  }, [toolState]);
+
+  // Re-run the conversion a link or session was showing, once its state is in place
+  const pendingConversion = useRef(initial.state.conversion.run);
+  useEffect(() => {
+    if (!pendingConversion.current) return;
+    pendingConversion.current = false;
+    handleConversion();
+  }, [handleConversion, restoreCount]);
+
+  /**
+   * Apply a saved state. It goes through the same decoding as a link, so
+   * sessions from older versions or edited by hand fall back to defaults
+   * where they no longer fit.
+   */
+  const applyToolState = useCallback(saved => {
+    const { state, warnings } = restoreToolState(
+      decodeState(encodeState(saved), TOOL_STATE_DEFAULTS, { choices: TOOL_STATE_CHOICES })
+    );
+    const { mode: flux_mode, ...flux_inputs } = state.flux;
+    setProfile(state.profile);
+    setRegime(state.regime);
+    setGridInput(state.grid);
+    setSurfaceInput(state.surface);
+    setConversionMode(state.conversion.mode);
+    setInputValue(state.conversion.input);
+    setConversionResult(null);
+    setUncertaintyInput(state.uncertainty);
+    setCompareMode(state.compare.enabled);
+    setCompareProfiles(state.compare.profiles);
+    setCompareBaseline(state.compare.baseline);
+    setCompareRelative(state.compare.relative);
+    setShowTable(state.table.show);
+    setExportFormat(state.table.format);
+    setPrecisionInput({ notation: state.table.notation, digits: state.table.digits });
+    setFluxMode(flux_mode);
+    setFluxInput(flux_inputs);
+    setReconInput(state.reconstruction);
+    setTransferInput(state.transfer);
+    setSchemeInput(state.schemes);
+    setClassInput(state.classes);
+    setBatchMode(state.batch.mode);
+    setFitTarget(state.fit.target);
+    setTowerInput(state.tower);
+    pendingConversion.current = state.conversion.run;
+    setRestoreCount(n => n + 1);
+    return warnings;
+  }, []);
 
   // ============================================================================
   // RENDER: JSX COMPONENT
@@ -511,6 +3212,9 @@ const MOSTStabilityTool = () => {
           </div>
         </div>
 
+        {/* Share and Sessions */}
+        <SessionsPanel toolState={toolState} applyToolState={applyToolState} linkWarnings={initial.warnings} />
+
         {/* Controls */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
           <div>
@@ -523,8 +3227,8 @@ const MOSTStabilityTool = () => {
               className="w-full p-2 border border-gray-300 rounded"
               aria-label="Select MOST profile"
             >
-              {Object.entries(profiles).map(([key, val]) => (
-                <option key={key} value={key}>{val.name}</option>
+              {profileList.map(({ key, name }) => (
+                <option key={key} value={key}>{name}</option>
               ))}
             </select>
           </div>
@@ -542,6 +3246,7 @@ const MOSTStabilityTool = () => {
               <option value="full">Full Range (ζ: -10 to 10)</option>
               <option value="unstable">Unstable (ζ: -10 to 0)</option>
               <option value="stable">Stable (ζ: 0 to 10)</option>
+              <option value="custom">Custom grid…</option>
             </select>
           </div>
 
@@ -555,16 +3260,65 @@ const MOSTStabilityTool = () => {
               {showTable ? 'Hide' : 'Show'} Table
             </button>
             <button
-              onClick={exportCSV}
-              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition flex items-center gap-2"
-              aria-label="Export reference data as CSV"
+              onClick={exportTable}
+              disabled={tableProgress !== null}
+              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition flex items-center gap-2 disabled:opacity-50"
+              aria-label={`Export reference data as ${EXPORT_FORMATS[exportFormat].label}`}
             >
               <Download className="w-4 h-4" />
-              CSV
+              Export
             </button>
           </div>
         </div>
 
+        {/* Export format and precision */}
+        <ExportOptionsPanel
+          exportFormat={exportFormat}
+          setExportFormat={setExportFormat}
+          precisionInput={precisionInput}
+          setPrecisionInput={setPrecisionInput}
+          precisionError={precisionError}
+        />
+
+        {/* Profile comparison */}
+        <ComparisonPanel
+          compareMode={compareMode}
+          setCompareMode={setCompareMode}
+          profileList={profileList}
+          compareProfiles={compareProfiles}
+          setCompareProfiles={setCompareProfiles}
+          comparedProfiles={comparedProfiles}
+          comparisonBaseline={comparisonBaseline}
+          setCompareBaseline={setCompareBaseline}
+          compareRelative={compareRelative}
+          setCompareRelative={setCompareRelative}
+        />
+
+        {/* Custom ζ grid */}
+        {regime === 'custom' && (
+          <GridPanel gridInput={gridInput} setGridInput={setGridInput} grid={grid} tableDropped={tableDropped} />
+        )}
+
+        {/* Surface parameters for Ri_b */}
+        <SurfacePanel
+          surfaceInput={surfaceInput}
+          setSurfaceInput={setSurfaceInput}
+          surfaceInfo={surfaceInfo}
+          surfaceError={surfaceError}
+        />
+
+        {/* Stability classification: result labels, chart bands and table column */}
+        <ClassesPanel
+          classInput={classInput}
+          setClassInput={setClassInput}
+          classTable={classTable}
+          classError={classError}
+          surfaceInfo={surfaceInfo}
+          profile={profile}
+          profileList={profileList}
+          surface={surface}
+        />
+
         {/* Conversion Tool */}
         <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
           <h2 className="text-xl font-bold text-gray-800 mb-4">Parameter Conversion</h2>
@@ -611,17 +3365,47 @@ const MOSTStabilityTool = () => {
             </div>
           </div>
 
+          {/* Uncertainty inputs: independent Gaussian 1σ; all zero means an exact conversion */}
+          <UncertaintyInputs
+            conversionMode={conversionMode}
+            uncertaintyInput={uncertaintyInput}
+            setUncertaintyInput={setUncertaintyInput}
+            currentProfile={currentProfile}
+          />
+
           {/* Conversion Result Display */}
           {conversionResult && (
             <div className="bg-white border border-gray-300 rounded p-4">
               {conversionResult.error ? (
-                <p className="text-red-600 font-semibold">{conversionResult.error}</p>
+                <div>
+                  <p className="text-red-600 font-semibold">{conversionResult.error}</p>
+                  {conversionResult.solver && (
+                    <p className="text-xs text-gray-600 mt-1">
+                      Solver stopped: {conversionResult.solver.reason} after{' '}
+                      {conversionResult.solver.iterations} iterations
+                    </p>
+                  )}
+                </div>
               ) : (
                 <div>
                   <p className="font-semibold text-gray-700 mb-2">{conversionResult.input}</p>
+                  {conversionResult.solver && (
+                    <p className="text-xs text-green-700 mb-2">
+                      ✓ Converged ({conversionResult.solver.reason}) in{' '}
+                      {conversionResult.solver.iterations} iterations, residual{' '}
+                      {conversionResult.solver.residual.toExponential(2)}
+                    </p>
+                  )}
+                  {conversionResult.solver && conversionResult.solver.roots.length > 1 && (
+                    <p className="text-xs text-amber-700 mb-2">
+                      {conversionResult.solver.roots.length} roots: ζ ={' '}
+                      {conversionResult.solver.roots.map(r => r.zeta.toFixed(6)).join(', ')} (showing the one closest to
+                      neutral)
+                    </p>
+                  )}
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                     {Object.entries(conversionResult)
-                      .filter(([k]) => k !== 'input')
+                      .filter(([k]) => !['input', 'solver', 'uncertainty', 'classification'].includes(k))
                       .map(([key, val]) => (
                         <div key={key} className="bg-gray-50 p-2 rounded">
                           <p className="text-xs text-gray-600">{key}</p>
@@ -629,15 +3413,175 @@ const MOSTStabilityTool = () => {
                         </div>
                       ))}
                   </div>
+                  {conversionResult.classification && (
+                    <p className="text-sm text-gray-700 mt-3 flex items-center gap-2">
+                      <span
+                        className="inline-block w-3 h-3 rounded-sm"
+                        style={{ backgroundColor: conversionResult.classification.class?.color ?? '#fff' }}
+                      />
+                      {conversionResult.classification.table.name}:{' '}
+                      <span className="font-semibold">{conversionResult.classification.class?.label ?? 'unclassified'}</span>
+                      {conversionResult.classification.variable !== 'zeta' &&
+                        ` (${CLASS_VARIABLES[conversionResult.classification.variable].label} = ${formatValue(conversionResult.classification.value, UNCERTAINTY_PRECISION)})`}
+                    </p>
+                  )}
+                  {conversionResult.uncertainty && <UncertaintyResult uncertainty={conversionResult.uncertainty} />}
                 </div>
               )}
             </div>
           )}
         </div>
 
+        {/* Batch Conversion */}
+        <BatchPanel batchMode={batchMode} setBatchMode={setBatchMode} workerRef={workerRef} profile={profile} surface={surface} />
+
+        {/* Flux Solver */}
+        <FluxPanel
+          fluxMode={fluxMode}
+          setFluxMode={setFluxMode}
+          fluxInput={fluxInput}
+          setFluxInput={setFluxInput}
+          fluxResult={fluxResult}
+          setFluxResult={setFluxResult}
+          profile={profile}
+          surface={surface}
+        />
+
+        {/* Profile Reconstruction */}
+        <ReconstructionPanel
+          reconInput={reconInput}
+          setReconInput={setReconInput}
+          fluxResult={fluxResult}
+          fluxMode={fluxMode}
+          fluxInput={fluxInput}
+          profile={profile}
+          profileList={profileList}
+          surface={surface}
+          exportFormat={exportFormat}
+          precision={precision}
+        />
+
+        {/* Transfer Lookup Table */}
+        <TransferPanel
+          transferInput={transferInput}
+          setTransferInput={setTransferInput}
+          profile={profile}
+          exportFormat={exportFormat}
+          precision={precision}
+        />
+
+        {/* Ri-based NWP schemes */}
+        <SchemesPanel
+          schemeInput={schemeInput}
+          setSchemeInput={setSchemeInput}
+          profile={profile}
+          surface={surface}
+          exportFormat={exportFormat}
+          precision={precision}
+        />
+
+        {/* Observation Import */}
+        <ObservationsPanel
+          obsData={obsData}
+          setObsData={setObsData}
+          profile={profile}
+          surface={surface}
+          exportFormat={exportFormat}
+          precision={precision}
+        />
+
+        {/* Bias Diagnostics */}
+        {obsData && !obsData.error && (
+          <BiasPanel obsData={obsData} profile={profile} surface={surface} precision={precision} />
+        )}
+
+        {/* Coefficient Fitting */}
+        <FitPanel
+          fitTarget={fitTarget}
+          setFitTarget={setFitTarget}
+          profile={profile}
+          setProfile={setProfile}
+          currentProfile={currentProfile}
+          precision={precision}
+        />
+
+        {/* Tower Profiles */}
+        <TowerPanel
+          towerInput={towerInput}
+          setTowerInput={setTowerInput}
+          profile={profile}
+          currentProfile={currentProfile}
+          precision={precision}
+          sendTowerLevel={sendTowerLevel}
+        />
+
         {/* Visualization */}
         <div className="mb-6">
           <h2 className="text-xl font-bold text-gray-800 mb-4">Stability Relationships</h2>
+          {tableProgress && (
+            <p className="text-xs text-gray-600 mb-2">
+              Computing reference data… {tableProgress.total !== null && `${tableProgress.done} / ${tableProgress.total}`}
+            </p>
+          )}
+          {tableError && <p className="text-red-600 font-semibold mb-2">{tableError}</p>}
+          {zetaBands.length > 0 && (
+            <div className="mb-2">
+              <ClassLegend classes={classTable.classes} />
+            </div>
+          )}
+          {compareMode ? (() => {
+            // Solid Ri_g / φ_m, dashed Ri_b / φ_h; each profile keeps its colour in every panel
+            const lines = (keys, [solid, dashed], suffix = '') => keys.flatMap(key => {
+              const stroke = PROFILE_COLORS[comparedProfiles.indexOf(key) % PROFILE_COLORS.length];
+              return [
+                { dataKey: `${solid}_${key}${suffix}`, name: `${solid} ${key}`, stroke },
+                { dataKey: `${dashed}_${key}${suffix}`, name: `${dashed} ${key}`, stroke, dashed: true }
+              ];
+            });
+            const overlay = pair => lines(comparedProfiles, pair);
+            const relative = pair => lines(
+              comparedProfiles.filter(key => key !== comparisonBaseline),
+              pair,
+              `_${compareRelative === 'ratio' ? 'over' : 'minus'}_${comparisonBaseline}`
+            );
+            const against = compareRelative === 'ratio' ? `÷ ${comparisonBaseline}` : `− ${comparisonBaseline}`;
+            return (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <ComparisonChart
+                  title="ζ vs Richardson Numbers (Ri_g solid, Ri_b dashed)"
+                  data={comparisonData}
+                  lines={overlay(['Ri_g', 'Ri_b'])}
+                  yLabel="Richardson Number"
+                  precision={precision}
+                  bands={zetaBands}
+                />
+                <ComparisonChart
+                  title="Stability Functions (φ_m solid, φ_h dashed)"
+                  data={comparisonData}
+                  lines={overlay(['phi_m', 'phi_h'])}
+                  yLabel="φ"
+                  precision={precision}
+                  bands={zetaBands}
+                />
+                <ComparisonChart
+                  title={`Richardson Numbers ${against}`}
+                  data={comparisonData}
+                  lines={relative(['Ri_g', 'Ri_b'])}
+                  yLabel={compareRelative === 'ratio' ? 'Ratio' : 'Difference'}
+                  precision={precision}
+                  bands={zetaBands}
+                />
+                <ComparisonChart
+                  title={`Stability Functions ${against}`}
+                  data={comparisonData}
+                  lines={relative(['phi_m', 'phi_h'])}
+                  yLabel={compareRelative === 'ratio' ? 'Ratio' : 'Difference'}
+                  precision={precision}
+                  bands={zetaBands}
+                />
+              </div>
+            );
+          })() : (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {/* Richardson Numbers Chart */}
             <div className="bg-white border border-gray-200 rounded p-4">
@@ -647,15 +3591,30 @@ const MOSTStabilityTool = () => {
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis
                     dataKey="zeta"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
                     label={{ value: 'ζ = z/L', position: 'insideBottom', offset: -5 }}
                   />
                   <YAxis
                     label={{ value: 'Richardson Number', angle: -90, position: 'insideLeft' }}
                   />
-                  <Tooltip />
+                  <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={(zeta) => `ζ = ${formatValue(zeta, precision)}`} />
                   <Legend />
+                  {classAreas(zetaBands)}
                   <Line type="monotone" dataKey="Ri_g" stroke="#8884d8" dot={false} name="Ri_g" />
                   <Line type="monotone" dataKey="Ri_b" stroke="#82ca9d" dot={false} name="Ri_b" />
+                  <ReferenceLine
+                    y={critical.rig.value}
+                    stroke="#8884d8"
+                    strokeDasharray="5 5"
+                    label={{ value: criticalLabel('Ri_g', critical.rig), position: 'insideTopLeft', fontSize: 10 }}
+                  />
+                  <ReferenceLine
+                    y={critical.rib.value}
+                    stroke="#82ca9d"
+                    strokeDasharray="5 5"
+                    label={{ value: criticalLabel('Ri_b', critical.rib), position: 'insideBottomLeft', fontSize: 10 }}
+                  />
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -668,42 +3627,109 @@ const MOSTStabilityTool = () => {
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis
                     dataKey="zeta"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
                     label={{ value: 'ζ = z/L', position: 'insideBottom', offset: -5 }}
                   />
                   <YAxis label={{ value: 'φ', angle: -90, position: 'insideLeft' }} />
-                  <Tooltip />
+                  <Tooltip formatter={(value) => formatValue(value, precision)} labelFormatter={(zeta) => `ζ = ${formatValue(zeta, precision)}`} />
                   <Legend />
+                  {classAreas(zetaBands)}
                   <Line type="monotone" dataKey="phi_m" stroke="#ff7300" dot={false} name="φ_m" />
                   <Line type="monotone" dataKey="phi_h" stroke="#d84aff" dot={false} name="φ_h" />
                 </LineChart>
               </ResponsiveContainer>
             </div>
+
+            {/* Curvature diagnostics: analytic Ri derivatives and the Ri_g/Ri_b ratio */}
+            <ComparisonChart
+              title="Ri derivatives (dRi/dζ solid, d²Ri/dζ² dashed)"
+              data={referenceData}
+              lines={[
+                { dataKey: 'dRi_g_dzeta', name: 'dRi_g/dζ', stroke: '#8884d8' },
+                { dataKey: 'dRi_b_dzeta', name: 'dRi_b/dζ', stroke: '#82ca9d' },
+                { dataKey: 'd2Ri_g_dzeta2', name: 'd²Ri_g/dζ²', stroke: '#8884d8', dashed: true },
+                { dataKey: 'd2Ri_b_dzeta2', name: 'd²Ri_b/dζ²', stroke: '#82ca9d', dashed: true }
+              ]}
+              yLabel="Derivative"
+              precision={precision}
+              bands={zetaBands}
+            />
+            <ComparisonChart
+              title="Ri_g/Ri_b (local over bulk Richardson number)"
+              data={referenceData}
+              lines={[{ dataKey: 'Ri_g_over_Ri_b', name: 'Ri_g/Ri_b', stroke: '#ff7300' }]}
+              yLabel="Ri_g/Ri_b"
+              precision={precision}
+              bands={zetaBands}
+            />
+
+            {/* Bulk transfer coefficients across stability */}
+            <ComparisonChart
+              title={`Transfer coefficients C_D, C_H (z = ${surface.Z} m)`}
+              data={referenceData}
+              lines={[
+                { dataKey: 'C_D', name: 'C_D', stroke: '#8884d8' },
+                { dataKey: 'C_H', name: 'C_H', stroke: '#82ca9d', dashed: true }
+              ]}
+              yLabel="C"
+              precision={precision}
+              bands={zetaBands}
+            />
+            <ComparisonChart
+              title="Transfer coefficients relative to neutral against Ri_b"
+              data={referenceData}
+              lines={[
+                { dataKey: 'C_D_ratio', name: 'C_D/C_DN', stroke: '#8884d8' },
+                { dataKey: 'C_H_ratio', name: 'C_H/C_HN', stroke: '#82ca9d', dashed: true }
+              ]}
+              yLabel="C/C_N"
+              precision={precision}
+              x={RIB_AXIS}
+            />
           </div>
+          )}
         </div>
 
         {/* Reference Table */}
         {showTable && (
           <div className="overflow-x-auto mb-6">
-            <h2 className="text-xl font-bold text-gray-800 mb-4">Reference Data Table</h2>
+            <h2 className="text-xl font-bold text-gray-800 mb-4">
+              {compareMode ? 'Profile Comparison Table' : 'Reference Data Table'}
+            </h2>
             <div className="max-h-96 overflow-y-auto border border-gray-300 rounded">
               <table className="min-w-full bg-white">
                 <thead className="bg-gray-100 sticky top-0">
                   <tr>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">ζ</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">φ_m</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">φ_h</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">Ri_g</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">Ri_b</th>
+                    {compareMode ? (
+                      comparisonColumns.map(({ key, label }) => (
+                        <th key={key} className="px-4 py-2 text-left text-sm font-semibold text-gray-700 whitespace-nowrap">{label}</th>
+                      ))
+                    ) : (
+                      REFERENCE_COLUMNS.map(({ key, label }) => (
+                        <th key={key} className="px-4 py-2 text-left text-sm font-semibold text-gray-700 whitespace-nowrap">{label}</th>
+                      ))
+                    )}
+                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700 whitespace-nowrap">Class</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {referenceData.map((row, i) => (
+                  {(compareMode ? comparisonData : referenceData).map((row, i) => (
                     <tr key={i} className="border-t border-gray-200 hover:bg-gray-50">
-                      <td className="px-4 py-2 text-sm font-mono">{row.zeta}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.phi_m}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.phi_h}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.Ri_g}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.Ri_b}</td>
+                      {(compareMode ? comparisonColumns : REFERENCE_COLUMNS).map(({ key }) => (
+                        <td key={key} className="px-4 py-2 text-sm font-mono">{formatValue(row[key], precision)}</td>
+                      ))}
+                      <td className="px-4 py-2 text-sm whitespace-nowrap">
+                        {rowClasses[i] >= 0 && (
+                          <span className="flex items-center gap-1">
+                            <span
+                              className="inline-block w-3 h-3 rounded-sm"
+                              style={{ backgroundColor: classTable.classes[rowClasses[i]].color }}
+                            />
+                            {classTable.classes[rowClasses[i]].label}
+                          </span>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -715,30 +3741,37 @@ const MOSTStabilityTool = () => {
         {/* Profile Information */}
         <div className="mt-6 bg-gray-50 border border-gray-200 rounded p-4">
           <h2 className="text-lg font-bold text-gray-800 mb-2">
-            Current Profile: {profiles[profile].name}
+            Current Profile: {currentProfile.name}
           </h2>
-          <div className="grid grid-cols-2 gap-4 text-sm">
-            <div>
-              <p className="font-semibold text-gray-700">Unstable (ζ &lt; 0):</p>
-              <p className="font-mono text-gray-600">
-                φ_m = (1 - {profiles[profile].unstable.am}ζ)^(-{profiles[profile].unstable.bm})
-              </p>
-              <p className="font-mono text-gray-600">
-                φ_h = (1 - {profiles[profile].unstable.ah}ζ)^(-{profiles[profile].unstable.bh})
-              </p>
-            </div>
-            <div>
-              <p className="font-semibold text-gray-700">Stable (ζ &gt; 0):</p>
-              <p className="font-mono text-gray-600">
-                φ_m = 1 + {profiles[profile].stable.bm}ζ
-                {profiles[profile].stable.cm && ` + ${profiles[profile].stable.cm}ζ²`}
-              </p>
-              <p className="font-mono text-gray-600">
-                φ_h = 1 + {profiles[profile].stable.bh}ζ
-                {profiles[profile].stable.ch && ` + ${profiles[profile].stable.ch}ζ²`}
-              </p>
+          {currentProfile.reference && (
+            <p className="text-sm text-gray-600 mb-2">{currentProfile.reference}</p>
+          )}
+          {equations ? (
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="font-semibold text-gray-700">Unstable (ζ &lt; 0):</p>
+                <p className="font-mono text-gray-600">φ_m = {equations.unstable.phi_m}</p>
+                <p className="font-mono text-gray-600">φ_h = {equations.unstable.phi_h}</p>
+              </div>
+              <div>
+                <p className="font-semibold text-gray-700">Stable (ζ &gt; 0):</p>
+                <p className="font-mono text-gray-600">φ_m = {equations.stable.phi_m}</p>
+                <p className="font-mono text-gray-600">φ_h = {equations.stable.phi_h}</p>
+              </div>
             </div>
-          </div>
+          ) : (
+            <p className="text-sm text-gray-600">User-defined profile (no equation summary supplied).</p>
+          )}
+          <p className={`text-xs mt-2 ${psiCheck.ok ? 'text-gray-500' : 'text-red-600 font-semibold'}`}>
+            {psiCheck.ok
+              ? `ψ consistency check passed (max relative error ${psiCheck.maxError.toExponential(1)})`
+              : `ψ consistency check failed at ${psiCheck.failures.length} sample point(s): dψ/dζ ≠ (1 − φ)/ζ`}
+          </p>
+          <p className="text-xs mt-1 text-gray-500">
+            Stable targets above {criticalLabel('Ri_g', critical.rig)} or{' '}
+            {criticalLabel('Ri_b', critical.rib)} have no solution
+            {critical.rig.limit !== undefined && ` (Ri_g → ${critical.rig.limit.toFixed(4)} as ζ → ∞)`}.
+          </p>
         </div>
       </div>
     </div>
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convert_batch, batch_summary, ri_g, ri_b, zeta_from_rib, surface_params } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('Ri_g → ζ over a series matches the single-value solver', () => {
+  const zetas = [-2, -0.3, 0, 0.05, 0.4];
+  const rig = zetas.map(z => ri_g(z, 'BD71'));
+  const out = convert_batch('rig_to_zeta', Float64Array.from(rig), 'BD71');
+  zetas.forEach((z, i) => {
+    close(out.zeta[i], z, 1e-8, `ζ[${i}]`);
+    close(out.Ri_g[i], rig[i], 1e-10, `Ri_g[${i}]`);
+  });
+  assert.deepEqual([...out.converged], [1, 1, 1, 1, 1]);
+  assert.equal(out.summary.count, 5);
+  assert.equal(out.summary.converged, 5);
+  assert.equal(out.summary.failed, 0);
+});
+
+test('failures are flagged per element and counted by reason', () => {
+  // BD71 has no stable Ri_g at or above 0.2
+  const out = convert_batch('rig_to_zeta', [0.1, 0.25, NaN], 'BD71');
+  assert.deepEqual([...out.converged], [1, 0, 0]);
+  close(out.zeta[0], 0.2, 1e-10, 'ζ');
+  assert.ok(Number.isNaN(out.zeta[1]) && Number.isNaN(out.Ri_b[2]));
+  assert.equal(out.reason[2], 'non-finite');
+  assert.equal(out.summary.failed, 2);
+  assert.equal(out.summary.reasons['non-finite'], 1);
+
+  const passthrough = convert_batch('zeta_to_all', [0.5, Infinity], 'BD71');
+  assert.deepEqual(passthrough.reason, ['input', 'non-finite']);
+  close(passthrough.phi_m[0], 1 + 5 * 0.5, 1e-12, 'φ_m');
+});
+
+test('a per-sample z/z0 replaces the surface roughness', () => {
+  const surface = surface_params({});
+  const ratios = [100, 1000, 1e4];
+  const out = convert_batch('rib_to_zeta', [0.05, 0.05, 0.05], 'BD71', { surface, z_over_z0: ratios });
+  ratios.forEach((r, i) => {
+    const s = { Z: surface.Z, Z0M: surface.Z / r, KB_INV: surface.KB_INV };
+    close(out.zeta[i], zeta_from_rib(0.05, 'BD71', 0.1, s).zeta, 1e-9, `ζ at z/z0=${r}`);
+    close(out.Ri_b[i], ri_b(out.zeta[i], 'BD71', s), 1e-10, `Ri_b at z/z0=${r}`);
+  });
+  // A larger ln(z/z0) in Ri_b needs a larger ζ for the same Ri_b
+  assert.ok(out.zeta[0] < out.zeta[1] && out.zeta[1] < out.zeta[2]);
+
+  const bad = convert_batch('rib_to_zeta', [0.05], 'BD71', { z_over_z0: [-1] });
+  assert.equal(bad.reason[0], 'invalid-surface');
+  assert.throws(() => convert_batch('rib_to_zeta', [1, 2], 'BD71', { z_over_z0: [10] }), /z_over_z0 has 1/);
+  assert.throws(() => convert_batch('rig', [1], 'BD71'), /Unknown batch mode: rig/);
+});
+
+test('batch_summary reassembles chunk results', () => {
+  const summary = batch_summary({ zeta: [0.1, NaN, 0.3], converged: [1, 0, 1], reason: ['residual', 'no-bracket', 'residual'] });
+  assert.equal(summary.converged, 2);
+  assert.deepEqual(summary.reasons, { residual: 2, 'no-bracket': 1 });
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, quantile, errorStats, bootstrapErrorStats } from '../web/lib/stats.js';
+import { bias_diagnostics, ri_b, STABILITY_CLASSES } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('the seeded generator is reproducible and uniform', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const draws = Array.from({ length: 10000 }, () => a());
+  assert.deepEqual(Array.from({ length: 10000 }, () => b()), draws);
+  assert.notEqual(createRng(43)(), draws[0]);
+  assert.ok(draws.every(x => x >= 0 && x < 1));
+  close(draws.reduce((s, x) => s + x, 0) / draws.length, 0.5, 0.01, 'mean');
+});
+
+test('quantiles interpolate between order statistics', () => {
+  const sorted = [1, 2, 3, 4];
+  assert.equal(quantile(sorted, 0), 1);
+  assert.equal(quantile(sorted, 0.5), 2.5);
+  assert.equal(quantile(sorted, 0.9), 3.7);
+  assert.ok(Number.isNaN(quantile([], 0.5)));
+});
+
+test('error statistics use the finite pairs only', () => {
+  const stats = errorStats([1, 2, 3, NaN, 5], [1, 1, 4, 2, Infinity]);
+  assert.equal(stats.count, 3);
+  assert.equal(stats.bias, 0);
+  close(stats.rmse, Math.sqrt(2 / 3), 1e-15, 'RMSE');
+  close(stats.mae, 2 / 3, 1e-15, 'MAE');
+  close(stats.r, Math.sqrt(3) / 2, 1e-12, 'r');
+  assert.ok(Number.isNaN(errorStats([1, 1], [2, 3]).r));
+  assert.deepEqual(errorStats([1, 2, 3], [0, 0, 0], [2, 2]), { count: 2, bias: 3, rmse: 3, mae: 3, r: NaN });
+});
+
+test('bootstrap intervals bracket the estimate and repeat for a seed', () => {
+  const rng = createRng(7);
+  const observed = Float64Array.from({ length: 200 }, () => rng() * 2 - 1);
+  const model = observed.map(x => 1.1 * x + 0.05 + 0.1 * (rng() - 0.5));
+  const first = bootstrapErrorStats(model, observed, { samples: 500, rng: createRng(3) });
+  const again = bootstrapErrorStats(model, observed, { samples: 500, rng: createRng(3) });
+  assert.deepEqual(again, first);
+  for (const k of ['bias', 'rmse', 'mae', 'r']) {
+    assert.ok(first.ci[k][0] < first[k] && first[k] < first.ci[k][1], `${k} interval`);
+  }
+  const narrow = bootstrapErrorStats(model, observed, { samples: 500, level: 0.5, rng: createRng(3) });
+  assert.ok(narrow.ci.bias[1] - narrow.ci.bias[0] < first.ci.bias[1] - first.ci.bias[0]);
+  assert.deepEqual(bootstrapErrorStats([1], [2]).ci.r, [NaN, NaN]);
+  assert.throws(() => bootstrapErrorStats(model, observed, { samples: 0 }), /samples must be an integer/);
+  assert.throws(() => bootstrapErrorStats(model, observed, { level: 1 }), /level must be between 0 and 1/);
+});
+
+test('bias diagnostics compare Ri_b and L in ζ space, binned by stability class', () => {
+  const zetas = [-2, -0.5, -0.05, 0.05, 0.3, 2];
+  const model = { quantity: 'Ri_b', values: zetas.map(z => ri_b(z, 'BD71')) };
+  // The observed L = z/ζ at the default 10 m height, 10% more stable than the model
+  const observed = { quantity: 'L', values: zetas.map(z => 10 / (1.1 * z)) };
+  const result = bias_diagnostics(model, observed, 'BD71', { samples: 200, seed: 5 });
+
+  zetas.forEach((z, i) => close(result.zeta_model[i], z, 1e-8, `model ζ ${z}`));
+  assert.deepEqual([...result.class_index], [0, 1, 2, 2, 3, 4]);
+  assert.deepEqual(result.classes.map(c => c.key), STABILITY_CLASSES.map(c => c.key));
+  const [zeta] = result.quantities;
+  assert.equal(zeta.name, 'zeta');
+  close(zeta.overall.bias, -0.1 * zetas.reduce((s, z) => s + z, 0) / 6, 1e-8, 'overall bias');
+  assert.equal(zeta.bins[2].count, 2);
+  close(zeta.bins[4].bias, -0.2, 1e-8, 'very stable bias');
+  assert.deepEqual(result.unconverted, { model: 0, observed: 0 });
+
+  // The same seed gives the same intervals; another seed does not
+  assert.deepEqual(bias_diagnostics(model, observed, 'BD71', { samples: 200, seed: 5 }).quantities, result.quantities);
+  assert.notDeepEqual(bias_diagnostics(model, observed, 'BD71', { samples: 200, seed: 6 }).quantities[0].overall.ci,
+    zeta.overall.ci);
+});
+
+test('flux pairs are diagnosed in the same classes, and bad inputs are refused', () => {
+  const model = { quantity: 'zeta', values: [-0.5, 0.5, 0.25] };
+  const observed = { quantity: 'Ri_g', values: [-0.5, 0.25, 0.1] };
+  const result = bias_diagnostics(model, observed, 'BD71', {
+    fluxes: [{ name: 'H', units: 'W m-2', model: [100, -10, -5], observed: [90, -20, -5] }],
+    classify_by: 'model',
+    samples: 50
+  });
+  // BD71 has no solution for Ri_g = 0.25
+  assert.deepEqual(result.unconverted, { model: 0, observed: 1 });
+  assert.deepEqual([...result.class_index], [1, 3, 3]);
+  const H = result.quantities[1];
+  assert.equal(H.units, 'W m-2');
+  assert.equal(H.bins[3].bias, 5);
+  // Adding a flux does not change the ζ statistics
+  assert.deepEqual(bias_diagnostics(model, observed, 'BD71', { classify_by: 'model', samples: 50 }).quantities[0],
+    result.quantities[0]);
+
+  assert.throws(() => bias_diagnostics(model, { quantity: 'zeta', values: [1] }, 'BD71'), /Model series has 3 values but the observed series has 1/);
+  assert.throws(() => bias_diagnostics({ quantity: 'u', values: [1] }, { quantity: 'zeta', values: [1] }, 'BD71'), /Unknown model stability quantity: u/);
+  assert.throws(() => bias_diagnostics(model, observed, 'BD71', { classify_by: 'both' }), /Unknown classify_by: both/);
+});
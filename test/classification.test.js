@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STABILITY_CLASSES, stability_class, pasquill_gifford_classes, classification_table, parse_class_table,
+  classify_stability, classify_rows, class_bands, classification_metadata,
+  export_reference_table, reference_table, ri_b
+} from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('regimes are [min, max) intervals of ζ', () => {
+  assert.equal(stability_class(-1).key, 'forced-convection');
+  assert.equal(stability_class(-1.0001).key, 'free-convection');
+  assert.equal(stability_class(0.1).key, 'weakly-stable');
+  assert.equal(stability_class(0.0999).key, 'near-neutral');
+  assert.equal(stability_class(NaN), null);
+  assert.equal(STABILITY_CLASSES.length, 5);
+});
+
+test('Pasquill–Gifford bounds lie halfway between the Golder centres', () => {
+  // At z0 = 0.1 m, log10 z0 = −1 and the centres are a − b
+  const classes = pasquill_gifford_classes(0.1);
+  const centres = [-0.125, -0.066, -0.02, 0, 0.022, 0.071];
+  classes.forEach((c, i) => close(c.centre, centres[i], 1e-12, `${c.key} centre`));
+  assert.deepEqual(classes.map(c => c.key), ['A', 'B', 'C', 'D', 'E', 'F']);
+  assert.equal(classes[0].min, -Infinity);
+  assert.equal(classes[5].max, Infinity);
+  const bounds = [-0.0955, -0.043, -0.01, 0.011, 0.0465];
+  bounds.forEach((b, i) => {
+    close(classes[i].max, b, 1e-12, `${classes[i].key} max`);
+    assert.equal(classes[i + 1].min, classes[i].max);
+  });
+  assert.throws(() => pasquill_gifford_classes(0), /z0 must be positive/);
+  assert.throws(() => pasquill_gifford_classes(10), /does not order the classes at z0 = 10 m/);
+});
+
+test('class tables are read in order and inconsistent bounds refused', () => {
+  const table = parse_class_table('# stable split\nUnstable, -inf, 0\nWeak; 0; 0.5\nStrong\t0.5\t\n', 'Ri_b');
+  assert.equal(table.key, 'custom');
+  assert.equal(table.variable, 'Ri_b');
+  assert.deepEqual(table.classes.map(c => [c.key, c.min, c.max]),
+    [['unstable', -Infinity, 0], ['weak', 0, 0.5], ['strong', 0.5, Infinity]]);
+  assert.throws(() => parse_class_table('A, 0, 1\nB, 0.5, 2'), /class 2 overlaps the one before/);
+  assert.throws(() => parse_class_table('B, 1, 2\nA, 0, 1'), /class 2 overlaps the one before/);
+  assert.throws(() => parse_class_table('A, 1, 0'), /class 1 needs min < max/);
+  assert.throws(() => parse_class_table('A, x, 1'), /line 1\): 'x' is not a number/);
+  assert.throws(() => parse_class_table('A, 0'), /line 1\): expected 'label, min, max'/);
+  assert.throws(() => parse_class_table('# nothing'), /no classes/);
+  assert.throws(() => parse_class_table('A, 0, 1', 'L'), /variable must be one of zeta, inv_L, Ri_b/);
+  assert.throws(() => classification_table('beaufort'), /Unknown classification: beaufort/);
+});
+
+test('stabilities given as L or Ri_b are converted before classifying', () => {
+  const surface = { Z: 10, Z0M: 0.1, KB_INV: 0 };
+  const byL = classify_stability(50, { from: 'L', scheme: 'pasquill-gifford', surface });
+  close(byL.zeta, 0.2, 1e-12, 'ζ from L');
+  close(byL.value, 0.02, 1e-12, '1/L');
+  assert.equal(byL.class.key, 'E');
+  const rib = ri_b(0.5, 'BD71', surface);
+  const byRib = classify_stability(rib, { from: 'Ri_b', surface });
+  close(byRib.zeta, 0.5, 1e-6, 'ζ from Ri_b');
+  assert.equal(byRib.class.key, 'weakly-stable');
+  // Past the critical Ri_b there is no ζ: the stablest class, with the solver's message
+  const beyond = classify_stability(0.5, { from: 'Ri_b', surface });
+  assert.equal(beyond.zeta, Infinity);
+  assert.equal(beyond.class.key, 'very-stable');
+  assert.ok(beyond.message);
+  const outside = classify_stability(-2, { scheme: parse_class_table('Only, -1, 1') });
+  assert.equal(outside.index, -1);
+  assert.equal(outside.message, 'ζ = z/L = -2 is outside every class');
+  assert.throws(() => classify_stability(1, { from: 'H' }), /from must be 'zeta', 'L' or 'Ri_b'/);
+});
+
+test('rows are classified and grouped into chart bands', () => {
+  const rows = [-2, -0.5, 0, 0.05, 0.5].map(zeta => ({ zeta }));
+  const table = classification_table('regime');
+  const indices = classify_rows(rows, table, 'BD71');
+  assert.deepEqual([...indices], [0, 1, 2, 2, 3]);
+  const bands = class_bands(rows, indices, table);
+  assert.deepEqual(bands.map(b => [b.key, b.x1, b.x2]), [
+    ['free-convection', -2, -1.25],
+    ['forced-convection', -1.25, -0.25],
+    ['near-neutral', -0.25, 0.275],
+    ['weakly-stable', 0.275, 0.5]
+  ]);
+  const meta = classification_metadata(classification_table('pasquill-gifford', { Z: 10, Z0M: 0.1 }));
+  assert.equal(meta.flag_meanings, 'A B C D E F');
+  assert.deepEqual(meta.intervals.slice(0, 2), ['[-inf, -0.0955)', '[-0.0955, -0.043)']);
+});
+
+test('text exports write the class key and JSON leaves unclassified rows null', () => {
+  const grid = { min: -2, max: 2, step: 1 };
+  const options = { grid, classification: classification_table('regime'), created: '2024-01-01T00:00:00Z' };
+  const rows = reference_table(grid, 'BD71').rows;
+  const csv = export_reference_table('csv', rows, 'BD71', options).content;
+  const data = csv.split('\n').filter(line => !line.startsWith('#'));
+  assert.equal(data[0].split(',').at(-1), 'stability_class');
+  assert.deepEqual(data.slice(1).map(line => line.split(',').at(-1)),
+    ['free-convection', 'forced-convection', 'near-neutral', 'very-stable', 'very-stable']);
+  const markdown = export_reference_table('markdown', rows, 'BD71', options).content;
+  assert.match(markdown, /\| near-neutral \|$/m);
+
+  const custom = { ...options, classification: parse_class_table('Stable, 0, inf') };
+  const json = JSON.parse(export_reference_table('json', rows, 'BD71', custom).content);
+  assert.deepEqual(json.rows.map(r => r.stability_class), [null, null, 'stable', 'stable', 'stable']);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { main, EXIT_CODES } from '../web/cli.js';
+import { readNetCDF } from '../web/lib/netcdf.js';
+
+const CLI = fileURLToPath(new URL('../web/cli.js', import.meta.url));
+
+// Run main with in-memory streams
+const run = async (argv, stdin = '') => {
+  const stdout = [];
+  const stderr = [];
+  const io = {
+    stdin: Readable.from([stdin]),
+    stdout: { write: text => { stdout.push(text); return true; } },
+    stderr: { write: text => { stderr.push(text); return true; } }
+  };
+  const code = await main(argv, io);
+  return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+};
+
+test('exit code 0 when every value converts', async () => {
+  const { code, stdout, stderr } = await run(['rig-to-zeta', '0.1', '-0.5', '--precision', 'fixed:4']);
+  assert.equal(code, EXIT_CODES.OK);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[0], 'input,zeta,phi_m,phi_h,Ri_g,Ri_b,converged,iterations,reason');
+  assert.match(stdout, /\n0\.1000,0\.2000,2\.0000,2\.0000,0\.1000,/);
+  assert.match(stdout, /\n-0\.5000,-0\.5000,/);
+  assert.match(stderr, /2 values, 2 converted, 0 failed/);
+});
+
+test('exit code 1 when a value has no solution, with the rest still written', async () => {
+  const { code, stdout, stderr } = await run(['rig-to-zeta', '0.1', '0.3', '--format', 'json']);
+  assert.equal(code, EXIT_CODES.SOLVER_FAILURE);
+  const records = stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(r => r.converged), [true, false]);
+  assert.equal(records[1].zeta, null);
+  assert.match(stderr, /2 values, 1 converted, 1 failed/);
+});
+
+test('exit code 2 on usage errors and 3 on data errors', async () => {
+  assert.equal((await run(['rig-to-zeta', 'abc'])).code, EXIT_CODES.USAGE);
+  assert.equal((await run(['frobnicate'])).code, EXIT_CODES.USAGE);
+  const unknown = await run(['zeta', '1', '--colour', 'red']);
+  assert.equal(unknown.code, EXIT_CODES.USAGE);
+  assert.match(unknown.stderr, /most: Unknown option: --colour\nRun 'node web\/cli\.js --help' for usage\.\n/);
+  assert.equal((await run([])).code, EXIT_CODES.USAGE);
+
+  const profile = await run(['zeta', '1', '--profile', 'XX']);
+  assert.equal(profile.code, EXIT_CODES.ERROR);
+  assert.match(profile.stderr, /Unknown MOST profile: XX \(available: BD71, /);
+  assert.equal((await run(['rib-to-zeta', '0.1', '--z0m', '-1'])).code, EXIT_CODES.ERROR);
+  assert.equal((await run(['zeta', '--input', '/nonexistent/values.txt'])).code, EXIT_CODES.ERROR);
+  assert.equal((await run(['zeta', '--column', 'u'], 'z,v\n1,2\n')).code, EXIT_CODES.ERROR);
+});
+
+test('stdin streams through in chunks, by named column', async () => {
+  const lines = ['# tower', 'time;Ri_b;z_z0', ...Array.from({ length: 25 }, (_, i) => `${i};${(i - 12) / 100};1000`)];
+  lines.splice(10, 0, 'mast serviced');
+  const { code, stdout, stderr } = await run(
+    ['rib-to-zeta', '--column', 'Ri_b', '--z-over-z0-column', 'z_z0', '--chunk-size', '7', '--format', 'tsv', '--no-header'],
+    lines.join('\n')
+  );
+  assert.equal(code, EXIT_CODES.OK);
+  const rows = stdout.trim().split('\n').map(line => line.split('\t'));
+  assert.equal(rows.length, 25);
+  assert.deepEqual(rows.map(r => Number(r[0])), Array.from({ length: 25 }, (_, i) => (i - 12) / 100));
+  assert.ok(rows.every(r => r[6] === '1'));
+  assert.match(stderr, /25 values, 25 converted, 0 failed \(residual: 25\); 3 non-data line\(s\) skipped, text at line\(s\) 11/);
+});
+
+test('decimal commas and unparsable fields in semicolon-separated input', async () => {
+  const { code, stdout, stderr } = await run(['rig-to-zeta', '--column', '1'], 'Ri;z\n0,1;10\n1.2.3;5\n');
+  assert.equal(code, EXIT_CODES.SOLVER_FAILURE);
+  assert.match(stdout, /\n0\.1,0\.19999999\d*,/);
+  assert.match(stderr, /1 unparsable field\(s\) read as NaN: "1\.2\.3" \(line 3, column 1\)/);
+});
+
+test('the table command writes a file and the script exits with its code', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'most-cli-'));
+  try {
+    const table = spawnSync(process.execPath, [CLI, 'table', '--grid', 'rig', '--min', '0', '--max', '0.3', '--step', '0.1', '--format', 'netcdf', '-o', dir, '--quiet'], { encoding: 'utf8', timeout: 60000 });
+    // Ri_g 0.2 and 0.3 have no BD71 solution
+    assert.equal(table.status, EXIT_CODES.SOLVER_FAILURE, table.stderr);
+    const written = spawnSync('ls', [dir], { encoding: 'utf8' }).stdout.trim();
+    const file = readNetCDF(readFileSync(join(dir, written)));
+    assert.equal(file.dimensions[0].length, 2);
+
+    const input = join(dir, 'zeta.txt');
+    writeFileSync(input, '0\n0.5\n');
+    const piped = spawnSync(process.execPath, [CLI, 'zeta', '--format', 'json', '--quiet'], { input: readFileSync(input), encoding: 'utf8', timeout: 60000 });
+    assert.equal(piped.status, EXIT_CODES.OK);
+    assert.equal(JSON.parse(piped.stdout.split('\n')[1]).phi_m, 3.5);
+    assert.equal(spawnSync(process.execPath, [CLI, 'zeta', '--bogus'], { timeout: 60000 }).status, EXIT_CODES.USAGE);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
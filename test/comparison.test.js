@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compare_profiles,
+  comparison_columns,
+  export_comparison_table,
+  reference_row,
+  getProfile,
+  classification_table
+} from '../web/most.js';
+
+const GRID = { min: -1, max: 1, step: 0.5 };
+const CUSTOM = { ...getProfile('BD71'), key: undefined, name: 'Custom BD', stable: { bm: 4, bh: 4 } };
+
+test('every profile is evaluated on the same ζ values and set against the baseline', () => {
+  const cmp = compare_profiles(['BD71', 'HOG88'], GRID);
+  assert.deepEqual(cmp.profiles, ['BD71', 'HOG88']);
+  assert.equal(cmp.baseline, 'BD71');
+  assert.deepEqual(cmp.rows.map(r => r.zeta), [-1, -0.5, 0, 0.5, 1]);
+  const row = cmp.rows[3];
+  const hog = reference_row(0.5, 'HOG88');
+  assert.equal(row.phi_m_BD71, 3.5);
+  assert.equal(row.phi_h_HOG88, hog.phi_h);
+  assert.equal(row.phi_h_HOG88_minus_BD71, hog.phi_h - 3.5);
+  assert.deepEqual(cmp.columns.map(c => c.key), Object.keys(row));
+
+  const ratio = compare_profiles(['BD71', 'HOG88'], GRID, { baseline: 'HOG88', relative: 'ratio' });
+  assert.equal(ratio.rows[3].phi_m_BD71_over_HOG88, 3.5 / 4);
+  assert.ok(Number.isNaN(ratio.rows[2].Ri_g_BD71_over_HOG88));
+});
+
+test('a Ri-spaced comparison inverts the grid with the baseline', () => {
+  const cmp = compare_profiles(['BD71', 'HOG88'], { spacing: 'rig', min: 0, max: 0.15, count: 4 }, { baseline: 'HOG88' });
+  cmp.rows.forEach((row, i) => assert.ok(Math.abs(row.Ri_g_HOG88 - 0.05 * i) < 1e-10, `Ri_g ${row.Ri_g_HOG88}`));
+});
+
+test('bad comparison setups are refused', () => {
+  assert.throws(() => compare_profiles([], GRID), /at least one profile/);
+  assert.throws(() => comparison_columns(['BD71', 'BD71']), /'BD71' appears more than once/);
+  assert.throws(() => comparison_columns(['BD71'], { baseline: 'HOG88' }), /Baseline 'HOG88' is not one of the compared profiles \(BD71\)/);
+  assert.throws(() => comparison_columns(['BD71'], { relative: 'log' }), /Unknown comparison mode: log/);
+});
+
+test('an unregistered profile object can be compared and exported', () => {
+  const cmp = compare_profiles(['HOG88', CUSTOM], GRID);
+  assert.deepEqual(cmp.profiles, ['HOG88', 'custom']);
+  assert.equal(cmp.profile_objects[1], CUSTOM);
+
+  const { content, filename } = export_comparison_table('csv', cmp, { grid: GRID, created: '2024-01-01T00:00:00Z' });
+  assert.equal(filename, 'MOST_comparison_HOG88-custom_difference_linear_-1_1_step0.5_z10_z0m0.01_z0h0.01.csv');
+  assert.match(content, /# profiles\.custom\.name: Custom BD\n/);
+  assert.match(content, /# profiles\.custom\.stable\.bm: 4\n/);
+
+  // As the baseline, with a classification on its Ri_b
+  const based = compare_profiles(['HOG88', CUSTOM], GRID, { baseline: 'custom' });
+  const json = JSON.parse(export_comparison_table('json', based, {
+    created: '2024-01-01T00:00:00Z',
+    classification: classification_table('regime')
+  }).content);
+  assert.equal(json.metadata.comparison.baseline, 'custom');
+  assert.deepEqual(json.rows.map(r => r.stability_class), ['forced-convection', 'forced-convection', 'near-neutral', 'weakly-stable', 'very-stable']);
+});
+
+test('a comparison assembled from worker chunks exports without profile objects', () => {
+  const { profiles, baseline, relative, rows, columns } = compare_profiles(['BD71', 'HOG88'], GRID);
+  const md = export_comparison_table('markdown', { profiles, baseline, relative, rows, columns }, { created: '2024-01-01T00:00:00Z' }).content;
+  assert.match(md, /<!-- profiles\.HOG88\.stable\.bh: 7\.8 -->/);
+});
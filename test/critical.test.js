@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { critical_ri, ri_g, zeta_from_rig, zeta_from_rib } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('BD71 Ri_g rises to the 1/b asymptote without an interior peak', () => {
+  const { rig } = critical_ri('BD71');
+  assert.equal(rig.interior, false);
+  assert.equal(rig.limit, 0.2);
+  close(rig.value, 10 / 51, 1e-12, 'Ri_g(10) = 10 / (1 + 50)');
+});
+
+test('CB05 Ri_g peaks at ζ = 1/√c: the critical value is exact', () => {
+  // φ_m = φ_h = 1 + 6.1ζ + 5.3ζ², so Ri_g = ζ / (1 + 6.1ζ + 5.3ζ²)
+  const { rig } = critical_ri('CB05');
+  const zeta = 1 / Math.sqrt(5.3);
+  assert.equal(rig.interior, true);
+  close(rig.zeta, zeta, 1e-8, 'ζ_c');
+  close(rig.value, zeta / (1 + 6.1 * zeta + 5.3 * zeta * zeta), 1e-12, 'Ri_g,c');
+});
+
+test('below a peak both roots are returned, nearest neutral first', () => {
+  // 0.08 (1 + 6.1ζ + 5.3ζ²) = ζ  →  0.424ζ² - 0.512ζ + 0.08 = 0
+  const disc = Math.sqrt(0.512 ** 2 - 4 * 0.424 * 0.08);
+  const expected = [(0.512 - disc) / 0.848, (0.512 + disc) / 0.848];
+  const result = zeta_from_rig(0.08, 'CB05');
+  assert.equal(result.roots.length, 2);
+  result.roots.forEach((root, i) => {
+    assert.ok(root.converged);
+    close(root.zeta, expected[i], 1e-8, `root ${i}`);
+    close(ri_g(root.zeta, 'CB05'), 0.08, 1e-9, `Ri_g at root ${i}`);
+  });
+  assert.equal(result.zeta, result.roots[0].zeta);
+  assert.equal(result.critical.interior, true);
+});
+
+test('targets above the critical value are rejected, not clamped', () => {
+  const peak = zeta_from_rig(0.1, 'CB05');
+  assert.equal(peak.converged, false);
+  assert.equal(peak.reason, 'no-solution');
+  assert.deepEqual(peak.roots, []);
+  assert.match(peak.message, /critical \(maximum\) value is Ri_g,c = 0\.09342 at ζ = 0\.4344/);
+
+  const asymptote = zeta_from_rig(0.25, 'BD71');
+  assert.equal(asymptote.reason, 'no-solution');
+  assert.match(asymptote.message, /asymptote 0\.2/);
+});
+
+test('the critical Ri_b depends on the surface', () => {
+  const smooth = critical_ri('CB05', { Z: 10, Z0M: 0.001, Z0H: 0.001 }).rib;
+  const rough = critical_ri('CB05', { Z: 10, Z0M: 0.5, Z0H: 0.005 }).rib;
+  assert.ok(smooth.interior && rough.interior);
+  assert.notEqual(smooth.value, rough.value);
+  const result = zeta_from_rib(0.9 * rough.value, 'CB05', 0.1, { Z: 10, Z0M: 0.5, Z0H: 0.005 });
+  assert.equal(result.roots.length, 2);
+  assert.ok(result.roots[0].zeta < rough.zeta && result.roots[1].zeta > rough.zeta);
+  assert.equal(zeta_from_rib(1.1 * rough.value, 'CB05', 0.1, { Z: 10, Z0M: 0.5, Z0H: 0.005 }).reason, 'no-solution');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  listProfiles,
+  getProfile,
+  ri_g,
+  ri_b,
+  ri_ratio,
+  dri_g_dzeta,
+  d2ri_g_dzeta2,
+  dri_b_dzeta,
+  d2ri_b_dzeta2,
+  surface_params
+} from '../web/most.js';
+
+const rel = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)), `${what}: ${actual} vs ${expected}`);
+
+const SURFACE = { Z: 10, Z0M: 0.1, KB_INV: 2 };
+const ZETAS = [-2, -0.3, 0.2, 0.8];
+
+// Central differences of f at ζ, with a step small enough for the first
+// derivative and large enough for the second to stay out of rounding noise
+const d1 = (f, z, h = 1e-5) => (f(z + h) - f(z - h)) / (2 * h);
+const d2 = (f, z, h = 1e-3) => (f(z + h) - 2 * f(z) + f(z - h)) / (h * h);
+
+for (const { key } of listProfiles()) {
+  test(`${key}: analytic Ri derivatives match finite differences`, () => {
+    for (const zeta of ZETAS) {
+      const g = z => ri_g(z, key);
+      const b = z => ri_b(z, key, SURFACE);
+      rel(dri_g_dzeta(zeta, key), d1(g, zeta), 1e-6, `dRi_g/dζ at ${zeta}`);
+      rel(d2ri_g_dzeta2(zeta, key), d2(g, zeta), 1e-4, `d²Ri_g/dζ² at ${zeta}`);
+      rel(dri_b_dzeta(zeta, key, SURFACE), d1(b, zeta), 1e-6, `dRi_b/dζ at ${zeta}`);
+      rel(d2ri_b_dzeta2(zeta, key, SURFACE), d2(b, zeta), 1e-4, `d²Ri_b/dζ² at ${zeta}`);
+    }
+  });
+}
+
+test('stable BD71 derivatives have closed forms', () => {
+  // Ri_g = ζ/(1 + 5ζ) for ζ ≥ 0
+  for (const zeta of [0, 0.1, 1, 5]) {
+    rel(dri_g_dzeta(zeta, 'BD71'), 1 / (1 + 5 * zeta) ** 2, 1e-14, `dRi_g/dζ at ${zeta}`);
+    rel(d2ri_g_dzeta2(zeta, 'BD71'), -10 / (1 + 5 * zeta) ** 3, 1e-12, `d²Ri_g/dζ² at ${zeta}`);
+  }
+  // At neutral dRi_b/dζ = ln(z/z0h)/ln²(z/z0m)
+  const { LN_ZM, LN_ZH } = surface_params(SURFACE);
+  rel(dri_b_dzeta(0, 'BD71', SURFACE), LN_ZH / LN_ZM ** 2, 1e-12, 'dRi_b/dζ at 0');
+  assert.ok(Number.isFinite(d2ri_b_dzeta2(1e-7, 'BD71', SURFACE)));
+});
+
+test('profiles without analytic φ derivatives fall back to differences', () => {
+  const bare = { ...getProfile('HOG88'), key: undefined };
+  for (const name of ['dphi_m', 'dphi_h', 'd2phi_m', 'd2phi_h']) delete bare[name];
+  for (const zeta of ZETAS) {
+    rel(dri_g_dzeta(zeta, bare), dri_g_dzeta(zeta, 'HOG88'), 1e-6, `dRi_g/dζ at ${zeta}`);
+    rel(d2ri_b_dzeta2(zeta, bare, SURFACE), d2ri_b_dzeta2(zeta, 'HOG88', SURFACE), 1e-4, `d²Ri_b/dζ² at ${zeta}`);
+  }
+});
+
+test('Ri_g/Ri_b is the quotient away from neutral and its limit at neutral', () => {
+  for (const zeta of ZETAS) {
+    rel(ri_ratio(zeta, 'CB05', SURFACE), ri_g(zeta, 'CB05') / ri_b(zeta, 'CB05', SURFACE), 1e-12, `ratio at ${zeta}`);
+  }
+  const { LN_ZM, LN_ZH } = surface_params(SURFACE);
+  rel(ri_ratio(0, 'BD71', SURFACE), LN_ZM ** 2 / LN_ZH, 1e-14, 'neutral ratio');
+  rel(ri_ratio(1e-9, 'BD71', SURFACE), LN_ZM ** 2 / LN_ZH, 1e-7, 'near-neutral ratio');
+});
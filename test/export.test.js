@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatValue, checkPrecision, formatTable, flattenMetadata } from '../web/lib/export.js';
+import { readNetCDF } from '../web/lib/netcdf.js';
+import { export_reference_table, reference_table } from '../web/most.js';
+
+const COLUMNS = [
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L' },
+  { key: 'phi_m', label: 'φ_m', latex: '$\\phi_m$', units: '1', long_name: 'momentum gradient function' }
+];
+const TABLE = {
+  columns: COLUMNS,
+  rows: [{ zeta: -0.5, phi_m: 0.5773502691896258 }, { zeta: 0, phi_m: 1 }, { zeta: 1e-5, phi_m: NaN }],
+  metadata: { title: 'test', profile: { key: 'BD71', stable: { bm: 5 } } }
+};
+
+test('values are formatted at the chosen precision', () => {
+  assert.equal(formatValue(Math.PI), '3.1416');
+  assert.equal(formatValue(-0.00001), '0.0000');
+  assert.equal(formatValue(Math.PI, { notation: 'significant', digits: 3 }), '3.14');
+  assert.equal(formatValue(Math.PI, { notation: 'full' }), String(Math.PI));
+  assert.equal(formatValue(-Infinity), '-Infinity');
+  assert.deepEqual(checkPrecision({ notation: 'full', digits: 99 }), { notation: 'full' });
+  assert.throws(() => checkPrecision({ notation: 'fixed', digits: 16 }), /fixed needs digits from 0 to 15/);
+  assert.throws(() => checkPrecision({ notation: 'significant', digits: 0 }), /significant needs digits from 1 to 17/);
+  assert.throws(() => checkPrecision({ notation: 'exponential' }), /notation must be fixed, significant or full/);
+});
+
+test('nested metadata flattens to dotted keys', () => {
+  assert.deepEqual(flattenMetadata({ a: { b: 1, c: [1, 2] }, d: ['x', 'y'], e: undefined }),
+    [['a.b', 1], ['a.c', [1, 2]], ['d', 'x, y']]);
+});
+
+test('text formats carry the metadata as comments and round the values', () => {
+  const precision = { notation: 'fixed', digits: 3 };
+  assert.equal(formatTable('csv', TABLE, precision), [
+    '# title: test',
+    '# profile.key: BD71',
+    '# profile.stable.bm: 5',
+    '# precision.notation: fixed',
+    '# precision.digits: 3',
+    'zeta,phi_m',
+    '-0.500,0.577',
+    '0.000,1.000',
+    '0.000,NaN'
+  ].join('\n'));
+
+  const markdown = formatTable('markdown', TABLE, precision).split('\n');
+  assert.equal(markdown[0], '<!-- title: test -->');
+  assert.deepEqual(markdown.slice(6, 10), ['| ζ | φ_m |', '|---:|---:|', '| -0.500 | 0.577 |', '| 0.000 | 1.000 |']);
+
+  const latex = formatTable('latex', TABLE, precision);
+  assert.match(latex, /^% title: test\n/);
+  assert.match(latex, /\\begin\{tabular\}\{rr\}\n\\hline\n\$\\zeta\$ & \$\\phi_m\$ \\\\\n\\hline\n-0\.500 & 0\.577 \\\\\n/);
+  assert.throws(() => formatTable('xlsx', TABLE), /xlsx/);
+});
+
+test('JSON and NetCDF exports round to the precision and keep non-finite values apart', () => {
+  const precision = { notation: 'significant', digits: 2 };
+  const json = JSON.parse(formatTable('json', TABLE, precision));
+  assert.equal(json.$schema, 'urn:richardson:most-table:1');
+  assert.deepEqual(json.precision, precision);
+  assert.deepEqual(json.rows, [{ zeta: -0.5, phi_m: 0.58 }, { zeta: 0, phi_m: 1 }, { zeta: 0.00001, phi_m: null }]);
+  assert.deepEqual(json.columns.map(c => c.key), ['zeta', 'phi_m']);
+
+  const file = readNetCDF(formatTable('netcdf', TABLE, precision));
+  assert.equal(file.attributes.profile_key, 'BD71');
+  const phi = file.variables.find(v => v.name === 'phi_m');
+  assert.deepEqual([...phi.data], [0.58, 1, NaN]);
+  assert.equal(phi.attributes.long_name, 'momentum gradient function');
+});
+
+test('reference table exports record the profile, surface, grid and solver settings', () => {
+  const grid = { min: -0.5, max: 0.5, step: 0.5 };
+  const { rows } = reference_table(grid, 'BD71');
+  const { content, filename, mime } = export_reference_table('json', rows, 'BD71', {
+    grid,
+    created: '2024-01-01T00:00:00Z',
+    surface: { Z: 10, Z0M: 0.1, KB_INV: 2 },
+    precision: { notation: 'full' }
+  });
+  assert.equal(filename, 'MOST_reference_BD71_linear_-0.5_0.5_step0.5_z10_z0m0.1_z0h0.01353.json');
+  assert.equal(mime, 'application/json');
+  const { metadata, rows: written } = JSON.parse(content);
+  assert.equal(metadata.created, '2024-01-01T00:00:00Z');
+  assert.deepEqual(metadata.profile.stable, { bm: 5, bh: 5 });
+  assert.equal(metadata.surface.kB_inv, 2);
+  assert.equal(metadata.grid.description, 'ζ from -0.5 to 0.5, step 0.5');
+  assert.equal(metadata.numerics.NEWTON_TOL, 1e-10);
+  assert.equal(written[2].phi_m, 3.5);
+  assert.equal(written[0].Ri_b, rows[0].Ri_b);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { levenbergMarquardt, numericJacobian, invertMatrix } from '../web/lib/fit.js';
+import { createRng, createNormalRng } from '../web/lib/stats.js';
+import { fit_profile, register_fitted_profile, getProfile, unregisterProfile, ri_g } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+const ZETAS = Float64Array.from({ length: 41 }, (_, i) => -2 + 0.1 * i);
+
+test('matrix inversion and the numeric Jacobian', () => {
+  assert.deepEqual(invertMatrix([[2, 0], [0, 4]]), [[0.5, 0], [0, 0.25]]);
+  assert.equal(invertMatrix([[1, 2], [2, 4]]), null);
+  const J = numericJacobian(([a, b]) => [a * b, a + 2 * b], [3, 5]);
+  [[5, 3], [1, 2]].forEach((row, i) => row.forEach((v, j) => close(J[i][j], v, 1e-8, `J[${i}][${j}]`)));
+});
+
+test('Levenberg–Marquardt recovers an exponential decay and its covariance', () => {
+  const t = Array.from({ length: 20 }, (_, i) => i / 4);
+  const y = t.map(x => 2.5 * Math.exp(-1.3 * x));
+  const fit = levenbergMarquardt(([a, b]) => t.map((x, i) => a * Math.exp(-b * x) - y[i]), [1, 0.5]);
+  assert.ok(fit.converged, fit.reason);
+  close(fit.x[0], 2.5, 1e-8, 'a');
+  close(fit.x[1], 1.3, 1e-8, 'b');
+  assert.ok(fit.rss < 1e-20);
+
+  // A straight line: the covariance is s² (XᵀX)⁻¹
+  const x = [0, 1, 2, 3];
+  const line = levenbergMarquardt(([a, b]) => x.map((v, i) => a + b * v - [1, 3, 4, 7][i]), [0, 0]);
+  close(line.x[0], 0.9, 1e-8, 'intercept');
+  close(line.x[1], 1.9, 1e-8, 'slope');
+  const s2 = line.rss / 2;
+  close(line.covariance[1][1], s2 / 5, 1e-9, 'var(slope)');
+  close(line.covariance[0][0], s2 * 14 / 20, 1e-9, 'var(intercept)');
+
+  const bad = levenbergMarquardt(([a]) => [Math.sqrt(a)], [-1]);
+  assert.deepEqual([bad.converged, bad.reason], [false, 'non-finite']);
+});
+
+test('fitting the Businger–Dyer form to HOG88 φ recovers the HOG88 coefficients', () => {
+  const hog = getProfile('HOG88');
+  const data = {
+    zeta: ZETAS,
+    phi_m: ZETAS.map(z => hog.phi_m(z, hog)),
+    phi_h: ZETAS.map(z => hog.phi_h(z, hog))
+  };
+  const fit = fit_profile(data, 'BD71');
+  assert.ok(fit.converged, fit.reason);
+  assert.equal(fit.count, 41);
+  assert.deepEqual(fit.fixed, []);
+  for (const regime of ['unstable', 'stable']) {
+    for (const [key, value] of Object.entries(hog[regime])) {
+      close(fit.coefficients[regime][key], value, 1e-6 * value, `${regime}.${key}`);
+    }
+  }
+  assert.ok(fit.goodness.rss < 1e-18);
+  close(fit.goodness.columns.phi_h.r2, 1, 1e-12, 'r²');
+});
+
+test('noisy data give standard errors that cover the truth', () => {
+  const hog = getProfile('HOG88');
+  const normal = createNormalRng(createRng(4));
+  const data = { zeta: ZETAS, phi_m: ZETAS.map(z => hog.phi_m(z, hog) * (1 + 0.02 * normal())) };
+  const fit = fit_profile(data, 'BD71', { target: 'phi_m', parameters: ['unstable.am', 'stable.bm'] });
+  const [am, bm] = fit.parameters;
+  assert.equal(am.name, 'unstable.am');
+  assert.equal(am.initial, 16);
+  assert.ok(Math.abs(am.value - 19.3) < 3 * am.stderr, `a_m ${am.value} ± ${am.stderr}`);
+  assert.ok(Math.abs(bm.value - 6) < 3 * bm.stderr, `b_m ${bm.value} ± ${bm.stderr}`);
+  assert.ok(am.stderr > 0 && am.stderr < 5);
+  // Coefficients left out keep the BD71 values
+  assert.equal(fit.coefficients.unstable.bm, 0.25);
+  assert.equal(fit.coefficients.stable.bh, 5);
+});
+
+test('coefficients the data cannot constrain are held fixed', () => {
+  const unstable = Float64Array.from({ length: 10 }, (_, i) => -0.2 * (i + 1));
+  const fit = fit_profile({ zeta: unstable, Ri_g: unstable.map(z => ri_g(z, 'HOG88')) }, 'BD71', { target: 'Ri_g' });
+  assert.ok(fit.fixed.includes('stable.bm') && fit.fixed.every(name => name.startsWith('stable.')), fit.fixed.join());
+  assert.deepEqual(fit.coefficients.stable, getProfile('BD71').stable);
+  fit.fitted.Ri_g.forEach((v, i) => close(v, ri_g(unstable[i], 'HOG88'), 1e-6, `Ri_g ${i}`));
+
+  assert.throws(() => fit_profile({ zeta: [1] }, 'BD71', { target: 'psi' }), /Unknown fit target: psi/);
+  assert.throws(() => fit_profile({ zeta: [1, 2] }, 'BD71', { target: 'phi_m' }), /phi_m/);
+});
+
+test('a fitted profile registers under a new key', () => {
+  const hog = getProfile('HOG88');
+  const fit = fit_profile({ zeta: ZETAS, phi_m: ZETAS.map(z => hog.phi_m(z, hog)) }, 'BD71', { target: 'phi_m' });
+  try {
+    const registered = register_fitted_profile('FIT1', fit);
+    assert.equal(registered.name, 'Businger-Dyer 1971 (fitted)');
+    assert.equal(registered.base, 'BD71');
+    close(registered.phi_m(0.5, registered), hog.phi_m(0.5, hog), 1e-9, 'φ_m');
+    assert.match(registered.reference, /^Fitted to 41 records \(phi_m\) from BD71: /);
+    assert.throws(() => register_fitted_profile('FIT1', fit), /already registered/);
+  } finally {
+    unregisterProfile('FIT1');
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solve_fluxes, psi_m, psi_h, PHYSICAL_CONSTANTS } from '../web/most.js';
+
+const { KAPPA, G, RHO, CP } = PHYSICAL_CONSTANTS;
+
+const rel = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol * Math.abs(expected), `${what}: ${actual} vs ${expected}`);
+
+/**
+ * Observations that MOST maps exactly onto u*, ζ at the top height, a
+ * surface (bulk: z0m, z0h) or lower level (two-level): θ* follows from
+ * L = θ̄ u*² / (κ g θ*), with θ̄ found by fixed-point iteration.
+ */
+const synthesize = ({ u_star, zeta, z, z_m, z_h, theta_0, u_0 = 0 }, prof) => {
+  const log_m = Math.log(z / z_m) - psi_m(zeta, prof) + psi_m(zeta * z_m / z, prof);
+  const log_h = Math.log(z / z_h) - psi_h(zeta, prof) + psi_h(zeta * z_h / z, prof);
+  let theta_star = 0;
+  for (let i = 0; i < 50; i++) {
+    const theta_mean = theta_0 + 0.5 * theta_star * log_h / KAPPA;
+    theta_star = theta_mean * u_star * u_star * zeta / (KAPPA * G * z);
+  }
+  return { u: u_0 + u_star * log_m / KAPPA, theta: theta_0 + theta_star * log_h / KAPPA, theta_star };
+};
+
+for (const [label, zeta] of [['stable', 0.2], ['unstable', -0.8]]) {
+  test(`bulk mode recovers u*, θ*, L, H and τ (${label})`, () => {
+    const surface = { Z0M: 0.05, Z0H: 0.0005 };
+    const obs = synthesize({ u_star: 0.3, zeta, z: 10, z_m: 0.05, z_h: 0.0005, theta_0: 285 }, 'HOG88');
+    const result = solve_fluxes({ levels: [{ z: 10, u: obs.u, theta: obs.theta }], theta_s: 285, surface }, 'HOG88');
+    assert.equal(result.converged, true);
+    assert.equal(result.method, 'bulk');
+    rel(result.u_star, 0.3, 1e-8, 'u*');
+    rel(result.theta_star, obs.theta_star, 1e-8, 'θ*');
+    rel(result.L, 10 / zeta, 1e-8, 'L');
+    rel(result.intermediate.L_closure, result.L, 1e-8, 'closure L');
+    rel(result.H, -RHO * CP * 0.3 * obs.theta_star, 1e-8, 'H');
+    rel(result.tau, RHO * 0.09, 1e-8, 'τ');
+    assert.equal(Math.sign(result.H), -Math.sign(zeta));
+  });
+}
+
+test('two-level mode uses the lower level in place of the roughness lengths', () => {
+  const obs = synthesize({ u_star: 0.45, zeta: 0.05, z: 8, z_m: 2, z_h: 2, theta_0: 290, u_0: 3 }, 'BD71');
+  const result = solve_fluxes({ levels: [{ z: 8, u: obs.u, theta: obs.theta }, { z: 2, u: 3, theta: 290 }] }, 'BD71');
+  assert.equal(result.method, 'two-level');
+  assert.equal(result.converged, true);
+  rel(result.u_star, 0.45, 1e-8, 'u*');
+  rel(result.theta_star, obs.theta_star, 1e-8, 'θ*');
+  rel(result.L, 160, 1e-8, 'L');
+  assert.equal(result.intermediate.dU, obs.u - 3);
+});
+
+test('neutral bulk observations give the log-law u* and an infinite L', () => {
+  const u = 0.4 / KAPPA * Math.log(10 / 0.01);
+  const result = solve_fluxes({ levels: [{ z: 10, u, theta: 290 }], theta_s: 290, surface: { Z0M: 0.01, Z0H: 0.01 } }, 'BD71');
+  rel(result.u_star, 0.4, 1e-12, 'u*');
+  assert.equal(result.theta_star, 0);
+  assert.equal(result.L, Infinity);
+  assert.equal(result.H, -0);
+});
+
+test('constants override the defaults: Ri_b and ζ do not depend on κ, u* and θ* scale with it', () => {
+  const level = { z: 10, u: 5, theta: 290 };
+  const a = solve_fluxes({ levels: [level], theta_s: 289 }, 'BD71');
+  const b = solve_fluxes({ levels: [level], theta_s: 289 }, 'BD71', { KAPPA: 0.35 });
+  assert.equal(b.intermediate.zeta, a.intermediate.zeta);
+  rel(b.u_star / a.u_star, 0.35 / KAPPA, 1e-12, 'u*');
+  rel(b.theta_star / a.theta_star, 0.35 / KAPPA, 1e-12, 'θ*');
+});
+
+test('bad input throws; unsolvable input returns converged = false with a message', () => {
+  const level = { z: 10, u: 5, theta: 290 };
+  assert.throws(() => solve_fluxes({ levels: [] }, 'BD71'), /one level \(bulk\) or two levels/);
+  assert.throws(() => solve_fluxes({ levels: [level] }, 'BD71'), /theta_s/);
+  assert.throws(() => solve_fluxes({ levels: [{ ...level, u: -1 }], theta_s: 290 }, 'BD71'), /Invalid level/);
+  assert.throws(() => solve_fluxes({ levels: [level, { ...level }] }, 'BD71'), /different heights/);
+  assert.throws(() => solve_fluxes({ levels: [level], theta_s: 290 }, 'BD71', { G: 0 }), /Invalid constant G/);
+
+  const calm = solve_fluxes({ levels: [{ ...level, u: 0 }], theta_s: 290 }, 'BD71');
+  assert.equal(calm.converged, false);
+  assert.match(calm.message, /ΔU > 0/);
+
+  const decoupled = solve_fluxes({ levels: [{ ...level, u: 0.5 }], theta_s: 280 }, 'BD71');
+  assert.equal(decoupled.converged, false);
+  assert.equal(decoupled.solver.reason, 'no-solution');
+  assert.ok(decoupled.intermediate.Ri_b > 1);
+  assert.ok(Number.isNaN(decoupled.u_star));
+});
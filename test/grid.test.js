@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linearGrid, logGrid, MAX_GRID_POINTS } from '../web/lib/grid.js';
+import { zeta_grid, describe_grid, reference_table, ri_g, ri_b } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('linear grids keep their end point and clean rounding noise', () => {
+  const grid = linearGrid(-10, 10, { step: 0.1 });
+  assert.equal(grid.length, 201);
+  assert.equal(grid[0], -10);
+  assert.equal(grid[1], -9.9);
+  assert.equal(grid[200], 10);
+  assert.deepEqual([...linearGrid(0, 1, { step: 0.3 })], [0, 0.3, 0.6, 0.9]);
+  assert.deepEqual([...linearGrid(-1, 1, { count: 5 })], [-1, -0.5, 0, 0.5, 1]);
+});
+
+test('invalid ranges, steps and counts are refused', () => {
+  assert.throws(() => linearGrid(1, 1, { step: 0.1 }), /need finite min < max/);
+  assert.throws(() => linearGrid(0, 1, { step: 0 }), /step must be a positive number/);
+  assert.throws(() => linearGrid(0, 1, { count: 1 }), /count must be an integer from 2/);
+  assert.throws(() => linearGrid(0, 1, { step: 1 / MAX_GRID_POINTS / 2 }), /the number of points/);
+  assert.throws(() => logGrid(-1, 1, { count: 11, minAbs: 2 }), /minAbs must be positive and inside the range/);
+  assert.throws(() => logGrid(-1, 1, { count: 3 }), /count 3 is too small/);
+});
+
+test('log grids are geometric in |ζ| and include zero when it is in range', () => {
+  assert.deepEqual([...logGrid(0.01, 10, { count: 4 })], [0.01, 0.1, 1, 10]);
+  assert.deepEqual([...logGrid(-10, -0.01, { count: 4 })], [-10, -1, -0.1, -0.01]);
+
+  // Three decades below zero and one above: the eight non-zero points go 6 : 2
+  const grid = logGrid(-1, 0.01, { count: 9, minAbs: 1e-3 });
+  assert.equal(grid.length, 9);
+  assert.deepEqual([...grid.slice(5)], [-0.001, 0, 0.001, 0.01]);
+  for (let i = 1; i < 5; i++) close(grid[i] / grid[i + 1], Math.pow(10, 0.6), 1e-9, `ratio ${i}`);
+});
+
+test('Ri-spaced grids invert each target and drop those with no solution', () => {
+  const { zeta, target, dropped } = zeta_grid({ spacing: 'rig', min: -0.5, max: 0.3, step: 0.1 }, 'BD71');
+  // BD71 Ri_g tends to 0.2: the 0.2 and 0.3 targets have no solution
+  assert.deepEqual([...target], [-0.5, -0.4, -0.3, -0.2, -0.1, 0, 0.1]);
+  assert.deepEqual(dropped.map(d => d.value), [0.2, 0.3]);
+  zeta.forEach((z, i) => close(ri_g(z, 'BD71'), target[i], 1e-10, `Ri_g at ${target[i]}`));
+  close(zeta[6], 0.2, 1e-10, 'ζ at Ri_g 0.1');
+
+  const rib = zeta_grid({ spacing: 'rib', min: -1, max: 0.1, count: 4 }, 'HOG88');
+  assert.equal(rib.dropped.length, 0);
+  rib.zeta.forEach((z, i) => close(ri_b(z, 'HOG88'), rib.target[i], 1e-10, `Ri_b at ${rib.target[i]}`));
+
+  const plain = zeta_grid({ min: -1, max: 1, count: 3 }, 'BD71');
+  assert.deepEqual([...plain.zeta], [-1, 0, 1]);
+  assert.equal(plain.target, null);
+  assert.throws(() => zeta_grid({ spacing: 'cubic', min: 0, max: 1, count: 3 }), /spacing must be one of linear, log, rig, rib/);
+});
+
+test('grids are described for file names and headers', () => {
+  assert.deepEqual(describe_grid({ min: -10, max: 10, step: 0.1 }),
+    { tag: 'linear_-10_10_step0.1', header: 'ζ from -10 to 10, step 0.1' });
+  assert.deepEqual(describe_grid({ spacing: 'log', min: -5, max: 5, count: 41 }),
+    { tag: 'log_-5_5_41pts', header: 'ζ from -5 to 5, 41 points, |ζ| ≥ 0.001, log-spaced' });
+  assert.deepEqual(describe_grid({ spacing: 'rib', min: -1, max: 0.2, step: 0.05 }),
+    { tag: 'rib_-1_0.2_step0.05', header: 'Ri_b from -1 to 0.2, step 0.05, ζ by inversion' });
+});
+
+test('reference tables have one row per grid point', () => {
+  const { rows, dropped } = reference_table({ spacing: 'rig', min: 0, max: 0.25, count: 6 }, 'BD71');
+  assert.deepEqual(dropped.map(d => d.value), [0.2, 0.25]);
+  assert.equal(rows.length, 4);
+  close(rows[1].Ri_g, 0.05, 1e-10, 'Ri_g');
+  assert.equal(rows[0].zeta, 0);
+  assert.equal(rows[0].phi_m, 1);
+});
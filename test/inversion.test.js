@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newtonBisect } from '../web/lib/roots.js';
+import { listProfiles, critical_ri, ri_g, ri_b, zeta_from_rig, zeta_from_rib } from '../web/most.js';
+
+const ZETAS = [-5, -1, -0.2, -0.01, 0, 0.01, 0.1, 0.3];
+const SURFACES = [{ Z: 10, Z0M: 0.01, Z0H: 0.01 }, { Z: 2, Z0M: 0.1, Z0H: 0.001 }];
+
+// ζ values below the stable-side maximum of Ri, where the inversion is unique
+const invertible = (zetas, critical) => zetas.filter(zeta => !critical.interior || zeta < critical.zeta);
+
+test('newtonBisect converges quadratically on a smooth root', () => {
+  const r = newtonBisect(x => x ** 3 - 2, x => 3 * x * x, 0, 3, { guess: 1 });
+  assert.equal(r.converged, true);
+  assert.equal(r.reason, 'residual');
+  assert.ok(Math.abs(r.root - Math.cbrt(2)) < 1e-12);
+  assert.ok(r.iterations <= 8, `${r.iterations} iterations`);
+});
+
+test('newtonBisect bisects when Newton would leave the bracket', () => {
+  // atan has a flat tail: plain Newton from x = 3 diverges
+  const r = newtonBisect(Math.atan, x => 1 / (1 + x * x), -2, 10, { guess: 3 });
+  assert.equal(r.converged, true);
+  assert.ok(Math.abs(r.root) < 1e-10);
+});
+
+test('newtonBisect reports a missing bracket, non-finite ends and an exhausted budget', () => {
+  assert.equal(newtonBisect(x => x * x + 1, x => 2 * x, -1, 1).reason, 'no-bracket');
+  assert.equal(newtonBisect(x => 1 / x, x => -1 / (x * x), 0, 1).reason, 'non-finite');
+  const slow = newtonBisect(x => x - Math.PI, () => 0, 0, 4, { maxIter: 5 });
+  assert.equal(slow.converged, false);
+  assert.equal(slow.reason, 'max-iterations');
+  assert.equal(slow.iterations, 5);
+});
+
+for (const { key } of listProfiles()) {
+  test(`${key}: ζ → Ri_g → ζ`, () => {
+    for (const zeta of invertible(ZETAS, critical_ri(key).rig)) {
+      const result = zeta_from_rig(ri_g(zeta, key), key);
+      assert.ok(result.converged, `ζ = ${zeta}: ${result.message ?? 'not converged'}`);
+      assert.ok(Math.abs(result.zeta - zeta) <= 1e-6 * Math.max(1, Math.abs(zeta)), `ζ = ${zeta} came back as ${result.zeta}`);
+    }
+  });
+
+  test(`${key}: ζ → Ri_b → ζ`, () => {
+    for (const surface of SURFACES) {
+      for (const zeta of invertible(ZETAS, critical_ri(key, surface).rib)) {
+        const result = zeta_from_rib(ri_b(zeta, key, surface), key, 0.1, surface);
+        assert.ok(result.converged, `ζ = ${zeta}, z = ${surface.Z} m: ${result.message ?? 'not converged'}`);
+        assert.ok(Math.abs(result.zeta - zeta) <= 1e-6 * Math.max(1, Math.abs(zeta)), `ζ = ${zeta} came back as ${result.zeta}`);
+      }
+    }
+  });
+}
+
+test('inversion diagnostics: neutral, a known value and a bad target', () => {
+  assert.equal(zeta_from_rig(0, 'BD71').zeta, 0);
+  // BD71 stable: Ri_g = ζ / (1 + 5ζ), so Ri_g = 0.1 at ζ = 0.2
+  const r = zeta_from_rig(0.1, 'BD71');
+  assert.ok(Math.abs(r.zeta - 0.2) < 1e-10);
+  assert.ok(Math.abs(r.residual) < 1e-10);
+  assert.ok(r.iterations > 0 && r.iterations < 20);
+  const bad = zeta_from_rig(NaN, 'BD71');
+  assert.equal(bad.converged, false);
+  assert.equal(bad.reason, 'non-finite');
+  assert.match(bad.message, /finite number/);
+});
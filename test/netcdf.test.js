@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeNetCDF, readNetCDF } from '../web/lib/netcdf.js';
+import { export_reference_table, reference_table, classification_table } from '../web/most.js';
+
+const DATASET = {
+  dimensions: { row: 3 },
+  attributes: { title: 'test', levels: [2, 10] },
+  variables: [
+    { name: 'zeta', dimensions: ['row'], type: 'double', data: [-1, 0, NaN], attributes: { units: '1' } },
+    { name: 'n', dimensions: ['row'], type: 'int', data: [1, 2, 3] }
+  ]
+};
+
+test('the header starts with the classic magic, numrecs and dimension list', () => {
+  const bytes = writeNetCDF(DATASET);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.deepEqual([...bytes.subarray(0, 4)], [0x43, 0x44, 0x46, 0x01]); // 'CDF', version 1
+  assert.equal(view.getUint32(4), 0); // numrecs: no record dimension
+  assert.equal(view.getUint32(8), 0x0a); // NC_DIMENSION
+  assert.equal(view.getUint32(12), 1); // one dimension
+  assert.equal(view.getUint32(16), 3); // name length, padded to 4 bytes
+  assert.equal(new TextDecoder().decode(bytes.subarray(20, 23)), 'row');
+  assert.equal(view.getUint32(24), 3); // its length
+  assert.equal(view.getUint32(28), 0x0c); // NC_ATTRIBUTE: the global attributes follow
+  assert.equal(bytes.length % 4, 0);
+});
+
+test('a written file reads back with its dimensions, attributes and data', () => {
+  const file = readNetCDF(writeNetCDF(DATASET));
+  assert.equal(file.version, 1);
+  assert.deepEqual(file.dimensions, [{ name: 'row', length: 3, unlimited: false }]);
+  assert.deepEqual(file.attributes, { title: 'test', levels: [2, 10] });
+  const [zeta, n] = file.variables;
+  assert.equal(zeta.type, 'double');
+  assert.deepEqual([...zeta.data], [-1, 0, NaN]);
+  assert.deepEqual(zeta.attributes, { units: '1' });
+  assert.equal(n.type, 'int');
+  assert.deepEqual([...n.data], [1, 2, 3]);
+});
+
+test('invalid datasets are refused', () => {
+  assert.throws(() => writeNetCDF({ ...DATASET, variables: [{ ...DATASET.variables[0], data: [1] }] }));
+  assert.throws(() => writeNetCDF({ ...DATASET, variables: [{ ...DATASET.variables[0], dimensions: ['time'] }] }));
+  assert.throws(() => readNetCDF(new TextEncoder().encode('zeta,phi_m\n0,1\n')), /Not a NetCDF file/);
+});
+
+test('a classified reference table export keeps the class index and flags', () => {
+  const grid = { min: -0.5, max: 0.5, step: 0.25 };
+  const { content } = export_reference_table('netcdf', reference_table(grid, 'BD71').rows, 'BD71', {
+    grid,
+    classification: classification_table('regime'),
+    created: '2024-01-01T00:00:00Z'
+  });
+  const file = readNetCDF(content);
+  assert.equal(file.attributes.classification_flag_meanings,
+    'free-convection forced-convection near-neutral weakly-stable very-stable');
+  assert.deepEqual(file.attributes.classification_flag_values, [0, 1, 2, 3, 4]);
+  const classes = file.variables.find(v => v.name === 'stability_class');
+  assert.deepEqual([...classes.data], [1, 1, 2, 3, 3]);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited, parseTOA5 } from '../web/lib/text.js';
+import { readDataset, parseTimestamp, decodeCFTime } from '../web/lib/observations.js';
+import { writeNetCDF } from '../web/lib/netcdf.js';
+import { stability_series, solve_fluxes, export_stability_series } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+const TOA5 = [
+  '"TOA5","tower","CR3000","1234","CR3000.Std.32","CPU:flux.CR3","5678","Met"',
+  '"TIMESTAMP","RECORD","U_2","U_10","T_2","T_10"',
+  '"TS","RN","m/s","m/s","C","C"',
+  '"","","Avg","Avg","Avg","Avg"',
+  '"2024-06-01 12:00:00",0,3.1,4.6,20.4,19.9',
+  '"2024-06-01 12:30:00",1,"NAN",4.2,20.1,19.8',
+  '"2024-06-01 13:00:00",2,-1,4.0,20.0,19.7',
+  '"2024-06-01 13:30:00",3,2.0,3.5,18.0,18.6'
+].join('\n');
+
+const MAPPING = {
+  levels: [{ z: 2, u: 'U_2', theta: 'T_2' }, { z: 10, u: 'U_10', theta: 'T_10' }],
+  temperature_units: 'C'
+};
+
+test('delimited text and TOA5 split into named string fields', () => {
+  assert.deepEqual(parseDelimited('# site A\nt;u\n1;"2;5"\n3'), {
+    names: ['t', 'u'], rows: [['1', '2;5'], ['3', '']], delimiter: ';', skipped: 1
+  });
+  assert.deepEqual(parseDelimited('1,2\n3,4').names, ['col1', 'col2']);
+  assert.throws(() => parseDelimited('# only a comment\n'), /No data lines found/);
+
+  const toa5 = parseTOA5(TOA5);
+  assert.equal(toa5.environment.table_name, 'Met');
+  assert.deepEqual(toa5.units.slice(2), ['m/s', 'm/s', 'C', 'C']);
+  assert.equal(toa5.rows[1][2], 'NAN');
+  assert.throws(() => parseTOA5('a,b\n1,2'), /Not a TOA5 file/);
+});
+
+test('datasets get numeric columns, missing values and a time axis', () => {
+  const toa5 = readDataset(TOA5);
+  assert.equal(toa5.format, 'toa5');
+  assert.equal(toa5.length, 4);
+  assert.ok(Number.isNaN(toa5.columns.U_2[1]));
+  assert.equal(toa5.units.T_2, 'C');
+  assert.equal(toa5.time_column, 'TIMESTAMP');
+  assert.equal(toa5.time[1] - toa5.time[0], 30 * 60 * 1000);
+
+  const csv = readDataset('time,u\n2024-06-01T00:00Z,-9999\n2024-06-01T01:00Z,na\n2024-06-01T02:00Z,3');
+  assert.deepEqual([...csv.columns.u], [NaN, NaN, 3]);
+  assert.equal(csv.time[0], Date.UTC(2024, 5, 1));
+  assert.equal(parseTimestamp('2024/06/01 12:30:00+02:00'), Date.UTC(2024, 5, 1, 10, 30));
+  assert.deepEqual([...decodeCFTime([0, 1.5], 'hours since 2024-06-01 00:00:00')], [Date.UTC(2024, 5, 1), Date.UTC(2024, 5, 1, 1, 30)]);
+
+  const bytes = writeNetCDF({
+    dimensions: { time: 2 },
+    attributes: {},
+    variables: [
+      { name: 'time', dimensions: ['time'], type: 'double', data: [0, 60], attributes: { units: 'seconds since 2024-06-01' } },
+      { name: 'u', dimensions: ['time'], type: 'double', data: [2, -999], attributes: { _FillValue: -999 } }
+    ]
+  });
+  const nc = readDataset(bytes, { filename: 'met.nc' });
+  assert.equal(nc.format, 'netcdf');
+  assert.deepEqual([...nc.columns.u], [2, NaN]);
+  assert.deepEqual([...nc.time], [Date.UTC(2024, 5, 1), Date.UTC(2024, 5, 1, 0, 1)]);
+  assert.throws(() => readDataset('x', { format: 'netcdf' }), /must be read as bytes/);
+});
+
+test('each record is solved as solve_fluxes would, and failures are flagged', () => {
+  const series = stability_series(readDataset(TOA5), MAPPING, 'BD71');
+  assert.equal(series.method, 'two-level');
+  assert.deepEqual(series.reason.slice(1, 3), ['missing', 'invalid']);
+  assert.deepEqual([...series.converged], [1, 0, 0, 1]);
+  assert.deepEqual(series.summary.invalid, {
+    'Invalid level: need z > 0 m, u ≥ 0 m/s and θ > 0 K (got z = 2, u = -1, θ = 293.15)': 1
+  });
+
+  const direct = solve_fluxes({ levels: [{ z: 2, u: 3.1, theta: 293.55 }, { z: 10, u: 4.6, theta: 293.05 }] }, 'BD71');
+  close(series.zeta[0], direct.intermediate.zeta, 1e-12, 'ζ');
+  close(series.H[0], direct.H, 1e-9, 'H');
+  assert.ok(series.zeta[0] < 0 && series.zeta[3] > 0);
+  assert.ok(Number.isNaN(series.zeta[1]) && Number.isNaN(series.Ri_b[2]));
+});
+
+test('an invalid constant is an error, not a series of invalid records', () => {
+  assert.throws(() => stability_series(readDataset(TOA5), MAPPING, 'BD71', { constants: { G: 0 } }),
+    /Invalid constant G: must be positive \(got 0\)/);
+  assert.throws(() => stability_series(readDataset(TOA5), { ...MAPPING, levels: [MAPPING.levels[0]] }, 'BD71'),
+    /needs a surface temperature column theta_s/);
+  assert.throws(() => stability_series(readDataset(TOA5), { levels: [{ z: 2, u: 'U', theta: 'T_2' }] }, 'BD71'),
+    /No numeric column 'U' for level 1 wind/);
+});
+
+test('sonic stability is compared with the profile stability', () => {
+  const dataset = readDataset('u1,u2,t1,t2,L\n3.1,4.6,293.55,293.05,-20\n2,3.5,291.15,291.75,40');
+  const mapping = {
+    levels: [{ z: 2, u: 'u1', theta: 't1' }, { z: 10, u: 'u2', theta: 't2' }],
+    sonic: { z: 4, L: 'L' }
+  };
+  const series = stability_series(dataset, mapping, 'BD71');
+  assert.deepEqual([...series.zeta_sonic], [-0.2, 0.1]);
+  assert.deepEqual([...series.L_sonic], [-20, 40]);
+  assert.equal(series.summary.comparison.count, 2);
+
+  const { content, filename } = export_stability_series('csv', series, 'BD71', {
+    mapping, source: 'tower 1.csv', created: '2024-01-01T00:00:00Z', precision: { notation: 'significant', digits: 3 }
+  });
+  assert.equal(filename, 'MOST_stability_tower_1_BD71.csv');
+  assert.match(content, /# observations\.method: two-level\n/);
+  const lines = content.trim().split('\n').filter(l => !l.startsWith('#'));
+  assert.equal(lines[0], 'Ri_b,zeta,L,u_star,H,zeta_sonic,converged');
+  assert.match(lines[1], /,-0\.200,1$/);
+});
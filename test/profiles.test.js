@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerProfile,
+  unregisterProfile,
+  getProfile,
+  listProfiles,
+  onProfilesChange,
+  isBuiltinProfile,
+  withParams,
+  phi_m,
+  psi_m_estimate,
+  psi_h_estimate
+} from '../web/most.js';
+
+// Businger–Dyer written out by hand, with no closed-form ψ
+const HAND_BD = {
+  name: 'Hand-written Businger–Dyer',
+  unstable: { am: 16, ah: 16 },
+  stable: { bm: 5, bh: 5 },
+  phi_m: (zeta, p) => (zeta < 0 ? (1 - p.unstable.am * zeta) ** -0.25 : 1 + p.stable.bm * zeta),
+  phi_h: (zeta, p) => (zeta < 0 ? (1 - p.unstable.ah * zeta) ** -0.5 : 1 + p.stable.bh * zeta)
+};
+
+test('a registered profile is listed and resolves by key', () => {
+  const p = registerProfile('TEST_REG', HAND_BD);
+  try {
+    assert.equal(p.key, 'TEST_REG');
+    assert.equal(getProfile('TEST_REG'), p);
+    assert.deepEqual(listProfiles().at(-1), { key: 'TEST_REG', name: HAND_BD.name, reference: undefined });
+    assert.equal(phi_m(0.2, 'TEST_REG'), 2);
+    assert.throws(() => registerProfile('TEST_REG', HAND_BD), /already registered/);
+    assert.equal(registerProfile('TEST_REG', { ...HAND_BD, name: 'Renamed' }, { replace: true }).name, 'Renamed');
+  } finally {
+    unregisterProfile('TEST_REG');
+  }
+  assert.throws(() => getProfile('TEST_REG'), /Unknown MOST profile: TEST_REG/);
+  assert.equal(unregisterProfile('TEST_REG'), false);
+});
+
+test('incomplete definitions are refused', () => {
+  assert.throws(() => registerProfile('', HAND_BD), /non-empty string/);
+  assert.throws(() => registerProfile('TEST_BAD', { ...HAND_BD, name: undefined }), /needs a name/);
+  assert.throws(() => registerProfile('TEST_BAD', { ...HAND_BD, phi_h: 1 }), /must supply phi_h/);
+  assert.throws(() => registerProfile('TEST_BAD', { ...HAND_BD, psi_m: 'x' }), /psi_m must be a function/);
+  assert.throws(() => getProfile('TEST_BAD'));
+});
+
+test('listeners hear every change until they unsubscribe', () => {
+  const calls = [];
+  const unsubscribe = onProfilesChange(list => calls.push(list.map(p => p.key)));
+  registerProfile('TEST_LISTEN', HAND_BD);
+  unregisterProfile('TEST_LISTEN');
+  unsubscribe();
+  registerProfile('TEST_LISTEN', HAND_BD);
+  unregisterProfile('TEST_LISTEN');
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].includes('TEST_LISTEN'));
+  assert.ok(!calls[1].includes('TEST_LISTEN'));
+});
+
+test('isBuiltinProfile is false for user profiles and replaced built-ins', () => {
+  assert.equal(isBuiltinProfile('BD71'), true);
+  assert.equal(isBuiltinProfile('NOPE'), false);
+  registerProfile('TEST_USER', HAND_BD);
+  assert.equal(isBuiltinProfile('TEST_USER'), false);
+  unregisterProfile('TEST_USER');
+
+  const original = getProfile('HOG88');
+  registerProfile('HOG88', { ...original, stable: { bm: 1, bh: 1 } }, { replace: true });
+  try {
+    assert.equal(isBuiltinProfile('HOG88'), false);
+  } finally {
+    registerProfile('HOG88', original, { replace: true });
+  }
+  // Re-registering an equal copy is still a user definition
+  assert.equal(isBuiltinProfile('HOG88'), false);
+});
+
+test('a profile without a closed-form ψ falls back to quadrature', () => {
+  for (const zeta of [-5, -0.5, 0.1, 2]) {
+    const exact = psi_m_estimate(zeta, 'BD71');
+    const numeric = psi_m_estimate(zeta, HAND_BD);
+    assert.equal(exact.method, 'closed-form');
+    assert.equal(numeric.method, 'gauss-kronrod');
+    assert.ok(Math.abs(numeric.value - exact.value) < 1e-9, `ψ_m(${zeta}): ${numeric.value} vs ${exact.value}`);
+    assert.ok(numeric.error < 1e-8);
+    assert.ok(Math.abs(psi_h_estimate(zeta, HAND_BD).value - psi_h_estimate(zeta, 'BD71').value) < 1e-9);
+  }
+  assert.deepEqual(psi_m_estimate(0, HAND_BD), { value: 0, error: 0, method: 'neutral' });
+});
+
+test('a closed form that returns undefined defers to quadrature', () => {
+  const stableOnly = { ...HAND_BD, psi_m: (zeta, p) => (zeta > 0 ? -p.stable.bm * zeta : undefined) };
+  assert.deepEqual(psi_m_estimate(0.4, stableOnly), { value: -2, error: 0, method: 'closed-form' });
+  assert.equal(psi_m_estimate(-0.4, stableOnly).method, 'gauss-kronrod');
+});
+
+test('withParams overrides coefficients without registering', () => {
+  const before = listProfiles().length;
+  const p = withParams('BD71', { stable: { bm: 6 } });
+  assert.deepEqual(p.stable, { bm: 6, bh: 5 });
+  assert.equal(phi_m(0.5, p), 4);
+  assert.equal(listProfiles().length, before);
+  assert.equal(getProfile('BD71').stable.bm, 5);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { integratePsi } from '../web/lib/quadrature.js';
+import {
+  businger_dyer_profile,
+  unstable_power_psi,
+  check_psi_consistency,
+  listProfiles,
+  psi_m_estimate
+} from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+// ψ of φ = (1 - aζ)^(-b) by quadrature
+const numericPsi = (zeta, a, b) => integratePsi(z => (1 - a * z) ** -b, zeta, null).value;
+
+test('Paulson forms: ψ_m(-1) with a = 16 and the b = 1/2 log form', () => {
+  // x = 17^(1/4): 2 ln((1+x)/2) + ln((1+x²)/2) - 2 atan x + π/2
+  close(unstable_power_psi(-1, 16, 0.25), 1.1162322497683266, 1e-14, 'b = 1/4');
+  close(unstable_power_psi(-1, 16, 0.5), 2 * Math.log((1 + Math.sqrt(17)) / 2), 1e-14, 'b = 1/2');
+  close(unstable_power_psi(-1, 16, 1), Math.log(17), 1e-14, 'b = 1');
+  assert.equal(unstable_power_psi(-1, 16, 0), 0);
+});
+
+test('closed forms match quadrature for the special exponents', () => {
+  for (const b of [0.25, 1 / 3, 0.5, 1]) {
+    for (const zeta of [-0.01, -0.3, -2, -20]) {
+      close(unstable_power_psi(zeta, 16, b), numericPsi(zeta, 16, b), 1e-9, `b = ${b}, ζ = ${zeta}`);
+    }
+  }
+});
+
+test('other exponents use the series for T < 0.5 and defer to quadrature beyond', () => {
+  for (const b of [0.2, 0.3, 0.6, 2 / 3, 1.5]) {
+    for (const zeta of [-0.001, -0.01, -0.03]) { // T = 16|ζ| ≤ 0.48
+      close(unstable_power_psi(zeta, 16, b), numericPsi(zeta, 16, b), 1e-12, `series b = ${b}, ζ = ${zeta}`);
+    }
+    assert.equal(unstable_power_psi(-0.04, 16, b), undefined);
+  }
+});
+
+test('a Businger–Dyer profile with b_m = 0.3 is integrated correctly on both sides of T = 0.5', () => {
+  const p = businger_dyer_profile({
+    name: 'b = 0.3',
+    unstable: { am: 16, ah: 16, bm: 0.3, bh: 0.6 },
+    stable: { bm: 5, bh: 5 }
+  });
+  const series = psi_m_estimate(-0.02, p);
+  const quadrature = psi_m_estimate(-2, p);
+  assert.equal(series.method, 'closed-form');
+  assert.equal(quadrature.method, 'gauss-kronrod');
+  close(quadrature.value, numericPsi(-2, 16, 0.3), 1e-12, 'ψ_m(-2)');
+  const [check] = check_psi_consistency(p);
+  assert.ok(check.ok, JSON.stringify(check.failures));
+});
+
+test('check_psi_consistency passes every built-in profile', () => {
+  const results = check_psi_consistency();
+  assert.deepEqual(results.map(r => r.profile), listProfiles().map(p => p.key));
+  for (const r of results) assert.ok(r.ok, `${r.profile}: max error ${r.maxError}`);
+});
+
+test('check_psi_consistency catches a ψ that does not belong to its φ', () => {
+  const bd = businger_dyer_profile({ name: 'BD', unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 }, stable: { bm: 5, bh: 5 } });
+  // Stable ψ_h written for b = 4 while φ_h uses b = 5
+  const wrong = { ...bd, key: 'WRONG', psi_h: (zeta, p) => (zeta > 0 ? -4 * zeta : bd.psi_h(zeta, p)) };
+  const [check] = check_psi_consistency(wrong, { zetas: [-1, 0.5, 2] });
+  assert.equal(check.ok, false);
+  assert.deepEqual(check.failures.map(f => [f.zeta, f.fn]), [[0.5, 'psi_h'], [2, 'psi_h']]);
+  close(check.failures[0].dpsi, -4, 1e-6, 'dψ_h/dζ');
+  assert.equal(check.failures[0].expected, -5);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gaussKronrod, integratePsi } from '../web/lib/quadrature.js';
+import { listProfiles, getProfile, psi_m, psi_h, psi_m_estimate, psi_h_estimate } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('one G7–K15 panel is enough where both rules are exact', () => {
+  // G7 is exact to degree 13, so |K15 - G7| vanishes and nothing is bisected
+  const { value, error, evaluations } = gaussKronrod(x => x ** 13 - 3 * x ** 4, 0, 1);
+  close(value, 1 / 14 - 3 / 5, 1e-15, '∫x¹³ - 3x⁴');
+  assert.ok(error < 1e-14);
+  assert.equal(evaluations, 15);
+  // K15 is exact to degree 22, G7 is not: the panel is refined
+  close(gaussKronrod(x => x ** 22, 0, 1).value, 1 / 23, 1e-15, '∫x²²');
+});
+
+test('adaptive panels reach the tolerance on smooth and singular integrands', () => {
+  close(gaussKronrod(Math.sin, 0, Math.PI).value, 2, 1e-12, '∫sin');
+  close(gaussKronrod(Math.exp, -3, 2).value, Math.exp(2) - Math.exp(-3), 1e-11, '∫exp');
+  // 1/√x is singular at 0; the abscissae are interior, so it is never evaluated there
+  const singular = gaussKronrod(x => 1 / Math.sqrt(x), 0, 1);
+  close(singular.value, 2, 1e-5, '∫1/√x');
+  assert.ok(singular.error > 0 && singular.evaluations > 15);
+});
+
+test('reversed limits change the sign', () => {
+  close(gaussKronrod(x => x, 2, 0).value, -2, 1e-14, '∫₂⁰x');
+});
+
+test('stable ψ is exact: -bζ - cζ²/2', () => {
+  assert.equal(psi_m(1, 'BD71'), -5);
+  assert.equal(psi_h(0.5, 'HOG88'), -3.9);
+  close(psi_m(1, 'CB05'), -6.1 - 5.3 / 2, 1e-12, 'CB05 ψ_m(1)');
+  close(psi_h(2, 'CB05'), -6.1 * 2 - 5.3 * 2, 1e-12, 'CB05 ψ_h(2)');
+});
+
+test('every built-in closed form agrees with quadrature of its φ', () => {
+  // Within the quadrature's own error estimate, which is wide for φ with a
+  // |ζ|^(2/3) term (W01)
+  for (const { key } of listProfiles()) {
+    const p = getProfile(key);
+    for (const zeta of [-10, -1, -0.05, 0.05, 1, 10]) {
+      for (const [fn, estimate] of [['phi_m', psi_m_estimate], ['phi_h', psi_h_estimate]]) {
+        const exact = estimate(zeta, key);
+        const numeric = integratePsi(p[fn], zeta, p);
+        assert.equal(exact.method, 'closed-form', `${key} ${fn}(${zeta})`);
+        close(exact.value, numeric.value, Math.max(1e-10, numeric.error), `${key} ψ from ${fn} at ζ = ${zeta}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconstruct_profiles, export_profile_reconstruction, solve_fluxes } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+const surface = { Z0M: 0.05, KB_INV: 2 };
+
+test('neutral profiles follow the log law for every profile', () => {
+  const r = reconstruct_profiles({ u_star: 0.4, theta_star: 0.1, L: Infinity, theta_s: 290 }, 'BD71',
+    { surface, z_top: 50, count: 11, compare: ['HOG88', 'BD71'] });
+  assert.deepEqual(r.profiles, ['BD71', 'HOG88']);
+  assert.equal(r.rows.length, 11);
+  close(r.rows[0].z, 0.05, 1e-15, 'lowest height at z0m');
+  close(r.rows[10].z, 50, 1e-12, 'top height');
+  const z0h = 0.05 * Math.exp(-2);
+  for (const row of r.rows) {
+    assert.equal(row.zeta, 0);
+    close(row.u_neutral, Math.log(row.z / 0.05), 1e-12, `u at ${row.z}`);
+    close(row.theta_neutral, 290 + 0.25 * Math.log(row.z / z0h), 1e-12, `θ at ${row.z}`);
+    assert.equal(row.u_BD71, row.u_neutral);
+    assert.equal(row.theta_HOG88, row.theta_neutral);
+  }
+  assert.equal(r.rows[0].u_BD71, 0);
+  assert.deepEqual(r.warnings, []);
+});
+
+test('profiles from solved fluxes pass back through the observation', () => {
+  const obs = { levels: [{ z: 10, u: 5, theta: 292 }], theta_s: 290, surface };
+  const { u_star, theta_star, L } = solve_fluxes(obs, 'BD71');
+  const r = reconstruct_profiles({ u_star, theta_star, L, theta_s: 290 }, 'BD71', { surface, z_top: 10, count: 20 });
+  const top = r.rows[r.rows.length - 1];
+  close(top.u_BD71, 5, 1e-6, 'u at the measurement height');
+  close(top.theta_BD71, 292, 1e-6, 'θ at the measurement height');
+  close(top.zeta, 10 / L, 1e-12, 'ζ');
+  // Stable: less mixing, so the wind and temperature grow faster than the log law
+  assert.ok(top.u_BD71 > top.u_neutral && top.theta_BD71 > top.theta_neutral);
+});
+
+test('ζ at a reference height stands in for L', () => {
+  const byZeta = reconstruct_profiles({ u_star: 0.3, theta_star: -0.2, zeta: -0.5, z_ref: 10 }, 'BD71', { surface, count: 5 });
+  const byL = reconstruct_profiles({ u_star: 0.3, theta_star: -0.2, L: -20 }, 'BD71', { surface, count: 5 });
+  assert.equal(byZeta.L, -20);
+  assert.deepEqual(byZeta.rows, byL.rows);
+  assert.equal(byZeta.theta_s, 290);
+  assert.equal(reconstruct_profiles({ u_star: 0.3, theta_star: 0, zeta: 0, z_ref: 10 }, 'BD71', { count: 3 }).L, Infinity);
+});
+
+test('heights past the ζ bounds are flagged and invalid scales refused', () => {
+  const r = reconstruct_profiles({ u_star: 0.1, theta_star: 0.5, L: 2 }, 'BD71', { surface, z_top: 100, count: 30 });
+  assert.equal(r.warnings.length, 1);
+  assert.match(r.warnings[0], /^z\/L leaves \[.*\] from z = .* m; MOST is extrapolated above that height$/);
+  assert.throws(() => reconstruct_profiles({ u_star: 0, theta_star: 0, L: 10 }, 'BD71'), /u\* must be positive/);
+  assert.throws(() => reconstruct_profiles({ u_star: 0.3, theta_star: NaN, L: 10 }, 'BD71'), /θ\* must be a number/);
+  assert.throws(() => reconstruct_profiles({ u_star: 0.3, theta_star: 0, L: 0 }, 'BD71'), /L must be non-zero/);
+  assert.throws(() => reconstruct_profiles({ u_star: 0.3, theta_star: 0, zeta: 1 }, 'BD71'), /give L, or ζ with its height/);
+  assert.throws(() => reconstruct_profiles({ u_star: 0.3, theta_star: 0, L: 10 }, 'BD71', { count: 1 }), /count must be an integer/);
+});
+
+test('exports carry the scales and every overlaid profile', () => {
+  const r = reconstruct_profiles({ u_star: 0.3, theta_star: 0.1, L: 50, theta_s: 285 }, 'BD71',
+    { surface: { Z0M: 0.1, Z0H: 0.01 }, compare: ['HOG88'], count: 4 });
+  const out = export_profile_reconstruction('json', r, { created: '2024-01-01T00:00:00Z' });
+  assert.equal(out.filename, 'MOST_profiles_BD71-HOG88_L50_z100_z0m0.1_z0h0.01.json');
+  const json = JSON.parse(out.content);
+  assert.equal(json.metadata.scales.u_star, 0.3);
+  assert.equal(json.metadata.scales.L, 50);
+  assert.equal(json.metadata.scales.kappa, 0.4);
+  assert.deepEqual(Object.keys(json.metadata.profiles), ['BD71', 'HOG88']);
+  assert.equal(json.rows.length, 4);
+});
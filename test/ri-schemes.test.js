@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RI_SCHEMES, getRiScheme, listRiSchemes } from '../web/lib/ri-schemes.js';
+import { ri_scheme_functions, compare_ri_schemes, export_ri_scheme_comparison } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+const surface = { Z: 10, Z0M: 0.1, KB_INV: 0 };
+const C_N = 0.16 / Math.log(100) ** 2;
+
+test('every scheme is neutral at Ri_b = 0', () => {
+  for (const key of Object.keys(RI_SCHEMES)) {
+    const { F_m, F_h } = ri_scheme_functions(0, key, surface);
+    assert.equal(F_m, 1, `${key} F_m`);
+    assert.equal(F_h, 1, `${key} F_h`);
+  }
+});
+
+test('stable branches match their published forms', () => {
+  const louis = ri_scheme_functions(0.1, 'LOUIS79', surface);
+  close(louis.F_m, 1 / 1.47 ** 2, 1e-12, 'Louis F_m');
+  close(louis.F_h, 1 / 1.47 ** 2, 1e-12, 'Louis F_h');
+  const ltg = ri_scheme_functions(0.1, 'LTG82', surface);
+  close(ltg.F_m, 1 / (1 + 1 / Math.sqrt(1.5)), 1e-12, 'LTG82 F_m');
+  close(ltg.F_h, 1 / (1 + 1.5 * Math.sqrt(1.5)), 1e-12, 'LTG82 F_h');
+  const viterbo = ri_scheme_functions(0.1, 'VITERBO99', surface);
+  close(viterbo.F_m, 1 / (1 + 1 / Math.sqrt(1.1)), 1e-12, 'Viterbo F_m');
+  close(viterbo.F_h, 1 / (1 + Math.sqrt(1.1)), 1e-12, 'Viterbo F_h');
+  // Viterbo et al. weakened the stable heat function, so it keeps more mixing than LTG82
+  assert.ok(viterbo.F_h > ltg.F_h);
+  close(ri_scheme_functions(0.1, 'LONG_TAIL', surface).F_m, 0.5, 1e-12, 'long tail');
+  close(ri_scheme_functions(0.1, 'SHORT_TAIL', surface).F_m, 0.25, 1e-12, 'short tail');
+  assert.equal(ri_scheme_functions(0.3, 'SHORT_TAIL', surface).F_h, 0);
+});
+
+test('unstable branches depend on the roughness through C_N √(z/z0m)', () => {
+  const root = Math.sqrt(0.1 * 100);
+  const ltg = ri_scheme_functions(-0.1, 'LTG82', surface);
+  close(ltg.F_m, 1 + 1 / (1 + 75 * C_N * root), 1e-12, 'LTG82 F_m');
+  close(ltg.F_h, 1 + 1.5 / (1 + 75 * C_N * root), 1e-12, 'LTG82 F_h');
+  const louis = ri_scheme_functions(-0.1, 'LOUIS79', surface);
+  close(louis.F_m, 1 + 0.94 / (1 + 7.4 * 9.4 * C_N * root), 1e-12, 'Louis F_m');
+  close(louis.F_h, 1 + 0.94 / (1 + 5.3 * 9.4 * C_N * root), 1e-12, 'Louis F_h');
+  // A larger κ raises C_N and damps the convective enhancement
+  assert.ok(ri_scheme_functions(-0.1, 'LTG82', surface, { KAPPA: 0.41 }).F_m < ltg.F_m);
+});
+
+test('schemes are looked up by name, pass through as objects and list their tails', () => {
+  assert.equal(getRiScheme('LTG82'), RI_SCHEMES.LTG82);
+  const custom = { ...RI_SCHEMES.LOUIS79, stable: { b: 10 } };
+  assert.equal(getRiScheme(custom), custom);
+  close(ri_scheme_functions(0.1, custom, surface).F_m, 0.25, 1e-12, 'modified Louis');
+  assert.throws(() => getRiScheme('NOPE'), /Unknown Ri scheme: NOPE/);
+  assert.deepEqual(listRiSchemes().filter(s => s.tail === 'short').map(s => s.key), ['SHORT_TAIL']);
+});
+
+test('long-tail schemes keep mixing past the MOST critical Ri_b', () => {
+  const comparison = compare_ri_schemes('BD71', { rib: { min: -0.2, max: 0.5, count: 71 }, schemes: ['LTG82', 'SHORT_TAIL'], surface });
+  assert.equal(comparison.failed, 0);
+  assert.ok(comparison.critical > 0.15 && comparison.critical < 0.2);
+  const neutral = comparison.rows.find(r => r.Ri_b === 0);
+  close(neutral.F_m_MOST, 1, 1e-12, 'MOST neutral');
+  assert.equal(neutral.F_m_LTG82_over_MOST, 1);
+  const beyond = comparison.rows[comparison.rows.length - 1];
+  assert.equal(beyond.F_m_MOST, 0);
+  assert.ok(beyond.F_m_LTG82 > 0);
+  assert.ok(Number.isNaN(beyond.F_m_LTG82_over_MOST));
+  assert.ok(comparison.stable.LTG82.F_m > 1);
+  assert.ok(comparison.stable.SHORT_TAIL.F_m < comparison.stable.LTG82.F_m);
+  assert.deepEqual(comparison.columns.slice(4).map(c => c.key),
+    ['F_m_LTG82', 'F_h_LTG82', 'F_m_SHORT_TAIL', 'F_h_SHORT_TAIL',
+      'F_m_LTG82_over_MOST', 'F_h_LTG82_over_MOST', 'F_m_SHORT_TAIL_over_MOST', 'F_h_SHORT_TAIL_over_MOST']);
+
+  const json = JSON.parse(export_ri_scheme_comparison('json', comparison, 'BD71', { surface, created: '2024-01-01T00:00:00Z' }).content);
+  assert.equal(json.metadata.schemes.LTG82.stable.d, 5);
+  assert.equal(json.metadata.schemes.LTG82.stable_mixing_over_most.F_m, comparison.stable.LTG82.F_m);
+});
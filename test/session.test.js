@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeState, decodeState, getProfile, unregisterProfile } from '../web/most.js';
+import {
+  SESSION_STORAGE_KEY,
+  loadSessions,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  importSessions,
+  profileDefinitions,
+  restoreProfiles
+} from '../web/lib/session.js';
+
+// In-memory stand-in for window.localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, String(value)) };
+};
+
+// Shaped like the tool state of MOST.js: string, boolean and array leaves,
+// a choice, and the open maps (uncertainty coefficients, user profiles)
+const DEFAULTS = {
+  profile: 'BD71',
+  surface: { Z: '10', Z0M: '0.01', Z0H: '0.01' },
+  table: { notation: 'fixed', digits: '4', bands: true, columns: ['zeta', 'Ri_g'] },
+  uncertainty: { coefficients: {} },
+  profiles: {}
+};
+const CHOICES = { 'table.notation': ['fixed', 'significant', 'full'] };
+
+const roundTrip = state => decodeState(encodeState(state, DEFAULTS), DEFAULTS, { choices: CHOICES });
+
+test('decodeState(encodeState(x)) gives x back', () => {
+  const state = {
+    profile: 'HOG88',
+    surface: { Z: '2', Z0M: '0.05', Z0H: '0.0005' },
+    table: { notation: 'significant', digits: '6', bands: false, columns: ['zeta', 'C_D', 'C_H'] },
+    uncertainty: { coefficients: { 'stable.bm': '0.5', 'unstable.am': '2' } },
+    profiles: { MY: { base: 'BD71', unstable: { am: '15' }, stable: { bm: '6.5' } } }
+  };
+  const { state: decoded, warnings } = roundTrip(state);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(JSON.parse(JSON.stringify(decoded)), state);
+});
+
+test('the defaults encode to an empty query', () => {
+  assert.equal(roundTrip(DEFAULTS).warnings.length, 0);
+  assert.deepEqual(JSON.parse(JSON.stringify(roundTrip(DEFAULTS).state)), DEFAULTS);
+});
+
+test('keys named like Object.prototype members round-trip as plain settings', () => {
+  const state = {
+    ...DEFAULTS,
+    uncertainty: { coefficients: { toString: '1', hasOwnProperty: '2' } },
+    profiles: { valueOf: { base: 'BD71', unstable: {}, stable: { bm: '6' } } }
+  };
+  const { state: decoded, warnings } = roundTrip(state);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(JSON.parse(JSON.stringify(decoded)), state);
+});
+
+test('hostile paths are ignored without touching Object.prototype', () => {
+  const query = [
+    '__proto__.polluted=yes',
+    'constructor.prototype.polluted=yes',
+    'profiles.__proto__.name=x',
+    'profiles.__proto__.stable.bm=1',
+    'profiles.MY.stable.__proto__=1',
+    'uncertainty.coefficients.__proto__=1',
+    'surface.constructor=1'
+  ].join('&');
+  const { state, warnings } = decodeState(query, DEFAULTS, { choices: CHOICES });
+  assert.equal(warnings.length, 7);
+  assert.equal({}.polluted, undefined);
+  assert.equal({}.name, undefined);
+  assert.equal({}.stable, undefined);
+  assert.deepEqual(JSON.parse(JSON.stringify(state)), DEFAULTS);
+});
+
+test('values outside the choices are reported and left at the default', () => {
+  const { state, warnings } = decodeState('table.notation=bogus&table.digits=6', DEFAULTS, { choices: CHOICES });
+  assert.equal(state.table.notation, 'fixed');
+  assert.equal(state.table.digits, '6');
+  assert.deepEqual(warnings, ['Ignored table.notation = bogus (expected fixed, significant, full)']);
+});
+
+test('sessions are saved, listed and deleted in storage', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadSessions(storage), {});
+  saveSession(storage, '  stable night ', { profile: 'HOG88' });
+  const sessions = saveSession(storage, 'toString', { profile: 'BD71' });
+  assert.deepEqual(Object.keys(sessions), ['stable night', 'toString']);
+  assert.deepEqual(loadSessions(storage)['stable night'].state, { profile: 'HOG88' });
+  assert.deepEqual(Object.keys(deleteSession(storage, 'toString')), ['stable night']);
+  assert.deepEqual(Object.keys(deleteSession(storage, 'missing')), ['stable night']);
+  assert.throws(() => saveSession(storage, ' ', {}), /name must not be empty/);
+
+  storage.setItem(SESSION_STORAGE_KEY, '{not json');
+  assert.deepEqual(loadSessions(storage), {});
+});
+
+test('exported sessions import under free names unless replacing', () => {
+  const storage = memoryStorage();
+  saveSession(storage, 'A', { profile: 'BD71' });
+  const file = exportSessions({ A: { saved: '2024-01-01T00:00:00Z', state: { profile: 'HOG88' } }, bad: { state: 1 } });
+  assert.deepEqual(importSessions(storage, file).imported, ['A (2)']);
+  assert.deepEqual(importSessions(storage, file).imported, ['A (3)']);
+  const { sessions, imported } = importSessions(storage, file, { replace: true });
+  assert.deepEqual(imported, ['A']);
+  assert.equal(sessions.A.state.profile, 'HOG88');
+  assert.equal(sessions.A.saved, '2024-01-01T00:00:00Z');
+  assert.throws(() => importSessions(storage, '{"format":"other","sessions":{}}'), /expected format 'richardson-most-sessions'/);
+  assert.throws(() => importSessions(storage, 'nope'), /Invalid session file: /);
+});
+
+test('runtime profiles travel with a state as coefficients of their base', () => {
+  try {
+    const { registered, warnings } = restoreProfiles({
+      MY: { base: 'BD71', unstable: { am: '15' }, stable: { bm: '6.5', zz: '1' } },
+      BD71: { base: 'HOG88' },
+      ODD: { base: 'NOPE' }
+    });
+    assert.deepEqual(registered, ['MY']);
+    assert.deepEqual(warnings, [
+      "Profile 'MY': ignored stable.zz = 1",
+      "Profile 'BD71' is built in and was not replaced",
+      "Profile 'ODD' is based on unknown profile 'NOPE'"
+    ]);
+    const my = getProfile('MY');
+    assert.equal(my.phi_m(0.5, my), 1 + 6.5 * 0.5);
+    const definitions = profileDefinitions(['BD71', 'MY', 'MY']);
+    assert.deepEqual(Object.keys(definitions), ['MY']);
+    assert.equal(definitions.MY.unstable.am, 15);
+    assert.equal(definitions.MY.base, 'BD71');
+  } finally {
+    unregisterProfile('MY');
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { surface_params, describe_surface, ri_b, SURFACE_PARAMS } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('surface_params accepts z0h, kB⁻¹ or the older z/z0 ratio', () => {
+  const direct = surface_params({ Z: 10, Z0M: 0.1, Z0H: 0.01 });
+  close(direct.KB_INV, Math.log(10), 1e-12, 'kB⁻¹');
+  close(direct.LN_ZM, Math.log(100), 1e-12, 'ln(z/z0m)');
+  close(direct.LN_ZH, Math.log(1000), 1e-12, 'ln(z/z0h)');
+
+  const fromKb = surface_params({ Z: 10, Z0M: 0.1, KB_INV: Math.log(10) });
+  close(fromKb.Z0H, 0.01, 1e-15, 'z0h from kB⁻¹');
+
+  const legacy = surface_params({ Z_OVER_Z0: 500 });
+  assert.equal(legacy.Z, SURFACE_PARAMS.Z);
+  close(legacy.Z0M, SURFACE_PARAMS.Z / 500, 1e-15, 'z0m from z/z0');
+  assert.equal(legacy.Z0H, legacy.Z0M);
+  assert.equal(legacy.KB_INV, 0);
+});
+
+test('invalid surfaces are refused with the offending value', () => {
+  assert.throws(() => surface_params({ Z: 10, Z0M: -1 }), /z0m must be a positive number of metres \(got -1\)/);
+  assert.throws(() => surface_params({ Z: NaN }), /z must be a positive number/);
+  assert.throws(() => surface_params({ Z: 0.05, Z0M: 0.1 }), /z \(0\.05 m\) must exceed z0m \(0\.1 m\)/);
+});
+
+test('describe_surface rounds to 4 significant digits', () => {
+  assert.deepEqual(describe_surface({ Z: 10, Z0M: 0.01, KB_INV: 2 }), {
+    tag: 'z10_z0m0.01_z0h0.001353',
+    header: 'z = 10 m, z0m = 0.01 m, z0h = 0.001353 m (kB⁻¹ = 2)'
+  });
+});
+
+test('stable BD71 Ri_b keeps the ψ(z0/L) terms exactly', () => {
+  // ψ = -5ζ, so D = ln(z/z0m) + 5ζ (1 - z0m/z) and N = ln(z/z0h) + 5ζ (1 - z0h/z)
+  const surface = { Z: 2, Z0M: 0.5, Z0H: 0.005 };
+  for (const zeta of [0.05, 0.5, 3]) {
+    const D = Math.log(2 / 0.5) + 5 * zeta * (1 - 0.5 / 2);
+    const N = Math.log(2 / 0.005) + 5 * zeta * (1 - 0.005 / 2);
+    close(ri_b(zeta, 'BD71', surface), zeta * N / (D * D), 1e-12, `Ri_b(${zeta})`);
+  }
+});
+
+test('a larger kB⁻¹ raises Ri_b through ln(z/z0h)', () => {
+  const equal = ri_b(0.2, 'BD71', { Z: 10, Z0M: 0.01, KB_INV: 0 });
+  const split = ri_b(0.2, 'BD71', { Z: 10, Z0M: 0.01, KB_INV: 2 });
+  assert.ok(split > equal);
+  assert.equal(ri_b(0, 'BD71', { Z: 10, Z0M: 0.01, KB_INV: 2 }), 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumericColumns, parseNumericLine, describeSkipped } from '../web/lib/text.js';
+
+const columns = text => parseNumericColumns(text).columns.map(c => [...c]);
+
+test('an empty field keeps its column', () => {
+  assert.deepEqual(columns('1,,3\n4,5,6'), [[1, 4], [NaN, 5], [3, 6]]);
+  assert.deepEqual(columns('1;2;3\n4;;6'), [[1, 4], [2, NaN], [3, 6]]);
+  assert.deepEqual(columns('1\t\t3\n\t5\t6'), [[1, NaN], [NaN, 5], [3, 6]]);
+});
+
+test('a row with an empty or NaN first field is data, not a header', () => {
+  const parsed = parseNumericColumns('z,u,theta\n,2,3\nNaN,5,6\n7,8,9');
+  assert.deepEqual(parsed.header, ['z', 'u', 'theta']);
+  assert.deepEqual(parsed.columns.map(c => [...c]), [[NaN, NaN, 7], [2, 5, 8], [3, 6, 9]]);
+  assert.deepEqual(parsed.skippedLines, []);
+});
+
+test('runs of whitespace are one delimiter only in whitespace-separated text', () => {
+  assert.deepEqual(columns('1  2   3\n  4 5\t6'), [[1, 4], [2, 5], [3, 6]]);
+  assert.deepEqual(columns('1, 2, 3\n4 ,  5,6'), [[1, 4], [2, 5], [3, 6]]);
+});
+
+test('the delimiter is detected once, from the first line', () => {
+  const parsed = parseNumericColumns('# comment\nz u\n1 2;5\n3 4');
+  assert.equal(parsed.delimiter, null);
+  assert.deepEqual(parsed.columns.map(c => [...c]), [[1, 3], [NaN, 4]]);
+  assert.deepEqual(parsed.unparsable, [{ line: 3, column: 2, field: '2;5' }]);
+});
+
+test('semicolon and tab separated text may use decimal commas', () => {
+  const semicolon = parseNumericColumns('z;u\n1;2,5\n3;-4,25e-1\n,5;6');
+  assert.equal(semicolon.delimiter, ';');
+  assert.deepEqual(semicolon.columns.map(c => [...c]), [[1, 3, 0.5], [2.5, -0.425, 6]]);
+  assert.deepEqual(semicolon.unparsable, []);
+  // More decimal commas than semicolons: still split on the semicolon
+  assert.equal(parseNumericColumns('1,5;2,5;3,5').delimiter, ';');
+  assert.deepEqual(columns('0,1\t10\n0,2\t20'), [[0.1, 0.2], [10, 20]]);
+  // With a comma delimiter the comma always separates
+  assert.deepEqual(columns('1,5\n2,5'), [[1, 2], [5, 5]]);
+});
+
+test('unparsable fields read as NaN and are reported', () => {
+  const parsed = parseNumericColumns('1;2\n1.2.3;4\n5;abc\nNaN;');
+  assert.deepEqual(parsed.columns.map(c => [...c]), [[1, NaN, 5, NaN], [2, 4, NaN, NaN]]);
+  assert.deepEqual(parsed.unparsable, [
+    { line: 2, column: 1, field: '1.2.3' },
+    { line: 3, column: 2, field: 'abc' }
+  ]);
+  assert.equal(describeSkipped(parsed),
+    '; 2 unparsable field(s) read as NaN: "1.2.3" (line 2, column 1), "abc" (line 3, column 2)');
+});
+
+test('text lines after the header are skipped and reported', () => {
+  const parsed = parseNumericColumns('Ri\n0.1\n\n# note\nRi\n0.2\nn/a\n0.3');
+  assert.deepEqual([...parsed.columns[0]], [0.1, 0.2, 0.3]);
+  assert.equal(parsed.skipped, 4);
+  assert.deepEqual(parsed.skippedLines, [5, 7]);
+  assert.equal(describeSkipped(parsed), '; 4 non-data line(s) skipped, text at line(s) 5, 7');
+  assert.equal(describeSkipped(parseNumericColumns('1\n2')), '');
+});
+
+test('lines split alike when streamed with the first line\'s delimiter', () => {
+  const { delimiter } = parseNumericLine('a,b,c');
+  assert.equal(delimiter, ',');
+  assert.deepEqual(parseNumericLine(',,7', delimiter).values, [NaN, NaN, 7]);
+  assert.deepEqual(parseNumericLine('1;x', ';').unparsable, [1]);
+  assert.equal(parseNumericLine('   ', delimiter).kind, 'blank');
+  assert.equal(parseNumericLine('# x', delimiter).kind, 'comment');
+});
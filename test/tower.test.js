@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linearLeastSquares } from '../web/lib/fit.js';
+import { fit_tower_column, tower_column_at, tower_ri_g, tower_curves, zeta_from_rig, PHYSICAL_CONSTANTS } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+const { KAPPA, G } = PHYSICAL_CONSTANTS;
+const Z = [1, 2, 4, 8, 16, 32];
+
+// Stable BD71 profiles are log-linear: u = (u*/κ)[ln(z/z0) + 5z/L],
+// θ = θ0 + (θ*/κ)[ln z + 5z/L]
+const U_STAR = 0.3;
+const Z0 = 0.01;
+const L = 40;
+// θ* for this L, L = u*² θ / (κ g θ*) at θ ≈ 285 K
+const THETA_STAR = U_STAR ** 2 * 285 / (KAPPA * G * L);
+const stable = {
+  z: Z,
+  u: Z.map(z => (U_STAR / KAPPA) * (Math.log(z / Z0) + 5 * z / L)),
+  theta: Z.map(z => 285 + (THETA_STAR / KAPPA) * (Math.log(z) + 5 * z / L))
+};
+
+test('least squares gives exact coefficients and covariance for a line', () => {
+  const fit = linearLeastSquares([[1, 0], [1, 1], [1, 2], [1, 3]], [1, 3, 4, 7]);
+  close(fit.coefficients[0], 0.9, 1e-12, 'intercept');
+  close(fit.coefficients[1], 1.9, 1e-12, 'slope');
+  close(fit.rss, 0.7, 1e-12, 'RSS');
+  assert.equal(fit.dof, 2);
+  close(fit.covariance[1][1], 0.35 / 5, 1e-12, 'var(slope)');
+  assert.throws(() => linearLeastSquares([[1, 2], [2, 4]], [1, 2]), /2 basis functions are not independent/);
+});
+
+test('a log-linear profile is fitted exactly, with its gradient', () => {
+  const fit = fit_tower_column(stable.z, stable.u);
+  close(fit.coefficients[1], U_STAR / KAPPA, 1e-10, 'b');
+  close(fit.coefficients[2], 5 * U_STAR / (KAPPA * L), 1e-10, 'c');
+  assert.ok(fit.rmse < 1e-12);
+  const at = tower_column_at(fit, 5);
+  close(at.slope, (U_STAR / (KAPPA * 5)) * (1 + 5 * 5 / L), 1e-10, 'du/dz');
+  assert.ok(at.slope_sigma < 1e-9);
+
+  const three = fit_tower_column([1, 2, 3, 4], [1, 2, NaN, 3.5]);
+  assert.equal(three.covariance, null);
+  assert.ok(Number.isNaN(tower_column_at(three, 2).value_sigma));
+  assert.throws(() => fit_tower_column([1, 2], [1, 2]), /at least 3 distinct heights/);
+  assert.throws(() => fit_tower_column([1, 2, 3], [1, 2, 3], 'cubic'), /Unknown tower profile form: cubic/);
+  assert.throws(() => fit_tower_column([0, 2, 3], [1, 2, 3]), /heights must be positive \(got 0 m\)/);
+});
+
+test('Ri_g from the fitted gradients and ζ from its inversion', () => {
+  const result = tower_ri_g(stable, 'BD71', { heights: [3, 10, 50] });
+  result.levels.forEach(level => {
+    const h = level.z;
+    const dudz = (U_STAR / (KAPPA * h)) * (1 + 5 * h / L);
+    const dthdz = (THETA_STAR / (KAPPA * h)) * (1 + 5 * h / L);
+    const theta = 285 + (THETA_STAR / KAPPA) * (Math.log(h) + 5 * h / L);
+    close(level.Ri_g, G * dthdz / (theta * dudz * dudz), 1e-10, `Ri_g at ${h} m`);
+    close(level.zeta, zeta_from_rig(level.Ri_g, 'BD71').zeta, 1e-10, `ζ at ${h} m`);
+    close(level.L, h / level.zeta, 1e-9, `L at ${h} m`);
+  });
+  assert.deepEqual(result.levels.map(l => l.extrapolated), [false, false, true]);
+
+  // The MOST shape at the reference L recovers u* and z0 of the synthetic profile
+  const { most } = result;
+  close(result.reference.z, Math.sqrt(32), 1e-12, 'reference height');
+  close(most.u.u_star, U_STAR, 0.01 * U_STAR, 'u*');
+  close(most.theta.theta_star, THETA_STAR, 0.01 * THETA_STAR, 'θ*');
+  close(Math.log(most.u.z0m), Math.log(Z0), 0.05, 'ln z0m');
+
+  const curves = tower_curves(result, 'BD71', 5);
+  assert.equal(curves.length, 5);
+  close(curves[0].z, 1, 1e-12, 'lowest height');
+  close(curves[4].u_fit, stable.u[5], 1e-9, 'u at the top');
+});
+
+test('level defaults, Celsius input and a flat wind profile', () => {
+  const celsius = { ...stable, theta: stable.theta.map(t => t - 273.15) };
+  const result = tower_ri_g(celsius, 'BD71', { temperature_units: 'C' });
+  assert.deepEqual(result.levels.map(l => l.z), Z.slice(1).map((z, i) => Math.sqrt(z * Z[i])));
+  close(result.levels[0].Ri_g, tower_ri_g(stable, 'BD71').levels[0].Ri_g, 1e-12, 'Ri_g from °C');
+
+  const calm = tower_ri_g({ ...stable, u: Z.map(() => 2) }, 'BD71');
+  assert.equal(calm.levels[0].reason, 'no-shear');
+  assert.match(calm.levels[0].message, /No wind shear at 1\.414 m/);
+  assert.equal(calm.most, null);
+  assert.throws(() => tower_ri_g(stable, 'BD71', { temperature_units: 'F' }), /Unknown temperature units: F/);
+  assert.throws(() => tower_ri_g(stable, 'BD71', { heights: [-1] }), /Ri_g heights must be positive/);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  transfer_coefficients, transfer_from_rib, transfer_lookup, export_transfer_table,
+  ri_b, PHYSICAL_CONSTANTS
+} from '../web/most.js';
+import { readNetCDF } from '../web/lib/netcdf.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol * Math.abs(expected), `${what}: ${actual} vs ${expected}`);
+
+const surface = { Z: 10, Z0M: 0.1, KB_INV: 2 };
+const k2 = PHYSICAL_CONSTANTS.KAPPA ** 2;
+const lnZm = Math.log(100);
+const lnZh = Math.log(100) + 2;
+
+test('neutral coefficients follow the log law and the ratios are one', () => {
+  const c = transfer_coefficients(0, 'BD71', surface);
+  close(c.C_DN, k2 / lnZm ** 2, 1e-12, 'C_DN');
+  close(c.C_HN, k2 / (lnZm * lnZh), 1e-12, 'C_HN');
+  close(c.C_D, c.C_DN, 1e-12, 'C_D');
+  close(c.C_H, c.C_HN, 1e-12, 'C_H');
+  close(c.C_D_ratio, 1, 1e-12, 'C_D ratio');
+  close(c.C_H_ratio, 1, 1e-12, 'C_H ratio');
+});
+
+test('BD71 stable coefficients match the log-linear profile in closed form', () => {
+  // ψ = −5ζ, so D = ln(z/z0m) + 5ζ(1 − z0m/z) and N = ln(z/z0h) + 5ζ(1 − z0h/z)
+  const zeta = 0.2;
+  const z0h = 0.1 * Math.exp(-2);
+  const D = lnZm + 5 * zeta * (1 - 0.1 / 10);
+  const N = lnZh + 5 * zeta * (1 - z0h / 10);
+  const c = transfer_coefficients(zeta, 'BD71', surface);
+  close(c.C_D, k2 / D ** 2, 1e-10, 'C_D');
+  close(c.C_H, k2 / (D * N), 1e-10, 'C_H');
+  assert.ok(c.C_D_ratio < 1 && c.C_H_ratio < 1);
+  const unstable = transfer_coefficients(-0.5, 'BD71', surface);
+  assert.ok(unstable.C_D_ratio > 1 && unstable.C_H_ratio > 1);
+});
+
+test('coefficients from Ri_b invert to the ζ that gives that Ri_b', () => {
+  const zeta = 0.15;
+  const rib = ri_b(zeta, 'BD71', surface);
+  const c = transfer_from_rib(rib, 'BD71', surface);
+  assert.equal(c.converged, true);
+  close(c.zeta, zeta, 1e-6, 'ζ');
+  close(c.C_D, transfer_coefficients(zeta, 'BD71', surface).C_D, 1e-6, 'C_D');
+  const above = transfer_from_rib(0.5, 'BD71', surface);
+  assert.equal(above.converged, false);
+  assert.ok(Number.isNaN(above.C_D));
+  close(above.C_DN, k2 / lnZm ** 2, 1e-12, 'neutral value kept');
+});
+
+test('lookup tables hold one block per roughness ratio and count the failures', () => {
+  const lookup = transfer_lookup('BD71', { rib: [-0.1, 0, 0.1, 0.5], z_over_z0m: [100, 1000], kb_inv: 2 });
+  assert.equal(lookup.rows.length, 8);
+  assert.deepEqual(lookup.rows.map(r => r.z_over_z0m), [100, 100, 100, 100, 1000, 1000, 1000, 1000]);
+  close(lookup.rows[0].z_over_z0h, 100 * Math.exp(2), 1e-12, 'z/z0h');
+  const neutral = lookup.rows[1];
+  close(neutral.C_D, k2 / lnZm ** 2, 1e-12, 'neutral C_D');
+  assert.equal(neutral.zeta, 0);
+  // BD71's critical Ri_b is below 1/5, so 0.5 has no solution at either ratio
+  assert.deepEqual(lookup.rows.map(r => r.converged), [1, 1, 1, 0, 1, 1, 1, 0]);
+  assert.equal(lookup.failed, 2);
+  assert.ok(Number.isNaN(lookup.rows[3].zeta));
+  assert.throws(() => transfer_lookup('BD71', { z_over_z0m: [1] }), /z\/z0m must be a number above 1/);
+  assert.throws(() => transfer_lookup('BD71', { kb_inv: NaN }), /kB⁻¹ must be a number/);
+});
+
+test('exports write converged as 0/1 and the coefficients to six significant digits', () => {
+  const lookup = transfer_lookup('BD71', { rib: [0, 0.5], z_over_z0m: [100], kb_inv: 0 });
+  const csv = export_transfer_table('csv', lookup, 'BD71', { created: '2024-01-01T00:00:00Z' });
+  assert.equal(csv.filename, 'MOST_transfer_BD71_kB0.csv');
+  const data = csv.content.split('\n').filter(line => !line.startsWith('#'));
+  const header = data[0].split(',');
+  const first = data[1].split(',');
+  const last = data[2].split(',');
+  assert.equal(first[header.indexOf('converged')], '1');
+  assert.equal(last[header.indexOf('converged')], '0');
+  assert.equal(first[header.indexOf('C_D')], (k2 / lnZm ** 2).toPrecision(6));
+
+  const nc = readNetCDF(export_transfer_table('netcdf', lookup, 'BD71', { created: '2024-01-01T00:00:00Z' }).content);
+  assert.deepEqual([...nc.variables.find(v => v.name === 'converged').data], [1, 0]);
+  assert.equal(nc.attributes.lookup_kB_inv, 0);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, createNormalRng, normalQuantile } from '../web/lib/stats.js';
+import { propagate_uncertainty } from '../web/most.js';
+
+const close = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected}`);
+
+test('seeded normal deviates have zero mean and unit variance', () => {
+  const normal = createNormalRng(createRng(9));
+  const draws = Array.from({ length: 20000 }, normal);
+  const mean = draws.reduce((s, x) => s + x, 0) / draws.length;
+  const variance = draws.reduce((s, x) => s + (x - mean) ** 2, 0) / (draws.length - 1);
+  close(mean, 0, 0.03, 'mean');
+  close(variance, 1, 0.03, 'variance');
+  const again = createNormalRng(createRng(9));
+  assert.deepEqual(Array.from({ length: 5 }, again), draws.slice(0, 5));
+});
+
+test('the normal quantile matches tabulated values', () => {
+  close(normalQuantile(0.975), 1.959963984540054, 1e-8, 'Φ⁻¹(0.975)');
+  close(normalQuantile(0.01), -2.326347874040841, 1e-8, 'Φ⁻¹(0.01)');
+  assert.equal(normalQuantile(0.5), 0);
+  assert.equal(normalQuantile(0), -Infinity);
+  assert.ok(Number.isNaN(normalQuantile(1.5)));
+});
+
+test('linear propagation through Ri_g uses dζ/dRi = 1/(dRi_g/dζ)', () => {
+  // Stable BD71: Ri_g = ζ(1 + b_h ζ)/(1 + b_m ζ)² = ζ/(1 + 5ζ); at Ri = 0.1, ζ = 0.2,
+  // dRi_g/dζ = 1/(1 + 5ζ)² = 1/4 and ∂Ri_g/∂b_m = −2ζ²/(1 + 5ζ)² = −0.02
+  const result = propagate_uncertainty('rig_to_zeta', 0.1, 'BD71', {
+    sigma: { value: 0.01, coefficients: { 'stable.bm': 0.5 } },
+    method: 'linear'
+  });
+  close(result.nominal.zeta, 0.2, 1e-10, 'ζ');
+  const [input, bm] = result.linear.sources;
+  close(input.sensitivity.zeta, 4, 1e-6, 'dζ/dRi');
+  close(bm.sensitivity.zeta, 0.08, 1e-6, 'dζ/db_m');
+  // φ_m = 1 + b_m ζ: through ζ and directly through b_m
+  close(bm.sensitivity.phi_m, 5 * 0.08 + 0.2, 1e-6, 'dφ_m/db_m');
+  close(result.linear.zeta.sigma, Math.hypot(4 * 0.01, 0.08 * 0.5), 1e-8, 'σ(ζ)');
+  close(input.share.zeta + bm.share.zeta, 1, 1e-12, 'shares');
+  const z = normalQuantile(0.975);
+  close(result.linear.zeta.ci[1] - result.linear.zeta.ci[0], 2 * z * result.linear.zeta.sigma, 1e-12, 'interval');
+  assert.equal(result.monte_carlo, null);
+});
+
+test('Monte Carlo agrees with the linear result for a small spread and repeats for a seed', () => {
+  const options = { sigma: { value: 0.002 }, samples: 4000, seed: 11 };
+  const result = propagate_uncertainty('rib_to_zeta', 0.05, 'HOG88', options);
+  const { linear, monte_carlo: mc } = result;
+  assert.equal(mc.converged, 4000);
+  close(mc.zeta.mean, linear.zeta.value, 0.02 * linear.zeta.value, 'mean ζ');
+  close(mc.zeta.std, linear.zeta.sigma, 0.05 * linear.zeta.sigma, 'σ(ζ)');
+  close(mc.phi_h.std, linear.phi_h.sigma, 0.05 * linear.phi_h.sigma, 'σ(φ_h)');
+  assert.equal(mc.zeta.histogram.counts.reduce((s, c) => s + c, 0), 4000);
+  assert.deepEqual(propagate_uncertainty('rib_to_zeta', 0.05, 'HOG88', options).monte_carlo, mc);
+  assert.notDeepEqual(propagate_uncertainty('rib_to_zeta', 0.05, 'HOG88', { ...options, seed: 12 }).monte_carlo.zeta, mc.zeta);
+});
+
+test('draws past the critical Ri are counted as failures by reason', () => {
+  const { monte_carlo: mc, linear } = propagate_uncertainty('rig_to_zeta', 0.19, 'BD71', {
+    sigma: { value: 0.02 }, samples: 1000, seed: 3, method: 'monte-carlo'
+  });
+  assert.equal(linear, null);
+  assert.ok(mc.failed > 200 && mc.failed < 500, `failed ${mc.failed}`);
+  assert.equal(Object.values(mc.reasons).reduce((s, n) => s + n, 0), 1000);
+  assert.equal(mc.converged + mc.failed, 1000);
+  assert.ok(mc.zeta.ci[1] > 1);
+
+  const exact = propagate_uncertainty('zeta_to_all', 0.5, 'BD71', { samples: 10 });
+  assert.equal(exact.linear.zeta.sigma, 0);
+  assert.equal(exact.monte_carlo.phi_m.std, 0);
+});
+
+test('invalid uncertainty settings are refused', () => {
+  assert.throws(() => propagate_uncertainty('rig_to_zeta', 0.1, 'BD71', { sigma: { value: -1 } }), /σ\(input\) must be a non-negative number/);
+  assert.throws(() => propagate_uncertainty('rig_to_zeta', 0.1, 'BD71', { sigma: { coefficients: { 'stable.am': 1 } } }),
+    /has no coefficient stable\.am/);
+  assert.throws(() => propagate_uncertainty('rig_to_zeta', 0.1, 'BD71', { samples: 0 }), /samples must be an integer/);
+  assert.throws(() => propagate_uncertainty('rig_to_zeta', 0.1, 'BD71', { method: 'bayes' }), /method must be linear, monte-carlo, both/);
+  assert.throws(() => propagate_uncertainty('ri', 0.1, 'BD71'), /Unknown conversion mode: ri/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runTask, createMostWorker } from '../web/most-worker.js';
+import { reference_row, convert_batch, getProfile } from '../web/most.js';
+
+const ZETAS = Array.from({ length: 23 }, (_, i) => -2 + 0.2 * i);
+
+test('a table task streams chunks that add up to the whole table', async () => {
+  const chunks = [];
+  const result = await runTask({ type: 'table', profile: 'BD71', zetas: ZETAS }, {
+    chunkSize: 10,
+    onChunk: chunk => chunks.push(chunk)
+  });
+  assert.equal(result.cancelled, false);
+  assert.deepEqual(chunks.map(c => [c.offset, c.rows.length, c.done, c.total]),
+    [[0, 10, 10, 23], [10, 10, 20, 23], [20, 3, 23, 23]]);
+  assert.deepEqual(result.rows, ZETAS.map(z => reference_row(z, 'BD71')));
+  assert.deepEqual(result.dropped, []);
+});
+
+test('a chunked batch matches a single convert_batch call', async () => {
+  const values = Float64Array.from(ZETAS, z => z / 10);
+  const result = await runTask({ type: 'batch', mode: 'rig_to_zeta', values, profile: 'HOG88' }, { chunkSize: 4 });
+  const whole = convert_batch('rig_to_zeta', values, 'HOG88');
+  for (const key of ['zeta', 'Ri_b', 'converged', 'iterations']) {
+    assert.deepEqual([...result[key]], [...whole[key]], key);
+  }
+  assert.deepEqual(result.reason, whole.reason);
+  assert.deepEqual(result.summary, whole.summary);
+});
+
+test('cancelling stops a task between chunks', async () => {
+  let seen = 0;
+  const result = await runTask({ type: 'table', profile: 'BD71', zetas: ZETAS }, {
+    chunkSize: 5,
+    onChunk: () => { seen++; },
+    isCancelled: () => seen >= 2
+  });
+  assert.deepEqual(result, { cancelled: true });
+  assert.equal(seen, 2);
+  await assert.rejects(runTask({ type: 'plot' }), /Unknown task type: plot/);
+});
+
+test('the worker runs built-in profiles off-thread and custom ones locally', async () => {
+  const worker = createMostWorker();
+  try {
+    const progress = [];
+    const job = worker.run({ type: 'table', profile: 'BD71', zetas: ZETAS }, {
+      chunkSize: 8,
+      onProgress: p => progress.push(p.done)
+    });
+    const result = await job.promise;
+    assert.deepEqual(progress, [8, 16, 23]);
+    assert.deepEqual(result.rows, ZETAS.map(z => reference_row(z, 'BD71')));
+
+    // An unregistered profile object does not exist in the worker's copy
+    const custom = { ...getProfile('BD71'), name: 'Custom', key: undefined };
+    const local = await worker.run({ type: 'table', profile: custom, zetas: [0.5] }).promise;
+    assert.deepEqual(local.rows, [reference_row(0.5, custom)]);
+
+    const cancelled = worker.run({ type: 'table', profile: 'BD71', zetas: ZETAS }, { chunkSize: 1 });
+    cancelled.cancel();
+    assert.deepEqual(await cancelled.promise, { cancelled: true });
+  } finally {
+    worker.terminate();
+  }
+});
@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ *
+ * Command-line front end to most.js for headless batch work: the same
+ * physics as the web tools, without a browser.
+ *
+ * Usage:
+ *   node web/cli.js rig-to-zeta 0.05 0.1 -0.3 --profile HOG88
+ *   node web/cli.js rib-to-zeta --input obs.csv --column Ri_b --z 2 --z0m 0.05 --kb-inv 2
+ *   cat zeta.txt | node web/cli.js zeta --format json
+ *   node web/cli.js table --grid rig --min -1 --max 0.2 --step 0.01 --format netcdf --output out/
+ *   node web/cli.js table --classes pasquill-gifford --z0m 0.1
+ *   node web/cli.js transfer --min -2 --max 0.3 --count 231 --z-over-z0m 100,1000 --kb-inv 2 --format netcdf -o out/
+ *   node web/cli.js profiles
+ *
+ * Conversions take values as arguments or, with none, stream a column of
+ * --input (or stdin) in chunks, so files larger than memory convert with a
+ * bounded footprint. Input lines follow parseNumericColumns: comma,
+ * semicolon, tab or whitespace separated (detected from the first line;
+ * '2,5' is a decimal comma in semicolon or tab separated input); '#'
+ * comments and blank lines skipped; empty or NaN fields read as NaN; a
+ * leading non-numeric line is the header that --column names refer to.
+ * Later text lines, and unparsable fields in the columns read, are listed
+ * in the summary.
+ *
+ * Exit codes (EXIT_CODES):
+ *   0  every value converted (every grid target inverted, every lookup row solved)
+ *   1  solver failure: at least one value had no solution; all other
+ *      results are still written, with converged = 0 on the failures
+ *   2  usage error: unknown command or option, or a malformed value
+ *   3  input/output or data error: unreadable file, missing column,
+ *      invalid surface, grid or profile
+ *
+ * @module cli
+ */
+
+import { createReadStream, createWriteStream, existsSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import {
+  TOOL_VERSION,
+  EXPORT_FORMATS,
+  DEFAULT_PRECISION,
+  checkPrecision,
+  formatValue,
+  getProfile,
+  listProfiles,
+  surface_params,
+  describe_surface,
+  convert_batch,
+  reference_table,
+  export_reference_table,
+  CLASSIFICATIONS,
+  classification_table,
+  transfer_lookup,
+  export_transfer_table,
+  TRANSFER_LOOKUP_DEFAULTS,
+  parseNumericLine,
+  describeSkipped
+} from './most.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  SOLVER_FAILURE: 1,
+  USAGE: 2,
+  ERROR: 3
+};
+
+// Values per convert_batch call when streaming
+export const STREAM_CHUNK_SIZE = 1000;
+
+// Subcommand → convert_batch mode
+const CONVERSIONS = {
+  'rig-to-zeta': 'rig_to_zeta',
+  'rib-to-zeta': 'rib_to_zeta',
+  zeta: 'zeta_to_all'
+};
+
+// Default table grid: the React tool's full ζ range
+const DEFAULT_GRID = { spacing: 'linear', min: -10, max: 10, step: 0.1 };
+const DEFAULT_LOG_COUNT = 201;
+
+const OUTPUT_FIELDS = ['input', 'zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b', 'converged', 'iterations', 'reason'];
+const REAL_FIELDS = new Set(['input', 'zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b']);
+const TEXT_FORMATS = { csv: ',', tsv: '\t', json: null };
+
+// Option name → { short, type }; numbers are validated when read
+const OPTIONS = {
+  profile: { short: 'p', type: 'string' },
+  z: { type: 'number' },
+  z0m: { type: 'number' },
+  z0h: { type: 'number' },
+  'kb-inv': { type: 'number' },
+  input: { short: 'i', type: 'string' },
+  column: { short: 'c', type: 'string' },
+  'z-over-z0-column': { type: 'string' },
+  output: { short: 'o', type: 'string' },
+  format: { short: 'f', type: 'string' },
+  precision: { type: 'string' },
+  'no-header': { type: 'boolean' },
+  grid: { type: 'string' },
+  min: { type: 'number' },
+  max: { type: 'number' },
+  step: { type: 'number' },
+  count: { type: 'number' },
+  'min-abs': { type: 'number' },
+  classes: { type: 'string' },
+  'z-over-z0m': { type: 'string' },
+  'chunk-size': { type: 'number' },
+  quiet: { short: 'q', type: 'boolean' },
+  help: { short: 'h', type: 'boolean' },
+  version: { short: 'V', type: 'boolean' }
+};
+
+export const USAGE = `Usage: node web/cli.js <command> [values...] [options]
+
+Commands:
+  rig-to-zeta [Ri_g...]   Invert Ri_g → ζ, φ_m, φ_h, Ri_b
+  rib-to-zeta [Ri_b...]   Invert Ri_b → ζ, φ_m, φ_h, Ri_g
+  zeta [ζ...]             Evaluate φ_m, φ_h, Ri_g, Ri_b at ζ
+  table                   Reference table (as the web tool's MOST_reference_* export)
+  transfer                C_D, C_H lookup table over Ri_b and z/z0m (MOST_transfer_* export)
+  profiles                List profile keys
+
+Conversions read a column of --input (or stdin) when no values are given.
+
+Common options:
+  -p, --profile KEY       Profile (default BD71; see 'profiles')
+  --z M, --z0m M          Measurement height and momentum roughness length (m)
+  --z0h M | --kb-inv X    Thermal roughness length (m) or kB⁻¹ = ln(z0m/z0h)
+  -o, --output PATH       Write to a file (table: or into a directory) instead of stdout
+  --precision P           full | fixed:N | significant:N
+  -q, --quiet             No summary on stderr
+  -h, --help, -V, --version
+
+Conversion options:
+  -i, --input FILE        Read values from FILE ('-' = stdin)
+  -c, --column COL        1-based column number or header name (default 1)
+  --z-over-z0-column COL  Per-record z/z0m column (rib-to-zeta)
+  -f, --format F          csv (default), tsv or json (one object per line)
+  --no-header             Omit the CSV/TSV header line
+  --chunk-size N          Values per solver batch when streaming (default ${STREAM_CHUNK_SIZE})
+
+Table options:
+  --grid S                linear (default), log, rig or rib
+  --min X --max X         Grid range (default -10 to 10)
+  --step X | --count N    Spacing (default step 0.1; log grids take --count)
+  --min-abs X             Smallest |ζ| of a log grid spanning 0 (default 1e-3)
+  --classes S             Add a stability class column: ${Object.keys(CLASSIFICATIONS).join(' or ')}
+  -f, --format F          ${Object.keys(EXPORT_FORMATS).join(', ')} (default csv)
+
+Transfer options (also --kb-inv, --format, --precision):
+  --min X --max X         Ri_b range (default ${TRANSFER_LOOKUP_DEFAULTS.rib.min} to ${TRANSFER_LOOKUP_DEFAULTS.rib.max})
+  --step X | --count N    Ri_b spacing (default ${TRANSFER_LOOKUP_DEFAULTS.rib.count} values)
+  --z-over-z0m LIST       Comma-separated z/z0m ratios (default ${TRANSFER_LOOKUP_DEFAULTS.z_over_z0m.join(',')})
+
+Exit codes: 0 ok, 1 solver failure (some values had no solution),
+2 usage error, 3 input/output or data error.
+`;
+
+const fail = (message, exitCode) => Object.assign(new Error(message), { exitCode });
+
+/**
+ * Split arguments into a command, positional values and options. Negative
+ * numbers ('-0.5', '-1e-3') are values, not options.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string|undefined, positionals: Array<string>, options: Object}}
+ * @throws {Error} With exitCode USAGE on an unknown option or a missing/non-numeric value
+ */
+export const parseArguments = argv => {
+  const shorts = Object.fromEntries(Object.entries(OPTIONS).filter(([, o]) => o.short).map(([name, o]) => [o.short, name]));
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-' || !arg.startsWith('-') || Number.isFinite(Number(arg))) {
+      positionals.push(arg);
+      continue;
+    }
+    const [flag, inline] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [arg.slice(1)];
+    const name = arg.startsWith('--') ? flag : shorts[flag];
+    const spec = OPTIONS[name];
+    if (!spec) throw fail(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+    if (spec.type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw fail(`Option --${name} needs a value`, EXIT_CODES.USAGE);
+    if (spec.type === 'number') {
+      if (value.trim() === '' || !Number.isFinite(Number(value))) {
+        throw fail(`Option --${name} needs a number (got ${value})`, EXIT_CODES.USAGE);
+      }
+      options[name] = Number(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return { command: positionals[0], positionals: positionals.slice(1), options };
+};
+
+/**
+ * Parse a --precision setting: 'full', 'fixed:N' or 'significant:N'.
+ *
+ * @param {string} text - Setting
+ * @returns {{notation: string, digits?: number}} Checked with checkPrecision
+ * @throws {Error} With exitCode USAGE if the setting is malformed
+ */
+export const parsePrecision = text => {
+  const [notation, digits] = text.split(':');
+  try {
+    return checkPrecision({ notation, digits: digits === undefined ? undefined : Number(digits) });
+  } catch (e) {
+    throw fail(e.message, EXIT_CODES.USAGE);
+  }
+};
+
+// Surface from --z/--z0m/--z0h/--kb-inv, checked up front
+const surfaceFrom = options => {
+  if (options.z0h !== undefined && options['kb-inv'] !== undefined) {
+    throw fail('Give either --z0h or --kb-inv, not both', EXIT_CODES.USAGE);
+  }
+  const surface = {};
+  if (options.z !== undefined) surface.Z = options.z;
+  if (options.z0m !== undefined) surface.Z0M = options.z0m;
+  if (options.z0h !== undefined) surface.Z0H = options.z0h;
+  if (options['kb-inv'] !== undefined) surface.KB_INV = options['kb-inv'];
+  try {
+    surface_params(surface);
+  } catch (e) {
+    throw fail(e.message, EXIT_CODES.ERROR);
+  }
+  return surface;
+};
+
+const profileFrom = options => {
+  try {
+    return getProfile(options.profile ?? 'BD71');
+  } catch (e) {
+    throw fail(`${e.message} (available: ${listProfiles().map(p => p.key).join(', ')})`, EXIT_CODES.ERROR);
+  }
+};
+
+// Column index from a 1-based number or a header name, checked against the first data row
+const columnIndex = (column, header, width, option) => {
+  if (/^\d+$/.test(column)) {
+    if (Number(column) < 1) throw fail(`--${option} is 1-based (got ${column})`, EXIT_CODES.USAGE);
+    if (Number(column) > width) throw fail(`Column ${column} not found (input has ${width} columns)`, EXIT_CODES.ERROR);
+    return Number(column) - 1;
+  }
+  const index = header ? header.indexOf(column) : -1;
+  if (index < 0) {
+    const known = header ? `header has ${header.join(', ')}` : 'input has no header line';
+    throw fail(`Column '${column}' not found (${known})`, EXIT_CODES.ERROR);
+  }
+  return index;
+};
+
+/**
+ * Formatter for conversion records in csv, tsv or json (JSON Lines).
+ */
+const recordWriter = (format, precision, header) => {
+  if (!(format in TEXT_FORMATS)) {
+    throw fail(`Unknown conversion format: ${format} (expected ${Object.keys(TEXT_FORMATS).join(', ')})`, EXIT_CODES.USAGE);
+  }
+  const value = (k, x) => (REAL_FIELDS.has(k) ? formatValue(x, precision) : String(x));
+  if (format === 'json') {
+    return {
+      header: '',
+      row: r => `${JSON.stringify(Object.fromEntries(OUTPUT_FIELDS.map(k => {
+        if (k === 'converged') return [k, Boolean(r[k])];
+        if (!REAL_FIELDS.has(k)) return [k, r[k]];
+        return [k, Number.isFinite(r[k]) ? Number(value(k, r[k])) : null];
+      })))}\n`
+    };
+  }
+  const sep = TEXT_FORMATS[format];
+  return {
+    header: header ? `${OUTPUT_FIELDS.join(sep)}\n` : '',
+    row: r => `${OUTPUT_FIELDS.map(k => value(k, r[k])).join(sep)}\n`
+  };
+};
+
+// Write respecting back-pressure, so a slow consumer bounds memory
+const writeTo = (stream, text) => (stream.write(text) ? null : new Promise(resolve => stream.once('drain', resolve)));
+
+const describeReasons = reasons => Object.entries(reasons)
+  .filter(([r]) => r !== 'converged' && r !== 'input')
+  .map(([r, n]) => `${r}: ${n}`)
+  .join(', ');
+
+/**
+ * Run convert_batch over one chunk and write its records.
+ *
+ * @returns {Promise<{count: number, converged: number, reasons: Object<string, number>}>}
+ */
+const convertChunk = async (mode, values, ratios, prof, surface, writer, out) => {
+  const result = convert_batch(mode, Float64Array.from(values), prof, {
+    surface,
+    z_over_z0: ratios ? Float64Array.from(ratios) : undefined
+  });
+  let text = '';
+  for (let i = 0; i < values.length; i++) {
+    text += writer.row({
+      input: values[i],
+      zeta: result.zeta[i],
+      phi_m: result.phi_m[i],
+      phi_h: result.phi_h[i],
+      Ri_g: result.Ri_g[i],
+      Ri_b: result.Ri_b[i],
+      converged: result.converged[i],
+      iterations: result.iterations[i],
+      reason: result.reason[i]
+    });
+  }
+  await writeTo(out, text);
+  return result.summary;
+};
+
+/**
+ * Stream values from a line source through convert_batch in chunks.
+ */
+const streamConversion = async (mode, lines, { prof, surface, writer, out, column, ratioColumn, chunkSize }) => {
+  const totals = { count: 0, converged: 0, reasons: {}, skipped: 0, skippedLines: [], unparsable: [] };
+  const add = summary => {
+    totals.count += summary.count;
+    totals.converged += summary.converged;
+    Object.entries(summary.reasons).forEach(([r, n]) => { totals.reasons[r] = (totals.reasons[r] || 0) + n; });
+  };
+
+  let header = null;
+  let delimiter;
+  let seenData = false;
+  let index = null;
+  let ratioIndex = null;
+  let values = [];
+  let ratios = ratioColumn ? [] : null;
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    const { kind, fields, values: row, unparsable, delimiter: used } = parseNumericLine(line, delimiter);
+    if (kind === 'data' || kind === 'text') delimiter = used;
+    if (kind === 'text') {
+      if (!seenData && header === null) header = fields;
+      else totals.skippedLines.push(lineNumber);
+    }
+    if (kind !== 'data') {
+      if (kind !== 'blank') totals.skipped++;
+      continue;
+    }
+    if (!seenData) {
+      seenData = true;
+      index = columnIndex(column, header, row.length, 'column');
+      if (ratioColumn) ratioIndex = columnIndex(ratioColumn, header, row.length, 'z-over-z0-column');
+    }
+    unparsable
+      .filter(j => j === index || j === ratioIndex)
+      .forEach(j => totals.unparsable.push({ line: lineNumber, column: j + 1, field: fields[j] }));
+    values.push(row[index] ?? NaN);
+    if (ratios) ratios.push(row[ratioIndex] ?? NaN);
+    if (values.length >= chunkSize) {
+      add(await convertChunk(mode, values, ratios, prof, surface, writer, out));
+      values = [];
+      if (ratios) ratios = [];
+    }
+  }
+  if (values.length) add(await convertChunk(mode, values, ratios, prof, surface, writer, out));
+  return totals;
+};
+
+// Output stream for --output (or stdout), and a function that closes it
+const openOutput = (path, io) => {
+  if (!path || path === '-') return { out: io.stdout, close: async () => {} };
+  const out = createWriteStream(path);
+  const opened = new Promise((resolve, reject) => {
+    out.once('open', resolve);
+    out.once('error', e => reject(fail(`Cannot write ${path}: ${e.message}`, EXIT_CODES.ERROR)));
+  });
+  return {
+    out,
+    opened,
+    close: () => new Promise((resolve, reject) => {
+      out.once('error', reject);
+      out.end(resolve);
+    })
+  };
+};
+
+const convertCommand = async (command, positionals, options, io) => {
+  const mode = CONVERSIONS[command];
+  const prof = profileFrom(options);
+  const surface = surfaceFrom(options);
+  const precision = options.precision ? parsePrecision(options.precision) : { notation: 'full' };
+  const writer = recordWriter(options.format ?? 'csv', precision, !options['no-header']);
+  const chunkSize = options['chunk-size'] ?? STREAM_CHUNK_SIZE;
+  if (!(Number.isInteger(chunkSize) && chunkSize >= 1)) {
+    throw fail(`--chunk-size must be a positive integer (got ${chunkSize})`, EXIT_CODES.USAGE);
+  }
+  if (options['z-over-z0-column'] && mode !== 'rib_to_zeta') {
+    throw fail('--z-over-z0-column applies to rib-to-zeta only', EXIT_CODES.USAGE);
+  }
+
+  const fromArguments = positionals.length > 0 && !(positionals.length === 1 && positionals[0] === '-');
+  if (fromArguments && (options.input || options['z-over-z0-column'])) {
+    throw fail('Give values as arguments or with --input, not both', EXIT_CODES.USAGE);
+  }
+  const values = fromArguments
+    ? positionals.map(v => {
+      if (!Number.isFinite(Number(v)) || v.trim() === '') throw fail(`Not a number: ${v}`, EXIT_CODES.USAGE);
+      return Number(v);
+    })
+    : null;
+
+  let input = io.stdin;
+  if (!fromArguments && options.input && options.input !== '-') {
+    if (!existsSync(options.input)) throw fail(`Cannot read ${options.input}: no such file`, EXIT_CODES.ERROR);
+    input = createReadStream(options.input, { encoding: 'utf8' });
+  }
+
+  const { out, opened, close } = openOutput(options.output, io);
+  if (opened) await opened;
+  await writeTo(out, writer.header);
+  let summary;
+  try {
+    summary = values
+      ? await convertChunk(mode, values, null, prof, surface, writer, out)
+      : await streamConversion(mode, createInterface({ input, crlfDelay: Infinity }), {
+        prof,
+        surface,
+        writer,
+        out,
+        column: options.column ?? '1',
+        ratioColumn: options['z-over-z0-column'],
+        chunkSize
+      });
+  } finally {
+    await close();
+  }
+
+  const failed = summary.count - summary.converged;
+  if (!options.quiet) {
+    const reasons = describeReasons(summary.reasons);
+    io.stderr.write(`${command} (${prof.key ?? prof.name}, ${describe_surface(surface).header}): ` +
+      `${summary.count} values, ${summary.converged} converted, ${failed} failed${reasons ? ` (${reasons})` : ''}` +
+      `${summary.skippedLines ? describeSkipped(summary) : ''}\n`);
+  }
+  return failed > 0 ? EXIT_CODES.SOLVER_FAILURE : EXIT_CODES.OK;
+};
+
+const gridFrom = options => {
+  const spacing = options.grid ?? DEFAULT_GRID.spacing;
+  const grid = {
+    spacing,
+    min: options.min ?? DEFAULT_GRID.min,
+    max: options.max ?? DEFAULT_GRID.max
+  };
+  if (options.count !== undefined) grid.count = options.count;
+  else if (spacing === 'log') grid.count = DEFAULT_LOG_COUNT;
+  else grid.step = options.step ?? DEFAULT_GRID.step;
+  if (options['min-abs'] !== undefined) grid.min_abs = options['min-abs'];
+  return grid;
+};
+
+const exportFormatFrom = options => {
+  const format = options.format ?? 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw fail(`Unknown table format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`, EXIT_CODES.USAGE);
+  }
+  return format;
+};
+
+// An export to stdout, a file, or under its descriptive name into a directory
+const writeExport = ({ content, filename }, options, io) => {
+  const target = options.output;
+  if (!target || target === '-') {
+    io.stdout.write(content);
+    if (typeof content === 'string') io.stdout.write('\n');
+    return;
+  }
+  const path = target.endsWith('/') || (existsSync(target) && statSync(target).isDirectory())
+    ? join(target, filename)
+    : target;
+  try {
+    writeFileSync(path, typeof content === 'string' ? `${content}\n` : content);
+  } catch (e) {
+    throw fail(`Cannot write ${path}: ${e.message}`, EXIT_CODES.ERROR);
+  }
+  if (!options.quiet) io.stderr.write(`Wrote ${path}\n`);
+};
+
+const tableCommand = async (options, io) => {
+  const prof = profileFrom(options);
+  const surface = surfaceFrom(options);
+  const format = exportFormatFrom(options);
+  const precision = options.precision ? parsePrecision(options.precision) : DEFAULT_PRECISION;
+  const grid = gridFrom(options);
+  if (options.classes !== undefined && !CLASSIFICATIONS[options.classes]) {
+    throw fail(`Unknown classification: ${options.classes} (expected ${Object.keys(CLASSIFICATIONS).join(', ')})`, EXIT_CODES.USAGE);
+  }
+
+  let table;
+  let classification;
+  try {
+    table = reference_table(grid, prof, surface);
+    if (options.classes) classification = classification_table(options.classes, surface);
+  } catch (e) {
+    throw fail(e.message, EXIT_CODES.ERROR);
+  }
+  writeExport(export_reference_table(format, table.rows, prof, { surface, grid, precision, classification }), options, io);
+
+  if (!options.quiet) {
+    io.stderr.write(`table (${prof.key ?? prof.name}): ${table.rows.length} rows` +
+      `${table.dropped.length ? `, ${table.dropped.length} ${grid.spacing === 'rib' ? 'Ri_b' : 'Ri_g'} targets without a solution` : ''}\n`);
+  }
+  return table.dropped.length ? EXIT_CODES.SOLVER_FAILURE : EXIT_CODES.OK;
+};
+
+const transferCommand = async (options, io) => {
+  const prof = profileFrom(options);
+  const format = exportFormatFrom(options);
+  for (const name of ['z', 'z0m', 'z0h']) {
+    if (options[name] !== undefined) throw fail(`transfer takes --z-over-z0m and --kb-inv, not --${name}`, EXIT_CODES.USAGE);
+  }
+  const { rib: defaults } = TRANSFER_LOOKUP_DEFAULTS;
+  const rib = { min: options.min ?? defaults.min, max: options.max ?? defaults.max };
+  if (options.step !== undefined) rib.step = options.step;
+  else rib.count = options.count ?? defaults.count;
+  const ratios = options['z-over-z0m']?.split(',').map(v => {
+    if (v.trim() === '' || !Number.isFinite(Number(v))) throw fail(`--z-over-z0m needs numbers (got ${v})`, EXIT_CODES.USAGE);
+    return Number(v);
+  });
+
+  let lookup;
+  try {
+    lookup = transfer_lookup(prof, { rib, z_over_z0m: ratios, kb_inv: options['kb-inv'] });
+  } catch (e) {
+    throw fail(e.message, EXIT_CODES.ERROR);
+  }
+  const precision = options.precision ? parsePrecision(options.precision) : undefined;
+  writeExport(export_transfer_table(format, lookup, prof, { precision }), options, io);
+
+  if (!options.quiet) {
+    io.stderr.write(`transfer (${prof.key ?? prof.name}, kB⁻¹ = ${lookup.kb_inv}): ${lookup.rows.length} rows` +
+      `${lookup.failed ? `, ${lookup.failed} without a solution (above the critical Ri_b)` : ''}\n`);
+  }
+  return lookup.failed ? EXIT_CODES.SOLVER_FAILURE : EXIT_CODES.OK;
+};
+
+/**
+ * Run the CLI.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {{stdin: Object, stdout: Object, stderr: Object}} [io=process] - Streams
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+export const main = async (argv, io = process) => {
+  try {
+    const { command, positionals, options } = parseArguments(argv);
+    if (options.version) {
+      io.stdout.write(`${TOOL_VERSION}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (options.help || command === undefined || command === 'help') {
+      (command === undefined && !options.help ? io.stderr : io.stdout).write(USAGE);
+      return command === undefined && !options.help ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+    }
+    if (CONVERSIONS[command]) return await convertCommand(command, positionals, options, io);
+    if (positionals.length) throw fail(`${command} takes no values (got ${positionals.join(' ')})`, EXIT_CODES.USAGE);
+    if (command === 'table') return await tableCommand(options, io);
+    if (command === 'transfer') return await transferCommand(options, io);
+    if (command === 'profiles') {
+      listProfiles().forEach(p => io.stdout.write(`${p.key}\t${p.name}\t${p.reference ?? ''}\n`));
+      return EXIT_CODES.OK;
+    }
+    throw fail(`Unknown command: ${command} (expected ${[...Object.keys(CONVERSIONS), 'table', 'transfer', 'profiles'].join(', ')})`, EXIT_CODES.USAGE);
+  } catch (e) {
+    io.stderr.write(`most: ${e.message}\n`);
+    if (e.exitCode === EXIT_CODES.USAGE) io.stderr.write("Run 'node web/cli.js --help' for usage.\n");
+    return e.exitCode ?? EXIT_CODES.ERROR;
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  // A closed pipe (e.g. '| head') ends the run quietly, as for other Unix tools
+  process.stdout.on('error', e => process.exit(e.code === 'EPIPE' ? EXIT_CODES.OK : EXIT_CODES.ERROR));
+  process.exitCode = await main(process.argv.slice(2));
+}
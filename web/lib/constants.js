@@ -0,0 +1,41 @@
+/**
+ * constants.js
+ *
+ * Shared numerical, surface and physical settings for the MOST physics library.
+ * Kept in their own module so the profile registry and numerics helpers
+ * can use them without importing most.js.
+ *
+ * @module lib/constants
+ */
+
+// Numerical integration and convergence parameters
+export const NUMERICAL_PARAMS = {
+  QUAD_TOL: 1e-12,       // Absolute tolerance for adaptive Gauss–Kronrod ψ quadrature
+  QUAD_MAX_DEPTH: 30,    // Maximum bisection depth for adaptive quadrature
+  NEWTON_TOL: 1e-10,     // Convergence tolerance for Newton's method
+  NEWTON_MAX_ITER: 100,  // Maximum iterations for Newton's method
+  DERIVATIVE_DZ: 1e-8,   // Step size for numerical differentiation
+  SECOND_DERIVATIVE_DZ: 1e-4, // Step size for numerical second derivatives
+  SENSITIVITY_STEP: 1e-5, // Relative step for ∂/∂(coefficient, z/z0) sensitivities
+  SINGULARITY_TOL: 1e-10, // Tolerance for singularity avoidance
+  ZETA_BOUNDS: [-10, 10] // Physical bounds for dimensionless height
+};
+
+// Default surface: measurement height and roughness lengths in metres.
+// z0h = z0m (kB⁻¹ = 0) gives the classic single ratio z/z0 = 1000.
+export const SURFACE_PARAMS = {
+  Z: 10,       // Measurement height z (m)
+  Z0M: 0.01,   // Momentum roughness length z0m (m)
+  Z0H: 0.01    // Thermal roughness length z0h (m); kB⁻¹ = ln(z0m/z0h)
+};
+
+// Physical constants for the dimensional flux solver (SI units)
+export const PHYSICAL_CONSTANTS = {
+  KAPPA: 0.4,    // von Kármán constant
+  G: 9.81,       // Gravitational acceleration (m s⁻²)
+  RHO: 1.2,      // Air density (kg m⁻³)
+  CP: 1005       // Specific heat of dry air at constant pressure (J kg⁻¹ K⁻¹)
+};
+
+// Library version recorded in exported files
+export const TOOL_VERSION = '1.0.0';
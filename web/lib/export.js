@@ -0,0 +1,255 @@
+/**
+ * export.js
+ *
+ * Self-describing table exports: CSV, JSON (with a JSON Schema), NetCDF-3
+ * classic, LaTeX tabular and Markdown.
+ *
+ * A table is { columns, rows, metadata }:
+ * - columns  [{ key, label, latex, units, long_name, precision?, significant?,
+ *            categories? }] in output order; precision overrides the
+ *            table's for that column (e.g. 'full' for time stamps); a
+ *            significant column (values of order 10⁻³, say) turns fixed
+ *            decimals into as many significant digits; a column with
+ *            categories holds indices into them, written as the category
+ *            names in the text formats (CSV, JSON, LaTeX, Markdown) and as the
+ *            index in NetCDF, where the metadata should carry
+ *            flag_values/flag_meanings
+ * - rows     [{ [key]: number }] at full precision
+ * - metadata nested plain object of provenance (strings, numbers, arrays)
+ *
+ * Each format carries the metadata in its own idiom: '#' lines in CSV, a
+ * 'metadata' member in JSON, global attributes in NetCDF, '%' comments in
+ * LaTeX and HTML comments in Markdown. Values are rounded to the requested
+ * precision in every format, so all outputs of one export agree.
+ *
+ * @module lib/export
+ */
+
+import { writeNetCDF } from './netcdf.js';
+
+// Output formats: file extension, MIME type and a UI label
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mime: 'text/csv;charset=utf-8;', label: 'CSV' },
+  json: { extension: 'json', mime: 'application/json', label: 'JSON' },
+  netcdf: { extension: 'nc', mime: 'application/x-netcdf', label: 'NetCDF-3' },
+  latex: { extension: 'tex', mime: 'application/x-tex', label: 'LaTeX tabular' },
+  markdown: { extension: 'md', mime: 'text/markdown;charset=utf-8;', label: 'Markdown' }
+};
+
+// Default precision: 4 decimal places, as the original CSV export
+export const DEFAULT_PRECISION = { notation: 'fixed', digits: 4 };
+
+/**
+ * JSON Schema (draft 2020-12) for the JSON export.
+ */
+export const TABLE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:richardson:most-table:1',
+  title: 'MOST table export',
+  type: 'object',
+  required: ['$schema', 'metadata', 'precision', 'columns', 'rows'],
+  properties: {
+    $schema: { const: 'urn:richardson:most-table:1' },
+    metadata: {
+      type: 'object',
+      description: 'Provenance: tool version, profile coefficients, surface, grid and solver settings',
+      required: ['title', 'tool', 'version', 'created'],
+      properties: {
+        title: { type: 'string' },
+        tool: { type: 'string' },
+        version: { type: 'string' },
+        created: { type: 'string', format: 'date-time' }
+      }
+    },
+    precision: {
+      type: 'object',
+      required: ['notation'],
+      properties: {
+        notation: { enum: ['fixed', 'significant', 'full'] },
+        digits: { type: 'integer', minimum: 0, maximum: 17 }
+      }
+    },
+    columns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'units'],
+        properties: {
+          key: { type: 'string' },
+          label: { type: 'string' },
+          units: { type: 'string' },
+          long_name: { type: 'string' }
+        }
+      }
+    },
+    rows: {
+      type: 'array',
+      description: 'One object per row keyed by column key; null marks a non-finite value or no category',
+      items: { type: 'object', additionalProperties: { type: ['number', 'string', 'null'] } }
+    }
+  }
+};
+
+/**
+ * Validate a precision setting.
+ *
+ * @param {{notation: string, digits?: number}} precision - 'fixed' (digits = decimal
+ *   places, 0–15), 'significant' (digits = significant figures, 1–17) or 'full'
+ * @returns {{notation: string, digits?: number}} The same setting
+ * @throws {Error} On an unknown notation or out-of-range digits
+ */
+export const checkPrecision = precision => {
+  const { notation, digits } = precision;
+  if (notation === 'full') return { notation };
+  const [lo, hi] = { fixed: [0, 15], significant: [1, 17] }[notation] || [];
+  if (lo === undefined) {
+    throw new Error(`Invalid precision: notation must be fixed, significant or full (got ${notation})`);
+  }
+  if (!(Number.isInteger(digits) && digits >= lo && digits <= hi)) {
+    throw new Error(`Invalid precision: ${notation} needs digits from ${lo} to ${hi} (got ${digits})`);
+  }
+  return { notation, digits };
+};
+
+/**
+ * Format one value at the given precision ('NaN'/'Infinity' pass through).
+ *
+ * @param {number} x - Value
+ * @param {{notation: string, digits?: number}} [precision=DEFAULT_PRECISION]
+ * @returns {string}
+ */
+export const formatValue = (x, { notation, digits } = DEFAULT_PRECISION) => {
+  if (!Number.isFinite(x)) return String(x);
+  if (notation === 'fixed') return x.toFixed(digits).replace(/^-(?=0(\.0*)?$)/, ''); // no '-0.0000'
+  if (notation === 'significant') return x.toPrecision(digits);
+  return String(x);
+};
+
+// Precision of one column of a table written at `precision`
+const columnPrecision = (c, precision) => {
+  if (c.precision) return c.precision;
+  if (c.significant && precision.notation === 'fixed') return { notation: 'significant', digits: Math.max(1, precision.digits) };
+  return precision;
+};
+
+const roundValue = (x, precision) => (Number.isFinite(x) ? Number(formatValue(x, precision)) : x);
+
+/**
+ * Flatten nested metadata into [key, value] pairs ('profile.stable.bm').
+ * Arrays of numbers stay arrays; other arrays are joined with ', '.
+ *
+ * @param {Object} metadata - Nested metadata
+ * @param {string} [separator='.'] - Key separator
+ * @returns {Array<[string, string|number|Array<number>]>}
+ */
+export const flattenMetadata = (metadata, separator = '.') => {
+  const out = [];
+  const walk = (value, path) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      out.push([path, value.every(v => typeof v === 'number') ? value : value.join(', ')]);
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => walk(v, path ? `${path}${separator}${k}` : k));
+    } else {
+      out.push([path, typeof value === 'boolean' ? String(value) : value]);
+    }
+  };
+  walk(metadata, '');
+  return out;
+};
+
+// Provenance lines for the text formats, ending with the precision used
+const metadataLines = (metadata, precision) =>
+  flattenMetadata({ ...metadata, precision }).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : String(v).replace(/\r?\n/g, ' ')}`);
+
+// Category name of a categorical cell, or '' for a missing or unknown index
+const categoryOf = (c, x) => (Number.isInteger(x) ? c.categories[x] ?? '' : '');
+
+// CSV field, quoted if it holds a delimiter, quote or line break
+const csvField = s => (/[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+
+// LaTeX text with its special characters escaped
+const latexText = s => s.replace(/[&%$#_{}]/g, '\\$&').replace(/~/g, '\\textasciitilde{}').replace(/\^/g, '\\textasciicircum{}');
+
+// LaTeX cell: e-notation becomes ×10^n, non-finite values a dash
+const latexValue = (x, precision) => {
+  if (!Number.isFinite(x)) return '--';
+  const s = formatValue(x, precision);
+  const m = s.match(/^(-?[\d.]+)e([+-]\d+)$/);
+  return m ? `$${m[1]}\\times10^{${Number(m[2])}}$` : s;
+};
+
+const toCSV = ({ columns, rows, metadata }, precision) => [
+  ...metadataLines(metadata, precision).map(line => `# ${line}`),
+  columns.map(c => c.key).join(','),
+  ...rows.map(r => columns.map(c => (c.categories
+    ? csvField(categoryOf(c, r[c.key]))
+    : formatValue(r[c.key], columnPrecision(c, precision)))).join(','))
+].join('\n');
+
+const toJSON = ({ columns, rows, metadata }, precision) => JSON.stringify({
+  $schema: TABLE_SCHEMA.$id,
+  metadata,
+  precision,
+  columns: columns.map(({ key, label, units, long_name }) => ({ key, label, units, long_name })),
+  rows: rows.map(r => Object.fromEntries(columns.map(c => {
+    if (c.categories) return [c.key, categoryOf(c, r[c.key]) || null];
+    const v = roundValue(r[c.key], columnPrecision(c, precision));
+    return [c.key, Number.isFinite(v) ? v : null];
+  })))
+}, null, 2);
+
+const toLaTeX = ({ columns, rows, metadata }, precision) => [
+  ...metadataLines(metadata, precision).map(line => `% ${line}`),
+  `\\begin{tabular}{${'r'.repeat(columns.length)}}`,
+  '\\hline',
+  `${columns.map(c => c.latex || c.label || c.key).join(' & ')} \\\\`,
+  '\\hline',
+  ...rows.map(r => `${columns.map(c => (c.categories
+    ? latexText(categoryOf(c, r[c.key])) || '--'
+    : latexValue(r[c.key], columnPrecision(c, precision)))).join(' & ')} \\\\`),
+  '\\hline',
+  '\\end{tabular}'
+].join('\n');
+
+const toMarkdown = ({ columns, rows, metadata }, precision) => [
+  // '--' may not appear inside an HTML comment
+  ...metadataLines(metadata, precision).map(line => `<!-- ${line.replace(/--/g, '- -')} -->`),
+  '',
+  `| ${columns.map(c => c.label || c.key).join(' | ')} |`,
+  `|${columns.map(() => '---:').join('|')}|`,
+  ...rows.map(r => `| ${columns.map(c => (c.categories
+    ? categoryOf(c, r[c.key]).replace(/\|/g, '\\|')
+    : formatValue(r[c.key], columnPrecision(c, precision)))).join(' | ')} |`)
+].join('\n');
+
+const toNetCDF = ({ columns, rows, metadata }, precision) => writeNetCDF({
+  dimensions: { row: rows.length },
+  attributes: Object.fromEntries(flattenMetadata({ ...metadata, precision }, '_')),
+  variables: columns.map(c => ({
+    name: c.key,
+    dimensions: ['row'],
+    type: 'double',
+    data: rows.map(r => roundValue(r[c.key], columnPrecision(c, precision))),
+    attributes: { long_name: c.long_name, units: c.units }
+  }))
+});
+
+const WRITERS = { csv: toCSV, json: toJSON, latex: toLaTeX, markdown: toMarkdown, netcdf: toNetCDF };
+
+/**
+ * Serialise a table in one of the EXPORT_FORMATS.
+ *
+ * @param {string} format - 'csv', 'json', 'netcdf', 'latex' or 'markdown'
+ * @param {{columns: Array<Object>, rows: Array<Object>, metadata: Object}} table - See module docs
+ * @param {{notation: string, digits?: number}} [precision=DEFAULT_PRECISION] - See checkPrecision
+ * @returns {string|Uint8Array} Text, or bytes for NetCDF
+ * @throws {Error} On an unknown format or invalid precision (and an empty NetCDF table)
+ */
+export const formatTable = (format, table, precision = DEFAULT_PRECISION) => {
+  const write = WRITERS[format];
+  if (!write) {
+    throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  return write(table, checkPrecision(precision));
+};
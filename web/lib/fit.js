@@ -0,0 +1,252 @@
+/**
+ * fit.js
+ *
+ * Least squares for fitting profile coefficients to observations:
+ * Levenberg–Marquardt for nonlinear models and a direct solve for models
+ * linear in their coefficients (e.g. tower profiles in ln z), each with
+ * the parameter covariance at the solution.
+ *
+ * Like the root finders, the solver returns a structured result:
+ *   { x, rss, residuals, jacobian, covariance, iterations, converged, reason }
+ *
+ * Stop reasons:
+ * - 'rss'             relative decrease of the residual sum of squares below tol
+ * - 'step'            relative parameter step below xtol
+ * - 'gradient'        gradient of the sum of squares below gtol
+ * - 'max-iterations'  iteration budget exhausted (converged = false)
+ * - 'stalled'         no damped step lowers the sum of squares any further, i.e.
+ *                     a minimum to working precision
+ * - 'non-finite'      residuals at the starting point are not finite (converged = false)
+ *
+ * @module lib/fit
+ */
+
+import { NUMERICAL_PARAMS } from './constants.js';
+
+// Solver settings
+export const FIT_DEFAULTS = {
+  tol: 1e-12,          // Relative RSS decrease treated as converged
+  xtol: 1e-10,         // Relative parameter step treated as converged
+  gtol: 1e-12,         // Gradient norm treated as converged
+  maxIter: 200,        // Iteration budget
+  lambda: 1e-3,        // Initial Marquardt damping
+  maxLambda: 1e16      // Damping at which the search is abandoned
+};
+
+const sumSquares = r => {
+  let s = 0;
+  for (let i = 0; i < r.length; i++) s += r[i] * r[i];
+  return s;
+};
+
+const allFinite = r => {
+  for (let i = 0; i < r.length; i++) if (!Number.isFinite(r[i])) return false;
+  return true;
+};
+
+/**
+ * Solve A x = b for a small dense matrix by Gaussian elimination with
+ * partial pivoting; null if A is singular to working precision.
+ */
+const solve = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  const scale = Math.max(...A.map(row => Math.max(...row.map(Math.abs))), 0);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (!(Math.abs(M[pivot][c]) > 1e-14 * scale)) return null;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+};
+
+/**
+ * Inverse of a small dense matrix; null if it is singular.
+ *
+ * @param {Array<Array<number>>} A - Square matrix
+ * @returns {Array<Array<number>>|null}
+ */
+export const invertMatrix = A => {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const col = solve(A, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0)));
+    if (!col) return null;
+    columns.push(col);
+  }
+  return A.map((_, i) => columns.map(col => col[i]));
+};
+
+/**
+ * Central-difference Jacobian of a residual function, n × k as rows.
+ *
+ * @param {Function} residual - x → ArrayLike<number> of length n
+ * @param {Array<number>} x - Parameters
+ * @param {number} [step=NUMERICAL_PARAMS.SENSITIVITY_STEP] - Relative step
+ * @returns {Array<Float64Array>} Row i holds ∂r_i/∂x_j
+ */
+export const numericJacobian = (residual, x, step = NUMERICAL_PARAMS.SENSITIVITY_STEP) => {
+  const columns = x.map((xj, j) => {
+    const h = step * Math.max(1, Math.abs(xj));
+    const up = residual(x.map((v, k) => (k === j ? v + h : v)));
+    const down = residual(x.map((v, k) => (k === j ? v - h : v)));
+    return Float64Array.from(up, (u, i) => (u - down[i]) / (2 * h));
+  });
+  const n = columns.length ? columns[0].length : 0;
+  return Array.from({ length: n }, (_, i) => Float64Array.from(columns, col => col[i]));
+};
+
+// JᵀJ and Jᵀr
+const normalEquations = (J, r, k) => {
+  const A = Array.from({ length: k }, () => new Array(k).fill(0));
+  const g = new Array(k).fill(0);
+  for (let i = 0; i < J.length; i++) {
+    const row = J[i];
+    for (let a = 0; a < k; a++) {
+      g[a] += row[a] * r[i];
+      for (let b = a; b < k; b++) A[a][b] += row[a] * row[b];
+    }
+  }
+  for (let a = 0; a < k; a++) for (let b = 0; b < a; b++) A[a][b] = A[b][a];
+  return { A, g };
+};
+
+/**
+ * Linear least squares y ≈ X c, optionally weighted, via the normal
+ * equations (fine for the few well-scaled columns used here).
+ *
+ * The covariance is s² (XᵀWX)⁻¹ with s² = RSS / (n − k), as in
+ * levenbergMarquardt; null with no degrees of freedom.
+ *
+ * @param {Array<ArrayLike<number>>} X - Design matrix, n rows of k basis values
+ * @param {ArrayLike<number>} y - Observations (length n)
+ * @param {ArrayLike<number>} [weights] - Per-row weights, e.g. 1/σ²
+ * @returns {{coefficients: Array<number>, covariance: Array<Array<number>>|null,
+ *   rss: number, dof: number, residuals: Float64Array}} residuals are y − X c
+ * @throws {Error} If the columns are linearly dependent (e.g. fewer distinct rows than columns)
+ */
+export const linearLeastSquares = (X, y, weights) => {
+  const n = y.length;
+  const k = n ? X[0].length : 0;
+  const w = i => (weights ? weights[i] : 1);
+  const rows = X.map((row, i) => Float64Array.from(row, v => v * Math.sqrt(w(i))));
+  const target = Float64Array.from(y, (v, i) => v * Math.sqrt(w(i)));
+  const { A, g } = normalEquations(rows, target, k);
+  const coefficients = solve(A, g);
+  if (!coefficients) throw new Error(`Least squares: the ${k} basis functions are not independent at these ${n} points`);
+
+  const residuals = Float64Array.from(y, (v, i) => v - X[i].reduce((s, x, j) => s + x * coefficients[j], 0));
+  const rss = residuals.reduce((s, r, i) => s + w(i) * r * r, 0);
+  const dof = n - k;
+  const inverse = dof > 0 ? invertMatrix(A) : null;
+  return {
+    coefficients,
+    covariance: inverse && inverse.map(row => row.map(v => v * rss / dof)),
+    rss,
+    dof,
+    residuals
+  };
+};
+
+/**
+ * Minimise Σ r_i(x)² by Levenberg–Marquardt with Marquardt's diagonal
+ * scaling.
+ *
+ * Each iteration solves (JᵀJ + λ diag(JᵀJ)) δ = −Jᵀr; a step that lowers
+ * the sum of squares is taken and λ shrinks tenfold, otherwise λ grows
+ * tenfold and the step is retried. Trial points with non-finite residuals
+ * (e.g. coefficients outside a profile's domain) count as failed steps.
+ *
+ * The covariance is s² (JᵀJ)⁻¹ at the solution with s² = RSS / (n − k), i.e.
+ * residuals are taken to share one unknown variance (weight them beforehand
+ * for anything else). It is null when JᵀJ is singular (parameters not
+ * identifiable from the data) or there are no degrees of freedom.
+ *
+ * @param {Function} residual - x → ArrayLike<number> of residuals (fixed length n)
+ * @param {Array<number>} x0 - Starting parameters (length k)
+ * @param {Object} [options] - FIT_DEFAULTS overrides, plus:
+ * @param {Function} [options.jacobian] - x → n × k rows; central differences if omitted
+ * @returns {{x: Array<number>, rss: number, residuals: Float64Array, jacobian: Array<Float64Array>,
+ *   covariance: Array<Array<number>>|null, iterations: number, converged: boolean, reason: string}}
+ */
+export const levenbergMarquardt = (residual, x0, options = {}) => {
+  const { tol, xtol, gtol, maxIter, lambda: lambda0, maxLambda } = { ...FIT_DEFAULTS, ...options };
+  const jacobian = options.jacobian || (x => numericJacobian(residual, x));
+  const k = x0.length;
+
+  let x = [...x0];
+  let r = Float64Array.from(residual(x));
+  if (!allFinite(r)) {
+    return { x, rss: NaN, residuals: r, jacobian: [], covariance: null, iterations: 0, converged: false, reason: 'non-finite' };
+  }
+  let rss = sumSquares(r);
+  let J = jacobian(x);
+  let lambda = lambda0;
+  let iterations = 0;
+  let reason = 'max-iterations';
+
+  while (iterations < maxIter) {
+    iterations++;
+    const { A, g } = normalEquations(J, r, k);
+    if (Math.sqrt(sumSquares(g)) <= gtol) {
+      reason = 'gradient';
+      break;
+    }
+
+    let accepted = false;
+    while (lambda <= maxLambda) {
+      const damped = A.map((row, a) => row.map((v, b) => (a === b ? v + lambda * (v || 1) : v)));
+      const delta = solve(damped, g.map(v => -v));
+      if (delta) {
+        const trial = x.map((v, j) => v + delta[j]);
+        const rt = Float64Array.from(residual(trial));
+        const rssTrial = allFinite(rt) ? sumSquares(rt) : Infinity;
+        if (rssTrial < rss) {
+          const drop = (rss - rssTrial) / Math.max(rss, Number.MIN_VALUE);
+          const stepSize = Math.sqrt(sumSquares(delta)) / (Math.sqrt(sumSquares(x)) + xtol);
+          x = trial;
+          r = rt;
+          rss = rssTrial;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+          if (drop <= tol) reason = 'rss';
+          else if (stepSize <= xtol) reason = 'step';
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+    if (!accepted) {
+      reason = 'stalled';
+      break;
+    }
+    J = jacobian(x);
+    if (reason === 'rss' || reason === 'step') break;
+  }
+
+  const n = r.length;
+  const { A } = normalEquations(J, r, k);
+  const inverse = n > k ? invertMatrix(A) : null;
+  const s2 = n > k ? rss / (n - k) : NaN;
+  return {
+    x,
+    rss,
+    residuals: r,
+    jacobian: J,
+    covariance: inverse && inverse.map(row => row.map(v => v * s2)),
+    iterations,
+    converged: reason !== 'max-iterations',
+    reason
+  };
+};
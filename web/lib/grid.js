@@ -0,0 +1,103 @@
+/**
+ * grid.js
+ *
+ * Evenly and logarithmically spaced grids for the reference tables.
+ *
+ * These helpers only lay out numbers; mapping a grid of Richardson numbers
+ * to ζ (which needs the inversions) is done by zeta_grid in most.js.
+ *
+ * @module lib/grid
+ */
+
+// Upper limit on grid size, so a typo in a step cannot lock up the page
+export const MAX_GRID_POINTS = 100000;
+
+// Drop floating-point noise such as -9.899999999999999 from grid values
+const clean = x => Number(x.toPrecision(12));
+
+const checkCount = (count, label) => {
+  if (!(Number.isInteger(count) && count >= 2 && count <= MAX_GRID_POINTS)) {
+    throw new Error(`Invalid grid: ${label} must be an integer from 2 to ${MAX_GRID_POINTS} (got ${count})`);
+  }
+};
+
+const checkRange = (min, max) => {
+  if (!(Number.isFinite(min) && Number.isFinite(max) && min < max)) {
+    throw new Error(`Invalid grid: need finite min < max (got ${min}, ${max})`);
+  }
+};
+
+/**
+ * Evenly spaced values from min to max.
+ *
+ * Give either `step` (the last point is the largest min + i·step ≤ max) or
+ * `count` (both ends included).
+ *
+ * @param {number} min - First value
+ * @param {number} max - Last value (upper limit when stepping)
+ * @param {{step?: number, count?: number}} spacing - Step size or number of points
+ * @returns {Float64Array} Grid values
+ * @throws {Error} On a non-finite or empty range, a non-positive step, or too many points
+ */
+export const linearGrid = (min, max, { step, count } = {}) => {
+  checkRange(min, max);
+  if (step !== undefined) {
+    if (!(Number.isFinite(step) && step > 0)) {
+      throw new Error(`Invalid grid: step must be a positive number (got ${step})`);
+    }
+    // Tolerance so that e.g. -10..10 by 0.1 keeps its end point
+    count = Math.floor((max - min) / step + 1e-9) + 1;
+    checkCount(count, 'the number of points');
+    return Float64Array.from({ length: count }, (_, i) => clean(min + i * step));
+  }
+  checkCount(count, 'count');
+  return Float64Array.from({ length: count }, (_, i) => clean(min + (i * (max - min)) / (count - 1)));
+};
+
+/**
+ * Values geometrically spaced in |x| between min and max.
+ *
+ * A range that does not contain zero is spaced geometrically from its
+ * smaller to its larger magnitude. A range that contains zero gets 0 itself
+ * plus a geometric run from ±minAbs to each end, with the points shared
+ * between the two sides in proportion to the decades they span, so
+ * near-neutral values are resolved as finely as the far ends.
+ *
+ * @param {number} min - Lower end of the range
+ * @param {number} max - Upper end of the range
+ * @param {{count: number, minAbs?: number}} spacing - Total number of points and,
+ *   for ranges containing zero, the smallest non-zero magnitude (default 1e-3)
+ * @returns {Float64Array} Ascending grid values
+ * @throws {Error} On an invalid range, count or minAbs
+ */
+export const logGrid = (min, max, { count, minAbs = 1e-3 } = {}) => {
+  checkRange(min, max);
+  checkCount(count, 'count');
+
+  const run = (from, to, n) => {
+    const ratio = Math.pow(to / from, 1 / (n - 1));
+    return Array.from({ length: n }, (_, i) => clean(i === n - 1 ? to : from * Math.pow(ratio, i)));
+  };
+
+  if (min > 0) return Float64Array.from(run(min, max, count));
+  if (max < 0) return Float64Array.from(run(-max, -min, count).map(x => -x).reverse());
+
+  if (!(Number.isFinite(minAbs) && minAbs > 0 && minAbs < Math.max(-min, max))) {
+    throw new Error(`Invalid grid: minAbs must be positive and inside the range (got ${minAbs})`);
+  }
+
+  // Sides that reach beyond minAbs, with their decade counts
+  const sides = [-min, max].map(end => (end > minAbs ? Math.log10(end / minAbs) : 0));
+  const decades = sides[0] + sides[1];
+  const available = count - 1;
+  let nNeg = sides[0] > 0 ? Math.max(2, Math.round((available * sides[0]) / decades)) : 0;
+  let nPos = sides[1] > 0 ? Math.max(2, available - nNeg) : 0;
+  if (sides[1] > 0 && nNeg + nPos > available) nNeg = Math.max(2, available - nPos);
+  if (nNeg + nPos > available) {
+    throw new Error(`Invalid grid: count ${count} is too small for this range`);
+  }
+
+  const negative = nNeg ? run(minAbs, -min, nNeg).map(x => -x).reverse() : [];
+  const positive = nPos ? run(minAbs, max, nPos) : [];
+  return Float64Array.from([...negative, 0, ...positive]);
+};
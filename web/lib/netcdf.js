@@ -0,0 +1,370 @@
+/**
+ * netcdf.js
+ *
+ * Minimal NetCDF-3 reader and writer in plain JavaScript, no dependencies.
+ *
+ * The writer produces classic (CDF-1) files, enough for the reference-table
+ * exports: fixed-size dimensions, double/int variables and text/numeric
+ * attributes, no record dimension. The reader accepts classic and 64-bit
+ * offset (CDF-2) files with any of the six classic types and a record
+ * dimension, which covers the observation files written by loggers and
+ * processing packages. NetCDF-4 (HDF5) files are not supported.
+ *
+ * Layout (see the NetCDF classic format specification):
+ *   'CDF' 0x01|0x02, numrecs, dim_list, gatt_list, var_list, then variable data,
+ *   all big-endian with every field padded to a 4-byte boundary. Record
+ *   variables are interleaved, one record of each after the fixed data.
+ *
+ * @module lib/netcdf
+ */
+
+const NC_DIMENSION = 0x0a;
+const NC_VARIABLE = 0x0b;
+const NC_ATTRIBUTE = 0x0c;
+
+const NC_TYPES = {
+  char: { code: 2, size: 1 },
+  int: { code: 4, size: 4 },
+  double: { code: 6, size: 8 }
+};
+
+// All classic types by code, for reading
+const READ_TYPES = {
+  1: { name: 'byte', size: 1, get: (view, at) => view.getInt8(at) },
+  2: { name: 'char', size: 1, get: (view, at) => view.getUint8(at) },
+  3: { name: 'short', size: 2, get: (view, at) => view.getInt16(at) },
+  4: { name: 'int', size: 4, get: (view, at) => view.getInt32(at) },
+  5: { name: 'float', size: 4, get: (view, at) => view.getFloat32(at) },
+  6: { name: 'double', size: 8, get: (view, at) => view.getFloat64(at) }
+};
+
+// Names must start with a letter or underscore (classic-model rules, ASCII subset)
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.@+-]*$/;
+
+const pad4 = n => (4 - (n % 4)) % 4;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Growable big-endian byte buffer.
+ */
+const createWriter = () => {
+  let bytes = new Uint8Array(1024);
+  let view = new DataView(bytes.buffer);
+  let length = 0;
+
+  const ensure = n => {
+    if (length + n <= bytes.length) return;
+    const next = new Uint8Array(Math.max(bytes.length * 2, length + n));
+    next.set(bytes);
+    bytes = next;
+    view = new DataView(bytes.buffer);
+  };
+
+  return {
+    get length() { return length; },
+    int32(v) { ensure(4); view.setInt32(length, v); length += 4; },
+    float64(v) { ensure(8); view.setFloat64(length, v); length += 8; },
+    bytes(b) { ensure(b.length); bytes.set(b, length); length += b.length; },
+    pad() { const n = pad4(length); ensure(n); length += n; },
+    setInt32(at, v) { view.setInt32(at, v); },
+    result() { return bytes.slice(0, length); }
+  };
+};
+
+const checkName = (name, what) => {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid NetCDF ${what} name: ${name}`);
+  }
+};
+
+const writeName = (w, name) => {
+  const b = encoder.encode(name);
+  w.int32(b.length);
+  w.bytes(b);
+  w.pad();
+};
+
+// Strings are stored as char arrays; numbers and numeric arrays as doubles
+const attributeType = value => (typeof value === 'string' ? NC_TYPES.char : NC_TYPES.double);
+
+const writeAttributes = (w, attributes = {}) => {
+  const entries = Object.entries(attributes).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) {
+    w.int32(0); // ABSENT = ZERO ZERO
+    w.int32(0);
+    return;
+  }
+  w.int32(NC_ATTRIBUTE);
+  w.int32(entries.length);
+  for (const [name, value] of entries) {
+    checkName(name, 'attribute');
+    writeName(w, name);
+    const type = attributeType(value);
+    w.int32(type.code);
+    if (type === NC_TYPES.char) {
+      const b = encoder.encode(value);
+      w.int32(b.length);
+      w.bytes(b);
+    } else {
+      const values = Array.isArray(value) || ArrayBuffer.isView(value) ? Array.from(value) : [value];
+      w.int32(values.length);
+      values.forEach(v => w.float64(Number(v)));
+    }
+    w.pad();
+  }
+};
+
+/**
+ * Encode a dataset as a NetCDF-3 classic file.
+ *
+ * @param {Object} dataset
+ * @param {Object<string, number>} dataset.dimensions - Dimension name → length (fixed size, > 0)
+ * @param {Array<Object>} dataset.variables - { name, dimensions: [dim names], type: 'double'|'int',
+ *   data: ArrayLike<number> (row-major, product of the dimension lengths), attributes? }
+ * @param {Object} [dataset.attributes] - Global attributes; strings become text, numbers
+ *   or numeric arrays become doubles
+ * @returns {Uint8Array} File contents
+ * @throws {Error} On invalid names, unknown dimensions/types or a data length mismatch
+ */
+export const writeNetCDF = ({ dimensions, variables, attributes = {} }) => {
+  const dimNames = Object.keys(dimensions);
+  dimNames.forEach(name => {
+    checkName(name, 'dimension');
+    const len = dimensions[name];
+    if (!(Number.isInteger(len) && len > 0)) {
+      throw new Error(`NetCDF dimension '${name}' must have a positive integer length (got ${len})`);
+    }
+  });
+
+  const vars = variables.map(v => {
+    checkName(v.name, 'variable');
+    const type = NC_TYPES[v.type || 'double'];
+    if (!type || type === NC_TYPES.char) throw new Error(`Unsupported NetCDF variable type: ${v.type}`);
+    const dimIds = v.dimensions.map(d => {
+      const id = dimNames.indexOf(d);
+      if (id < 0) throw new Error(`Variable '${v.name}' uses unknown dimension '${d}'`);
+      return id;
+    });
+    const count = v.dimensions.reduce((n, d) => n * dimensions[d], 1);
+    if (v.data.length !== count) {
+      throw new Error(`Variable '${v.name}' has ${v.data.length} values; its dimensions need ${count}`);
+    }
+    const size = count * type.size;
+    return { ...v, type, dimIds, vsize: size + pad4(size) };
+  });
+
+  const w = createWriter();
+  w.bytes(Uint8Array.of(0x43, 0x44, 0x46, 0x01)); // 'CDF', classic format
+  w.int32(0); // numrecs (no record dimension)
+
+  if (dimNames.length) {
+    w.int32(NC_DIMENSION);
+    w.int32(dimNames.length);
+    dimNames.forEach(name => {
+      writeName(w, name);
+      w.int32(dimensions[name]);
+    });
+  } else {
+    w.int32(0);
+    w.int32(0);
+  }
+
+  writeAttributes(w, attributes);
+
+  // Variable headers; 'begin' offsets are patched once the header size is known
+  const beginAt = [];
+  if (vars.length) {
+    w.int32(NC_VARIABLE);
+    w.int32(vars.length);
+    vars.forEach(v => {
+      writeName(w, v.name);
+      w.int32(v.dimIds.length);
+      v.dimIds.forEach(id => w.int32(id));
+      writeAttributes(w, v.attributes);
+      w.int32(v.type.code);
+      w.int32(v.vsize);
+      beginAt.push(w.length);
+      w.int32(0);
+    });
+  } else {
+    w.int32(0);
+    w.int32(0);
+  }
+
+  vars.forEach((v, i) => {
+    w.setInt32(beginAt[i], w.length);
+    for (const x of v.data) {
+      if (v.type === NC_TYPES.double) w.float64(x);
+      else w.int32(x);
+    }
+    w.pad();
+  });
+
+  return w.result();
+};
+
+/**
+ * Big-endian reader over a byte array, with bounds checks that name the
+ * truncated file rather than failing with a RangeError.
+ */
+const createReader = bytes => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let at = 0;
+  const need = n => {
+    if (at + n > bytes.byteLength) throw new Error('Invalid NetCDF file: unexpected end of header');
+  };
+  return {
+    view,
+    int32() { need(4); const v = view.getInt32(at); at += 4; return v; },
+    uint32() { need(4); const v = view.getUint32(at); at += 4; return v; },
+    int64() { need(8); const v = Number(view.getBigInt64(at)); at += 8; return v; },
+    bytes(n) { need(n); const b = bytes.subarray(at, at + n); at += n; return b; },
+    pad() { at += pad4(at); }
+  };
+};
+
+const readName = r => {
+  const b = r.bytes(r.uint32());
+  r.pad();
+  return decoder.decode(b);
+};
+
+// [tag, count] of a dim/att/var list; ABSENT is [0, 0]
+const readListHeader = (r, tag, what) => {
+  const found = r.int32();
+  const count = r.uint32();
+  if (found === 0 && count === 0) return 0;
+  if (found !== tag) throw new Error(`Invalid NetCDF file: expected the ${what} list`);
+  return count;
+};
+
+const readValues = (view, begin, type, count) => {
+  const out = new Float64Array(count);
+  for (let i = 0; i < count; i++) out[i] = type.get(view, begin + i * type.size);
+  return out;
+};
+
+// NUL-padded character data → string(s); the last dimension is the string length
+const decodeChars = (bytes, shape) => {
+  const text = b => decoder.decode(b).replace(/\0+$/, '');
+  if (shape.length <= 1) return text(bytes);
+  const width = shape[shape.length - 1];
+  return Array.from({ length: width ? bytes.length / width : 0 }, (_, i) => text(bytes.subarray(i * width, (i + 1) * width)));
+};
+
+const readAttributes = r => {
+  const count = readListHeader(r, NC_ATTRIBUTE, 'attribute');
+  const attributes = {};
+  for (let i = 0; i < count; i++) {
+    const name = readName(r);
+    const type = READ_TYPES[r.int32()];
+    if (!type) throw new Error(`Invalid NetCDF file: unknown type of attribute '${name}'`);
+    const n = r.uint32();
+    const b = r.bytes(n * type.size);
+    r.pad();
+    if (type.name === 'char') {
+      attributes[name] = decoder.decode(b).replace(/\0+$/, '');
+    } else {
+      const values = readValues(new DataView(b.buffer, b.byteOffset, b.byteLength), 0, type, n);
+      attributes[name] = n === 1 ? values[0] : Array.from(values);
+    }
+  }
+  return attributes;
+};
+
+/**
+ * Decode a NetCDF-3 classic or 64-bit offset file.
+ *
+ * Values are returned as stored: packing (scale_factor/add_offset) and fill
+ * values are left to the caller. Numeric variables become Float64Arrays in
+ * row-major order; char variables become a string (0/1-D) or an array of
+ * strings along the last dimension.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {{version: number, numrecs: number, dimensions: Array<{name: string, length: number,
+ *   unlimited: boolean}>, attributes: Object, variables: Array<{name: string,
+ *   dimensions: Array<string>, shape: Array<number>, type: string, attributes: Object,
+ *   data: Float64Array|string|Array<string>}>}}
+ * @throws {Error} If the file is not NetCDF-3 or is truncated
+ */
+export const readNetCDF = input => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const r = createReader(bytes);
+  const magic = r.bytes(4);
+  if (decoder.decode(magic.subarray(0, 3)) !== 'CDF') {
+    throw new Error(
+      decoder.decode(magic.subarray(1, 4)) === 'HDF'
+        ? 'NetCDF-4 (HDF5) files are not supported: convert to NetCDF-3 first (e.g. nccopy -k classic)'
+        : 'Not a NetCDF file'
+    );
+  }
+  const version = magic[3];
+  if (version !== 1 && version !== 2) throw new Error(`Unsupported NetCDF version ${version} (expected 1 or 2)`);
+
+  let numrecs = r.int32(); // -1 = STREAMING: count the records from the file size below
+
+  const dimensions = Array.from({ length: readListHeader(r, NC_DIMENSION, 'dimension') }, () => {
+    const name = readName(r);
+    const length = r.uint32();
+    return { name, length, unlimited: length === 0 };
+  });
+  const recordDim = dimensions.findIndex(d => d.unlimited);
+
+  const attributes = readAttributes(r);
+
+  const headers = Array.from({ length: readListHeader(r, NC_VARIABLE, 'variable') }, () => {
+    const name = readName(r);
+    const dimIds = Array.from({ length: r.uint32() }, () => r.uint32());
+    if (dimIds.some(id => id >= dimensions.length)) {
+      throw new Error(`Invalid NetCDF file: variable '${name}' uses an unknown dimension`);
+    }
+    const varAttributes = readAttributes(r);
+    const type = READ_TYPES[r.int32()];
+    if (!type) throw new Error(`Invalid NetCDF file: unknown type of variable '${name}'`);
+    const vsize = r.uint32();
+    const begin = version === 2 ? r.int64() : r.uint32();
+    const isRecord = dimIds.length > 0 && dimIds[0] === recordDim;
+    return { name, dimIds, attributes: varAttributes, type, vsize, begin, isRecord };
+  });
+
+  // One record holds one slab of every record variable; with a single
+  // record variable the slabs are not padded
+  const recordVars = headers.filter(v => v.isRecord);
+  const slab = v => v.dimIds.slice(1).reduce((n, id) => n * dimensions[id].length, 1) * v.type.size;
+  const recsize = recordVars.length === 1 ? slab(recordVars[0]) : recordVars.reduce((n, v) => n + v.vsize, 0);
+  if (numrecs < 0) {
+    numrecs = recordVars.length && recsize ? Math.floor((bytes.byteLength - recordVars[0].begin) / recsize) : 0;
+  }
+  if (recordDim >= 0) dimensions[recordDim].length = numrecs;
+
+  const variables = headers.map(({ name, dimIds, attributes: varAttributes, type, begin, isRecord }) => {
+    const shape = dimIds.map(id => dimensions[id].length);
+    const count = shape.reduce((n, len) => n * len, 1);
+    const perRecord = isRecord ? count / Math.max(numrecs, 1) : count;
+    const end = isRecord ? begin + (numrecs - 1) * recsize + perRecord * type.size : begin + count * type.size;
+    if (count > 0 && end > bytes.byteLength) {
+      throw new Error(`Invalid NetCDF file: data of variable '${name}' is truncated`);
+    }
+
+    let data;
+    if (type.name === 'char') {
+      const raw = new Uint8Array(count);
+      if (isRecord) {
+        for (let k = 0; k < numrecs; k++) raw.set(bytes.subarray(begin + k * recsize, begin + k * recsize + perRecord), k * perRecord);
+      } else {
+        raw.set(bytes.subarray(begin, begin + count));
+      }
+      data = decodeChars(raw, shape);
+    } else if (isRecord) {
+      data = new Float64Array(count);
+      for (let k = 0; k < numrecs; k++) data.set(readValues(r.view, begin + k * recsize, type, perRecord), k * perRecord);
+    } else {
+      data = readValues(r.view, begin, type, count);
+    }
+    return { name, dimensions: dimIds.map(id => dimensions[id].name), shape, type: type.name, attributes: varAttributes, data };
+  });
+
+  return { version, numrecs, dimensions, attributes, variables };
+};
@@ -0,0 +1,216 @@
+/**
+ * observations.js
+ *
+ * Loading of observation files into one common column layout, so the
+ * stability calculations need not care where the data came from.
+ *
+ * A dataset is:
+ * - format     'csv', 'toa5' or 'netcdf'
+ * - length     number of records
+ * - names      column names in file order
+ * - columns    { name: Float64Array } numeric columns (missing values NaN)
+ * - text       { name: Array<string> } non-numeric columns (e.g. timestamps)
+ * - units      { name: string } where the file gives them
+ * - time       Float64Array of epoch milliseconds, or null if no time column
+ *              was recognised; time_column names its source
+ * - attributes file-level metadata (TOA5 environment line, NetCDF globals)
+ *
+ * Everything is parsed in memory from a string or bytes; nothing leaves the
+ * page or process.
+ *
+ * @module lib/observations
+ */
+
+import { parseDelimited, parseTOA5 } from './text.js';
+import { readNetCDF } from './netcdf.js';
+
+// Logger and processing-package missing-value markers
+export const MISSING_VALUES = [-9999, -6999, -7999];
+
+const MISSING_TOKENS = new Set(['', 'nan', 'na', 'n/a', 'null', 'inf', '-inf']);
+
+// Default fill values of the classic NetCDF types
+const NC_FILL = { byte: -127, short: -32767, int: -2147483647, float: 9.969209968386869e36, double: 9.969209968386869e36 };
+
+const TIME_UNITS_MS = { s: 1e3, sec: 1e3, second: 1e3, min: 6e4, minute: 6e4, h: 3.6e6, hr: 3.6e6, hour: 3.6e6, d: 8.64e7, day: 8.64e7 };
+
+/**
+ * Parse a timestamp such as '2024-06-01 12:30:00', '2024-06-01T12:30Z' or
+ * '2024/06/01 12:30:00.5+02:00'. Times without a zone are taken as UTC, so
+ * logger clocks (usually standard local time) plot without daylight-saving
+ * jumps.
+ *
+ * @param {string} value - Timestamp text
+ * @returns {number} Epoch milliseconds, or NaN if the text is not a timestamp
+ */
+export const parseTimestamp = value => {
+  const m = String(value).trim().match(
+    /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d*)?))?)?\s*(Z|UTC|[+-]\d{2}:?\d{2})?$/i
+  );
+  if (!m) return NaN;
+  const [, y, mo, d, h = 0, mi = 0, s = 0, zone] = m;
+  let t = Date.UTC(+y, +mo - 1, +d, +h, +mi, 0) + Number(s) * 1000;
+  if (zone && /^[+-]/.test(zone)) {
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.replace(/\D/g, '');
+    t -= sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  }
+  return t;
+};
+
+/**
+ * Convert CF time values ('<unit>s since <reference>') to epoch milliseconds.
+ *
+ * @param {ArrayLike<number>} values - Time coordinate
+ * @param {string} units - CF units string, e.g. 'seconds since 1970-01-01 00:00:00'
+ * @returns {Float64Array|null} Epoch milliseconds, or null if the units are not CF time
+ */
+export const decodeCFTime = (values, units) => {
+  const m = String(units || '').trim().match(/^([a-z]+?)s?\s+since\s+(.+)$/i);
+  if (!m) return null;
+  const scale = TIME_UNITS_MS[m[1].toLowerCase()];
+  const origin = parseTimestamp(m[2].replace(/\s+UTC$/i, 'Z'));
+  if (!scale || !Number.isFinite(origin)) return null;
+  return Float64Array.from(values, v => origin + v * scale);
+};
+
+const toNumber = (field, missing) => {
+  if (MISSING_TOKENS.has(field.toLowerCase())) return NaN;
+  const v = Number(field);
+  return missing.includes(v) ? NaN : v;
+};
+
+/**
+ * Turn string rows into numeric and text columns. A column is numeric when
+ * every non-missing field is a number.
+ */
+const fromRows = (format, names, rows, { units = {}, attributes = {}, missing = MISSING_VALUES } = {}) => {
+  const columns = {};
+  const text = {};
+  names.forEach((name, j) => {
+    const values = rows.map(r => r[j] ?? '');
+    const isNumeric = values.every(f => MISSING_TOKENS.has(f.toLowerCase()) || !Number.isNaN(Number(f)));
+    if (isNumeric) columns[name] = Float64Array.from(values, f => toNumber(f, missing));
+    else text[name] = values;
+  });
+  return finish({ format, length: rows.length, names, columns, text, units, attributes });
+};
+
+// Pick the time column: a text column of timestamps, preferring time-like names
+const finish = dataset => {
+  const byName = name => /^(timestamp|date_?time|time|date)$/i.test(name);
+  const candidates = [...dataset.names.filter(byName), ...dataset.names.filter(n => !byName(n))]
+    .filter(name => dataset.text[name]);
+  for (const name of candidates) {
+    const time = Float64Array.from(dataset.text[name], parseTimestamp);
+    if (time.length && time.every(Number.isFinite)) return { ...dataset, time, time_column: name };
+  }
+  return { ...dataset, time: null, time_column: null };
+};
+
+const fromCSV = (text, options) => {
+  const { names, rows } = parseDelimited(text);
+  return fromRows('csv', names, rows, options);
+};
+
+const fromTOA5 = (text, options) => {
+  const { environment, names, units, processing, rows } = parseTOA5(text);
+  return fromRows('toa5', names, rows, {
+    ...options,
+    units: Object.fromEntries(names.map((n, j) => [n, units[j]]).filter(([, u]) => u)),
+    attributes: { ...environment, processing: Object.fromEntries(names.map((n, j) => [n, processing[j]])) }
+  });
+};
+
+// Fill values and valid range to NaN, then unpack
+const unpack = ({ data, type, attributes: a }) => {
+  const fills = [a._FillValue, a.missing_value].flat().filter(v => typeof v === 'number');
+  if (!fills.length && NC_FILL[type] !== undefined) fills.push(NC_FILL[type]);
+  const [lo, hi] = a.valid_range ?? [a.valid_min ?? -Infinity, a.valid_max ?? Infinity];
+  const scale = a.scale_factor ?? 1;
+  const offset = a.add_offset ?? 0;
+  return Float64Array.from(data, v => (fills.includes(v) || v < lo || v > hi ? NaN : v * scale + offset));
+};
+
+const fromNetCDF = bytes => {
+  const file = readNetCDF(bytes);
+  const { variables } = file;
+
+  // The record axis: the unlimited dimension, else time's dimension, else the longest 1-D one
+  const oneD = variables.filter(v => v.dimensions.length === 1);
+  const record = file.dimensions.find(d => d.unlimited)?.name
+    ?? variables.find(v => v.name === 'time' && v.dimensions.length === 1)?.dimensions[0]
+    ?? oneD.sort((a, b) => b.shape[0] - a.shape[0])[0]?.dimensions[0];
+  if (record === undefined) throw new Error('NetCDF file has no one-dimensional variables to import');
+
+  const names = [];
+  const columns = {};
+  const text = {};
+  const units = {};
+  let time = null;
+  let time_column = null;
+  for (const v of variables) {
+    if (v.dimensions[0] !== record) continue;
+    if (v.type === 'char' && v.dimensions.length === 2) {
+      text[v.name] = v.data;
+    } else if (v.type !== 'char' && v.dimensions.length === 1) {
+      columns[v.name] = unpack(v);
+      const decoded = decodeCFTime(columns[v.name], v.attributes.units);
+      if (decoded && !time) {
+        time = decoded;
+        time_column = v.name;
+      }
+    } else {
+      continue;
+    }
+    names.push(v.name);
+    if (v.attributes.units) units[v.name] = v.attributes.units;
+  }
+
+  const length = file.dimensions.find(d => d.name === record).length;
+  const dataset = { format: 'netcdf', length, names, columns, text, units, attributes: file.attributes };
+  return time ? { ...dataset, time, time_column } : finish(dataset);
+};
+
+/**
+ * Guess the format of a file from its contents (and name, as a tie-breaker).
+ *
+ * @param {string|ArrayBuffer|Uint8Array} input - File contents
+ * @param {string} [filename] - Original file name
+ * @returns {string} 'netcdf', 'toa5' or 'csv'
+ */
+export const detectFormat = (input, filename = '') => {
+  if (typeof input !== 'string') {
+    const b = input instanceof Uint8Array ? input : new Uint8Array(input);
+    if (b[0] === 0x43 && b[1] === 0x44 && b[2] === 0x46) return 'netcdf';
+    if (b[1] === 0x48 && b[2] === 0x44 && b[3] === 0x46) return 'netcdf'; // NetCDF-4; rejected by the reader
+    input = new TextDecoder().decode(b.subarray(0, 16));
+  }
+  if (/^\uFEFF?"?TOA5"?,/.test(input)) return 'toa5';
+  return /\.nc$/i.test(filename) ? 'netcdf' : 'csv';
+};
+
+/**
+ * Read an observation file into a dataset (see module docs).
+ *
+ * @param {string|ArrayBuffer|Uint8Array} input - File contents; NetCDF needs bytes,
+ *   text formats accept either
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv', 'toa5' or 'netcdf'; detected if omitted
+ * @param {string} [options.filename] - Helps detection of NetCDF files
+ * @param {Array<number>} [options.missing=MISSING_VALUES] - Numeric missing-value
+ *   markers in text files (NetCDF uses its _FillValue/missing_value attributes)
+ * @returns {Object} Dataset
+ * @throws {Error} On an unknown format or a file that cannot be parsed
+ */
+export const readDataset = (input, { format, filename, missing = MISSING_VALUES } = {}) => {
+  const fmt = format || detectFormat(input, filename);
+  if (fmt === 'netcdf') {
+    if (typeof input === 'string') throw new Error('NetCDF files must be read as bytes, not text');
+    return fromNetCDF(input);
+  }
+  const text = typeof input === 'string' ? input : new TextDecoder().decode(input);
+  if (fmt === 'toa5') return fromTOA5(text.replace(/^\uFEFF/, ''), { missing });
+  if (fmt === 'csv') return fromCSV(text.replace(/^\uFEFF/, ''), { missing });
+  throw new Error(`Unknown observation format: ${fmt} (expected csv, toa5 or netcdf)`);
+};
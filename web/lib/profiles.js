@@ -0,0 +1,635 @@
+/**
+ * profiles.js
+ *
+ * Pluggable registry of MOST stability-function profiles.
+ *
+ * A profile supplies its own φ_m/φ_h (and optionally closed-form ψ_m/ψ_h),
+ * its coefficients and a parameter schema. A ψ function may return undefined
+ * for ζ ranges without a closed form; adaptive quadrature covers those. Every registered profile shows up
+ * automatically in the dropdowns, tables, charts and converters.
+ *
+ * Registering a custom profile:
+ *   import { registerProfile } from './most.js';
+ *   registerProfile('MY23', {
+ *     name: 'My closure 2023',
+ *     reference: 'Doe et al. (2023)',
+ *     unstable: { am: 15, ah: 9, bm: 0.25, bh: 0.5 },
+ *     stable: { bm: 4.7, bh: 4.7 },
+ *     schema: [{ regime: 'stable', key: 'bm', symbol: 'b_m', description: 'Stable momentum slope' }],
+ *     phi_m: (zeta, p) => (zeta < 0 ? Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm) : 1 + p.stable.bm * zeta),
+ *     phi_h: (zeta, p) => (zeta < 0 ? Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh) : 1 + p.stable.bh * zeta)
+ *   });
+ *
+ * Profile functions receive the profile object itself as `p`, so coefficient
+ * overrides (see withParams) flow through without re-registering.
+ *
+ * @module lib/profiles
+ */
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Registered profiles keyed by short name (e.g. 'BD71').
+ * Treat as read-only; use registerProfile/unregisterProfile to modify.
+ */
+export const PROFILES = {};
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener(listProfiles()));
+
+/**
+ * Register a stability-function profile.
+ *
+ * @param {string} key - Short profile name used throughout the API (e.g. 'BH91')
+ * @param {Object} definition - Profile definition
+ * @param {string} definition.name - Human-readable name shown in the UI
+ * @param {string} [definition.reference] - Literature citation
+ * @param {Object} [definition.unstable] - Unstable-regime coefficients
+ * @param {Object} [definition.stable] - Stable-regime coefficients
+ * @param {Array<Object>} [definition.schema] - Parameter schema: { regime, key, symbol, description }
+ * @param {Function} definition.phi_m - φ_m(ζ, p)
+ * @param {Function} definition.phi_h - φ_h(ζ, p)
+ * @param {Function} [definition.dphi_m] - Analytic dφ_m/dζ(ζ, p); central differences if omitted
+ * @param {Function} [definition.dphi_h] - Analytic dφ_h/dζ(ζ, p); central differences if omitted
+ * @param {Function} [definition.d2phi_m] - Analytic d²φ_m/dζ²(ζ, p); central differences if omitted
+ * @param {Function} [definition.d2phi_h] - Analytic d²φ_h/dζ²(ζ, p); central differences if omitted
+ * @param {Function} [definition.psi_m] - Closed-form ψ_m(ζ, p); quadrature if omitted or undefined is returned
+ * @param {Function} [definition.psi_h] - Closed-form ψ_h(ζ, p); quadrature if omitted or undefined is returned
+ * @param {Function} [definition.equations] - (p) → { unstable: {phi_m, phi_h}, stable: {phi_m, phi_h} } display strings
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Allow overwriting an existing key
+ * @returns {Object} The registered profile
+ * @throws {Error} If the definition is incomplete or the key is taken
+ */
+export const registerProfile = (key, definition, { replace = false } = {}) => {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('Profile key must be a non-empty string');
+  }
+  if (PROFILES[key] && !replace) {
+    throw new Error(`Profile '${key}' is already registered`);
+  }
+  if (!definition || typeof definition.name !== 'string') {
+    throw new Error(`Profile '${key}' needs a name`);
+  }
+  for (const fn of ['phi_m', 'phi_h']) {
+    if (typeof definition[fn] !== 'function') {
+      throw new Error(`Profile '${key}' must supply ${fn}(zeta, p)`);
+    }
+  }
+  for (const fn of ['dphi_m', 'dphi_h', 'd2phi_m', 'd2phi_h', 'psi_m', 'psi_h', 'equations']) {
+    if (definition[fn] !== undefined && typeof definition[fn] !== 'function') {
+      throw new Error(`Profile '${key}': ${fn} must be a function`);
+    }
+  }
+
+  PROFILES[key] = {
+    unstable: {},
+    stable: {},
+    schema: [],
+    ...definition,
+    key
+  };
+  notify();
+  return PROFILES[key];
+};
+
+/**
+ * Remove a profile from the registry.
+ *
+ * @param {string} key - Profile name
+ * @returns {boolean} True if a profile was removed
+ */
+export const unregisterProfile = (key) => {
+  if (!(key in PROFILES)) return false;
+  delete PROFILES[key];
+  notify();
+  return true;
+};
+
+/**
+ * Resolve a profile name (or an already-resolved profile object).
+ *
+ * @param {string|Object} prof - Profile name or profile object
+ * @returns {Object} Profile definition
+ * @throws {Error} If the name is not registered
+ */
+export const getProfile = (prof) => {
+  if (prof && typeof prof === 'object') return prof;
+  const p = PROFILES[prof];
+  if (!p) throw new Error(`Unknown MOST profile: ${prof}`);
+  return p;
+};
+
+/**
+ * List registered profiles in registration order.
+ *
+ * @returns {Array<{key: string, name: string, reference: string}>}
+ */
+export const listProfiles = () =>
+  Object.values(PROFILES).map(({ key, name, reference }) => ({ key, name, reference }));
+
+/**
+ * Subscribe to registry changes (e.g. to refresh a dropdown).
+ *
+ * @param {Function} listener - Called with listProfiles() after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const onProfilesChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Derive a profile with overridden coefficients, without registering it.
+ * The result can be passed anywhere a profile name is accepted.
+ *
+ * @param {string|Object} prof - Base profile name or object
+ * @param {Object} overrides - { unstable?: {...}, stable?: {...} }
+ * @returns {Object} Profile object with merged coefficients
+ */
+export const withParams = (prof, overrides = {}) => {
+  const base = getProfile(prof);
+  return {
+    ...base,
+    unstable: { ...base.unstable, ...overrides.unstable },
+    stable: { ...base.stable, ...overrides.stable }
+  };
+};
+
+// ============================================================================
+// PROFILE FAMILIES
+// ============================================================================
+
+// Exponents are matched to this tolerance when picking a closed form
+const EXPONENT_TOL = 1e-12;
+
+/**
+ * Hypergeometric series for the power-law ψ, valid for 0 ≤ T < 1.
+ *
+ * ψ = b T ₃F₂(1, 1, 1+b; 2, 2; -T) = Σ_{k≥1} (-1)^(k+1) (b)_k T^k / (k · k!)
+ */
+const power_psi_series = (T, b) => {
+  let term = 1; // (b)_k T^k / k!, built up incrementally
+  let sum = 0;
+  for (let k = 1; k < 200; k++) {
+    term *= (b + k - 1) * T / k;
+    const contrib = (k % 2 === 1 ? 1 : -1) * term / k;
+    sum += contrib;
+    if (Math.abs(contrib) < 1e-17 * Math.abs(sum)) break;
+  }
+  return sum;
+};
+
+/**
+ * Exact ψ for the power-law unstable branch φ = (1 - aζ)^(-b), ζ < 0.
+ *
+ * ψ depends only on T = -aζ and b. Closed forms:
+ * - b = 1/4 (Paulson 1970), x = (1 - aζ)^(1/4):
+ *   ψ = 2 ln((1+x)/2) + ln((1+x²)/2) - 2 atan(x) + π/2
+ * - b = 1/2 (Paulson 1970), y = (1 - aζ)^(1/2):
+ *   ψ = 2 ln((1+y)/2)
+ * - b = 1/3 (free-convection form, Grachev et al. 2000), y = (1 - aζ)^(1/3):
+ *   ψ = (3/2) ln((y² + y + 1)/3) - √3 atan((2y+1)/√3) + π/√3
+ * - b = 1: ψ = ln(1 - aζ)
+ *
+ * Any other exponent uses the hypergeometric series for T < 0.5 and returns
+ * undefined beyond it, so the adaptive quadrature fallback integrates φ.
+ *
+ * @param {number} zeta - ζ < 0
+ * @param {number} a - Coefficient a
+ * @param {number} b - Exponent b
+ * @returns {number|undefined} ψ(ζ), or undefined when no closed form applies
+ */
+export const unstable_power_psi = (zeta, a, b) => {
+  const s = 1 - a * zeta;
+  const is = (value) => Math.abs(b - value) < EXPONENT_TOL;
+
+  if (is(0)) return 0;
+  if (is(0.25)) {
+    const x = Math.pow(s, 0.25);
+    return (
+      2 * Math.log((1 + x) / 2) +
+      Math.log((1 + x * x) / 2) -
+      2 * Math.atan(x) +
+      Math.PI / 2
+    );
+  }
+  if (is(0.5)) {
+    const y = Math.sqrt(s);
+    return 2 * Math.log((1 + y) / 2);
+  }
+  if (is(1 / 3)) {
+    const y = Math.cbrt(s);
+    const r3 = Math.sqrt(3);
+    return 1.5 * Math.log((y * y + y + 1) / 3) - r3 * Math.atan((2 * y + 1) / r3) + Math.PI / r3;
+  }
+  if (is(1)) return Math.log(s);
+
+  const T = -a * zeta;
+  return T < 0.5 ? power_psi_series(T, b) : undefined;
+};
+
+/**
+ * Exact ψ for the polynomial stable branch φ = 1 + bζ + cζ², ζ ≥ 0.
+ * ψ = ∫₀^ζ (1 - φ)/ζ' dζ' = -bζ - cζ²/2
+ */
+const stable_poly_psi = (zeta, b, c) => -b * zeta - 0.5 * (c || 0) * zeta * zeta;
+
+/** d²φ/dζ² of the power-law unstable branch: a² b (b + 1) (1 - aζ)^(-b-2). */
+const unstable_power_d2phi = (zeta, a, b) => a * a * b * (b + 1) * Math.pow(1 - a * zeta, -b - 2);
+
+/**
+ * d²φ/dζ² of the Wilson (2001) unstable branch φ = (1 + γ w^(2/3))^(-1/2), w = -ζ:
+ * (γ/3) [w^(-4/3) P^(-3/2) / 3 + γ w^(-2/3) P^(-5/2)] with P = 1 + γ w^(2/3).
+ */
+const wilson_d2phi = (zeta, g) => {
+  const w = -zeta;
+  const P = 1 + g * Math.pow(w, 2 / 3);
+  return g / 3 * (Math.pow(w, -4 / 3) * Math.pow(P, -1.5) / 3 + g * Math.pow(w, -2 / 3) * Math.pow(P, -2.5));
+};
+
+// Parameter schema shared by the Businger-Dyer family
+const BD_SCHEMA = [
+  { regime: 'unstable', key: 'am', symbol: 'a_m', description: 'Unstable momentum coefficient' },
+  { regime: 'unstable', key: 'ah', symbol: 'a_h', description: 'Unstable heat coefficient' },
+  { regime: 'unstable', key: 'bm', symbol: 'b_m', description: 'Unstable momentum exponent' },
+  { regime: 'unstable', key: 'bh', symbol: 'b_h', description: 'Unstable heat exponent' },
+  { regime: 'stable', key: 'bm', symbol: 'b_m', description: 'Stable momentum slope' },
+  { regime: 'stable', key: 'bh', symbol: 'b_h', description: 'Stable heat slope' },
+  { regime: 'stable', key: 'cm', symbol: 'c_m', description: 'Stable momentum quadratic term' },
+  { regime: 'stable', key: 'ch', symbol: 'c_h', description: 'Stable heat quadratic term' }
+];
+
+/**
+ * Businger-Dyer family profile.
+ *
+ * Unstable (ζ < 0): φ = (1 - a ζ)^(-b)     ψ: see unstable_power_psi (any b)
+ * Stable (ζ ≥ 0):   φ = 1 + b ζ + c ζ²  (c defaults to 0, i.e. linear)
+ *                   ψ = -b ζ - c ζ² / 2  (exact)
+ *
+ * @param {Object} definition - { name, reference, unstable, stable }
+ * @returns {Object} Profile definition for registerProfile
+ */
+export const businger_dyer_profile = ({ name, reference, unstable, stable }) => ({
+  name,
+  reference,
+  unstable,
+  stable,
+  schema: BD_SCHEMA,
+  phi_m: (zeta, p) => {
+    if (zeta < 0) {
+      // Unstable: (1 - a_m * ζ)^(-b_m)
+      return Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm);
+    }
+    // Stable: 1 + b_m*ζ + c_m*ζ²
+    return 1 + p.stable.bm * zeta + (p.stable.cm || 0) * zeta * zeta;
+  },
+  phi_h: (zeta, p) => {
+    if (zeta < 0) {
+      return Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh);
+    }
+    return 1 + p.stable.bh * zeta + (p.stable.ch || 0) * zeta * zeta;
+  },
+  dphi_m: (zeta, p) => {
+    if (zeta < 0) return p.unstable.am * p.unstable.bm * Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm - 1);
+    return p.stable.bm + 2 * (p.stable.cm || 0) * zeta;
+  },
+  dphi_h: (zeta, p) => {
+    if (zeta < 0) return p.unstable.ah * p.unstable.bh * Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh - 1);
+    return p.stable.bh + 2 * (p.stable.ch || 0) * zeta;
+  },
+  d2phi_m: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.am, p.unstable.bm);
+    return 2 * (p.stable.cm || 0);
+  },
+  d2phi_h: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.ah, p.unstable.bh);
+    return 2 * (p.stable.ch || 0);
+  },
+  psi_m: (zeta, p) => (zeta < 0 ? unstable_power_psi(zeta, p.unstable.am, p.unstable.bm) : stable_poly_psi(zeta, p.stable.bm, p.stable.cm)),
+  psi_h: (zeta, p) => (zeta < 0 ? unstable_power_psi(zeta, p.unstable.ah, p.unstable.bh) : stable_poly_psi(zeta, p.stable.bh, p.stable.ch)),
+  equations: (p) => ({
+    unstable: {
+      phi_m: `(1 - ${p.unstable.am}ζ)^(-${p.unstable.bm})`,
+      phi_h: `(1 - ${p.unstable.ah}ζ)^(-${p.unstable.bh})`
+    },
+    stable: {
+      phi_m: `1 + ${p.stable.bm}ζ${p.stable.cm ? ` + ${p.stable.cm}ζ²` : ''}`,
+      phi_h: `1 + ${p.stable.bh}ζ${p.stable.ch ? ` + ${p.stable.ch}ζ²` : ''}`
+    }
+  })
+});
+
+// ============================================================================
+// BUILT-IN PROFILES
+// ============================================================================
+
+/*
+ * References:
+ * - BD71: Businger et al. (1971), J. Atmos. Sci., 28, 181–189
+ * - HOG88: Högström (1988), Boundary-Layer Meteorology, 44, 25–60
+ * - CB05: Cheng & Brutsaert (2005), J. Atmos. Sci., 62, 2112–2132
+ * - D74: Dyer (1974), Boundary-Layer Meteorology, 7, 363–372
+ * - P70: Paulson (1970), J. Appl. Meteor., 9, 857–861 (stable branch: Webb 1970)
+ * - BH91: Beljaars & Holtslag (1991), J. Appl. Meteor., 30, 327–341
+ * - SHEBA07: Grachev et al. (2007), Boundary-Layer Meteorology, 124, 315–333
+ * - W01: Wilson (2001), Boundary-Layer Meteorology, 99, 151–158
+ */
+
+registerProfile('BD71', businger_dyer_profile({
+  name: 'Businger-Dyer 1971',
+  reference: 'Businger et al. (1971), J. Atmos. Sci., 28, 181–189',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { bm: 5, bh: 5 }
+}));
+
+registerProfile('HOG88', businger_dyer_profile({
+  name: 'Högström 1988',
+  reference: 'Högström (1988), Boundary-Layer Meteorology, 44, 25–60',
+  unstable: { am: 19.3, ah: 11.6, bm: 0.25, bh: 0.5 },
+  stable: { bm: 6, bh: 7.8 }
+}));
+
+registerProfile('CB05', businger_dyer_profile({
+  name: 'Cheng-Brutsaert 2005',
+  reference: 'Cheng & Brutsaert (2005), J. Atmos. Sci., 62, 2112–2132',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { bm: 6.1, bh: 6.1, cm: 5.3, ch: 5.3 }
+}));
+
+registerProfile('D74', businger_dyer_profile({
+  name: 'Dyer 1974',
+  reference: 'Dyer (1974), Boundary-Layer Meteorology, 7, 363–372',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { bm: 5, bh: 5 }
+}));
+
+registerProfile('P70', businger_dyer_profile({
+  name: 'Paulson 1970',
+  reference: 'Paulson (1970), J. Appl. Meteor., 9, 857–861; stable: Webb (1970)',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { bm: 5.2, bh: 5.2 }
+}));
+
+/**
+ * Beljaars & Holtslag (1991) stable functions with Paulson unstable branch.
+ *
+ * Stable:
+ * φ_m = 1 + ζ [a + b e^(-dζ) (1 + c - dζ)]
+ * φ_h = 1 + ζ [a (1 + 2aζ/3)^(1/2) + b e^(-dζ) (1 + c - dζ)]
+ * ψ_m = -[aζ + b (ζ - c/d) e^(-dζ) + bc/d]
+ * ψ_h = -[(1 + 2aζ/3)^(3/2) + b (ζ - c/d) e^(-dζ) + bc/d - 1]
+ */
+registerProfile('BH91', {
+  name: 'Beljaars-Holtslag 1991',
+  reference: 'Beljaars & Holtslag (1991), J. Appl. Meteor., 30, 327–341',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { a: 1, b: 2 / 3, c: 5, d: 0.35 },
+  schema: [
+    ...BD_SCHEMA.filter(s => s.regime === 'unstable'),
+    { regime: 'stable', key: 'a', symbol: 'a', description: 'Linear coefficient' },
+    { regime: 'stable', key: 'b', symbol: 'b', description: 'Exponential amplitude' },
+    { regime: 'stable', key: 'c', symbol: 'c', description: 'Exponential offset' },
+    { regime: 'stable', key: 'd', symbol: 'd', description: 'Exponential decay rate' }
+  ],
+  phi_m: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm);
+    const { a, b, c, d } = p.stable;
+    return 1 + zeta * (a + b * Math.exp(-d * zeta) * (1 + c - d * zeta));
+  },
+  phi_h: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh);
+    const { a, b, c, d } = p.stable;
+    return 1 + zeta * (a * Math.sqrt(1 + 2 * a * zeta / 3) + b * Math.exp(-d * zeta) * (1 + c - d * zeta));
+  },
+  dphi_m: (zeta, p) => {
+    if (zeta < 0) return p.unstable.am * p.unstable.bm * Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm - 1);
+    const { a, b, c, d } = p.stable;
+    return a + b * Math.exp(-d * zeta) * ((1 + c - d * zeta) - d * zeta * (2 + c - d * zeta));
+  },
+  dphi_h: (zeta, p) => {
+    if (zeta < 0) return p.unstable.ah * p.unstable.bh * Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh - 1);
+    const { a, b, c, d } = p.stable;
+    const s = Math.sqrt(1 + 2 * a * zeta / 3);
+    return a * s + a * a * zeta / (3 * s) + b * Math.exp(-d * zeta) * ((1 + c - d * zeta) - d * zeta * (2 + c - d * zeta));
+  },
+  d2phi_m: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.am, p.unstable.bm);
+    const { b, c, d } = p.stable;
+    return b * d * Math.exp(-d * zeta) * (-(4 + 2 * c) + (5 + c) * d * zeta - d * d * zeta * zeta);
+  },
+  d2phi_h: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.ah, p.unstable.bh);
+    const { a, b, c, d } = p.stable;
+    const s = Math.sqrt(1 + 2 * a * zeta / 3);
+    return 2 * a * a / (3 * s) - a * a * a * zeta / (9 * s * s * s) +
+      b * d * Math.exp(-d * zeta) * (-(4 + 2 * c) + (5 + c) * d * zeta - d * d * zeta * zeta);
+  },
+  psi_m: (zeta, p) => {
+    if (zeta < 0) return unstable_power_psi(zeta, p.unstable.am, p.unstable.bm);
+    const { a, b, c, d } = p.stable;
+    return -(a * zeta + b * (zeta - c / d) * Math.exp(-d * zeta) + b * c / d);
+  },
+  psi_h: (zeta, p) => {
+    if (zeta < 0) return unstable_power_psi(zeta, p.unstable.ah, p.unstable.bh);
+    const { a, b, c, d } = p.stable;
+    return -(Math.pow(1 + 2 * a * zeta / 3, 1.5) + b * (zeta - c / d) * Math.exp(-d * zeta) + b * c / d - 1);
+  },
+  equations: (p) => ({
+    unstable: {
+      phi_m: `(1 - ${p.unstable.am}ζ)^(-${p.unstable.bm})`,
+      phi_h: `(1 - ${p.unstable.ah}ζ)^(-${p.unstable.bh})`
+    },
+    stable: {
+      phi_m: `1 + ζ[${p.stable.a} + ${+p.stable.b.toFixed(4)}e^(-${p.stable.d}ζ)(${1 + p.stable.c} - ${p.stable.d}ζ)]`,
+      phi_h: `1 + ζ[${p.stable.a}(1 + ${+(2 * p.stable.a / 3).toFixed(4)}ζ)^½ + ${+p.stable.b.toFixed(4)}e^(-${p.stable.d}ζ)(${1 + p.stable.c} - ${p.stable.d}ζ)]`
+    }
+  })
+});
+
+/**
+ * Grachev et al. (2007) SHEBA stable functions with Paulson unstable branch.
+ *
+ * Stable:
+ * φ_m = 1 + a_m ζ (1 + ζ)^(1/3) / (1 + b_m ζ)
+ * φ_h = 1 + (a_h ζ + b_h ζ²) / (1 + c_h ζ + ζ²)
+ *
+ * ψ_m, ψ_h: closed forms from Grachev et al. (2007), Eqs. 12–13, with
+ * x = (1 + ζ)^(1/3), B_m = ((1 - b_m)/b_m)^(1/3), B_h = (c_h² - 4)^(1/2).
+ */
+registerProfile('SHEBA07', {
+  name: 'Grachev SHEBA 2007',
+  reference: 'Grachev et al. (2007), Boundary-Layer Meteorology, 124, 315–333',
+  unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
+  stable: { am: 6.5, bm: 1.3, ah: 5, bh: 5, ch: 3 },
+  schema: [
+    ...BD_SCHEMA.filter(s => s.regime === 'unstable'),
+    { regime: 'stable', key: 'am', symbol: 'a_m', description: 'Momentum numerator coefficient' },
+    { regime: 'stable', key: 'bm', symbol: 'b_m', description: 'Momentum denominator coefficient' },
+    { regime: 'stable', key: 'ah', symbol: 'a_h', description: 'Heat linear coefficient' },
+    { regime: 'stable', key: 'bh', symbol: 'b_h', description: 'Heat quadratic coefficient' },
+    { regime: 'stable', key: 'ch', symbol: 'c_h', description: 'Heat denominator coefficient' }
+  ],
+  phi_m: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm);
+    const { am, bm } = p.stable;
+    return 1 + am * zeta * Math.cbrt(1 + zeta) / (1 + bm * zeta);
+  },
+  phi_h: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh);
+    const { ah, bh, ch } = p.stable;
+    return 1 + (ah * zeta + bh * zeta * zeta) / (1 + ch * zeta + zeta * zeta);
+  },
+  dphi_m: (zeta, p) => {
+    if (zeta < 0) return p.unstable.am * p.unstable.bm * Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm - 1);
+    const { am, bm } = p.stable;
+    const x = Math.cbrt(1 + zeta);
+    const den = 1 + bm * zeta;
+    return am * (x + zeta / (3 * x * x)) / den - am * bm * zeta * x / (den * den);
+  },
+  dphi_h: (zeta, p) => {
+    if (zeta < 0) return p.unstable.ah * p.unstable.bh * Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh - 1);
+    const { ah, bh, ch } = p.stable;
+    const num = ah * zeta + bh * zeta * zeta;
+    const den = 1 + ch * zeta + zeta * zeta;
+    return ((ah + 2 * bh * zeta) * den - num * (ch + 2 * zeta)) / (den * den);
+  },
+  d2phi_m: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.am, p.unstable.bm);
+    const { am, bm } = p.stable;
+    // φ_m = 1 + a_m u / v with u = ζ x, v = 1 + b_m ζ
+    const x = Math.cbrt(1 + zeta);
+    const u = zeta * x;
+    const du = x + zeta / (3 * x * x);
+    const d2u = 2 / (3 * x * x) - 2 * zeta / (9 * Math.pow(x, 5));
+    const v = 1 + bm * zeta;
+    return am * (d2u / v - 2 * bm * du / (v * v) + 2 * bm * bm * u / (v * v * v));
+  },
+  d2phi_h: (zeta, p) => {
+    if (zeta < 0) return unstable_power_d2phi(zeta, p.unstable.ah, p.unstable.bh);
+    const { ah, bh, ch } = p.stable;
+    const num = ah * zeta + bh * zeta * zeta;
+    const dnum = ah + 2 * bh * zeta;
+    const den = 1 + ch * zeta + zeta * zeta;
+    const dden = ch + 2 * zeta;
+    return 2 * bh / den - (2 * dnum * dden + 2 * num) / (den * den) + 2 * num * dden * dden / (den * den * den);
+  },
+  psi_m: (zeta, p) => {
+    if (zeta < 0) return unstable_power_psi(zeta, p.unstable.am, p.unstable.bm);
+    const { am, bm } = p.stable;
+    const x = Math.cbrt(1 + zeta);
+    const B = Math.cbrt((1 - bm) / bm);
+    const s3 = Math.sqrt(3);
+    return (
+      -3 * am / bm * (x - 1) +
+      am * B / (2 * bm) * (
+        2 * Math.log((x + B) / (1 + B)) -
+        Math.log((x * x - x * B + B * B) / (1 - B + B * B)) +
+        2 * s3 * (Math.atan((2 * x - B) / (s3 * B)) - Math.atan((2 - B) / (s3 * B)))
+      )
+    );
+  },
+  psi_h: (zeta, p) => {
+    if (zeta < 0) return unstable_power_psi(zeta, p.unstable.ah, p.unstable.bh);
+    const { ah, bh, ch } = p.stable;
+    const B = Math.sqrt(ch * ch - 4);
+    return (
+      -bh / 2 * Math.log(1 + ch * zeta + zeta * zeta) +
+      (-ah / B + bh * ch / (2 * B)) * (
+        Math.log((2 * zeta + ch - B) / (2 * zeta + ch + B)) -
+        Math.log((ch - B) / (ch + B))
+      )
+    );
+  },
+  equations: (p) => ({
+    unstable: {
+      phi_m: `(1 - ${p.unstable.am}ζ)^(-${p.unstable.bm})`,
+      phi_h: `(1 - ${p.unstable.ah}ζ)^(-${p.unstable.bh})`
+    },
+    stable: {
+      phi_m: `1 + ${p.stable.am}ζ(1 + ζ)^⅓ / (1 + ${p.stable.bm}ζ)`,
+      phi_h: `1 + (${p.stable.ah}ζ + ${p.stable.bh}ζ²) / (1 + ${p.stable.ch}ζ + ζ²)`
+    }
+  })
+});
+
+/**
+ * Wilson (2001) unstable functions with linear stable branch.
+ *
+ * Unstable:
+ * φ = (1 + γ |ζ|^(2/3))^(-1/2)
+ * ψ = 3 ln[(1 + (1 + γ |ζ|^(2/3))^(1/2)) / 2]
+ * with γ_m = 3.6, γ_h = 7.9.
+ *
+ * Stable: φ = 1 + bζ, ψ = -bζ
+ */
+registerProfile('W01', {
+  name: 'Wilson 2001',
+  reference: 'Wilson (2001), Boundary-Layer Meteorology, 99, 151–158',
+  unstable: { gm: 3.6, gh: 7.9 },
+  stable: { bm: 5, bh: 5 },
+  schema: [
+    { regime: 'unstable', key: 'gm', symbol: 'γ_m', description: 'Unstable momentum coefficient' },
+    { regime: 'unstable', key: 'gh', symbol: 'γ_h', description: 'Unstable heat coefficient' },
+    ...BD_SCHEMA.filter(s => s.regime === 'stable' && (s.key === 'bm' || s.key === 'bh'))
+  ],
+  phi_m: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 + p.unstable.gm * Math.pow(-zeta, 2 / 3), -0.5);
+    return 1 + p.stable.bm * zeta;
+  },
+  phi_h: (zeta, p) => {
+    if (zeta < 0) return Math.pow(1 + p.unstable.gh * Math.pow(-zeta, 2 / 3), -0.5);
+    return 1 + p.stable.bh * zeta;
+  },
+  dphi_m: (zeta, p) => {
+    if (zeta < 0) {
+      const g = p.unstable.gm;
+      return g / 3 * Math.pow(-zeta, -1 / 3) * Math.pow(1 + g * Math.pow(-zeta, 2 / 3), -1.5);
+    }
+    return p.stable.bm;
+  },
+  dphi_h: (zeta, p) => {
+    if (zeta < 0) {
+      const g = p.unstable.gh;
+      return g / 3 * Math.pow(-zeta, -1 / 3) * Math.pow(1 + g * Math.pow(-zeta, 2 / 3), -1.5);
+    }
+    return p.stable.bh;
+  },
+  d2phi_m: (zeta, p) => (zeta < 0 ? wilson_d2phi(zeta, p.unstable.gm) : 0),
+  d2phi_h: (zeta, p) => (zeta < 0 ? wilson_d2phi(zeta, p.unstable.gh) : 0),
+  psi_m: (zeta, p) => {
+    if (zeta < 0) return 3 * Math.log((1 + Math.sqrt(1 + p.unstable.gm * Math.pow(-zeta, 2 / 3))) / 2);
+    return stable_poly_psi(zeta, p.stable.bm);
+  },
+  psi_h: (zeta, p) => {
+    if (zeta < 0) return 3 * Math.log((1 + Math.sqrt(1 + p.unstable.gh * Math.pow(-zeta, 2 / 3))) / 2);
+    return stable_poly_psi(zeta, p.stable.bh);
+  },
+  equations: (p) => ({
+    unstable: {
+      phi_m: `(1 + ${p.unstable.gm}|ζ|^(2/3))^(-1/2)`,
+      phi_h: `(1 + ${p.unstable.gh}|ζ|^(2/3))^(-1/2)`
+    },
+    stable: {
+      phi_m: `1 + ${p.stable.bm}ζ`,
+      phi_h: `1 + ${p.stable.bh}ζ`
+    }
+  })
+});
+
+// Snapshot of the definitions registered above, before any user code runs
+const BUILTIN_PROFILES = new Map(Object.entries(PROFILES));
+
+/**
+ * True if `key` still holds the built-in definition shipped with this module
+ * (not unregistered or replaced since). A fresh import of the library, such
+ * as inside a worker, sees exactly these profiles.
+ *
+ * @param {string} key - Profile key
+ * @returns {boolean}
+ */
+export const isBuiltinProfile = (key) =>
+  BUILTIN_PROFILES.has(key) && PROFILES[key] === BUILTIN_PROFILES.get(key);
@@ -0,0 +1,117 @@
+/**
+ * quadrature.js
+ *
+ * Adaptive Gauss–Kronrod quadrature for the integral stability functions
+ * ψ(ζ) of profiles that do not supply a closed form.
+ *
+ * @module lib/quadrature
+ */
+
+import { NUMERICAL_PARAMS } from './constants.js';
+
+// Kronrod 15-point abscissae on [-1, 1] (non-negative half, descending)
+const XGK = [
+  0.991455371120812639206854697526329,
+  0.949107912342758524526189684047851,
+  0.864864423359769072789712788640926,
+  0.741531185599394439863864773280788,
+  0.586087235467691130294144845693013,
+  0.405845151377397166906606412076961,
+  0.207784955007898467600689403773245,
+  0
+];
+
+// Kronrod 15-point weights matching XGK
+const WGK = [
+  0.022935322010529224963732008058970,
+  0.063092092629978553290700663189204,
+  0.104790010322250183839876322541518,
+  0.140653259715525918745189590510238,
+  0.169004726639267902826583426598550,
+  0.190350578064785409913256402421014,
+  0.204432940075298892414161999234649,
+  0.209482141084727828012999174891714
+];
+
+// Gauss 7-point weights for the odd-indexed XGK abscissae (XGK[1], XGK[3], XGK[5], XGK[7])
+const WG = [
+  0.129484966168869693270611432679082,
+  0.279705391489276667901467771423780,
+  0.381830050505118944950369775488975,
+  0.417959183673469387755102040816327
+];
+
+/**
+ * Single G7–K15 panel on [a, b].
+ * The embedded 7-point Gauss result gives the error estimate |K15 - G7|.
+ * Abscissae are interior, so endpoint singularities are never evaluated.
+ */
+const gk15 = (f, a, b) => {
+  const center = 0.5 * (a + b);
+  const half = 0.5 * (b - a);
+  const fc = f(center);
+  let kronrod = fc * WGK[7];
+  let gauss = fc * WG[3];
+
+  for (let j = 0; j < 7; j++) {
+    const dx = half * XGK[j];
+    const sum = f(center - dx) + f(center + dx);
+    kronrod += WGK[j] * sum;
+    if (j % 2 === 1) gauss += WG[(j - 1) / 2] * sum;
+  }
+
+  return {
+    value: kronrod * half,
+    error: Math.abs((kronrod - gauss) * half)
+  };
+};
+
+/**
+ * Adaptive Gauss–Kronrod (G7–K15) integration of f over [a, b].
+ *
+ * Panels whose |K15 - G7| exceeds their share of the tolerance are bisected
+ * until the estimate passes or QUAD_MAX_DEPTH is reached.
+ *
+ * @param {Function} f - Integrand f(x)
+ * @param {number} a - Lower limit
+ * @param {number} b - Upper limit
+ * @param {Object} [options]
+ * @param {number} [options.tol=NUMERICAL_PARAMS.QUAD_TOL] - Absolute error tolerance
+ * @param {number} [options.maxDepth=NUMERICAL_PARAMS.QUAD_MAX_DEPTH] - Maximum bisection depth
+ * @returns {{value: number, error: number, evaluations: number}} Integral, error estimate and f-call count
+ */
+export const gaussKronrod = (
+  f,
+  a,
+  b,
+  { tol = NUMERICAL_PARAMS.QUAD_TOL, maxDepth = NUMERICAL_PARAMS.QUAD_MAX_DEPTH } = {}
+) => {
+  let evaluations = 0;
+
+  const refine = (lo, hi, panelTol, depth) => {
+    const panel = gk15(f, lo, hi);
+    evaluations += 15;
+    if (panel.error <= panelTol || depth >= maxDepth) return panel;
+
+    const mid = 0.5 * (lo + hi);
+    const left = refine(lo, mid, panelTol / 2, depth + 1);
+    const right = refine(mid, hi, panelTol / 2, depth + 1);
+    return { value: left.value + right.value, error: left.error + right.error };
+  };
+
+  const { value, error } = refine(a, b, tol, 0);
+  return { value, error, evaluations };
+};
+
+/**
+ * Integral stability function from its φ by adaptive quadrature.
+ *
+ * ψ(ζ) = ∫₀^ζ [1 - φ(ζ')] / ζ' dζ'
+ *
+ * @param {Function} phi - Stability function φ(ζ, p)
+ * @param {number} zeta - Upper integration limit ζ
+ * @param {Object} p - Profile passed through to φ
+ * @returns {{value: number, error: number, evaluations: number}} ψ(ζ) with error estimate
+ */
+export const integratePsi = (phi, zeta, p) =>
+  gaussKronrod(z => (1 - phi(z, p)) / z, 0, zeta);
@@ -0,0 +1,155 @@
+/**
+ * ri-schemes.js
+ *
+ * Ri-based stability functions of operational NWP surface-layer schemes.
+ *
+ * Instead of inverting Ri_b for ζ and integrating φ, these schemes scale
+ * the neutral transfer coefficients directly:
+ *   C_D = C_DN F_m(Ri_b),   C_H = C_HN F_h(Ri_b),
+ * with C_DN = κ²/ln²(z/z0m) and C_HN = κ²/[ln(z/z0m) ln(z/z0h)] as in
+ * transfer_coefficients, so F_m and F_h compare one-to-one with the MOST
+ * ratios C_D/C_DN and C_H/C_HN. The unstable branches depend on the
+ * roughness through C_DN √(z/z0m); the stable branches on Ri_b alone.
+ *
+ * How fast F decays with Ri_b in stable air (its "tail") sets how much
+ * mixing survives in a stable boundary layer: short-tail functions vanish
+ * at a critical Ri_b like MOST, long-tail functions keep mixing at any Ri_b.
+ *
+ * Scheme functions receive `s` = { C_N, z_over_z0m } for the surface and
+ * the scheme itself as `p`, like profile functions (see lib/profiles.js).
+ *
+ * @module lib/ri-schemes
+ */
+
+// Unstable branch shared by the ECMWF-type schemes (Louis, Tiedtke & Geleyn 1982)
+const ltg_unstable = (ri, s, p, a) =>
+  1 - a * p.unstable.b * ri / (1 + 3 * p.unstable.b * p.unstable.c * s.C_N * Math.sqrt(-ri * s.z_over_z0m));
+
+const LTG_UNSTABLE = { b: 5, c: 5 };
+
+const ltg_unstable_equations = p => ({
+  F_m: `1 - ${2 * p.unstable.b}Ri/(1 + ${3 * p.unstable.b * p.unstable.c} C_N √(z/z0m |Ri|))`,
+  F_h: `1 - ${3 * p.unstable.b}Ri/(1 + ${3 * p.unstable.b * p.unstable.c} C_N √(z/z0m |Ri|))`
+});
+
+/**
+ * Built-in Ri-based schemes keyed by short name. Each has a name, reference,
+ * tail ('short' or 'long'), unstable/stable coefficients, F_m(ri, s, p),
+ * F_h(ri, s, p) and equations(p) display strings.
+ */
+export const RI_SCHEMES = {
+  LOUIS79: {
+    name: 'Louis (1979)',
+    reference: 'Louis (1979), Boundary-Layer Meteorol. 17, 187-202',
+    tail: 'long',
+    unstable: { b: 9.4, cm: 7.4, ch: 5.3 },
+    stable: { b: 4.7 },
+    F_m: (ri, s, p) => (ri < 0
+      ? 1 - p.unstable.b * ri / (1 + p.unstable.cm * p.unstable.b * s.C_N * Math.sqrt(-ri * s.z_over_z0m))
+      : Math.pow(1 + p.stable.b * ri, -2)),
+    F_h: (ri, s, p) => (ri < 0
+      ? 1 - p.unstable.b * ri / (1 + p.unstable.ch * p.unstable.b * s.C_N * Math.sqrt(-ri * s.z_over_z0m))
+      : Math.pow(1 + p.stable.b * ri, -2)),
+    equations: p => ({
+      unstable: {
+        F_m: `1 - ${p.unstable.b}Ri/(1 + ${Number((p.unstable.cm * p.unstable.b).toPrecision(4))} C_N √(z/z0m |Ri|))`,
+        F_h: `1 - ${p.unstable.b}Ri/(1 + ${Number((p.unstable.ch * p.unstable.b).toPrecision(4))} C_N √(z/z0m |Ri|))`
+      },
+      stable: { F_m: `(1 + ${p.stable.b}Ri)^(-2)`, F_h: `(1 + ${p.stable.b}Ri)^(-2)` }
+    })
+  },
+  LTG82: {
+    name: 'ECMWF (Louis, Tiedtke & Geleyn 1982)',
+    reference: 'Louis, Tiedtke & Geleyn (1982), ECMWF Workshop on Planetary Boundary Layer Parameterization, 59-79',
+    tail: 'long',
+    unstable: { ...LTG_UNSTABLE },
+    stable: { b: 5, d: 5 },
+    F_m: (ri, s, p) => (ri < 0
+      ? ltg_unstable(ri, s, p, 2)
+      : 1 / (1 + 2 * p.stable.b * ri / Math.sqrt(1 + p.stable.d * ri))),
+    F_h: (ri, s, p) => (ri < 0
+      ? ltg_unstable(ri, s, p, 3)
+      : 1 / (1 + 3 * p.stable.b * ri * Math.sqrt(1 + p.stable.d * ri))),
+    equations: p => ({
+      unstable: ltg_unstable_equations(p),
+      stable: {
+        F_m: `1/(1 + ${2 * p.stable.b}Ri (1 + ${p.stable.d}Ri)^(-1/2))`,
+        F_h: `1/(1 + ${3 * p.stable.b}Ri (1 + ${p.stable.d}Ri)^(1/2))`
+      }
+    })
+  },
+  VITERBO99: {
+    name: 'ECMWF revised LTG (Viterbo et al. 1999)',
+    reference: 'Viterbo, Beljaars, Mahfouf & Teixeira (1999), Q. J. R. Meteorol. Soc. 125, 2401-2426',
+    tail: 'long',
+    unstable: { ...LTG_UNSTABLE },
+    stable: { b: 5, d: 1 },
+    F_m: (ri, s, p) => (ri < 0
+      ? ltg_unstable(ri, s, p, 2)
+      : 1 / (1 + 2 * p.stable.b * ri / Math.sqrt(1 + p.stable.d * ri))),
+    F_h: (ri, s, p) => (ri < 0
+      ? ltg_unstable(ri, s, p, 3)
+      : 1 / (1 + 2 * p.stable.b * ri * Math.sqrt(1 + p.stable.d * ri))),
+    equations: p => ({
+      unstable: ltg_unstable_equations(p),
+      stable: {
+        F_m: `1/(1 + ${2 * p.stable.b}Ri (1 + ${p.stable.d}Ri)^(-1/2))`,
+        F_h: `1/(1 + ${2 * p.stable.b}Ri (1 + ${p.stable.d}Ri)^(1/2))`
+      }
+    })
+  },
+  LONG_TAIL: {
+    name: 'Long tail 1/(1 + 10 Ri)',
+    reference: 'Generic long-tail form, e.g. Holtslag et al. (2013), Bull. Am. Meteorol. Soc. 94, 1691-1706',
+    tail: 'long',
+    unstable: { ...LTG_UNSTABLE },
+    stable: { b: 5 },
+    F_m: (ri, s, p) => (ri < 0 ? ltg_unstable(ri, s, p, 2) : 1 / (1 + 2 * p.stable.b * ri)),
+    F_h: (ri, s, p) => (ri < 0 ? ltg_unstable(ri, s, p, 3) : 1 / (1 + 2 * p.stable.b * ri)),
+    equations: p => ({
+      unstable: ltg_unstable_equations(p),
+      stable: { F_m: `1/(1 + ${2 * p.stable.b}Ri)`, F_h: `1/(1 + ${2 * p.stable.b}Ri)` }
+    })
+  },
+  SHORT_TAIL: {
+    name: 'Short tail (1 - Ri/Ri_c)²',
+    reference: 'Cut-off form consistent with log-linear MOST, e.g. Holtslag et al. (2013), Bull. Am. Meteorol. Soc. 94, 1691-1706',
+    tail: 'short',
+    unstable: { ...LTG_UNSTABLE },
+    stable: { ric: 0.2 },
+    F_m: (ri, s, p) => (ri < 0 ? ltg_unstable(ri, s, p, 2) : ri < p.stable.ric ? (1 - ri / p.stable.ric) ** 2 : 0),
+    F_h: (ri, s, p) => (ri < 0 ? ltg_unstable(ri, s, p, 3) : ri < p.stable.ric ? (1 - ri / p.stable.ric) ** 2 : 0),
+    equations: p => ({
+      unstable: ltg_unstable_equations(p),
+      stable: {
+        F_m: `(1 - Ri/${p.stable.ric})² for Ri < ${p.stable.ric}, else 0`,
+        F_h: `(1 - Ri/${p.stable.ric})² for Ri < ${p.stable.ric}, else 0`
+      }
+    })
+  }
+};
+
+Object.entries(RI_SCHEMES).forEach(([key, scheme]) => { scheme.key = key; });
+
+/**
+ * Look up an Ri-based scheme; scheme objects pass through (e.g. built-ins
+ * with modified coefficients).
+ *
+ * @param {string|Object} scheme - Scheme name (e.g. 'LTG82') or scheme object
+ * @returns {Object} The scheme
+ * @throws {Error} If the name is unknown
+ */
+export const getRiScheme = scheme => {
+  if (scheme && typeof scheme === 'object') return scheme;
+  const s = RI_SCHEMES[scheme];
+  if (!s) throw new Error(`Unknown Ri scheme: ${scheme} (expected ${Object.keys(RI_SCHEMES).join(', ')})`);
+  return s;
+};
+
+/**
+ * List the Ri-based schemes.
+ *
+ * @returns {Array<{key: string, name: string, reference: string, tail: string}>}
+ */
+export const listRiSchemes = () =>
+  Object.values(RI_SCHEMES).map(({ key, name, reference, tail }) => ({ key, name, reference, tail }));
@@ -0,0 +1,187 @@
+/**
+ * roots.js
+ *
+ * Safeguarded root finding for the ζ inversions, plus the maximum search
+ * used to locate critical Richardson numbers.
+ *
+ * Every solver returns a structured result instead of a bare number, so a
+ * caller can tell a converged root from the last iterate of a failed search:
+ *   { root, residual, iterations, converged, reason }
+ *
+ * Stop reasons:
+ * - 'residual'        |f(root)| ≤ tol
+ * - 'bracket-width'   bracket shrank below the step tolerance
+ * - 'max-iterations'  iteration budget exhausted (converged = false)
+ * - 'no-bracket'      f has no sign change on the search interval (converged = false)
+ * - 'non-finite'      f returned NaN/Infinity (converged = false)
+ *
+ * @module lib/roots
+ */
+
+import { NUMERICAL_PARAMS } from './constants.js';
+
+/**
+ * Safeguarded Newton iteration on a sign-changing bracket [lo, hi].
+ *
+ * Each step takes the Newton update when it stays strictly inside the
+ * current bracket and is at most half the previous step; otherwise it
+ * bisects. The bracket is updated on every evaluation, so convergence is
+ * guaranteed (at worst linearly) and quadratic near the root.
+ *
+ * @param {Function} f - Function whose root is sought
+ * @param {Function} df - Derivative f'(x)
+ * @param {number} lo - Bracket end
+ * @param {number} hi - Other bracket end (f(lo) and f(hi) must differ in sign)
+ * @param {Object} [options]
+ * @param {number} [options.guess] - Starting point (used if inside the bracket)
+ * @param {number} [options.tol=NUMERICAL_PARAMS.NEWTON_TOL] - Residual tolerance
+ * @param {number} [options.xtol=1e-15] - Relative bracket-width tolerance
+ * @param {number} [options.maxIter=NUMERICAL_PARAMS.NEWTON_MAX_ITER] - Iteration budget
+ * @returns {{root: number, residual: number, iterations: number, converged: boolean, reason: string}}
+ */
+export const newtonBisect = (
+  f,
+  df,
+  lo,
+  hi,
+  {
+    guess,
+    tol = NUMERICAL_PARAMS.NEWTON_TOL,
+    xtol = 1e-15,
+    maxIter = NUMERICAL_PARAMS.NEWTON_MAX_ITER
+  } = {}
+) => {
+  let flo = f(lo);
+  let fhi = f(hi);
+  if (!Number.isFinite(flo) || !Number.isFinite(fhi)) {
+    return { root: NaN, residual: NaN, iterations: 0, converged: false, reason: 'non-finite' };
+  }
+  if (Math.abs(flo) <= tol) return { root: lo, residual: flo, iterations: 0, converged: true, reason: 'residual' };
+  if (Math.abs(fhi) <= tol) return { root: hi, residual: fhi, iterations: 0, converged: true, reason: 'residual' };
+  if (Math.sign(flo) === Math.sign(fhi)) {
+    return { root: NaN, residual: NaN, iterations: 0, converged: false, reason: 'no-bracket' };
+  }
+
+  // Orient so that f(lo) < 0 < f(hi)
+  if (flo > 0) {
+    [lo, hi] = [hi, lo];
+    [flo, fhi] = [fhi, flo];
+  }
+
+  let x = guess !== undefined && (guess - lo) * (guess - hi) < 0 ? guess : 0.5 * (lo + hi);
+  let fx = f(x);
+  let prevStep = Math.abs(hi - lo);
+
+  for (let i = 1; i <= maxIter; i++) {
+    if (!Number.isFinite(fx)) {
+      return { root: x, residual: fx, iterations: i, converged: false, reason: 'non-finite' };
+    }
+    if (Math.abs(fx) <= tol) {
+      return { root: x, residual: fx, iterations: i, converged: true, reason: 'residual' };
+    }
+
+    // Shrink the bracket around the sign change
+    if (fx < 0) lo = x;
+    else hi = x;
+
+    if (Math.abs(hi - lo) <= xtol * Math.max(1, Math.abs(x))) {
+      return { root: x, residual: fx, iterations: i, converged: true, reason: 'bracket-width' };
+    }
+
+    // Newton step, rejected in favour of bisection if it leaves the
+    // bracket or is not at least halving the previous step
+    const slope = df(x);
+    let next = Number.isFinite(slope) && slope !== 0 ? x - fx / slope : NaN;
+    const inside = (next - lo) * (next - hi) < 0;
+    if (!inside || Math.abs(next - x) > 0.5 * prevStep) {
+      next = 0.5 * (lo + hi);
+    }
+
+    prevStep = Math.abs(next - x);
+    x = next;
+    fx = f(x);
+  }
+
+  return { root: x, residual: fx, iterations: maxIter, converged: false, reason: 'max-iterations' };
+};
+
+/**
+ * Locate sign changes of f on a grid between two points.
+ *
+ * Samples are geometrically spaced in |x| from `from` to `to` (same sign,
+ * neither zero), so near-zero structure is resolved as finely as the far end.
+ *
+ * @param {Function} f - Function to scan
+ * @param {number} from - Start of the scan (closest to zero)
+ * @param {number} to - End of the scan
+ * @param {number} [samples=64] - Number of grid points
+ * @returns {Array<[number, number]>} Brackets [a, b] ordered from `from` to `to`
+ */
+export const scanBrackets = (f, from, to, samples = 64) => {
+  const brackets = [];
+  const ratio = Math.pow(to / from, 1 / (samples - 1));
+  let a = from;
+  let fa = f(a);
+
+  for (let i = 1; i < samples; i++) {
+    const b = i === samples - 1 ? to : from * Math.pow(ratio, i);
+    const fb = f(b);
+    if (Number.isFinite(fa) && Number.isFinite(fb) && (fb === 0 || fa * fb < 0)) {
+      brackets.push([a, b]);
+    }
+    a = b;
+    fa = fb;
+  }
+  return brackets;
+};
+
+/**
+ * Locate the maximum of f between two points.
+ *
+ * f is sampled on the same geometric grid as scanBrackets; the best sample
+ * is then refined by golden-section search between its neighbours. A
+ * maximum at the last sample is reported as not interior (f still rising at
+ * the end of the interval).
+ *
+ * @param {Function} f - Function to maximise
+ * @param {number} from - Start of the search (closest to zero)
+ * @param {number} to - End of the search
+ * @param {Object} [options]
+ * @param {number} [options.samples=128] - Number of grid points
+ * @param {number} [options.xtol=1e-10] - Relative location tolerance
+ * @returns {{x: number, value: number, interior: boolean}}
+ */
+export const maximize = (f, from, to, { samples = 128, xtol = 1e-10 } = {}) => {
+  const ratio = Math.pow(to / from, 1 / (samples - 1));
+  const xs = Array.from({ length: samples }, (_, i) => (i === samples - 1 ? to : from * Math.pow(ratio, i)));
+  const fs = xs.map(f);
+
+  let best = 0;
+  for (let i = 1; i < samples; i++) {
+    if (fs[i] > fs[best] || !Number.isFinite(fs[best])) best = i;
+  }
+  if (best === samples - 1) return { x: to, value: fs[best], interior: false };
+  if (best === 0) return { x: from, value: fs[0], interior: false };
+
+  // Golden-section refinement on [x_{best-1}, x_{best+1}]
+  const invPhi = (Math.sqrt(5) - 1) / 2;
+  let a = xs[best - 1];
+  let b = xs[best + 1];
+  let c = b - invPhi * (b - a);
+  let d = a + invPhi * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  while (Math.abs(b - a) > xtol * Math.max(1, Math.abs(c))) {
+    if (fc > fd) {
+      b = d; d = c; fd = fc;
+      c = b - invPhi * (b - a);
+      fc = f(c);
+    } else {
+      a = c; c = d; fc = fd;
+      d = a + invPhi * (b - a);
+      fd = f(d);
+    }
+  }
+  const x = 0.5 * (a + b);
+  return { x, value: f(x), interior: true };
+};
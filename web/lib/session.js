@@ -0,0 +1,321 @@
+/**
+ * session.js
+ *
+ * Tool state in shareable URLs and named sessions, so a configuration can
+ * be handed to a colleague or reproduced later exactly.
+ *
+ * A state is a plain object of strings (inputs as typed), booleans, arrays
+ * of strings and nested objects of those, plus `profiles`: definitions of
+ * runtime-registered profiles it refers to (see profileDefinitions), so
+ * custom coefficients travel with it.
+ *
+ * URL form: one query parameter per leaf, with dotted paths
+ * ('surface.Z0M=0.05', 'uncertainty.coefficients.stable.bm=0.5') and arrays
+ * joined by commas. Only leaves that differ from the defaults are written,
+ * so a default view has an empty query and links stay short. Profile
+ * definitions use 'profiles.<key>.base', '.name', '.reference' and
+ * '.unstable.<coefficient>' / '.stable.<coefficient>'.
+ *
+ * Sessions: a { name: { saved, state } } map kept under
+ * SESSION_STORAGE_KEY in localStorage (or any object with getItem/setItem),
+ * exported and imported as JSON.
+ *
+ * @module lib/session
+ */
+
+import { PROFILES, getProfile, isBuiltinProfile, registerProfile } from './profiles.js';
+
+// Written as 'v' in URLs and 'version' in session files
+export const SESSION_VERSION = 1;
+
+// localStorage key of the saved sessions
+export const SESSION_STORAGE_KEY = 'richardson.most.sessions';
+
+// Identifies session export files
+const SESSION_FORMAT = 'richardson-most-sessions';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Path segments that would reach Object.prototype instead of a setting
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Give every open map (empty object in the defaults) of `state` a null
+// prototype, so keys taken from a URL cannot collide with inherited ones
+const nullPrototypeMaps = (state, defaults) => {
+  Object.entries(defaults).forEach(([key, like]) => {
+    if (!isPlainObject(like)) return;
+    if (Object.keys(like).length === 0) state[key] = Object.assign(Object.create(null), state[key]);
+    else nullPrototypeMaps(state[key], like);
+  });
+};
+
+// [path, string] pairs of every leaf
+const flatten = (value, path = '', out = []) => {
+  if (Array.isArray(value)) out.push([path, value.join(',')]);
+  else if (isPlainObject(value)) Object.entries(value).forEach(([k, v]) => flatten(v, path ? `${path}.${k}` : k, out));
+  else if (value !== undefined && value !== null) out.push([path, String(value)]);
+  return out;
+};
+
+/**
+ * Definitions of the runtime-registered profiles among `keys`, in the
+ * form a state carries them. Built-in profiles need none; profiles that
+ * are not coefficient variants of a built-in (no `base`) cannot be
+ * described by coefficients alone and are left out.
+ *
+ * @param {Array<string>} keys - Profile keys the state refers to
+ * @returns {Object<string, {base: string, name: string, reference: string,
+ *   unstable: Object<string, number>, stable: Object<string, number>}>}
+ */
+export const profileDefinitions = keys => Object.fromEntries([...new Set(keys)]
+  .filter(key => PROFILES[key] && !isBuiltinProfile(key) && isBuiltinProfile(PROFILES[key].base))
+  .map(key => {
+    const { base, name, reference, unstable, stable } = PROFILES[key];
+    return [key, { base, name, reference, unstable: { ...unstable }, stable: { ...stable } }];
+  }));
+
+/**
+ * Register the profiles a state carries: each is its built-in base with
+ * the given coefficients. Definitions that would replace a built-in
+ * profile or name an unknown base are skipped, as are coefficients the
+ * base does not have or that are not numbers, each with a warning.
+ *
+ * @param {Object} definitions - As profileDefinitions
+ * @returns {{registered: Array<string>, warnings: Array<string>}}
+ */
+export const restoreProfiles = (definitions = {}) => {
+  const registered = [];
+  const warnings = [];
+  Object.entries(definitions).forEach(([key, def]) => {
+    if (PROFILES[key] && isBuiltinProfile(key)) {
+      warnings.push(`Profile '${key}' is built in and was not replaced`);
+      return;
+    }
+    if (!isBuiltinProfile(def.base)) {
+      warnings.push(`Profile '${key}' is based on unknown profile '${def.base}'`);
+      return;
+    }
+    const base = getProfile(def.base);
+    const coefficients = {};
+    for (const regime of ['unstable', 'stable']) {
+      const values = { ...base[regime] };
+      const known = new Set([...Object.keys(values), ...base.schema.filter(s => s.regime === regime).map(s => s.key)]);
+      for (const [name, value] of Object.entries(def[regime] || {})) {
+        if (!known.has(name) || !Number.isFinite(Number(value))) {
+          warnings.push(`Profile '${key}': ignored ${regime}.${name} = ${value}`);
+          continue;
+        }
+        values[name] = Number(value);
+      }
+      coefficients[regime] = values;
+    }
+    registerProfile(key, {
+      ...base,
+      base: def.base,
+      name: def.name || `${base.name} (custom)`,
+      reference: def.reference || `Coefficients modified from ${def.base}`,
+      ...coefficients
+    }, { replace: true });
+    registered.push(key);
+  });
+  return { registered, warnings };
+};
+
+/**
+ * Encode a state as a URL query string (without '?').
+ *
+ * @param {Object} state - Tool state (see module docs)
+ * @param {Object} [defaults={}] - Leaves equal to these are left out
+ * @returns {string} e.g. 'v=1&profile=HOG88&surface.Z0M=0.05'
+ */
+export const encodeState = (state, defaults = {}) => {
+  const base = new Map(flatten(defaults));
+  const params = new URLSearchParams();
+  flatten(state).forEach(([path, value]) => {
+    if (base.get(path) !== value) params.append(path, value);
+  });
+  if ([...params.keys()].length === 0) return '';
+  return `v=${SESSION_VERSION}&${params.toString()}`;
+};
+
+// Leaf of the type found in the defaults (strings for open maps)
+const coerce = (raw, like) => {
+  if (typeof like === 'boolean') return raw === 'true' || raw === '1';
+  if (Array.isArray(like)) return raw === '' ? [] : raw.split(',');
+  return raw;
+};
+
+/**
+ * Decode a URL query onto the defaults. Paths the defaults do not have
+ * are ignored, except inside empty objects (open maps such as
+ * per-coefficient settings) and under 'profiles'. Open maps come back
+ * with a null prototype, and paths through '__proto__', 'constructor' or
+ * 'prototype' are ignored, so a link cannot reach Object.prototype.
+ *
+ * @param {string} query - Query string, with or without '?'
+ * @param {Object} defaults - Complete default state; fixes the shape and leaf types
+ * @param {Object} [options]
+ * @param {Object<string, Array<string>>} [options.choices] - Allowed values per path
+ *   (e.g. { regime: ['full', 'custom'] }); others fall back to the default
+ * @returns {{state: Object, warnings: Array<string>}} A new state (defaults untouched)
+ *   and what could not be applied
+ */
+export const decodeState = (query, defaults, { choices = {} } = {}) => {
+  const state = structuredClone(defaults);
+  nullPrototypeMaps(state, defaults);
+  const warnings = [];
+  const params = new URLSearchParams(query);
+  const version = params.get('v');
+  if (version !== null && Number(version) > SESSION_VERSION) {
+    warnings.push(`Link is from a newer version (${version}); some settings may be ignored`);
+  }
+
+  for (const [path, raw] of params) {
+    if (path === 'v') continue;
+    const segments = path.split('.');
+    if (segments.some(segment => UNSAFE_KEYS.has(segment))) {
+      warnings.push(`Ignored unknown setting ${path}`);
+      continue;
+    }
+
+    if (segments[0] === 'profiles') {
+      const [, key, field, coefficient] = segments;
+      if (!key || !field) continue;
+      state.profiles ??= Object.create(null);
+      const def = (state.profiles[key] ??= { unstable: Object.create(null), stable: Object.create(null) });
+      if ((field === 'unstable' || field === 'stable') && coefficient) def[field][coefficient] = raw;
+      else if (['base', 'name', 'reference'].includes(field)) def[field] = raw;
+      continue;
+    }
+
+    let target = state;
+    let like = defaults;
+    let applied = false;
+    for (let i = 0; i < segments.length; i++) {
+      const key = segments[i];
+      if (isPlainObject(like) && Object.keys(like).length === 0 && i > 0) {
+        target[segments.slice(i).join('.')] = raw;
+        applied = true;
+        break;
+      }
+      if (!isPlainObject(like) || !Object.hasOwn(like, key)) break;
+      if (i === segments.length - 1) {
+        if (isPlainObject(like[key])) break;
+        const value = coerce(raw, like[key]);
+        if (choices[path] && !choices[path].includes(value)) {
+          warnings.push(`Ignored ${path} = ${raw} (expected ${choices[path].join(', ')})`);
+        } else {
+          target[key] = value;
+        }
+        applied = true;
+        break;
+      }
+      target = target[key];
+      like = like[key];
+    }
+    if (!applied) warnings.push(`Ignored unknown setting ${path}`);
+  }
+  return { state, warnings };
+};
+
+/**
+ * Saved sessions from storage; an unreadable entry gives none.
+ *
+ * @param {{getItem: Function}} storage - e.g. window.localStorage
+ * @returns {Object<string, {saved: string, state: Object}>}
+ */
+export const loadSessions = storage => {
+  try {
+    const stored = JSON.parse(storage.getItem(SESSION_STORAGE_KEY) || '{}');
+    return isPlainObject(stored.sessions) ? stored.sessions : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const storeSessions = (storage, sessions) => {
+  storage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ version: SESSION_VERSION, sessions }));
+  return sessions;
+};
+
+/**
+ * Save (or overwrite) a named session.
+ *
+ * @param {{getItem: Function, setItem: Function}} storage - e.g. window.localStorage
+ * @param {string} name - Session name
+ * @param {Object} state - Tool state
+ * @returns {Object} All sessions after saving
+ * @throws {Error} On an empty name, or if storage is full or unavailable
+ */
+export const saveSession = (storage, name, state) => {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('Invalid session: name must not be empty');
+  return storeSessions(storage, {
+    ...loadSessions(storage),
+    [trimmed]: { saved: new Date().toISOString(), state: structuredClone(state) }
+  });
+};
+
+/**
+ * Delete a named session.
+ *
+ * @param {{getItem: Function, setItem: Function}} storage
+ * @param {string} name - Session name
+ * @returns {Object} All sessions after deleting
+ */
+export const deleteSession = (storage, name) => {
+  const sessions = { ...loadSessions(storage) };
+  delete sessions[name];
+  return storeSessions(storage, sessions);
+};
+
+/**
+ * Sessions as a JSON file.
+ *
+ * @param {Object} sessions - { name: { saved, state } } (all, or a selection)
+ * @returns {string} JSON text
+ */
+export const exportSessions = sessions => JSON.stringify({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  exported: new Date().toISOString(),
+  sessions
+}, null, 2);
+
+/**
+ * Read sessions from an exported JSON file and merge them into storage.
+ *
+ * @param {{getItem: Function, setItem: Function}} storage
+ * @param {string} text - File contents (see exportSessions)
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Overwrite sessions with the same name
+ *   (otherwise the import is saved as '<name> (2)', '<name> (3)', …)
+ * @returns {{sessions: Object, imported: Array<string>}} All sessions after the
+ *   import and the names the imported ones were saved under
+ * @throws {Error} If the text is not a session file
+ */
+export const importSessions = (storage, text, { replace = false } = {}) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid session file: ${e.message}`);
+  }
+  if (!isPlainObject(file) || file.format !== SESSION_FORMAT || !isPlainObject(file.sessions)) {
+    throw new Error(`Invalid session file: expected format '${SESSION_FORMAT}'`);
+  }
+  if (Number(file.version) > SESSION_VERSION) {
+    throw new Error(`Invalid session file: version ${file.version} is newer than this tool (${SESSION_VERSION})`);
+  }
+
+  const sessions = loadSessions(storage);
+  const imported = [];
+  Object.entries(file.sessions).forEach(([name, session]) => {
+    if (!isPlainObject(session) || !isPlainObject(session.state)) return;
+    let target = name;
+    for (let k = 2; !replace && sessions[target]; k++) target = `${name} (${k})`;
+    sessions[target] = { saved: session.saved || file.exported, state: session.state };
+    imported.push(target);
+  });
+  return { sessions: storeSessions(storage, sessions), imported };
+};
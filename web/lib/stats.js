@@ -0,0 +1,239 @@
+/**
+ * stats.js
+ *
+ * Paired error statistics, percentile bootstrap, seeded random numbers and
+ * histograms, for comparing model output with observations and for Monte
+ * Carlo uncertainty propagation.
+ *
+ * Everything is deterministic for a given seed, so diagnostics reported in
+ * a paper can be reproduced exactly.
+ *
+ * @module lib/stats
+ */
+
+// Defaults for bootstrap confidence intervals
+export const BOOTSTRAP_DEFAULTS = {
+  samples: 1000,  // Resamples per interval
+  level: 0.95,    // Two-sided confidence level
+  seed: 1         // RNG seed
+};
+
+// Upper limit on resamples, so a typo cannot lock up the page
+export const MAX_BOOTSTRAP_SAMPLES = 100000;
+
+/**
+ * Seeded uniform random numbers on [0, 1) (mulberry32: 32-bit state, period 2³²).
+ *
+ * @param {number} [seed=1] - Any number; only its low 32 bits are used
+ * @returns {Function} () → number in [0, 1)
+ */
+export const createRng = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Seeded standard normal deviates (Box–Muller on a uniform generator; the
+ * second deviate of each pair is kept for the next call).
+ *
+ * @param {Function} [rng=createRng(1)] - Uniform [0, 1) generator
+ * @returns {Function} () → number drawn from N(0, 1)
+ */
+export const createNormalRng = (rng = createRng(BOOTSTRAP_DEFAULTS.seed)) => {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const r = Math.sqrt(-2 * Math.log(1 - rng()));
+    const t = 2 * Math.PI * rng();
+    spare = r * Math.sin(t);
+    return r * Math.cos(t);
+  };
+};
+
+/**
+ * Standard normal quantile Φ⁻¹(p) (Acklam's rational approximation,
+ * relative error below 1.2e-9).
+ *
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} ±Infinity at 0 and 1, NaN outside [0, 1]
+ */
+export const normalQuantile = p => {
+  if (!(p >= 0 && p <= 1)) return NaN;
+  if (p === 0) return -Infinity;
+  if (p === 1) return Infinity;
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Quantile of ascending sorted values, interpolating linearly between order
+ * statistics (type 7, as R and NumPy default).
+ *
+ * @param {ArrayLike<number>} sorted - Ascending values
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} NaN for an empty array
+ */
+export const quantile = (sorted, p) => {
+  const n = sorted.length;
+  if (n === 0) return NaN;
+  const h = (n - 1) * p;
+  const lo = Math.floor(h);
+  const hi = Math.min(n - 1, lo + 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+};
+
+/**
+ * Error statistics of model against observed values over the pairs where
+ * both are finite.
+ *
+ * @param {ArrayLike<number>} model - Model values
+ * @param {ArrayLike<number>} observed - Observed values (same length)
+ * @param {ArrayLike<number>} [indices] - Restrict to these elements (may repeat)
+ * @returns {{count: number, bias: number, rmse: number, mae: number, r: number}}
+ *   bias is mean(model − observed); r is the Pearson correlation (NaN when
+ *   either side has no variance); all NaN when count is 0
+ */
+export const errorStats = (model, observed, indices) => {
+  const m = indices ? indices.length : model.length;
+  let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0, sad = 0;
+  for (let k = 0; k < m; k++) {
+    const i = indices ? indices[k] : k;
+    const a = model[i];
+    const b = observed[i];
+    if (!(Number.isFinite(a) && Number.isFinite(b))) continue;
+    n++;
+    sa += a; sb += b;
+    saa += a * a; sbb += b * b; sab += a * b;
+    sad += Math.abs(a - b);
+  }
+  if (n === 0) return { count: 0, bias: NaN, rmse: NaN, mae: NaN, r: NaN };
+  const cov = sab - sa * sb / n;
+  const va = saa - sa * sa / n;
+  const vb = sbb - sb * sb / n;
+  return {
+    count: n,
+    bias: (sa - sb) / n,
+    rmse: Math.sqrt(Math.max(0, saa - 2 * sab + sbb) / n),
+    mae: sad / n,
+    r: va > 0 && vb > 0 ? Math.max(-1, Math.min(1, cov / Math.sqrt(va * vb))) : NaN
+  };
+};
+
+const STAT_KEYS = ['bias', 'rmse', 'mae', 'r'];
+
+/**
+ * errorStats with percentile bootstrap confidence intervals.
+ *
+ * The finite pairs are resampled with replacement `samples` times; each
+ * interval spans the (1 − level)/2 and (1 + level)/2 quantiles of the
+ * resampled statistic. Resamples in which a statistic is undefined (e.g. r
+ * of constant values) are left out of that statistic's interval.
+ *
+ * @param {ArrayLike<number>} model - Model values
+ * @param {ArrayLike<number>} observed - Observed values (same length)
+ * @param {Object} [options]
+ * @param {ArrayLike<number>} [options.indices] - Restrict to these elements
+ * @param {number} [options.samples=1000] - Number of resamples
+ * @param {number} [options.level=0.95] - Confidence level in (0, 1)
+ * @param {Function} [options.rng] - Uniform [0, 1) generator (default createRng(1))
+ * @returns {{count: number, bias: number, rmse: number, mae: number, r: number,
+ *   ci: {bias: [number, number], rmse: [number, number], mae: [number, number], r: [number, number]}}}
+ *   Intervals are [NaN, NaN] with fewer than two pairs
+ * @throws {Error} On an invalid sample count or level
+ */
+export const bootstrapErrorStats = (model, observed, {
+  indices,
+  samples = BOOTSTRAP_DEFAULTS.samples,
+  level = BOOTSTRAP_DEFAULTS.level,
+  rng = createRng(BOOTSTRAP_DEFAULTS.seed)
+} = {}) => {
+  if (!(Number.isInteger(samples) && samples >= 1 && samples <= MAX_BOOTSTRAP_SAMPLES)) {
+    throw new Error(`Invalid bootstrap: samples must be an integer from 1 to ${MAX_BOOTSTRAP_SAMPLES} (got ${samples})`);
+  }
+  if (!(level > 0 && level < 1)) {
+    throw new Error(`Invalid bootstrap: level must be between 0 and 1 (got ${level})`);
+  }
+
+  // Finite pairs only, so every resample has the full count
+  const pairs = [];
+  const m = indices ? indices.length : model.length;
+  for (let k = 0; k < m; k++) {
+    const i = indices ? indices[k] : k;
+    if (Number.isFinite(model[i]) && Number.isFinite(observed[i])) pairs.push(i);
+  }
+  const stats = errorStats(model, observed, pairs);
+  const n = pairs.length;
+  if (n < 2) return { ...stats, ci: Object.fromEntries(STAT_KEYS.map(k => [k, [NaN, NaN]])) };
+
+  const draws = Object.fromEntries(STAT_KEYS.map(k => [k, []]));
+  const resample = new Int32Array(n);
+  for (let s = 0; s < samples; s++) {
+    for (let j = 0; j < n; j++) resample[j] = pairs[Math.floor(rng() * n)];
+    const st = errorStats(model, observed, resample);
+    STAT_KEYS.forEach(k => { if (Number.isFinite(st[k])) draws[k].push(st[k]); });
+  }
+  const tail = (1 - level) / 2;
+  const ci = Object.fromEntries(STAT_KEYS.map(k => {
+    const sorted = Float64Array.from(draws[k]).sort();
+    return [k, [quantile(sorted, tail), quantile(sorted, 1 - tail)]];
+  }));
+  return { ...stats, ci };
+};
+
+/**
+ * Histogram of the finite values on equal-width bins spanning their range.
+ *
+ * @param {ArrayLike<number>} values - Values (NaN/±Infinity are ignored)
+ * @param {number} [bins=30] - Number of bins
+ * @returns {{edges: Float64Array, counts: Uint32Array}} bins + 1 edges; the
+ *   last bin includes its upper edge. Values all equal get one bin of width
+ *   1 around them; no finite values give empty arrays
+ * @throws {Error} If bins is not a positive integer
+ */
+export const histogram = (values, bins = 30) => {
+  if (!(Number.isInteger(bins) && bins >= 1)) {
+    throw new Error(`Invalid histogram: bins must be a positive integer (got ${bins})`);
+  }
+  let lo = Infinity, hi = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!Number.isFinite(v)) continue;
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  if (lo > hi) return { edges: new Float64Array(0), counts: new Uint32Array(0) };
+  if (lo === hi) {
+    lo -= 0.5;
+    hi += 0.5;
+    bins = 1;
+  }
+
+  const width = (hi - lo) / bins;
+  const edges = Float64Array.from({ length: bins + 1 }, (_, k) => (k === bins ? hi : lo + k * width));
+  const counts = new Uint32Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isFinite(v)) counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++;
+  }
+  return { edges, counts };
+};
@@ -0,0 +1,275 @@
+/**
+ * text.js
+ *
+ * Parsing of pasted or uploaded text: bare numeric columns for the batch
+ * tools, and delimited tables with a header (CSV, Campbell Scientific TOA5)
+ * for observation imports.
+ *
+ * @module lib/text
+ */
+
+/**
+ * Classify and split one line of numeric text, by the rules of
+ * parseNumericColumns, so streams can be read a line at a time.
+ *
+ * A comma, semicolon or tab delimiter separates exactly one field from the
+ * next, so an empty field keeps its column; with a null delimiter, runs of
+ * whitespace separate the fields. With a semicolon or tab delimiter a comma
+ * may be the decimal separator ('2,5'). A line with no number in it is text
+ * (a header, say) unless all its fields are empty or NaN.
+ *
+ * @param {string} line - One line of text
+ * @param {string|null} [delimiter] - ',', ';', '\t' or null (whitespace);
+ *   detected from the line itself when omitted (see detectNumericDelimiter)
+ * @returns {{kind: string, fields: Array<string>, values: Array<number>|null,
+ *   unparsable: Array<number>, delimiter: string|null}}
+ *   kind 'blank', 'comment', 'text' or 'data'; values are the fields as
+ *   numbers (NaN where empty, NaN or unparsable) for data lines, and
+ *   unparsable the (0-based) indices of fields that were neither; the
+ *   delimiter used, so later lines of the same file can be split alike
+ */
+export const parseNumericLine = (line, delimiter) => {
+  const trimmed = line.trim();
+  if (trimmed === '') return { kind: 'blank', fields: [], values: null, unparsable: [], delimiter: delimiter ?? null };
+  if (trimmed.startsWith('#')) return { kind: 'comment', fields: [], values: null, unparsable: [], delimiter: delimiter ?? null };
+  const d = delimiter === undefined ? detectNumericDelimiter(trimmed) : delimiter;
+  const fields = d === null ? trimmed.split(/\s+/) : splitFields(line, d);
+  const values = fields.map(f => fieldValue(f, d));
+  const missing = fields.every(isMissing);
+  const kind = values.some(Number.isFinite) || missing ? 'data' : 'text';
+  if (kind !== 'data') return { kind, fields, values: null, unparsable: [], delimiter: d };
+  const unparsable = fields.flatMap((f, j) => (Number.isNaN(values[j]) && !isMissing(f) ? [j] : []));
+  return { kind, fields, values, unparsable, delimiter: d };
+};
+
+// A field that stands for a missing value: empty or NaN
+const isMissing = field => field === '' || /^[+-]?nan$/i.test(field);
+
+// '2,5' or ',5' (with an optional exponent): a decimal comma
+const DECIMAL_COMMA = /^[+-]?(\d+,\d*|,\d+)([eE][+-]?\d+)?$/;
+
+// Numeric value of a field; commas are decimal separators unless they delimit
+const fieldValue = (field, delimiter) => {
+  if (field === '') return NaN;
+  if (delimiter !== ',' && DECIMAL_COMMA.test(field)) return Number(field.replace(',', '.'));
+  return Number(field);
+};
+
+/**
+ * Split delimited numeric text into columns.
+ *
+ * Fields are separated by tabs, semicolons, commas or whitespace; the
+ * delimiter is detected once, from the first line that is neither blank nor
+ * a comment. Blank lines and lines starting with '#' are skipped, as are
+ * text lines with no number in them (the header, or stray text further
+ * down, which is listed in skippedLines). Empty or NaN fields in a data row
+ * become NaN, so rows stay aligned across columns; so do fields that are
+ * not numbers, which are listed in unparsable.
+ *
+ * @param {string} text - Delimited text (one record per line)
+ * @returns {{columns: Array<Float64Array>, header: Array<string>|null, delimiter: string|null,
+ *   skipped: number, skippedLines: Array<number>,
+ *   unparsable: Array<{line: number, column: number, field: string}>}}
+ *   One Float64Array per column (as many as the widest row), the first
+ *   header row if any, the delimiter used, the number of non-data lines
+ *   skipped, the (1-based) line numbers of text lines other than the header
+ *   and the (1-based) position of every unparsable field
+ */
+export const parseNumericColumns = text => {
+  const rows = [];
+  let header = null;
+  let delimiter;
+  let skipped = 0;
+  const skippedLines = [];
+  const unparsable = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = parseNumericLine(raw, delimiter);
+    if (line.kind === 'data' || line.kind === 'text') delimiter = line.delimiter;
+    if (line.kind === 'data') {
+      rows.push(line.values);
+      line.unparsable.forEach(j => unparsable.push({ line: i + 1, column: j + 1, field: line.fields[j] }));
+      return;
+    }
+    if (line.kind === 'text') {
+      if (header === null && rows.length === 0) header = line.fields;
+      else skippedLines.push(i + 1);
+    }
+    if (line.kind !== 'blank') skipped++;
+  });
+
+  const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+  const columns = Array.from({ length: width }, (_, j) => {
+    const col = new Float64Array(rows.length);
+    rows.forEach((r, i) => { col[i] = j < r.length ? r[j] : NaN; });
+    return col;
+  });
+  return { columns, header, delimiter: delimiter ?? null, skipped, skippedLines, unparsable };
+};
+
+/**
+ * Describe what a numeric parse could not read, for a status message.
+ *
+ * @param {{skipped: number, skippedLines: Array<number>,
+ *   unparsable?: Array<{line: number, column: number, field: string}>}} parsed - From parseNumericColumns
+ * @param {number} [limit=10] - Lines or fields to list before eliding the rest
+ * @returns {string} '' when everything was read, else e.g.
+ *   '; 3 non-data line(s) skipped, text at line(s) 7, 12; 1 unparsable field(s)
+ *   read as NaN: "1.2.3" (line 4, column 2)'
+ */
+export const describeSkipped = ({ skipped, skippedLines, unparsable = [] }, limit = 10) => {
+  const more = list => (list.length > limit ? ', …' : '');
+  let text = '';
+  if (skipped) {
+    text += `; ${skipped} non-data line(s) skipped`;
+    if (skippedLines.length) text += `, text at line(s) ${skippedLines.slice(0, limit).join(', ')}${more(skippedLines)}`;
+  }
+  if (unparsable.length) {
+    const listed = unparsable.slice(0, limit).map(u => `"${u.field}" (line ${u.line}, column ${u.column})`).join(', ');
+    text += `; ${unparsable.length} unparsable field(s) read as NaN: ${listed}${more(unparsable)}`;
+  }
+  return text;
+};
+
+/**
+ * Guess the delimiter of numeric text from one line: tab, else semicolon,
+ * else comma, else null (whitespace). Unlike detectDelimiter this goes by
+ * presence, not frequency, since semicolon- and tab-separated numbers may
+ * hold more decimal commas than delimiters.
+ *
+ * @param {string} line - A representative line (usually the first)
+ * @returns {string|null}
+ */
+export const detectNumericDelimiter = line =>
+  ['\t', ';', ','].find(d => countUnquoted(line, d) > 0) ?? null;
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Count a character outside double quotes
+const countUnquoted = (line, ch) => {
+  let n = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) n++;
+  }
+  return n;
+};
+
+/**
+ * Split one delimited line into fields. Fields may be double-quoted (a
+ * doubled quote inside is a literal quote); surrounding spaces are trimmed.
+ * A null delimiter splits on runs of whitespace.
+ *
+ * @param {string} line - One line of text
+ * @param {string|null} delimiter - ',', ';', '\t' or null
+ * @returns {Array<string>} Unquoted fields
+ */
+export const splitFields = (line, delimiter) => {
+  if (delimiter === null) return line.trim().split(/\s+/).map(f => f.replace(/^"(.*)"$/, '$1'));
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Guess the delimiter of a line: the most frequent of comma, semicolon and
+ * tab outside quotes, or null (whitespace) if none occurs.
+ *
+ * @param {string} line - A representative line (usually the header)
+ * @returns {string|null}
+ */
+export const detectDelimiter = line => {
+  let best = null;
+  let most = 0;
+  for (const d of DELIMITERS) {
+    const n = countUnquoted(line, d);
+    if (n > most) { best = d; most = n; }
+  }
+  return best;
+};
+
+/**
+ * Split delimited text with a header row into named fields.
+ *
+ * Blank lines and lines starting with '#' are skipped. The first remaining
+ * line is the header unless every field in it is a number, in which case
+ * the columns are named col1, col2, … Short rows are padded with ''.
+ *
+ * @param {string} text - Delimited text (one record per line)
+ * @returns {{names: Array<string>, rows: Array<Array<string>>, delimiter: string|null, skipped: number}}
+ *   Column names, the data rows as strings, the delimiter used and the
+ *   number of comment/blank lines skipped
+ * @throws {Error} If there is no data line
+ */
+export const parseDelimited = text => {
+  const lines = [];
+  let skipped = 0;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('#')) skipped++;
+    else lines.push(line);
+  }
+  if (lines.length === 0) throw new Error('No data lines found');
+
+  const delimiter = detectDelimiter(lines[0]);
+  const first = splitFields(lines[0], delimiter);
+  const hasHeader = !first.every(f => f !== '' && Number.isFinite(Number(f)));
+  const body = (hasHeader ? lines.slice(1) : lines).map(line => splitFields(line, delimiter));
+  const width = body.reduce((w, r) => Math.max(w, r.length), first.length);
+  const names = Array.from({ length: width }, (_, j) => (hasHeader && first[j]) || `col${j + 1}`);
+  const rows = body.map(r => (r.length < width ? [...r, ...Array(width - r.length).fill('')] : r));
+  return { names, rows, delimiter, skipped };
+};
+
+/**
+ * Parse a Campbell Scientific TOA5 file (the ASCII table format written by
+ * LoggerNet and CardConvert).
+ *
+ * Four header lines precede the data, all comma-separated and quoted:
+ *   1. "TOA5", station, logger model, serial number, OS version, program,
+ *      program signature, table name
+ *   2. field names
+ *   3. units
+ *   4. processing (Smp, Avg, Max, …)
+ *
+ * @param {string} text - File contents
+ * @returns {{environment: Object, names: Array<string>, units: Array<string>,
+ *   processing: Array<string>, rows: Array<Array<string>>}} Header information and
+ *   the data rows as strings (logger 'NAN' is left for the caller)
+ * @throws {Error} If the text is not TOA5
+ */
+export const parseTOA5 = text => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const env = lines.length ? splitFields(lines[0], ',') : [];
+  if (env[0] !== 'TOA5') throw new Error('Not a TOA5 file: the first field must be "TOA5"');
+  if (lines.length < 4) throw new Error('Incomplete TOA5 file: expected four header lines');
+
+  const [, station_name, logger_model, serial_number, os_version, program_name, program_signature, table_name] = env;
+  const names = splitFields(lines[1], ',');
+  const pad = fields => Array.from({ length: names.length }, (_, j) => fields[j] ?? '');
+  return {
+    environment: { station_name, logger_model, serial_number, os_version, program_name, program_signature, table_name },
+    names,
+    units: pad(splitFields(lines[2], ',')),
+    processing: pad(splitFields(lines[3], ',')),
+    rows: lines.slice(4).map(line => pad(splitFields(line, ',')))
+  };
+};
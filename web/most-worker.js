@@ -0,0 +1,259 @@
+/**
+ * most-worker.js
+ *
+ * Off-main-thread reference tables, profile comparisons and batch conversions.
+ *
+ * runTask does the work in chunks and yields to the event loop between
+ * them, so progress can be streamed back and a cancel request can land.
+ * createMostWorker runs tasks in web/worker.js (a module Web Worker in the
+ * browser, worker_threads in Node). Profiles registered or replaced at
+ * runtime do not exist in the worker's fresh copy of the library, so tasks
+ * using them run on the calling thread instead, still chunked and
+ * cancellable.
+ *
+ * Usage:
+ *   import { createMostWorker } from './most-worker.js';
+ *   const worker = createMostWorker();
+ *   const job = worker.run(
+ *     { type: 'batch', mode: 'rib_to_zeta', values, profile: 'BD71' },
+ *     { onProgress: ({ done, total }) => ..., onChunk: chunk => ..., chunkSize: 1000 }
+ *   );
+ *   job.cancel();                      // optional
+ *   const result = await job.promise;  // { cancelled: true } if cancelled
+ *   worker.terminate();
+ *
+ * Tasks:
+ * - { type: 'table', profile, grid | zetas, surface? }
+ *     chunks { offset, rows, done, total }; result { cancelled, rows, dropped }
+ *     with reference_row rows (φ, Ri, their ζ derivatives and Ri_g/Ri_b) on a
+ *     zeta_grid specification or an explicit list of ζ values
+ * - { type: 'compare', profiles, baseline?, relative?, grid | zetas, surface? }
+ *     chunks { offset, rows, done, total }; result { cancelled, rows, columns,
+ *     dropped, profiles, baseline, relative } as compare_profiles, with a
+ *     Ri-spaced grid inverted using the baseline profile
+ * - { type: 'batch', mode, values, profile, surface?, z_over_z0? }
+ *     chunks { offset, zeta, phi_m, phi_h, Ri_g, Ri_b, converged, iterations,
+ *     reason, done, total }; result { cancelled, ...convert_batch output }
+ *
+ * @module most-worker
+ */
+
+import {
+  SURFACE_PARAMS,
+  getProfile,
+  isBuiltinProfile,
+  zeta_grid,
+  reference_row,
+  comparison_row,
+  comparison_columns,
+  convert_batch,
+  batch_summary
+} from './most.js';
+
+// Elements per chunk: small enough for smooth progress, large enough that
+// message overhead stays negligible
+export const CHUNK_SIZE = 500;
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const slice = (values, start, end) => (values.subarray ? values.subarray(start, end) : values.slice(start, end));
+
+const BATCH_FIELDS = ['zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b', 'converged', 'iterations'];
+
+/**
+ * Run a table, comparison or batch task in chunks.
+ *
+ * @param {Object} task - Task description (see module docs)
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=CHUNK_SIZE] - Elements per chunk
+ * @param {Function} [options.onChunk] - Called with each chunk as it completes
+ * @param {Function} [options.isCancelled] - Polled between chunks
+ * @returns {Promise<Object>} { cancelled: true } or { cancelled: false, ...result }
+ * @throws {Error} On an unknown task type (and anything the physics throws)
+ */
+export const runTask = async (task, { chunkSize = CHUNK_SIZE, onChunk = () => {}, isCancelled = () => false } = {}) => {
+  const surface = task.surface || SURFACE_PARAMS;
+
+  if (task.type === 'table') {
+    const p = getProfile(task.profile);
+    const { zeta: zetas, dropped } = task.grid
+      ? zeta_grid(task.grid, p, surface)
+      : { zeta: task.zetas, dropped: [] };
+    const total = zetas.length;
+    const rows = [];
+    for (let start = 0; start < total; start += chunkSize) {
+      if (isCancelled()) return { cancelled: true };
+      const chunk = Array.from(slice(zetas, start, start + chunkSize), zeta => reference_row(zeta, p, surface));
+      rows.push(...chunk);
+      onChunk({ offset: start, rows: chunk, done: rows.length, total });
+      await nextTick();
+    }
+    return { cancelled: false, rows, dropped };
+  }
+
+  if (task.type === 'compare') {
+    const { profiles, relative = 'difference' } = task;
+    const baseline = task.baseline ?? profiles[0];
+    const settings = { surface, baseline, relative };
+    const columns = comparison_columns(profiles, settings);
+    const { zeta: zetas, dropped } = task.grid
+      ? zeta_grid(task.grid, baseline, surface)
+      : { zeta: task.zetas, dropped: [] };
+    const total = zetas.length;
+    const rows = [];
+    for (let start = 0; start < total; start += chunkSize) {
+      if (isCancelled()) return { cancelled: true };
+      const chunk = Array.from(slice(zetas, start, start + chunkSize), zeta => comparison_row(zeta, profiles, settings));
+      rows.push(...chunk);
+      onChunk({ offset: start, rows: chunk, done: rows.length, total });
+      await nextTick();
+    }
+    return { cancelled: false, rows, columns, dropped, profiles, baseline, relative };
+  }
+
+  if (task.type === 'batch') {
+    const { mode, values, profile, z_over_z0 } = task;
+    const total = values.length;
+    const out = {
+      zeta: new Float64Array(total),
+      phi_m: new Float64Array(total),
+      phi_h: new Float64Array(total),
+      Ri_g: new Float64Array(total),
+      Ri_b: new Float64Array(total),
+      converged: new Uint8Array(total),
+      iterations: new Uint16Array(total),
+      reason: new Array(total)
+    };
+    for (let start = 0; start < total; start += chunkSize) {
+      if (isCancelled()) return { cancelled: true };
+      const end = Math.min(total, start + chunkSize);
+      const part = convert_batch(mode, slice(values, start, end), profile, {
+        surface,
+        z_over_z0: z_over_z0 && slice(z_over_z0, start, end)
+      });
+      BATCH_FIELDS.forEach(key => out[key].set(part[key], start));
+      part.reason.forEach((r, i) => { out.reason[start + i] = r; });
+
+      const chunk = { offset: start, done: end, total, reason: part.reason };
+      BATCH_FIELDS.forEach(key => { chunk[key] = part[key]; });
+      onChunk(chunk);
+      await nextTick();
+    }
+    out.summary = batch_summary(out);
+    return { cancelled: false, ...out };
+  }
+
+  throw new Error(`Unknown task type: ${task.type}`);
+};
+
+// Kept out of static analysis so browser bundlers do not try to resolve it
+const NODE_WORKER_THREADS = 'node:worker_threads';
+
+/**
+ * Start web/worker.js; resolves to { post, terminate } or null if this
+ * environment cannot run it (e.g. workers blocked on file:// pages).
+ */
+const spawn = async (dispatch, fail) => {
+  const url = new URL('./worker.js', import.meta.url);
+  try {
+    if (typeof Worker !== 'undefined') {
+      const worker = new Worker(url, { type: 'module' });
+      worker.onmessage = e => dispatch(e.data);
+      worker.onerror = e => fail(new Error(e.message || 'Worker failed'));
+      return { post: msg => worker.postMessage(msg), terminate: () => worker.terminate() };
+    }
+    const { Worker: NodeWorker } = await import(/* @vite-ignore */ NODE_WORKER_THREADS);
+    const worker = new NodeWorker(url);
+    worker.on('message', dispatch);
+    worker.on('error', fail);
+    return { post: msg => worker.postMessage(msg), terminate: () => worker.terminate() };
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Create a task runner backed by a worker (started on first use).
+ *
+ * @returns {{run: Function, terminate: Function}} run(task, { onProgress, onChunk, chunkSize })
+ *   returns { promise, cancel }; terminate() stops the worker and rejects
+ *   outstanding worker jobs
+ */
+export const createMostWorker = () => {
+  const jobs = new Map();
+  let nextId = 1;
+  let port = null;
+
+  const dispatch = ({ type, id, chunk, result, message }) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    if (type === 'chunk') {
+      job.onChunk(chunk);
+      job.onProgress({ done: chunk.done, total: chunk.total });
+    } else if (type === 'done') {
+      jobs.delete(id);
+      job.resolve(result);
+    } else if (type === 'error') {
+      jobs.delete(id);
+      job.reject(new Error(message));
+    }
+  };
+
+  const fail = error => {
+    jobs.forEach(job => job.reject(error));
+    jobs.clear();
+  };
+
+  const runLocal = (task, onChunk, onProgress, chunkSize) => {
+    let cancelled = false;
+    const promise = runTask(task, {
+      chunkSize,
+      onChunk: chunk => {
+        onChunk(chunk);
+        onProgress({ done: chunk.done, total: chunk.total });
+      },
+      isCancelled: () => cancelled
+    });
+    return { promise, cancel: () => { cancelled = true; } };
+  };
+
+  const run = (task, { onProgress = () => {}, onChunk = () => {}, chunkSize = CHUNK_SIZE } = {}) => {
+    const names = task.profiles || [task.profile];
+    if (!names.every(name => typeof name === 'string' && isBuiltinProfile(name))) {
+      return runLocal(task, onChunk, onProgress, chunkSize);
+    }
+
+    if (!port) port = spawn(dispatch, fail);
+    const id = nextId++;
+    let local = null;
+    let cancelled = false;
+
+    const promise = port.then(worker => {
+      if (!worker) {
+        local = runLocal(task, onChunk, onProgress, chunkSize);
+        if (cancelled) local.cancel();
+        return local.promise;
+      }
+      return new Promise((resolve, reject) => {
+        jobs.set(id, { resolve, reject, onChunk, onProgress });
+        worker.post({ type: 'run', id, task, chunkSize });
+        if (cancelled) worker.post({ type: 'cancel', id });
+      });
+    });
+
+    const cancel = () => {
+      cancelled = true;
+      if (local) local.cancel();
+      port.then(worker => worker && jobs.has(id) && worker.post({ type: 'cancel', id }));
+    };
+    return { promise, cancel };
+  };
+
+  const terminate = () => {
+    if (port) port.then(worker => worker && worker.terminate());
+    port = null;
+    fail(new Error('Worker terminated'));
+  };
+
+  return { run, terminate };
+};
@@ -1,748 +1,3337 @@
-import React, { useState, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Download, Info } from 'lucide-react';
-
-/**
- * MOSTStabilityTool
- * 
- * Interactive tool for Monin-Obukhov Similarity Theory (MOST) stability analysis.
- * Provides high-precision (10⁻¹⁰ tolerance) conversions between stability parameters:
- * - ζ (dimensionless height, z/L)
- * - Ri_g (gradient Richardson number)
- * - Ri_b (bulk Richardson number)
- * - φ_m, φ_h (stability functions)
- * 
- * Supports three canonical MOST profiles:
- * - Businger-Dyer 1971 (BD71)
- * - Högström 1988 (HOG88)
- * - Cheng-Brutsaert 2005 (CB05)
- * 
- * @component
- * @returns {JSX.Element} Interactive MOST stability reference tool
- */
-const MOSTStabilityTool = () => {
-  // ============================================================================
-  // STATE MANAGEMENT
-  // ============================================================================
-
-  const [profile, setProfile] = useState('BD71');           // Selected MOST profile
-  const [regime, setRegime] = useState('full');              // Stability range
-  const [showTable, setShowTable] = useState(false);         // Table visibility toggle
-  const [conversionMode, setConversionMode] = useState('rig_to_zeta'); // Conversion type
-  const [inputValue, setInputValue] = useState('0.1');       // User input value
-  const [conversionResult, setConversionResult] = useState(null); // Conversion result
-
-  // ============================================================================
-  // CONSTANTS: MOST PROFILE PARAMETERS
-  // ============================================================================
-
-  /**
-   * Canonical MOST profile parameters from literature.
-   * Each profile defines stability function coefficients for unstable and stable regimes.
-   * 
-   * References:
-   * - BD71: Businger et al. (1971), J. Atmos. Sci., 28, 181–189
-   * - HOG88: Högström (1988), Boundary-Layer Meteorology, 44, 25–60
-   * - CB05: Cheng & Brutsaert (2005), J. Atmos. Sci., 62, 2112–2132
-   */
-  const profiles = {
-    BD71: {
-      name: 'Businger-Dyer 1971',
-      unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
-      stable: { bm: 5, bh: 5 }
-    },
-    HOG88: {
-      name: 'Högström 1988',
-      unstable: { am: 19.3, ah: 11.6, bm: 0.25, bh: 0.5 },
-      stable: { bm: 6, bh: 7.8 }
-    },
-    CB05: {
-      name: 'Cheng-Brutsaert 2005',
-      unstable: { am: 16, ah: 16, bm: 0.25, bh: 0.5 },
-      stable: { bm: 6.1, bh: 6.1, cm: 5.3, ch: 5.3 }
+/**
+ * most.js
+ *
+ * Framework-free Monin-Obukhov Similarity Theory (MOST) physics library.
+ *
+ * This ES module is the single source of truth for the stability functions,
+ * integral stability functions, Richardson numbers and their inversions. The
+ * React tool (MOST.js), the standalone D3 pages in web/ and Node scripts all
+ * import from here, so a fix lands everywhere at once.
+ *
+ * Usage (browser):
+ *   <script type="module">
+ *     import { zeta_from_rig, ri_b } from './most.js';
+ *   </script>
+ *
+ * Usage (Node):
+ *   import { zeta_from_rig, ri_b } from './web/most.js';
+ *   const { zeta, converged } = zeta_from_rig(0.1, 'BD71');
+ *
+ * Public API:
+ * - PROFILES, NUMERICAL_PARAMS, SURFACE_PARAMS, PHYSICAL_CONSTANTS, TOOL_VERSION
+ * - surface_params, describe_surface   z, z0m, z0h / kB⁻¹ handling
+ * - registerProfile, unregisterProfile, getProfile, listProfiles,
+ *   onProfilesChange, withParams, businger_dyer_profile,
+ *   isBuiltinProfile   (see lib/profiles.js)
+ * - phi_m, phi_h     stability functions φ(ζ)
+ * - psi_m, psi_h     integral stability functions ψ(ζ)
+ * - psi_m_estimate, psi_h_estimate   ψ with quadrature error estimate
+ * - check_psi_consistency            verify dψ/dζ = (1 - φ)/ζ per profile
+ * - ri_g, ri_b       gradient and bulk Richardson numbers
+ * - dri_g_dzeta, dri_b_dzeta   analytic dRi/dζ
+ * - d2ri_g_dzeta2, d2ri_b_dzeta2   analytic d²Ri/dζ² (curvature)
+ * - ri_ratio         Ri_g/Ri_b, finite through neutral
+ * - critical_ri      maximum stable Ri_g and Ri_b per profile
+ * - zeta_from_rig    invert Ri_g → ζ (structured solver result)
+ * - zeta_from_rib    invert Ri_b → ζ (structured solver result)
+ * - solve_fluxes     u*, θ*, L, H, τ from one- or two-level observations
+ * - reconstruct_profiles, export_profile_reconstruction, RECONSTRUCTION_DEFAULTS
+ *                    u(z), θ(z) from u*, θ*, L for several profiles and the
+ *                    neutral log law, for plotting and export
+ * - transfer_coefficients, transfer_from_rib, transfer_lookup, export_transfer_table
+ *                    bulk C_D, C_H and their ratios to neutral, per ζ, per Ri_b
+ *                    and as an Ri_b × z/z0m lookup table export
+ * - RI_SCHEMES, getRiScheme, listRiSchemes, ri_scheme_functions, compare_ri_schemes,
+ *   export_ri_scheme_comparison
+ *                    Ri-based NWP stability functions (Louis 1979, ECMWF, long
+ *                    and short tails) against the MOST C_D/C_DN, C_H/C_HN
+ *                    (schemes in lib/ri-schemes.js)
+ * - tower_ri_g, fit_tower_column, tower_column_at, tower_curves, TOWER_FORMS
+ *                    Ri_g (± fit uncertainty) and ζ from multi-level u(z), θ(z)
+ *                    fitted as log-linear or log-square profiles
+ * - convert_batch    vectorised Ri_g/Ri_b/ζ conversion over typed arrays
+ * - summarize, batch_summary   statistics of an array / of a batch result
+ * - fit_profile, register_fitted_profile
+ *                    least-squares coefficients from observed φ or Ri_g against ζ,
+ *                    saved as a new profile (solver in lib/fit.js)
+ * - propagate_uncertainty, UNCERTAINTY_DEFAULTS
+ *                    ζ, φ_m, φ_h intervals from uncertain input, z/z0 and
+ *                    coefficients (first-order and Monte Carlo)
+ * - zeta_grid, describe_grid, reference_row, reference_table
+ *                    ζ grids (linear, log, Ri_g- or Ri_b-spaced) and tables on them
+ * - compare_profiles, comparison_row, comparison_columns, export_comparison_table
+ *                    several profiles on one grid, with differences/ratios to a baseline
+ * - REFERENCE_COLUMNS, CLASS_COLUMN, export_metadata, export_reference_table
+ *                    CSV/JSON/NetCDF/LaTeX/Markdown exports with provenance
+ *                    (formats and writers in lib/export.js, lib/netcdf.js)
+ * - stability_series, SERIES_COLUMNS, export_stability_series
+ *                    per-record Ri_b → ζ (and sonic ζ) for imported observations
+ * - STABILITY_CLASSES, stability_class, stability_class_index   ζ regimes
+ * - pasquill_gifford_classes, GOLDER_COEFFICIENTS, CLASSIFICATIONS, CLASS_VARIABLES,
+ *   classification_table, parse_class_table, classify_stability, classify_rows,
+ *   class_bands, classification_metadata
+ *                    Pasquill–Gifford A–F (Golder 1972, with z0), regime and
+ *                    user-defined classes from ζ, L or Ri_b, and chart bands
+ * - bias_diagnostics model-vs-observed bias, RMSE, MAE, r per stability class
+ *                    with bootstrap intervals (statistics in lib/stats.js)
+ * - readDataset      CSV / Campbell TOA5 / NetCDF-3 file → columns (see lib/observations.js)
+ * - encodeState, decodeState, profileDefinitions, restoreProfiles,
+ *   loadSessions, saveSession, deleteSession, exportSessions, importSessions
+ *                    tool state in shareable URLs and named sessions (see lib/session.js)
+ * - parseNumericColumns, parseNumericLine, describeSkipped
+ *                    pasted/uploaded text → Float64Array columns (see lib/text.js)
+ *
+ * @module most
+ */
+
+import { NUMERICAL_PARAMS, SURFACE_PARAMS, PHYSICAL_CONSTANTS, TOOL_VERSION } from './lib/constants.js';
+import { getProfile, listProfiles, withParams, registerProfile } from './lib/profiles.js';
+import { integratePsi } from './lib/quadrature.js';
+import { newtonBisect, scanBrackets, maximize } from './lib/roots.js';
+import { linearGrid, logGrid } from './lib/grid.js';
+import { RI_SCHEMES, getRiScheme } from './lib/ri-schemes.js';
+import { EXPORT_FORMATS, DEFAULT_PRECISION, formatTable } from './lib/export.js';
+import { levenbergMarquardt, linearLeastSquares, numericJacobian } from './lib/fit.js';
+import {
+  BOOTSTRAP_DEFAULTS,
+  createRng,
+  createNormalRng,
+  normalQuantile,
+  quantile,
+  histogram,
+  errorStats,
+  bootstrapErrorStats
+} from './lib/stats.js';
+
+export { NUMERICAL_PARAMS, SURFACE_PARAMS, PHYSICAL_CONSTANTS, TOOL_VERSION } from './lib/constants.js';
+export {
+  PROFILES,
+  registerProfile,
+  unregisterProfile,
+  getProfile,
+  listProfiles,
+  onProfilesChange,
+  withParams,
+  businger_dyer_profile,
+  unstable_power_psi,
+  isBuiltinProfile
+} from './lib/profiles.js';
+export { parseNumericColumns, parseNumericLine, describeSkipped, parseDelimited, parseTOA5 } from './lib/text.js';
+export { linearGrid, logGrid, MAX_GRID_POINTS } from './lib/grid.js';
+export {
+  EXPORT_FORMATS,
+  DEFAULT_PRECISION,
+  TABLE_SCHEMA,
+  checkPrecision,
+  formatValue,
+  formatTable,
+  flattenMetadata
+} from './lib/export.js';
+export { writeNetCDF, readNetCDF } from './lib/netcdf.js';
+export { RI_SCHEMES, getRiScheme, listRiSchemes } from './lib/ri-schemes.js';
+export {
+  BOOTSTRAP_DEFAULTS,
+  MAX_BOOTSTRAP_SAMPLES,
+  createRng,
+  createNormalRng,
+  normalQuantile,
+  quantile,
+  histogram,
+  errorStats,
+  bootstrapErrorStats
+} from './lib/stats.js';
+export { FIT_DEFAULTS, levenbergMarquardt, linearLeastSquares, numericJacobian, invertMatrix } from './lib/fit.js';
+export { readDataset, detectFormat, parseTimestamp, decodeCFTime, MISSING_VALUES } from './lib/observations.js';
+export {
+  SESSION_VERSION,
+  SESSION_STORAGE_KEY,
+  encodeState,
+  decodeState,
+  profileDefinitions,
+  restoreProfiles,
+  loadSessions,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  importSessions
+} from './lib/session.js';
+
+// ============================================================================
+// CORE PHYSICS: STABILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Momentum stability function φ_m(ζ).
+ *
+ * Defines how the stability parameter ζ affects momentum flux in the surface layer.
+ *
+ * Physics:
+ * - Unstable (ζ < 0): Convective instability enhances mixing
+ * - Stable (ζ > 0): Static stability suppresses mixing
+ *
+ * @param {number} zeta - Dimensionless height (z/L where L is Obukhov length)
+ * @param {string|Object} prof - Registered profile name (e.g. 'BD71') or profile object
+ * @returns {number} Stability function φ_m (dimensionless)
+ */
+export const phi_m = (zeta, prof) => {
+  const p = getProfile(prof);
+  return p.phi_m(zeta, p);
+};
+
+/**
+ * Heat stability function φ_h(ζ).
+ * Analogous to φ_m but for heat (temperature) gradients.
+ * Typically differs from φ_m in unstable regime (different exponent).
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Registered profile name or profile object
+ * @returns {number} Stability function φ_h (dimensionless)
+ */
+export const phi_h = (zeta, prof) => {
+  const p = getProfile(prof);
+  return p.phi_h(zeta, p);
+};
+
+/**
+ * Gradient Richardson number Ri_g(ζ).
+ *
+ * Local stability measure comparing static stability to wind shear.
+ * Ri_g = (g/θ₀) * (dθ/dz) / (du/dz)²
+ *
+ * In MOST scaling:
+ * Ri_g ≈ ζ * φ_h / φ_m²
+ *
+ * Physical interpretation:
+ * - Ri_g < 0: Unstable (convection dominates)
+ * - Ri_g ≈ 0: Neutral
+ * - Ri_g > 0: Stable (shear dominates)
+ * - Ri_g > Ri_c (~0.25): Turbulence suppressed (local maximum)
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @returns {number} Gradient Richardson number (dimensionless)
+ */
+export const ri_g = (zeta, prof) => {
+  const pm = phi_m(zeta, prof);
+  const ph = phi_h(zeta, prof);
+  return zeta * ph / (pm * pm);
+};
+
+/**
+ * ψ with provenance: the profile's closed form when it has one for this ζ,
+ * otherwise adaptive Gauss–Kronrod quadrature of φ with its error estimate.
+ */
+const psi_estimate = (zeta, prof, phiKey, psiKey) => {
+  // Handle neutral condition (ζ ≈ 0)
+  if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) {
+    return { value: 0, error: 0, method: 'neutral' };
+  }
+
+  const p = getProfile(prof);
+  const closed = p[psiKey] ? p[psiKey](zeta, p) : undefined;
+  if (closed !== undefined) {
+    return { value: closed, error: 0, method: 'closed-form' };
+  }
+
+  const { value, error } = integratePsi(p[phiKey], zeta, p);
+  return { value, error, method: 'gauss-kronrod' };
+};
+
+/**
+ * Integral momentum stability function ψ_m(ζ) with error estimate.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Registered profile name or profile object
+ * @returns {{value: number, error: number, method: string}} ψ_m, absolute error
+ *   estimate (0 for closed forms) and 'closed-form' | 'gauss-kronrod' | 'neutral'
+ */
+export const psi_m_estimate = (zeta, prof) => psi_estimate(zeta, prof, 'phi_m', 'psi_m');
+
+/**
+ * Integral heat stability function ψ_h(ζ) with error estimate.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Registered profile name or profile object
+ * @returns {{value: number, error: number, method: string}} See psi_m_estimate
+ */
+export const psi_h_estimate = (zeta, prof) => psi_estimate(zeta, prof, 'phi_h', 'psi_h');
+
+/**
+ * Integral momentum stability function ψ_m(ζ).
+ *
+ * Defined as: ψ_m = ∫₀^ζ [1 - φ_m(ζ')] / ζ' dζ'
+ *
+ * Used in logarithmic wind profile (drawn by reconstruct_profiles):
+ * u(z) = (u* / κ) * [ln(z/z₀) - ψ_m(ζ)]
+ *
+ * Exact for the built-in profiles (e.g. ψ_m = -b_m ζ - c_m ζ²/2 for the
+ * BD71/HOG88/CB05 stable branch). User-defined profiles without a closed
+ * form fall back to adaptive Gauss–Kronrod quadrature (see psi_m_estimate).
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Registered profile name or profile object
+ * @returns {number} Integral stability function ψ_m (dimensionless)
+ */
+export const psi_m = (zeta, prof) => psi_m_estimate(zeta, prof).value;
+
+/**
+ * Integral heat stability function ψ_h(ζ).
+ * Analogous to ψ_m but for temperature gradient.
+ *
+ * Used in logarithmic temperature profile:
+ * θ(z) - θ(z₀) = (θ* / κ) * [ln(z/z₀) - ψ_h(ζ)]
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Registered profile name or profile object
+ * @returns {number} Integral stability function ψ_h (dimensionless)
+ */
+export const psi_h = (zeta, prof) => psi_h_estimate(zeta, prof).value;
+
+/**
+ * Consistency check between each profile's ψ and φ.
+ *
+ * By definition dψ/dζ = [1 - φ(ζ)] / ζ. The derivative of ψ is taken by
+ * central differences at sample ζ (away from 0) and compared with the
+ * right-hand side for both momentum and heat.
+ *
+ * @param {string|Object} [prof] - Profile to check; all registered profiles if omitted
+ * @param {Object} [options]
+ * @param {Array<number>} [options.zetas] - Sample points (must avoid ζ = 0)
+ * @param {number} [options.tol=1e-6] - Allowed error, relative to max(1, |(1 - φ)/ζ|)
+ * @returns {Array<{profile: string, ok: boolean, maxError: number, failures: Array<Object>}>}
+ *   One entry per profile; failures list { zeta, fn, dpsi, expected }
+ */
+export const check_psi_consistency = (
+  prof,
+  { zetas = [-5, -2, -1, -0.5, -0.1, -0.01, 0.01, 0.1, 0.5, 1, 2, 5], tol = 1e-6 } = {}
+) => {
+  const targets = prof === undefined ? listProfiles().map(({ key }) => key) : [prof];
+
+  return targets.map(target => {
+    const p = getProfile(target);
+    const failures = [];
+    let maxError = 0;
+
+    for (const zeta of zetas) {
+      const h = 1e-5 * Math.max(1, Math.abs(zeta));
+      for (const [fn, psi, phi] of [['m', psi_m, phi_m], ['h', psi_h, phi_h]]) {
+        const dpsi = (psi(zeta + h, p) - psi(zeta - h, p)) / (2 * h);
+        const expected = (1 - phi(zeta, p)) / zeta;
+        const error = Math.abs(dpsi - expected) / Math.max(1, Math.abs(expected));
+        maxError = Math.max(maxError, error);
+        if (!(error <= tol)) failures.push({ zeta, fn: `psi_${fn}`, dpsi, expected });
+      }
     }
+
+    return { profile: p.key ?? String(target), ok: failures.length === 0, maxError, failures };
+  });
+};
+
+/**
+ * Normalise surface parameters.
+ *
+ * Accepts { Z, Z0M, Z0H } in metres, { Z, Z0M, KB_INV } with
+ * kB⁻¹ = ln(z0m/z0h), or the older single-ratio form { Z_OVER_Z0 }
+ * (z0h = z0m). Missing fields fall back to SURFACE_PARAMS; when only z0m
+ * is given, z0h = z0m.
+ *
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters
+ * @returns {{Z: number, Z0M: number, Z0H: number, KB_INV: number, LN_ZM: number, LN_ZH: number}}
+ *   Heights, kB⁻¹ and the logarithms ln(z/z0m), ln(z/z0h)
+ * @throws {Error} If a height is not positive or z does not exceed both roughness lengths
+ */
+export const surface_params = (surface = SURFACE_PARAMS) => {
+  const Z = surface.Z ?? SURFACE_PARAMS.Z;
+  const Z0M = surface.Z0M ?? (surface.Z_OVER_Z0 !== undefined ? Z / surface.Z_OVER_Z0 : SURFACE_PARAMS.Z0M);
+  const Z0H = surface.Z0H ?? Z0M * Math.exp(-(surface.KB_INV ?? 0));
+
+  for (const [name, value] of [['z', Z], ['z0m', Z0M], ['z0h', Z0H]]) {
+    if (!(Number.isFinite(value) && value > 0)) {
+      throw new Error(`Invalid surface parameters: ${name} must be a positive number of metres (got ${value})`);
+    }
+  }
+  if (!(Z > Z0M && Z > Z0H)) {
+    throw new Error(`Invalid surface parameters: z (${Z} m) must exceed z0m (${Z0M} m) and z0h (${Z0H} m)`);
+  }
+
+  return { Z, Z0M, Z0H, KB_INV: Math.log(Z0M / Z0H), LN_ZM: Math.log(Z / Z0M), LN_ZH: Math.log(Z / Z0H) };
+};
+
+/**
+ * Label a surface for export file names and headers.
+ *
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {{tag: string, header: string}} e.g. tag 'z10_z0m0.01_z0h0.001' and
+ *   header 'z = 10 m, z0m = 0.01 m, z0h = 0.001 m (kB⁻¹ = 2.303)' (4 significant digits)
+ */
+export const describe_surface = (surface = SURFACE_PARAMS) => {
+  const { Z, Z0M, Z0H, KB_INV } = surface_params(surface);
+  const [z, z0m, z0h, kb] = [Z, Z0M, Z0H, KB_INV].map(x => Number(x.toPrecision(4)));
+  return {
+    tag: `z${z}_z0m${z0m}_z0h${z0h}`,
+    header: `z = ${z} m, z0m = ${z0m} m, z0h = ${z0h} m (kB⁻¹ = ${kb})`
   };
+};
 
-  // Numerical integration and convergence parameters
-  const NUMERICAL_PARAMS = {
-    PSI_STEPS: 100,        // Number of steps for numerical integration of ψ
-    NEWTON_TOL: 1e-10,     // Convergence tolerance for Newton's method
-    NEWTON_MAX_ITER: 100,  // Maximum iterations for Newton's method
-    DERIVATIVE_DZ: 1e-8,   // Step size for numerical differentiation
-    SINGULARITY_TOL: 1e-10, // Tolerance for singularity avoidance
-    ZETA_BOUNDS: [-10, 10] // Physical bounds for dimensionless height
-  };
-  // Add canonical roughness ratio (z/z0), e.g., z=10 m, z0=0.01 m → 1000
-  const SURFACE_PARAMS = {
-    Z_OVER_Z0: 1000
-  };
-
-  // ============================================================================
-  // CORE PHYSICS: STABILITY FUNCTIONS
-  // ============================================================================
-
-  /**
-   * Momentum stability function φ_m(ζ).
-   * 
-   * Defines how the stability parameter ζ affects momentum flux in the surface layer.
-   * 
-   * Physics:
-   * - Unstable (ζ < 0): Convective instability enhances mixing
-   * - Stable (ζ > 0): Static stability suppresses mixing
-   * 
-   * @param {number} zeta - Dimensionless height (z/L where L is Obukhov length)
-   * @param {string} prof - Profile name ('BD71', 'HOG88', or 'CB05')
-   * @returns {number} Stability function φ_m (dimensionless)
-   */
-  const phi_m = (zeta, prof) => {
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: (1 - a_m * ζ)^(-b_m)
-      // This formulation ensures φ_m decreases (enhanced mixing) as instability increases
-      return Math.pow(1 - p.unstable.am * zeta, -p.unstable.bm);
-    } else {
-      // Stable: linear or quadratic term
-      if (prof === 'CB05') {
-        // CB05 includes quadratic term: 1 + b_m*ζ + c_m*ζ²
-        return 1 + p.stable.bm * zeta + p.stable.cm * zeta * zeta;
-      }
-      // BD71, HOG88: linear only: 1 + b_m*ζ
-      return 1 + p.stable.bm * zeta;
+/**
+ * Bulk Richardson number Ri_b(ζ).
+ *
+ * Between the surface (u = 0 at z0m, θ = θ_s at z0h) and height z:
+ *
+ * Ri_b = ζ * [ln(z/z0h) - ψ_h(ζ) + ψ_h(ζ z0h/z)] / [ln(z/z0m) - ψ_m(ζ) + ψ_m(ζ z0m/z)]²
+ *
+ * The ψ(z0/L) lower-boundary terms are small for z >> z0 but are kept so
+ * rough sites and large kB⁻¹ are handled consistently.
+ *
+ * Physical interpretation:
+ * - More integrative than local Ri_g
+ * - Used to determine if turbulence decouples in stable layer
+ * - Critical value Ri_b,crit ≈ 0.2–0.3
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters ({ Z, Z0M, Z0H } or
+ *   { Z, Z0M, KB_INV }; see surface_params)
+ * @returns {number} Bulk Richardson number (dimensionless)
+ * @throws {Error} If the surface parameters are invalid
+ */
+export const ri_b = (zeta, prof, surface = SURFACE_PARAMS) => {
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+  // Avoid near-neutral ζ artifacts
+  if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
+
+  const p = getProfile(prof);
+  const numerator = LN_ZH - psi_h(zeta, p) + psi_h(zeta * Z0H / Z, p);
+  const denomTerm = LN_ZM - psi_m(zeta, p) + psi_m(zeta * Z0M / Z, p);
+  const denominator = denomTerm * denomTerm;
+  if (denominator < 1e-15) return 0;
+
+  return zeta * numerator / denominator;
+};
+
+/**
+ * Ratio of the gradient to the bulk Richardson number, Ri_g/Ri_b(ζ).
+ *
+ * ζ cancels, so the ratio is finite through neutral:
+ * Ri_g/Ri_b = φ_h D² / (φ_m² N), with N and D the Ri_b numerator and
+ * denominator terms, tending to ln²(z/z0m) / ln(z/z0h) as ζ → 0.
+ * It is the factor that turns a bulk Ri into the local one at height z.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {number} Ri_g/Ri_b (dimensionless)
+ * @throws {Error} If the surface parameters are invalid
+ */
+export const ri_ratio = (zeta, prof, surface = SURFACE_PARAMS) => {
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+  const p = getProfile(prof);
+  const pm = p.phi_m(zeta, p);
+  const N = LN_ZH - psi_h(zeta, p) + psi_h(zeta * Z0H / Z, p);
+  const D = LN_ZM - psi_m(zeta, p) + psi_m(zeta * Z0M / Z, p);
+  return p.phi_h(zeta, p) * D * D / (pm * pm * N);
+};
+
+// ============================================================================
+// DERIVATIVES
+// ============================================================================
+
+/**
+ * dφ/dζ from the profile's analytic derivative, or a central difference
+ * for user-defined profiles that do not provide one.
+ */
+const dphi = (zeta, p, phiKey) => {
+  const analytic = p['d' + phiKey];
+  if (analytic) return analytic(zeta, p);
+  const dz = NUMERICAL_PARAMS.DERIVATIVE_DZ;
+  return (p[phiKey](zeta + dz, p) - p[phiKey](zeta - dz, p)) / (2 * dz);
+};
+
+/**
+ * d²φ/dζ² from the profile's analytic second derivative, else a central
+ * difference of dφ/dζ (analytic) or a second difference of φ.
+ */
+const d2phi = (zeta, p, phiKey) => {
+  const analytic = p['d2' + phiKey];
+  if (analytic) return analytic(zeta, p);
+  const dz = NUMERICAL_PARAMS.SECOND_DERIVATIVE_DZ;
+  if (p['d' + phiKey]) return (p['d' + phiKey](zeta + dz, p) - p['d' + phiKey](zeta - dz, p)) / (2 * dz);
+  return (p[phiKey](zeta + dz, p) - 2 * p[phiKey](zeta, p) + p[phiKey](zeta - dz, p)) / (dz * dz);
+};
+
+/** dψ/dζ = [1 - φ(ζ)] / ζ, with its limit -φ'(0) at neutral. */
+const dpsi = (zeta, p, phiKey) =>
+  Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL
+    ? -dphi(0, p, phiKey)
+    : (1 - p[phiKey](zeta, p)) / zeta;
+
+// Below this |ζ| the quotient in d²ψ/dζ² loses more to cancellation than
+// the series replacing it
+const D2PSI_SERIES_ZETA = 1e-5;
+
+/**
+ * d²ψ/dζ² = [φ(ζ) - 1 - ζ φ'(ζ)] / ζ². Near neutral the Taylor expansion
+ * -φ''(0)/2 - φ'''(0) ζ/3 is used, as -φ''(2ζ/3)/2 (error O(ζ²)).
+ */
+const d2psi = (zeta, p, phiKey) =>
+  Math.abs(zeta) < D2PSI_SERIES_ZETA
+    ? -d2phi(2 * zeta / 3, p, phiKey) / 2
+    : (p[phiKey](zeta, p) - 1 - zeta * dphi(zeta, p, phiKey)) / (zeta * zeta);
+
+/**
+ * Second derivative of ζ f/g² from f, g and their first two derivatives
+ * (the common form of Ri_g and Ri_b).
+ */
+const d2_zeta_ratio = (zeta, f, df, d2f, g, dg, d2g) =>
+  (2 * df + zeta * d2f) / (g * g) -
+  (4 * f * dg + 4 * zeta * df * dg + 2 * zeta * f * d2g) / (g * g * g) +
+  6 * zeta * f * dg * dg / (g * g * g * g);
+
+/**
+ * Analytic derivative dRi_g/dζ.
+ *
+ * dRi_g/dζ = φ_h/φ_m² + ζ φ_h'/φ_m² - 2ζ φ_h φ_m'/φ_m³
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @returns {number} dRi_g/dζ (dimensionless)
+ */
+export const dri_g_dzeta = (zeta, prof) => {
+  const p = getProfile(prof);
+  const pm = p.phi_m(zeta, p);
+  const ph = p.phi_h(zeta, p);
+  return (
+    ph / (pm * pm) +
+    zeta * dphi(zeta, p, 'phi_h') / (pm * pm) -
+    2 * zeta * ph * dphi(zeta, p, 'phi_m') / (pm * pm * pm)
+  );
+};
+
+/**
+ * Analytic derivative dRi_b/dζ.
+ *
+ * With N = ln(z/z0h) - ψ_h(ζ) + ψ_h(ζ r_h), D = ln(z/z0m) - ψ_m(ζ) + ψ_m(ζ r_m)
+ * and r = z0/z: dRi_b/dζ = N/D² + ζ N'/D² - 2ζ N D'/D³, where
+ * N' = -ψ_h'(ζ) + r_h ψ_h'(ζ r_h), D' likewise, and ψ' = (1 - φ)/ζ
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {number} dRi_b/dζ (dimensionless)
+ */
+export const dri_b_dzeta = (zeta, prof, surface = SURFACE_PARAMS) => {
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+  const rm = Z0M / Z;
+  const rh = Z0H / Z;
+
+  const p = getProfile(prof);
+  const N = LN_ZH - psi_h(zeta, p) + psi_h(zeta * rh, p);
+  const D = LN_ZM - psi_m(zeta, p) + psi_m(zeta * rm, p);
+  const dN = -dpsi(zeta, p, 'phi_h') + rh * dpsi(zeta * rh, p, 'phi_h');
+  const dD = -dpsi(zeta, p, 'phi_m') + rm * dpsi(zeta * rm, p, 'phi_m');
+  return N / (D * D) + zeta * dN / (D * D) - 2 * zeta * N * dD / (D * D * D);
+};
+
+/**
+ * Analytic second derivative d²Ri_g/dζ² (curvature of Ri_g).
+ *
+ * With f = φ_h, g = φ_m and Ri_g = ζ f/g²:
+ * d²Ri_g/dζ² = (2f' + ζf'')/g² - (4f g' + 4ζ f'g' + 2ζ f g'')/g³ + 6ζ f g'²/g⁴
+ *
+ * The φ of most profiles switch branch at ζ = 0, so the curvature usually
+ * jumps there; ζ = 0 takes the stable branch.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @returns {number} d²Ri_g/dζ² (dimensionless)
+ */
+export const d2ri_g_dzeta2 = (zeta, prof) => {
+  const p = getProfile(prof);
+  return d2_zeta_ratio(
+    zeta,
+    p.phi_h(zeta, p), dphi(zeta, p, 'phi_h'), d2phi(zeta, p, 'phi_h'),
+    p.phi_m(zeta, p), dphi(zeta, p, 'phi_m'), d2phi(zeta, p, 'phi_m')
+  );
+};
+
+/**
+ * Analytic second derivative d²Ri_b/dζ² (curvature of Ri_b).
+ *
+ * Same form as d2ri_g_dzeta2 with f = N, g = D (see dri_b_dzeta), where
+ * N'' = -ψ_h''(ζ) + r_h² ψ_h''(ζ r_h), D'' likewise, and
+ * ψ'' = (φ - 1 - ζφ')/ζ².
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {number} d²Ri_b/dζ² (dimensionless)
+ */
+export const d2ri_b_dzeta2 = (zeta, prof, surface = SURFACE_PARAMS) => {
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+  const rm = Z0M / Z;
+  const rh = Z0H / Z;
+
+  const p = getProfile(prof);
+  return d2_zeta_ratio(
+    zeta,
+    LN_ZH - psi_h(zeta, p) + psi_h(zeta * rh, p),
+    -dpsi(zeta, p, 'phi_h') + rh * dpsi(zeta * rh, p, 'phi_h'),
+    -d2psi(zeta, p, 'phi_h') + rh * rh * d2psi(zeta * rh, p, 'phi_h'),
+    LN_ZM - psi_m(zeta, p) + psi_m(zeta * rm, p),
+    -dpsi(zeta, p, 'phi_m') + rm * dpsi(zeta * rm, p, 'phi_m'),
+    -d2psi(zeta, p, 'phi_m') + rm * rm * d2psi(zeta * rm, p, 'phi_m')
+  );
+};
+
+// ============================================================================
+// CRITICAL RICHARDSON NUMBERS
+// ============================================================================
+
+// Per-profile cache; replacing a profile registers a new object, so stale
+// entries are never hit and are collected with the old definition
+const criticalCache = new WeakMap();
+
+const criticalEntry = p => {
+  let entry = criticalCache.get(p);
+  if (!entry) {
+    entry = { rig: undefined, rib: new Map() };
+    criticalCache.set(p, entry);
+  }
+  return entry;
+};
+
+const findCritical = ri => {
+  const { SINGULARITY_TOL, ZETA_BOUNDS } = NUMERICAL_PARAMS;
+  const { x, value, interior } = maximize(ri, 10 * SINGULARITY_TOL, ZETA_BOUNDS[1]);
+  return { value, zeta: x, interior };
+};
+
+/**
+ * lim Ri_g as ζ → ∞, when Ri_g settles (b_h/b_m² for linear φ), else undefined.
+ * Only φ is needed, so evaluating far outside ZETA_BOUNDS is cheap and exact.
+ */
+const rigLimit = p => {
+  const far = ri_g(1e8, p);
+  const nearer = ri_g(1e7, p);
+  if (!Number.isFinite(far) || Math.abs(far - nearer) > 1e-6 * Math.max(1, Math.abs(far))) return undefined;
+  // The remainder decays like 1/ζ: extrapolate it away
+  return far + (far - nearer) / 9;
+};
+
+/**
+ * Critical (maximum) Richardson numbers on the stable side.
+ *
+ * Stable Ri(ζ) need not grow without bound: for linear φ = 1 + bζ, Ri_g
+ * saturates at b_h/b_m² (1/b_m when b_h = b_m), and for CB05 it peaks and
+ * falls again. Targets above the maximum have no solution, and targets
+ * below a peak have two. The maximum over 0 < ζ ≤ ZETA_BOUNDS[1] is found
+ * numerically (grid scan plus golden-section refinement) and cached per
+ * profile and surface.
+ *
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {{rig: {value: number, zeta: number, interior: boolean, limit?: number},
+ *   rib: {value: number, zeta: number, interior: boolean}}}
+ *   Maximum value and where it occurs; interior is false when Ri is still
+ *   rising at the ZETA_BOUNDS limit (the value is then a bound, not a peak),
+ *   in which case rig.limit gives the ζ → ∞ asymptote if Ri_g saturates
+ */
+export const critical_ri = (prof, surface = SURFACE_PARAMS) => {
+  const p = getProfile(prof);
+  const entry = criticalEntry(p);
+  if (!entry.rig) {
+    entry.rig = findCritical(zeta => ri_g(zeta, p));
+    if (!entry.rig.interior) entry.rig.limit = rigLimit(p);
+  }
+  // Ri_b depends on the surface only through ln(z/z0m) and ln(z/z0h)
+  const { LN_ZM, LN_ZH } = surface_params(surface);
+  const key = `${LN_ZM},${LN_ZH}`;
+  if (!entry.rib.has(key)) {
+    entry.rib.set(key, findCritical(zeta => ri_b(zeta, p, surface)));
+  }
+  return { rig: entry.rig, rib: entry.rib.get(key) };
+};
+
+// ============================================================================
+// INVERSION: BRACKETED NEWTON–BISECTION FOR PARAMETER CONVERSION
+// ============================================================================
+
+const fmt = x => Number(x.toPrecision(4));
+
+/**
+ * Solve ri(ζ) = target on the side of neutral given by the sign of target.
+ *
+ * Ri(ζ) has the sign of ζ, so roots lie between 0 and the ZETA_BOUNDS end
+ * of that sign. The interval is scanned for sign changes (split at the
+ * critical ζ on the stable side, so the two roots either side of a peak are
+ * both bracketed) and every bracket is refined with newtonBisect. The root
+ * closest to neutral is the primary result.
+ */
+const invert = (ri, dri, target, label, initial_guess, critical) => {
+  const { NEWTON_TOL, SINGULARITY_TOL, ZETA_BOUNDS } = NUMERICAL_PARAMS;
+
+  if (!Number.isFinite(target)) {
+    return {
+      zeta: NaN, residual: NaN, iterations: 0, converged: false, reason: 'non-finite', roots: [], critical,
+      message: `${label} target must be a finite number`
+    };
+  }
+  if (Math.abs(target) <= NEWTON_TOL) {
+    const root = { zeta: 0, residual: -target, iterations: 0, converged: true, reason: 'residual' };
+    return { ...root, roots: [root], critical };
+  }
+
+  const from = Math.sign(target) * 10 * SINGULARITY_TOL;
+  const bound = target > 0 ? ZETA_BOUNDS[1] : ZETA_BOUNDS[0];
+  const f = zeta => ri(zeta) - target;
+  const brackets = target > 0 && critical.interior
+    ? [...scanBrackets(f, from, critical.zeta), ...scanBrackets(f, critical.zeta, bound)]
+    : scanBrackets(f, from, bound);
+
+  if (brackets.length === 0) {
+    const message = target > 0
+      ? `No stable ζ ≤ ${bound} gives ${label} = ${target}: ` + (critical.interior
+        ? `the critical (maximum) value is ${label},c = ${fmt(critical.value)} at ζ = ${fmt(critical.zeta)}`
+        : `${label} only reaches ${fmt(critical.value)} at ζ = ${bound}` +
+          (critical.limit !== undefined ? ` (asymptote ${fmt(critical.limit)} as ζ → ∞)` : ''))
+      : `No unstable ζ ≥ ${bound} gives ${label} = ${target}: ${label} only reaches ${fmt(ri(bound))} at ζ = ${bound}`;
+    return {
+      zeta: NaN, residual: NaN, iterations: 0, converged: false, reason: 'no-solution', roots: [], critical, message
+    };
+  }
+
+  const roots = brackets.map(([lo, hi]) => {
+    const { root, residual, iterations, converged, reason } = newtonBisect(
+      f, dri, lo, hi, { guess: initial_guess }
+    );
+    return { zeta: root, residual, iterations, converged, reason };
+  });
+
+  const result = { ...roots[0], roots, critical };
+  if (!result.converged) {
+    result.message = result.reason === 'max-iterations'
+      ? `${label} inversion did not converge in ${result.iterations} iterations (residual ${result.residual})`
+      : `${label} inversion failed: ${label} is not finite near ζ = ${result.zeta}`;
+  }
+  return result;
+};
+
+/**
+ * Invert Ri_g to find ζ.
+ *
+ * Solves: f(ζ) = Ri_g(ζ) - rig_target = 0
+ *
+ * Algorithm: the interval between neutral and the ZETA_BOUNDS end matching
+ * the sign of the target is scanned for sign changes of f; each bracket is
+ * then refined by safeguarded Newton iteration with the analytic derivative
+ * dRi_g/dζ, falling back to bisection whenever a Newton step would leave the
+ * bracket (see lib/roots.js). No clamping: a stable target above the
+ * critical value (see critical_ri), or any target without a bracket, is
+ * rejected with reason 'no-solution' rather than returning the bound.
+ *
+ * @param {number} rig_target - Target gradient Richardson number
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {number} [initial_guess=0.1] - Starting ζ (used if inside the bracket)
+ * @returns {{zeta: number, residual: number, iterations: number, converged: boolean,
+ *   reason: string, roots: Array<Object>, critical: Object, message?: string}}
+ *   Solver result for the root closest to neutral; reason is one of 'residual',
+ *   'bracket-width', 'max-iterations', 'no-solution', 'non-finite'. roots lists
+ *   every root in ζ order with the same fields, critical is the stable-side
+ *   critical_ri entry, and message explains any failure
+ */
+export const zeta_from_rig = (rig_target, prof, initial_guess = 0.1) => {
+  const p = getProfile(prof);
+  return invert(
+    zeta => ri_g(zeta, p),
+    zeta => dri_g_dzeta(zeta, p),
+    rig_target,
+    'Ri_g',
+    initial_guess,
+    critical_ri(p).rig
+  );
+};
+
+/**
+ * Invert Ri_b to find ζ.
+ * Same solver as zeta_from_rig, using the analytic dRi_b/dζ and the
+ * critical Ri_b for the given surface.
+ *
+ * @param {number} rib_target - Target bulk Richardson number
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {number} [initial_guess=0.1] - Starting ζ (used if inside the bracket)
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @returns {{zeta: number, residual: number, iterations: number, converged: boolean,
+ *   reason: string, roots: Array<Object>, critical: Object, message?: string}}
+ *   See zeta_from_rig
+ */
+export const zeta_from_rib = (rib_target, prof, initial_guess = 0.1, surface = SURFACE_PARAMS) => {
+  const p = getProfile(prof);
+  return invert(
+    zeta => ri_b(zeta, p, surface),
+    zeta => dri_b_dzeta(zeta, p, surface),
+    rib_target,
+    'Ri_b',
+    initial_guess,
+    critical_ri(p, surface).rib
+  );
+};
+
+// ============================================================================
+// DIMENSIONAL FLUXES
+// ============================================================================
+
+// PHYSICAL_CONSTANTS with overrides, each checked to be a positive number
+const checked_constants = constants => {
+  const merged = { ...PHYSICAL_CONSTANTS, ...constants };
+  for (const name of ['KAPPA', 'G', 'RHO', 'CP']) {
+    const value = merged[name];
+    if (!(Number.isFinite(value) && value > 0)) throw new Error(`Invalid constant ${name}: must be positive (got ${value})`);
+  }
+  return merged;
+};
+
+/**
+ * Solve for the surface-layer scales and fluxes from wind and potential
+ * temperature observations.
+ *
+ * Two layouts are supported:
+ * - bulk: one level { z, u, theta } plus the surface temperature theta_s and
+ *   roughness ({ Z0M, Z0H } or { Z0M, KB_INV }); u = 0 at z0m, θ = theta_s at z0h
+ * - two-level: levels [{ z, u, theta }, { z, u, theta }]; the lower level
+ *   plays the role of the roughness lengths
+ *
+ * Steps: Ri_b = g z Δθ / (θ̄ ΔU²) with z the upper height; ζ = z/L from
+ * zeta_from_rib (bracketed Newton, see above); then
+ *   u* = κ ΔU / [ln(z/z_m) - ψ_m(ζ) + ψ_m(ζ z_m/z)]
+ *   θ* = κ Δθ / [ln(z/z_h) - ψ_h(ζ) + ψ_h(ζ z_h/z)]
+ *   τ = ρ u*²,  H = -ρ c_p u* θ*
+ * and L is recomputed from the scales, L = θ̄ u*² / (κ g θ*), as a closure
+ * check. Every intermediate quantity is returned alongside the result.
+ *
+ * @param {Object} obs - Observations
+ * @param {Array<{z: number, u: number, theta: number}>} obs.levels - One or two
+ *   levels: height (m), wind speed (m s⁻¹), potential temperature (K)
+ * @param {number} [obs.theta_s] - Surface potential temperature (K), bulk only
+ * @param {Object} [obs.surface] - Roughness { Z0M, Z0H } or { Z0M, KB_INV } (m), bulk only;
+ *   defaults to SURFACE_PARAMS
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [constants=PHYSICAL_CONSTANTS] - { KAPPA, G, RHO, CP } overrides
+ * @returns {{converged: boolean, method: string, message?: string, solver?: Object,
+ *   intermediate: Object, u_star: number, theta_star: number, L: number,
+ *   H: number, tau: number}} Scales in m s⁻¹, K and m, H in W m⁻², τ in N m⁻².
+ *   intermediate holds ΔU, Δθ, θ̄, Ri_b, ζ, the ψ terms, the stability-corrected
+ *   log terms and the closure L; solver is the zeta_from_rib result
+ * @throws {Error} If the observations are incomplete or non-physical
+ */
+export const solve_fluxes = (obs, prof, constants = PHYSICAL_CONSTANTS) => {
+  const { KAPPA, G, RHO, CP } = checked_constants(constants);
+  const levels = [...(obs.levels || [])].sort((a, b) => a.z - b.z);
+  if (levels.length < 1 || levels.length > 2) {
+    throw new Error('Flux solver needs one level (bulk) or two levels (profile)');
+  }
+  for (const { z, u, theta } of levels) {
+    if (!(z > 0 && Number.isFinite(u) && u >= 0 && theta > 0)) {
+      throw new Error(`Invalid level: need z > 0 m, u ≥ 0 m/s and θ > 0 K (got z = ${z}, u = ${u}, θ = ${theta})`);
     }
+  }
+
+  const top = levels[levels.length - 1];
+  let method, surface, dU, dTheta, thetaMean;
+  if (levels.length === 2) {
+    const [low] = levels;
+    if (!(top.z > low.z)) throw new Error('The two levels must be at different heights');
+    method = 'two-level';
+    surface = { Z: top.z, Z0M: low.z, Z0H: low.z };
+    dU = top.u - low.u;
+    dTheta = top.theta - low.theta;
+    thetaMean = 0.5 * (top.theta + low.theta);
+  } else {
+    if (!(obs.theta_s > 0)) throw new Error('Bulk mode needs the surface potential temperature theta_s (K)');
+    method = 'bulk';
+    surface = { ...(obs.surface || SURFACE_PARAMS), Z: top.z };
+    dU = top.u;
+    dTheta = top.theta - obs.theta_s;
+    thetaMean = 0.5 * (top.theta + obs.theta_s);
+  }
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+
+  if (!(dU > 0)) {
+    return {
+      converged: false, method, message: 'Wind speed must increase with height (ΔU > 0) to define u*',
+      intermediate: { dU, dTheta, theta_mean: thetaMean },
+      u_star: NaN, theta_star: NaN, L: NaN, H: NaN, tau: NaN
+    };
+  }
+
+  const Ri_b = G * Z * dTheta / (thetaMean * dU * dU);
+  const solver = zeta_from_rib(Ri_b, prof, Ri_b >= 0 ? 0.1 : -0.1, surface);
+  const intermediate = { dU, dTheta, theta_mean: thetaMean, Ri_b, zeta: solver.zeta };
+
+  if (!solver.converged) {
+    return {
+      converged: false, method, message: solver.message, solver, intermediate,
+      u_star: NaN, theta_star: NaN, L: NaN, H: NaN, tau: NaN
+    };
+  }
+
+  const p = getProfile(prof);
+  const zeta = solver.zeta;
+  const psi_m_z = psi_m(zeta, p);
+  const psi_m_0 = psi_m(zeta * Z0M / Z, p);
+  const psi_h_z = psi_h(zeta, p);
+  const psi_h_0 = psi_h(zeta * Z0H / Z, p);
+  const log_m = LN_ZM - psi_m_z + psi_m_0;
+  const log_h = LN_ZH - psi_h_z + psi_h_0;
+
+  const u_star = KAPPA * dU / log_m;
+  const theta_star = KAPPA * dTheta / log_h;
+  const L = zeta === 0 ? Infinity : Z / zeta;
+  const L_closure = theta_star === 0 ? Infinity : thetaMean * u_star * u_star / (KAPPA * G * theta_star);
+
+  Object.assign(intermediate, { L, psi_m_z, psi_m_0, psi_h_z, psi_h_0, log_m, log_h, L_closure });
+
+  return {
+    converged: true,
+    method,
+    solver,
+    intermediate,
+    u_star,
+    theta_star,
+    L,
+    H: -RHO * CP * u_star * theta_star,
+    tau: RHO * u_star * u_star
   };
+};
 
-  /**
-   * Heat stability function φ_h(ζ).
-   * Analogous to φ_m but for heat (temperature) gradients.
-   * Typically differs from φ_m in unstable regime (different exponent).
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name ('BD71', 'HOG88', or 'CB05')
-   * @returns {number} Stability function φ_h (dimensionless)
-   */
-  const phi_h = (zeta, prof) => {
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: (1 - a_h * ζ)^(-b_h)
-      // Heat typically has different coefficient (a_h ≠ a_m)
-      return Math.pow(1 - p.unstable.ah * zeta, -p.unstable.bh);
-    } else {
-      // Stable: same structure as φ_m
-      if (prof === 'CB05') {
-        return 1 + p.stable.bh * zeta + p.stable.ch * zeta * zeta;
-      }
-      return 1 + p.stable.bh * zeta;
+// ============================================================================
+// PROFILE RECONSTRUCTION
+// ============================================================================
+
+// Defaults for reconstruct_profiles: heights up to the top of a tall tower
+export const RECONSTRUCTION_DEFAULTS = {
+  z_top: 100,     // Highest level (m)
+  count: 100,     // Log-spaced heights from the roughness length up
+  theta_s: 290    // Surface potential temperature, θ at z0h (K)
+};
+
+/**
+ * Wind and potential temperature against height from the surface-layer
+ * scales, the inverse of solve_fluxes:
+ *   u(z) = (u* / κ) [ln(z/z0m) − ψ_m(z/L) + ψ_m(z0m/L)]
+ *   θ(z) = θ_s + (θ* / κ) [ln(z/z0h) − ψ_h(z/L) + ψ_h(z0h/L)]
+ * for the given profile, every profile in `compare` with the same scales,
+ * and the neutral log profiles (ψ = 0).
+ *
+ * Heights run log-spaced from max(z0m, z0h) to z_top (u = 0 at z0m and
+ * θ = θ_s at z0h). Where z/L leaves ZETA_BOUNDS the profiles are
+ * extrapolated; a warning says from which height.
+ *
+ * @param {Object} scales - Surface-layer scales
+ * @param {number} scales.u_star - Friction velocity u* (m s⁻¹, > 0)
+ * @param {number} scales.theta_star - Temperature scale θ* (K; positive when stable)
+ * @param {number} [scales.L] - Obukhov length (m; Infinity for neutral)
+ * @param {number} [scales.zeta] - Instead of L: ζ at the height z_ref
+ * @param {number} [scales.z_ref] - Height of that ζ (m)
+ * @param {number} [scales.theta_s=RECONSTRUCTION_DEFAULTS.theta_s] - Surface potential temperature (K)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {Array<string>} [options.compare=[]] - Further profiles to overlay
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Roughness { Z0M, Z0H } or { Z0M, KB_INV }; Z is ignored
+ * @param {number} [options.z_top=RECONSTRUCTION_DEFAULTS.z_top] - Highest level (m)
+ * @param {number} [options.count=RECONSTRUCTION_DEFAULTS.count] - Number of heights
+ * @param {Object} [options.constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{rows: Array<Object>, columns: Array<Object>, profiles: Array<string>,
+ *   u_star: number, theta_star: number, theta_s: number, L: number, surface: Object,
+ *   warnings: Array<string>}} rows hold z, ζ = z/L, then u_<key>, theta_<key>
+ *   per profile and u_neutral, theta_neutral
+ * @throws {Error} On invalid scales, heights or roughness
+ */
+export const reconstruct_profiles = (scales, prof, {
+  compare = [],
+  surface = SURFACE_PARAMS,
+  z_top = RECONSTRUCTION_DEFAULTS.z_top,
+  count = RECONSTRUCTION_DEFAULTS.count,
+  constants = PHYSICAL_CONSTANTS
+} = {}) => {
+  const { KAPPA } = { ...PHYSICAL_CONSTANTS, ...constants };
+  const { u_star, theta_star, theta_s = RECONSTRUCTION_DEFAULTS.theta_s } = scales;
+  if (!(Number.isFinite(u_star) && u_star > 0)) {
+    throw new Error(`Invalid profile reconstruction: u* must be positive (got ${u_star})`);
+  }
+  if (!Number.isFinite(theta_star)) {
+    throw new Error(`Invalid profile reconstruction: θ* must be a number (got ${theta_star})`);
+  }
+  if (!(theta_s > 0)) {
+    throw new Error(`Invalid profile reconstruction: θ_s must be positive (got ${theta_s})`);
+  }
+  let L = scales.L;
+  if (L === undefined) {
+    const { zeta, z_ref } = scales;
+    if (!(Number.isFinite(zeta) && z_ref > 0)) {
+      throw new Error('Invalid profile reconstruction: give L, or ζ with its height z_ref > 0');
     }
+    L = zeta === 0 ? Infinity : z_ref / zeta;
+  }
+  if (!(Math.abs(L) > 0) || Number.isNaN(L)) {
+    throw new Error(`Invalid profile reconstruction: L must be non-zero (got ${L})`);
+  }
+  if (!(Number.isInteger(count) && count >= 2)) {
+    throw new Error(`Invalid profile reconstruction: count must be an integer of at least 2 (got ${count})`);
+  }
+  // surface_params checks that z_top lies above both roughness lengths
+  const { Z0M, Z0H, KB_INV } = surface_params({ ...surface, Z: z_top });
+
+  const ps = [getProfile(prof), ...compare.map(getProfile)].filter((p, i, all) => all.indexOf(p) === i);
+  const keys = ps.map(p => p.key ?? 'custom');
+  const bottom = Math.max(Z0M, Z0H);
+  const heights = logGrid(bottom, z_top, { count });
+  const rows = Array.from(heights, z => {
+    const zeta = z / L;
+    const row = { z, zeta };
+    ps.forEach((p, i) => {
+      row[`u_${keys[i]}`] = u_star / KAPPA * (Math.log(z / Z0M) - psi_m(zeta, p) + psi_m(Z0M / L, p));
+      row[`theta_${keys[i]}`] = theta_s + theta_star / KAPPA * (Math.log(z / Z0H) - psi_h(zeta, p) + psi_h(Z0H / L, p));
+    });
+    row.u_neutral = u_star / KAPPA * Math.log(z / Z0M);
+    row.theta_neutral = theta_s + theta_star / KAPPA * Math.log(z / Z0H);
+    return row;
+  });
+
+  const warnings = [];
+  const [lo, hi] = NUMERICAL_PARAMS.ZETA_BOUNDS;
+  const beyond = rows.find(r => r.zeta < lo || r.zeta > hi);
+  if (beyond) {
+    warnings.push(`z/L leaves [${lo}, ${hi}] from z = ${fmt(beyond.z)} m; MOST is extrapolated above that height`);
+  }
+  return {
+    rows,
+    columns: reconstruction_columns(keys),
+    profiles: keys,
+    u_star,
+    theta_star,
+    theta_s,
+    L,
+    surface: { Z0M, Z0H, KB_INV, Z_TOP: z_top },
+    warnings
   };
+};
 
-  /**
-   * Gradient Richardson number Ri_g(ζ).
-   * 
-   * Local stability measure comparing static stability to wind shear.
-   * Ri_g = (g/θ₀) * (dθ/dz) / (du/dz)²
-   * 
-   * In MOST scaling:
-   * Ri_g ≈ ζ * φ_h / φ_m²
-   * 
-   * Physical interpretation:
-   * - Ri_g < 0: Unstable (convection dominates)
-   * - Ri_g ≈ 0: Neutral
-   * - Ri_g > 0: Stable (shear dominates)
-   * - Ri_g > Ri_c (~0.25): Turbulence suppressed (local maximum)
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Gradient Richardson number (dimensionless)
-   */
-  const ri_g = (zeta, prof) => {
-    const pm = phi_m(zeta, prof);
-    const ph = phi_h(zeta, prof);
-    return zeta * ph / (pm * pm);
-  };
-
-  /**
-   * Integral momentum stability function ψ_m(ζ).
-   * 
-   * Defined as: ψ_m = ∫₀^ζ (1/φ_m - 1) dz'
-   * 
-   * Used in logarithmic wind profile:
-   * u(z) = (u*/κ) * [ln(z/z₀) - ψ_m(ζ)]
-   * 
-   * Unstable regime: Analytical solution available
-   * Stable regime: Numerical integration required
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Integral stability function ψ_m (dimensionless)
-   */
-  const psi_m = (zeta, prof) => {
-    // Handle neutral condition (ζ ≈ 0)
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: Analytical solution (standard form)
-      // x = (1 - a_m * ζ)^0.25
-      // ψ_m = 2*ln((1+x)/2) + ln((1+x²)/2) - 2*atan(x) + π/2
-      const x = Math.pow(1 - p.unstable.am * zeta, 0.25);
-      return (
-        2 * Math.log((1 + x) / 2) +
-        Math.log((1 + x * x) / 2) -
-        2 * Math.atan(x) +
-        Math.PI / 2
-      );
-    } else {
-      // Stable: Numerical integration via trapezoidal rule
-      // ψ_m(ζ) ≈ ∑ (1/φ_m - 1) * Δz
-      const steps = NUMERICAL_PARAMS.PSI_STEPS;
-      const dz = zeta / steps;
-      let sum = 0;
-      for (let i = 1; i <= steps; i++) {
-        const z = i * dz;
-        sum += (1 / phi_m(z, prof) - 1) * dz;
-      }
-      return sum;
+// ============================================================================
+// BULK TRANSFER COEFFICIENTS
+// ============================================================================
+
+/**
+ * Drag and heat transfer coefficients at stability ζ.
+ *
+ * With the same integrated profiles as ri_b,
+ *   D = ln(z/z0m) − ψ_m(ζ) + ψ_m(ζ z0m/z),  N = ln(z/z0h) − ψ_h(ζ) + ψ_h(ζ z0h/z),
+ *   C_D = κ² / D²,   C_H = κ² / (D N),
+ * so τ = ρ C_D U² and H = ρ c_p C_H U (θ_s − θ). The neutral values are
+ * C_DN = κ² / ln²(z/z0m) and C_HN = κ² / [ln(z/z0m) ln(z/z0h)]; the ratios
+ * C_D/C_DN and C_H/C_HN are the stability functions bulk schemes tabulate.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @param {Object} [constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{C_D: number, C_H: number, C_DN: number, C_HN: number, C_D_ratio: number, C_H_ratio: number}}
+ *   NaN where the profile's integrated terms are not positive (outside its
+ *   range of validity)
+ * @throws {Error} If the surface parameters are invalid
+ */
+export const transfer_coefficients = (zeta, prof, surface = SURFACE_PARAMS, constants = PHYSICAL_CONSTANTS) => {
+  const { KAPPA } = { ...PHYSICAL_CONSTANTS, ...constants };
+  const { Z, Z0M, Z0H, LN_ZM, LN_ZH } = surface_params(surface);
+  const p = getProfile(prof);
+  const D = LN_ZM - psi_m(zeta, p) + psi_m(zeta * Z0M / Z, p);
+  const N = LN_ZH - psi_h(zeta, p) + psi_h(zeta * Z0H / Z, p);
+  const k2 = KAPPA * KAPPA;
+  const C_DN = k2 / (LN_ZM * LN_ZM);
+  const C_HN = k2 / (LN_ZM * LN_ZH);
+  const C_D = D > 0 ? k2 / (D * D) : NaN;
+  const C_H = D > 0 && N > 0 ? k2 / (D * N) : NaN;
+  return { C_D, C_H, C_DN, C_HN, C_D_ratio: C_D / C_DN, C_H_ratio: C_H / C_HN };
+};
+
+/**
+ * Transfer coefficients for a bulk Richardson number: Ri_b is inverted
+ * with zeta_from_rib, then transfer_coefficients is evaluated at that ζ.
+ *
+ * @param {number} rib - Bulk Richardson number
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface parameters (see surface_params)
+ * @param {Object} [constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{Ri_b: number, zeta: number, converged: boolean, reason: string,
+ *   iterations: number, message?: string, C_D: number, C_H: number, C_DN: number,
+ *   C_HN: number, C_D_ratio: number, C_H_ratio: number}} Coefficients are NaN
+ *   (neutral values still set) when the inversion fails, e.g. above the critical Ri_b
+ */
+export const transfer_from_rib = (rib, prof, surface = SURFACE_PARAMS, constants = PHYSICAL_CONSTANTS) => {
+  const p = getProfile(prof);
+  const solved = zeta_from_rib(rib, p, rib >= 0 ? 0.1 : -0.1, surface);
+  const coefficients = transfer_coefficients(solved.converged ? solved.zeta : NaN, p, surface, constants);
+  return {
+    Ri_b: rib,
+    zeta: solved.zeta,
+    converged: solved.converged,
+    reason: solved.reason,
+    iterations: solved.iterations,
+    ...(solved.message && { message: solved.message }),
+    ...coefficients
+  };
+};
+
+// Defaults for transfer_lookup: Ri_b from strongly unstable to past the
+// usual critical values, and roughness ratios from sea to forest
+export const TRANSFER_LOOKUP_DEFAULTS = {
+  rib: { min: -1, max: 0.5, count: 151 },
+  z_over_z0m: [10, 100, 1000, 10000],
+  kb_inv: 0
+};
+
+/**
+ * Lookup table of C_D and C_H over Ri_b and z/z0m, in the layout bulk flux
+ * schemes interpolate from: one block of Ri_b rows per roughness ratio.
+ *
+ * Only the ratios z/z0m and z0m/z0h (through kB⁻¹) matter, so no height is
+ * needed. Ri_b values with no ζ for a ratio (above its critical Ri_b) keep
+ * their row with NaN coefficients and converged = 0.
+ *
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options] - TRANSFER_LOOKUP_DEFAULTS overrides:
+ * @param {{min: number, max: number, count?: number, step?: number}|Array<number>} [options.rib]
+ *   Ri_b values: an evenly spaced range (see linearGrid) or an explicit list
+ * @param {Array<number>} [options.z_over_z0m] - Roughness ratios z/z0m (> 1)
+ * @param {number} [options.kb_inv=0] - kB⁻¹ = ln(z0m/z0h)
+ * @param {Object} [options.constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{rows: Array<{z_over_z0m: number, z_over_z0h: number, Ri_b: number, zeta: number,
+ *   C_D: number, C_H: number, C_DN: number, C_HN: number, C_D_ratio: number, C_H_ratio: number,
+ *   converged: number}>, rib: Float64Array, z_over_z0m: Array<number>, kb_inv: number, failed: number}}
+ *   failed counts the rows without a solution
+ * @throws {Error} On an invalid Ri_b range, roughness ratio or kB⁻¹
+ */
+export const transfer_lookup = (prof, {
+  rib = TRANSFER_LOOKUP_DEFAULTS.rib,
+  z_over_z0m = TRANSFER_LOOKUP_DEFAULTS.z_over_z0m,
+  kb_inv = TRANSFER_LOOKUP_DEFAULTS.kb_inv,
+  constants = PHYSICAL_CONSTANTS
+} = {}) => {
+  const p = getProfile(prof);
+  const ribs = Array.isArray(rib) || ArrayBuffer.isView(rib)
+    ? Float64Array.from(rib)
+    : linearGrid(rib.min, rib.max, { step: rib.step, count: rib.count ?? TRANSFER_LOOKUP_DEFAULTS.rib.count });
+  if (!Number.isFinite(kb_inv)) throw new Error(`Invalid lookup table: kB⁻¹ must be a number (got ${kb_inv})`);
+  const rows = [];
+  let failed = 0;
+  for (const ratio of z_over_z0m) {
+    if (!(Number.isFinite(ratio) && ratio > 1)) {
+      throw new Error(`Invalid lookup table: z/z0m must be a number above 1 (got ${ratio})`);
+    }
+    // Unit height; surface_params rejects a z0h that reaches z
+    const surface = { Z: 1, Z0M: 1 / ratio, KB_INV: kb_inv };
+    const z_over_z0h = 1 / surface_params(surface).Z0H;
+    for (const value of ribs) {
+      const { zeta, converged, C_D, C_H, C_DN, C_HN, C_D_ratio, C_H_ratio } = transfer_from_rib(value, p, surface, constants);
+      if (!converged) failed++;
+      rows.push({
+        z_over_z0m: ratio, z_over_z0h, Ri_b: value, zeta: converged ? zeta : NaN,
+        C_D, C_H, C_DN, C_HN, C_D_ratio, C_H_ratio, converged: converged ? 1 : 0
+      });
     }
+  }
+  return { rows, rib: ribs, z_over_z0m: [...z_over_z0m], kb_inv, failed };
+};
+
+// ============================================================================
+// RI-BASED NWP SCHEMES
+// ============================================================================
+
+/**
+ * Stability functions F_m, F_h of an Ri-based scheme (see lib/ri-schemes.js)
+ * at a bulk Richardson number, so C_D = C_DN F_m and C_H = C_HN F_h.
+ *
+ * @param {number} rib - Bulk Richardson number
+ * @param {string|Object} scheme - Scheme name (e.g. 'LTG82') or scheme object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface; z/z0m enters the unstable branches
+ * @param {Object} [constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{F_m: number, F_h: number}}
+ * @throws {Error} On an unknown scheme or invalid surface
+ */
+export const ri_scheme_functions = (rib, scheme, surface = SURFACE_PARAMS, constants = PHYSICAL_CONSTANTS) => {
+  const s = getRiScheme(scheme);
+  const { KAPPA } = { ...PHYSICAL_CONSTANTS, ...constants };
+  const { Z, Z0M, LN_ZM } = surface_params(surface);
+  const env = { C_N: KAPPA * KAPPA / (LN_ZM * LN_ZM), z_over_z0m: Z / Z0M };
+  return { F_m: s.F_m(rib, env, s), F_h: s.F_h(rib, env, s) };
+};
+
+// Defaults for compare_ri_schemes: Ri_b across both regimes, well past the
+// MOST critical values, so the stable tails show
+export const RI_SCHEME_DEFAULTS = {
+  rib: { min: -1, max: 1, count: 201 },
+  schemes: Object.keys(RI_SCHEMES)
+};
+
+/**
+ * Column descriptions of an Ri scheme comparison: Ri_b, the MOST ζ and
+ * F_m, F_h, then F_m, F_h of every scheme and their ratios to MOST.
+ *
+ * @param {Array<string|Object>} schemes - Scheme names or objects
+ * @returns {Array<Object>} Export columns ({ key, label, latex, units, long_name })
+ * @throws {Error} On an unknown scheme
+ */
+export const ri_scheme_columns = schemes => [
+  { key: 'Ri_b', label: 'Ri_b', latex: '$Ri_b$', units: '1', long_name: 'bulk Richardson number' },
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L from the Ri_b inversion' },
+  { key: 'F_m_MOST', label: 'F_m (MOST)', latex: '$F_m$ (MOST)', units: '1', long_name: 'MOST C_D/C_DN' },
+  { key: 'F_h_MOST', label: 'F_h (MOST)', latex: '$F_h$ (MOST)', units: '1', long_name: 'MOST C_H/C_HN' },
+  ...schemes.map(getRiScheme).flatMap(({ key }) => ['m', 'h'].map(x => ({
+    key: `F_${x}_${key}`,
+    label: `F_${x} (${key})`,
+    latex: `$F_${x}$ (${key})`,
+    units: '1',
+    long_name: `${x === 'm' ? 'C_D/C_DN' : 'C_H/C_HN'}, ${key}`
+  }))),
+  ...schemes.map(getRiScheme).flatMap(({ key }) => ['m', 'h'].map(x => ({
+    key: `F_${x}_${key}_over_MOST`,
+    label: `F_${x} (${key} / MOST)`,
+    latex: `$F_${x}$ (${key} / MOST)`,
+    units: '1',
+    long_name: `F_${x} of ${key} divided by MOST`
+  })))
+];
+
+// Trapezoidal ∫ y dx over rows with x ≥ 0
+const stable_integral = (rows, key) => {
+  let sum = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const a = rows[i - 1];
+    const b = rows[i];
+    if (a.Ri_b >= 0) sum += (b.Ri_b - a.Ri_b) * (a[key] + b[key]) / 2;
+  }
+  return sum;
+};
+
+/**
+ * Evaluate Ri-based schemes against the MOST equivalents of a profile.
+ *
+ * For each Ri_b the MOST F_m = C_D/C_DN and F_h = C_H/C_HN come from
+ * transfer_from_rib (zeta_from_rib, then ψ_m, ψ_h). Above the critical Ri_b
+ * MOST has no turbulent solution and its F is 0, which is where long-tail
+ * schemes keep mixing; other inversion failures give NaN. Ratios to MOST
+ * are NaN where MOST is 0.
+ *
+ * `stable` summarises each scheme over the stable part of the range as
+ * ∫F dRi_b relative to the MOST integral (1 = as much stable mixing as
+ * MOST, 3 = three times as much), the figure behind excessive
+ * stable-boundary-layer mixing.
+ *
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options] - RI_SCHEME_DEFAULTS overrides:
+ * @param {{min: number, max: number, count?: number, step?: number}|Array<number>} [options.rib]
+ *   Ri_b values: an evenly spaced range (see linearGrid) or an explicit list
+ * @param {Array<string|Object>} [options.schemes] - Schemes to compare
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface (see surface_params)
+ * @param {Object} [options.constants=PHYSICAL_CONSTANTS] - { KAPPA } override
+ * @returns {{rows: Array<Object>, columns: Array<Object>, rib: Float64Array, schemes: Array<string>,
+ *   critical: number, stable: Object<string, {F_m: number, F_h: number}>, failed: number}}
+ *   critical is the profile's critical Ri_b for the surface (an upper bound
+ *   if it does not peak); failed counts inversion failures other than it
+ * @throws {Error} On an invalid range, scheme or surface
+ */
+export const compare_ri_schemes = (prof, {
+  rib = RI_SCHEME_DEFAULTS.rib,
+  schemes = RI_SCHEME_DEFAULTS.schemes,
+  surface = SURFACE_PARAMS,
+  constants = PHYSICAL_CONSTANTS
+} = {}) => {
+  const p = getProfile(prof);
+  const ss = schemes.map(getRiScheme);
+  const ribs = Array.isArray(rib) || ArrayBuffer.isView(rib)
+    ? Float64Array.from(rib).sort()
+    : linearGrid(rib.min, rib.max, { step: rib.step, count: rib.count ?? RI_SCHEME_DEFAULTS.rib.count });
+  let failed = 0;
+  const rows = Array.from(ribs, value => {
+    const most = transfer_from_rib(value, p, surface, constants);
+    const collapsed = !most.converged && most.reason === 'no-solution' && value > 0;
+    if (!most.converged && !collapsed) failed++;
+    const row = {
+      Ri_b: value,
+      zeta: most.converged ? most.zeta : NaN,
+      F_m_MOST: collapsed ? 0 : most.C_D_ratio,
+      F_h_MOST: collapsed ? 0 : most.C_H_ratio
+    };
+    ss.forEach(s => {
+      const { F_m, F_h } = ri_scheme_functions(value, s, surface, constants);
+      row[`F_m_${s.key}`] = F_m;
+      row[`F_h_${s.key}`] = F_h;
+    });
+    ss.forEach(s => ['m', 'h'].forEach(x => {
+      const base = row[`F_${x}_MOST`];
+      row[`F_${x}_${s.key}_over_MOST`] = base > 0 ? row[`F_${x}_${s.key}`] / base : NaN;
+    }));
+    return row;
+  });
+
+  const finite = rows.filter(r => Number.isFinite(r.F_m_MOST) && Number.isFinite(r.F_h_MOST));
+  const most_m = stable_integral(finite, 'F_m_MOST');
+  const most_h = stable_integral(finite, 'F_h_MOST');
+  const stable = Object.fromEntries(ss.map(s => [s.key, {
+    F_m: most_m > 0 ? stable_integral(finite, `F_m_${s.key}`) / most_m : NaN,
+    F_h: most_h > 0 ? stable_integral(finite, `F_h_${s.key}`) / most_h : NaN
+  }]));
+
+  return {
+    rows,
+    columns: ri_scheme_columns(ss),
+    rib: ribs,
+    schemes: ss.map(s => s.key),
+    critical: critical_ri(p, surface).rib.value,
+    stable,
+    failed
   };
+};
 
-  /**
-   * Integral heat stability function ψ_h(ζ).
-   * Analogous to ψ_m but for temperature gradient.
-   * 
-   * Used in logarithmic temperature profile:
-   * θ(z) - θ(z₀) = (θ*/κ) * [ln(z/z₀) - ψ_h(ζ)]
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Integral stability function ψ_h (dimensionless)
-   */
-  const psi_h = (zeta, prof) => {
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const p = profiles[prof];
-    if (zeta < 0) {
-      // Unstable: Analytical solution
-      // y = (1 - a_h * ζ)^0.5
-      // ψ_h = 2*ln((1+y)/2)
-      const y = Math.pow(1 - p.unstable.ah * zeta, 0.5);
-      return 2 * Math.log((1 + y) / 2);
-    } else {
-      // Stable: Numerical integration
-      const steps = NUMERICAL_PARAMS.PSI_STEPS;
-      const dz = zeta / steps;
-      let sum = 0;
-      for (let i = 1; i <= steps; i++) {
-        const z = i * dz;
-        sum += (1 / phi_h(z, prof) - 1) * dz;
-      }
-      return sum;
+// ============================================================================
+// TOWER PROFILES
+// ============================================================================
+
+/**
+ * Profile forms for multi-level tower data: basis functions of z and their
+ * z-derivatives, so value(z) = Σ c_j f_j(z) and slope(z) = Σ c_j f_j'(z).
+ * Both reduce to the neutral log law when c vanishes; the extra term
+ * absorbs the stability curvature.
+ */
+export const TOWER_FORMS = {
+  'log-linear': {
+    label: 'a + b ln z + c z',
+    basis: z => [1, Math.log(z), z],
+    slope: z => [0, 1 / z, 1]
+  },
+  'log-square': {
+    label: 'a + b ln z + c (ln z)²',
+    basis: z => [1, Math.log(z), Math.log(z) ** 2],
+    slope: z => [0, 1 / z, 2 * Math.log(z) / z]
+  }
+};
+
+// Σ a_j b_j and the quadratic form aᵀ C a
+const dot = (a, b) => a.reduce((s, v, j) => s + v * b[j], 0);
+const quadratic = (a, C) => a.reduce((s, v, i) => s + v * dot(a, C[i]), 0);
+
+/**
+ * Fit one tower variable (wind speed or potential temperature) against
+ * height with a TOWER_FORMS form by least squares.
+ *
+ * @param {ArrayLike<number>} z - Heights (m); levels with a non-finite value are skipped
+ * @param {ArrayLike<number>} values - Observed values at those heights
+ * @param {string} [form='log-linear'] - Key of TOWER_FORMS
+ * @returns {{form: string, count: number, coefficients: Array<number>,
+ *   covariance: Array<Array<number>>|null, rss: number, dof: number, rmse: number,
+ *   r2: number, z: Float64Array, values: Float64Array, residuals: Float64Array,
+ *   range: [number, number]}} covariance is null with as many levels as
+ *   coefficients (an exact fit has no uncertainty estimate)
+ * @throws {Error} On an unknown form, a non-positive height or too few levels
+ */
+export const fit_tower_column = (z, values, form = 'log-linear') => {
+  const spec = TOWER_FORMS[form];
+  if (!spec) throw new Error(`Unknown tower profile form: ${form} (expected ${Object.keys(TOWER_FORMS).join(', ')})`);
+  if (z.length !== values.length) {
+    throw new Error(`Tower profile has ${z.length} heights but ${values.length} values`);
+  }
+  const zs = [];
+  const ys = [];
+  for (let i = 0; i < z.length; i++) {
+    if (!Number.isFinite(values[i])) continue;
+    if (!(Number.isFinite(z[i]) && z[i] > 0)) throw new Error(`Tower heights must be positive (got ${z[i]} m)`);
+    zs.push(z[i]);
+    ys.push(values[i]);
+  }
+  const k = spec.basis(1).length;
+  if (new Set(zs).size < k) {
+    throw new Error(`A ${form} fit needs at least ${k} distinct heights with data (got ${new Set(zs).size})`);
+  }
+
+  const { coefficients, covariance, rss, dof, residuals } = linearLeastSquares(zs.map(spec.basis), ys);
+  const mean = ys.reduce((s, v) => s + v, 0) / ys.length;
+  const tss = ys.reduce((s, v) => s + (v - mean) ** 2, 0);
+  return {
+    form,
+    count: ys.length,
+    coefficients,
+    covariance,
+    rss,
+    dof,
+    rmse: Math.sqrt(rss / ys.length),
+    r2: tss > 0 ? 1 - rss / tss : NaN,
+    z: Float64Array.from(zs),
+    values: Float64Array.from(ys),
+    residuals,
+    range: [Math.min(...zs), Math.max(...zs)]
+  };
+};
+
+/**
+ * Fitted value and vertical gradient of a tower column at height z, each
+ * with its 1σ from the coefficient covariance (NaN without one).
+ *
+ * @param {Object} fit - fit_tower_column result
+ * @param {number} z - Height (m)
+ * @returns {{value: number, value_sigma: number, slope: number, slope_sigma: number}}
+ */
+export const tower_column_at = (fit, z) => {
+  const { basis, slope } = TOWER_FORMS[fit.form];
+  const f = basis(z);
+  const df = slope(z);
+  const C = fit.covariance;
+  return {
+    value: dot(f, fit.coefficients),
+    value_sigma: C ? Math.sqrt(Math.max(0, quadratic(f, C))) : NaN,
+    slope: dot(df, fit.coefficients),
+    slope_sigma: C ? Math.sqrt(Math.max(0, quadratic(df, C))) : NaN
+  };
+};
+
+/**
+ * Least-squares fit of a MOST profile shape at fixed L:
+ *   value(z) = offset + slope · [ln z − ψ(z/L)]
+ * For wind, u* = κ slope and z0m = exp(−offset/slope); for θ, θ* = κ slope.
+ */
+const fit_most_shape = (fit, psi, L, p) => {
+  const shape = z => Math.log(z) - (Number.isFinite(L) ? psi(z / L, p) : 0);
+  const { coefficients: [offset, slope], rss } = linearLeastSquares(Array.from(fit.z, z => [1, shape(z)]), fit.values);
+  return { offset, slope, rmse: Math.sqrt(rss / fit.count), at: z => offset + slope * shape(z) };
+};
+
+/**
+ * Gradient Richardson number from multi-level wind and temperature
+ * profiles, converted to ζ.
+ *
+ * u(z) and θ(z) are each fitted with a TOWER_FORMS form; at every chosen
+ * height the fitted gradients give
+ *   Ri_g = (g/θ) (∂θ/∂z) / (∂u/∂z)²
+ * and ζ = zeta_from_rig(Ri_g), so L = z/ζ. Uncertainties are first order
+ * from the two fits' coefficient covariances (taken as independent):
+ *   σ²(Ri_g) = [g/(θ u_z²)]² σ²(θ_z) + (2 Ri_g/u_z)² σ²(u_z),
+ *   σ(ζ) = σ(Ri_g) / |dRi_g/dζ|.
+ *
+ * The MOST-predicted shapes for the profile come from ζ at the reference
+ * height: with that L fixed, u = (u* / κ)[ln(z/z0m) − ψ_m(z/L)] and
+ * θ = θ_0 + (θ* / κ)[ln z − ψ_h(z/L)] are fitted to the same observations, so
+ * their departure from the data shows how well the profile describes the
+ * tower.
+ *
+ * @param {Object} obs - Observations at the tower levels
+ * @param {ArrayLike<number>} obs.z - Heights (m)
+ * @param {ArrayLike<number>} obs.u - Wind speed (m s⁻¹); NaN where not measured
+ * @param {ArrayLike<number>} obs.theta - Potential temperature; NaN where not measured
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {string} [options.form='log-linear'] - Key of TOWER_FORMS (both variables)
+ * @param {Array<number>} [options.heights] - Heights (m) for Ri_g; default the
+ *   geometric means of successive measurement levels
+ * @param {number} [options.reference] - Height (m) whose ζ sets L for the MOST
+ *   shapes; default the geometric mean of the lowest and highest levels
+ * @param {string} [options.temperature_units='K'] - 'K' or 'C'
+ * @param {boolean} [options.air_temperature=false] - obs.theta holds air temperature:
+ *   add g z / c_p to get potential temperature (relative to the surface)
+ * @param {Object} [options.constants=PHYSICAL_CONSTANTS] - { G, KAPPA, CP } overrides
+ * @returns {{form: string, fits: {u: Object, theta: Object}, levels: Array<Object>,
+ *   reference: Object, most: Object|null}}
+ *   fits are fit_tower_column results (θ in K). Each level (and reference) is
+ *   { z, u, dudz, dudz_sigma, theta, dthdz, dthdz_sigma, Ri_g, Ri_g_sigma, zeta,
+ *   zeta_sigma, L, converged, reason, message?, extrapolated }, reason being a
+ *   zeta_from_rig reason or 'no-shear'. most is { zeta, L, u: { offset, slope,
+ *   u_star, z0m, rmse }, theta: { offset, slope, theta_star, rmse } }, null if
+ *   the reference level did not converge
+ * @throws {Error} On invalid observations, form or options
+ */
+export const tower_ri_g = (obs, prof, {
+  form = 'log-linear',
+  heights,
+  reference,
+  temperature_units = 'K',
+  air_temperature = false,
+  constants = PHYSICAL_CONSTANTS
+} = {}) => {
+  const { G, KAPPA, CP } = { ...PHYSICAL_CONSTANTS, ...constants };
+  if (temperature_units !== 'K' && temperature_units !== 'C') {
+    throw new Error(`Unknown temperature units: ${temperature_units} (expected K or C)`);
+  }
+  const p = getProfile(prof);
+  const z = Float64Array.from(obs.z);
+  const theta = Float64Array.from(obs.theta, (t, i) =>
+    t + (temperature_units === 'C' ? CELSIUS_OFFSET : 0) + (air_temperature ? G * z[i] / CP : 0));
+  const fits = { u: fit_tower_column(z, obs.u, form), theta: fit_tower_column(z, theta, form) };
+
+  const levelsZ = [...new Set(Array.from(z).filter((v, i) => Number.isFinite(obs.u[i]) || Number.isFinite(theta[i])))]
+    .sort((a, b) => a - b);
+  const lo = Math.max(fits.u.range[0], fits.theta.range[0]);
+  const hi = Math.min(fits.u.range[1], fits.theta.range[1]);
+  const targets = heights ?? levelsZ.slice(1).map((v, i) => Math.sqrt(v * levelsZ[i]));
+  for (const h of targets) {
+    if (!(Number.isFinite(h) && h > 0)) throw new Error(`Ri_g heights must be positive (got ${h} m)`);
+  }
+  const ref = reference ?? Math.sqrt(levelsZ[0] * levelsZ[levelsZ.length - 1]);
+  if (!(Number.isFinite(ref) && ref > 0)) throw new Error(`Reference height must be positive (got ${ref} m)`);
+
+  const level_at = h => {
+    const wind = tower_column_at(fits.u, h);
+    const temp = tower_column_at(fits.theta, h);
+    const out = {
+      z: h,
+      u: wind.value,
+      dudz: wind.slope,
+      dudz_sigma: wind.slope_sigma,
+      theta: temp.value,
+      dthdz: temp.slope,
+      dthdz_sigma: temp.slope_sigma,
+      Ri_g: NaN,
+      Ri_g_sigma: NaN,
+      zeta: NaN,
+      zeta_sigma: NaN,
+      L: NaN,
+      converged: false,
+      extrapolated: h < lo || h > hi
+    };
+    // Shear lost in rounding (a constant wind) would give a meaningless Ri_g
+    if (!(Math.abs(wind.slope) * h > 1e-9 * Math.max(1, Math.abs(wind.value)))) {
+      return { ...out, reason: 'no-shear', message: `No wind shear at ${h.toPrecision(4)} m: the fitted wind profile is flat` };
     }
+    const Ri = G * temp.slope / (temp.value * wind.slope * wind.slope);
+    const Ri_sigma = Math.hypot(
+      G / (temp.value * wind.slope * wind.slope) * temp.slope_sigma,
+      2 * Ri / wind.slope * wind.slope_sigma
+    );
+    const solved = zeta_from_rig(Ri, p, Ri >= 0 ? 0.1 : -0.1);
+    Object.assign(out, { Ri_g: Ri, Ri_g_sigma: Ri_sigma, reason: solved.reason });
+    if (!solved.converged) return { ...out, message: solved.message };
+    return {
+      ...out,
+      zeta: solved.zeta,
+      zeta_sigma: Ri_sigma / Math.abs(dri_g_dzeta(solved.zeta, p)),
+      L: solved.zeta === 0 ? Infinity : h / solved.zeta,
+      converged: true
+    };
   };
 
-  /**
-   * Bulk Richardson number Ri_b(ζ).
-   * 
-   * Ri_b(ζ; z/z0) ≈ ζ * [ln(z/z0) - ψ_h(ζ)] / [ln(z/z0) - ψ_m(ζ)]²
-   * Assumes z >> z0; ln(z/z0) is treated as a constant per chosen z/z0.
-   * 
-   * Physical interpretation:
-   * - More integrative than local Ri_g
-   * - Used to determine if turbulence decouples in stable layer
-   * - Critical value Ri_b,crit ≈ 0.2–0.3
-   * 
-   * @param {number} zeta - Dimensionless height (z/L)
-   * @param {string} prof - Profile name
-   * @returns {number} Bulk Richardson number (dimensionless)
-   */
-  const ri_b = (zeta, prof) => {
-    // Avoid undefined ln near nonpositive ratios and near-neutral ζ artifacts
-    const ln_z_over_z0 = SURFACE_PARAMS.Z_OVER_Z0 > 0 ? Math.log(SURFACE_PARAMS.Z_OVER_Z0) : 0;
-    if (ln_z_over_z0 <= 0) return 0;
-    if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) return 0;
-
-    const psim = psi_m(zeta, prof);
-    const psih = psi_h(zeta, prof);
-
-    const denomTerm = ln_z_over_z0 - psim;
-    const denominator = denomTerm * denomTerm;
-    if (denominator < 1e-15) return 0;
-
-    return zeta * (ln_z_over_z0 - psih) / denominator;
-  };
-
-  // ============================================================================
-  // INVERSION: NEWTON'S METHOD FOR PARAMETER CONVERSION
-  // ============================================================================
-
-  /**
-   * Invert Ri_g to find ζ using Newton's method.
-   * 
-   * Solves: Ri_g(ζ) = rig_target
-   * 
-   * Algorithm: Newton-Raphson with numerical differentiation
-   * f(ζ) = Ri_g(ζ) - rig_target
-   * ζ_{n+1} = ζ_n - f(ζ_n) / f'(ζ_n)
-   * 
-   * Includes bounds checking and singular point avoidance.
-   * 
-   * @param {number} rig_target - Target gradient Richardson number
-   * @param {string} prof - Profile name
-   * @param {number} [initial_guess=0.1] - Initial ζ for iteration
-   * @returns {number} Dimensionless height ζ = z/L
-   */
-  const zeta_from_rig = useCallback((rig_target, prof, initial_guess = 0.1) => {
-    let zeta = initial_guess;
-    const { NEWTON_TOL, NEWTON_MAX_ITER, DERIVATIVE_DZ, ZETA_BOUNDS } = NUMERICAL_PARAMS;
-
-    for (let i = 0; i < NEWTON_MAX_ITER; i++) {
-      // Evaluate function: f(ζ) = Ri_g(ζ) - rig_target
-      const f = ri_g(zeta, prof) - rig_target;
-      
-      // Check convergence
-      if (Math.abs(f) < NEWTON_TOL) {
-        return zeta;
+  const levels = targets.map(level_at);
+  const reference_level = level_at(ref);
+  let most = null;
+  if (reference_level.converged) {
+    const L = reference_level.L;
+    const wind = fit_most_shape(fits.u, psi_m, L, p);
+    const temp = fit_most_shape(fits.theta, psi_h, L, p);
+    most = {
+      zeta: reference_level.zeta,
+      L,
+      u: { offset: wind.offset, slope: wind.slope, u_star: KAPPA * wind.slope, z0m: Math.exp(-wind.offset / wind.slope), rmse: wind.rmse },
+      theta: { offset: temp.offset, slope: temp.slope, theta_star: KAPPA * temp.slope, rmse: temp.rmse }
+    };
+  }
+  return { form, fits, levels, reference: reference_level, most };
+};
+
+/**
+ * Curves for plotting a tower_ri_g result: fitted and MOST-shaped u(z) and
+ * θ(z) on log-spaced heights across the measured range.
+ *
+ * @param {Object} result - tower_ri_g result
+ * @param {string|Object} prof - Profile used for it
+ * @param {number} [count=60] - Number of heights
+ * @returns {Array<{z: number, u_fit: number, theta_fit: number, u_most: number, theta_most: number}>}
+ *   MOST columns are NaN when result.most is null
+ */
+export const tower_curves = (result, prof, count = 60) => {
+  const p = getProfile(prof);
+  const { fits, most } = result;
+  const lo = Math.min(fits.u.range[0], fits.theta.range[0]);
+  const hi = Math.max(fits.u.range[1], fits.theta.range[1]);
+  const wind = most && fit_most_shape(fits.u, psi_m, most.L, p);
+  const temp = most && fit_most_shape(fits.theta, psi_h, most.L, p);
+  return Array.from({ length: count }, (_, i) => {
+    const z = lo * Math.pow(hi / lo, i / (count - 1));
+    return {
+      z,
+      u_fit: tower_column_at(fits.u, z).value,
+      theta_fit: tower_column_at(fits.theta, z).value,
+      u_most: wind ? wind.at(z) : NaN,
+      theta_most: temp ? temp.at(z) : NaN
+    };
+  });
+};
+
+// ============================================================================
+// BATCH CONVERSION
+// ============================================================================
+
+/**
+ * Summary statistics of the finite entries of an array.
+ *
+ * @param {ArrayLike<number>} values - Values (NaN/±Infinity are ignored)
+ * @returns {{count: number, min: number, max: number, mean: number, std: number, median: number}}
+ *   count of finite values; the statistics are NaN when count is 0
+ */
+export const summarize = values => {
+  const finite = Float64Array.from(Array.prototype.filter.call(values, Number.isFinite)).sort();
+  const n = finite.length;
+  if (n === 0) return { count: 0, min: NaN, max: NaN, mean: NaN, std: NaN, median: NaN };
+
+  let sum = 0;
+  for (const v of finite) sum += v;
+  const mean = sum / n;
+  let ss = 0;
+  for (const v of finite) ss += (v - mean) * (v - mean);
+
+  const mid = n >> 1;
+  return {
+    count: n,
+    min: finite[0],
+    max: finite[n - 1],
+    mean,
+    std: n > 1 ? Math.sqrt(ss / (n - 1)) : 0,
+    median: n % 2 ? finite[mid] : 0.5 * (finite[mid - 1] + finite[mid])
+  };
+};
+
+/**
+ * Convert a whole series of Ri_g, Ri_b or ζ values at once.
+ *
+ * Each element goes through the same solver as zeta_from_rig/zeta_from_rib
+ * (the root closest to neutral is taken when there are several), and a
+ * failure in one element never stops the batch: it is flagged and its
+ * outputs are NaN.
+ *
+ * @param {string} mode - 'rig_to_zeta', 'rib_to_zeta' or 'zeta_to_all'
+ * @param {ArrayLike<number>} values - Inputs (typed array or plain array)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface for Ri_b (see surface_params)
+ * @param {ArrayLike<number>} [options.z_over_z0] - Per-sample z/z0m; replaces the
+ *   surface's z0m for that element (z0h follows with the surface's kB⁻¹)
+ * @returns {{zeta: Float64Array, phi_m: Float64Array, phi_h: Float64Array,
+ *   Ri_g: Float64Array, Ri_b: Float64Array, converged: Uint8Array,
+ *   iterations: Uint16Array, reason: Array<string>, summary: Object}}
+ *   Per-element outputs and flags (converged 1/0, solver reason), plus a
+ *   summary { count, converged, failed, reasons, zeta: summarize(zeta) }
+ * @throws {Error} On an unknown mode or a z_over_z0 array of the wrong length
+ */
+export const convert_batch = (mode, values, prof, { surface = SURFACE_PARAMS, z_over_z0 } = {}) => {
+  if (!['rig_to_zeta', 'rib_to_zeta', 'zeta_to_all'].includes(mode)) {
+    throw new Error(`Unknown batch mode: ${mode}`);
+  }
+  const n = values.length;
+  if (z_over_z0 !== undefined && z_over_z0.length !== n) {
+    throw new Error(`z_over_z0 has ${z_over_z0.length} elements but there are ${n} values`);
+  }
+
+  const p = getProfile(prof);
+  const base = surface_params(surface);
+  const out = {
+    zeta: new Float64Array(n),
+    phi_m: new Float64Array(n),
+    phi_h: new Float64Array(n),
+    Ri_g: new Float64Array(n),
+    Ri_b: new Float64Array(n),
+    converged: new Uint8Array(n),
+    iterations: new Uint16Array(n),
+    reason: new Array(n)
+  };
+
+  for (let i = 0; i < n; i++) {
+    const x = values[i];
+    let s = surface;
+    let zeta = NaN;
+    let reason;
+
+    try {
+      if (z_over_z0 !== undefined) s = { Z: base.Z, Z0M: base.Z / z_over_z0[i], KB_INV: base.KB_INV };
+
+      if (mode === 'zeta_to_all') {
+        zeta = x;
+        reason = Number.isFinite(x) ? 'input' : 'non-finite';
+      } else {
+        const solved = mode === 'rig_to_zeta'
+          ? zeta_from_rig(x, p, x >= 0 ? 0.1 : -0.1)
+          : zeta_from_rib(x, p, x >= 0 ? 0.1 : -0.1, s);
+        reason = solved.reason;
+        out.iterations[i] = solved.iterations;
+        if (solved.converged) zeta = solved.zeta;
       }
+    } catch (e) {
+      // e.g. an invalid per-sample z/z0
+      reason = 'invalid-surface';
+    }
+
+    if (Number.isFinite(zeta)) {
+      out.converged[i] = 1;
+      out.zeta[i] = zeta;
+      out.phi_m[i] = p.phi_m(zeta, p);
+      out.phi_h[i] = p.phi_h(zeta, p);
+      out.Ri_g[i] = ri_g(zeta, p);
+      out.Ri_b[i] = ri_b(zeta, p, s);
+    } else {
+      out.zeta[i] = out.phi_m[i] = out.phi_h[i] = out.Ri_g[i] = out.Ri_b[i] = NaN;
+    }
+    out.reason[i] = reason;
+  }
+
+  out.summary = batch_summary(out);
+  return out;
+};
+
+/**
+ * Summary of a convert_batch result (or of chunks reassembled into one).
+ *
+ * @param {{zeta: ArrayLike<number>, converged: ArrayLike<number>, reason: Array<string>}} out
+ * @returns {{count: number, converged: number, failed: number, reasons: Object<string, number>,
+ *   zeta: Object}} reasons counts each solver outcome; zeta is summarize(out.zeta)
+ */
+export const batch_summary = ({ zeta, converged, reason }) => {
+  const reasons = {};
+  for (const r of reason) reasons[r] = (reasons[r] || 0) + 1;
+  let ok = 0;
+  for (const c of converged) ok += c;
+  return { count: zeta.length, converged: ok, failed: zeta.length - ok, reasons, zeta: summarize(zeta) };
+};
+
+// ============================================================================
+// UNCERTAINTY PROPAGATION
+// ============================================================================
+
+// Defaults for propagate_uncertainty
+export const UNCERTAINTY_DEFAULTS = {
+  method: 'both',  // 'linear', 'monte-carlo' or 'both'
+  samples: 2000,   // Monte Carlo draws
+  level: 0.95,     // Two-sided confidence level
+  seed: 1,         // RNG seed
+  bins: 30         // Histogram bins per output
+};
 
-      // Numerical derivative via central difference
-      // f'(ζ) ≈ [f(ζ + dz) - f(ζ - dz)] / (2*dz)
-      const df =
-        (ri_g(zeta + DERIVATIVE_DZ, prof) - ri_g(zeta - DERIVATIVE_DZ, prof)) /
-        (2 * DERIVATIVE_DZ);
+// Each Monte Carlo draw is a full root solve, so fewer than bootstrap resamples
+export const MAX_MONTE_CARLO_SAMPLES = 20000;
 
-      // Avoid division by near-zero derivative
-      if (Math.abs(df) < 1e-15) break;
+const UNCERTAINTY_METHODS = ['linear', 'monte-carlo', 'both'];
 
-      // Newton step
-      zeta = zeta - f / df;
+const UNCERTAIN_OUTPUTS = ['zeta', 'phi_m', 'phi_h'];
 
-      // Enforce physical bounds
-      zeta = Math.max(ZETA_BOUNDS[0], Math.min(ZETA_BOUNDS[1], zeta));
+// ζ for one input on one surface and profile; NaN when the solve fails
+const convert_one = (mode, x, p, surface) => {
+  if (mode === 'zeta_to_all') return { zeta: x, reason: Number.isFinite(x) ? 'input' : 'non-finite' };
+  const guess = x >= 0 ? 0.1 : -0.1;
+  const solved = mode === 'rig_to_zeta' ? zeta_from_rig(x, p, guess) : zeta_from_rib(x, p, guess, surface);
+  return { zeta: solved.converged ? solved.zeta : NaN, reason: solved.reason };
+};
+
+// Surface with z/z0m replaced, keeping z and kB⁻¹ (as convert_batch)
+const with_z_over_z0 = (base, ratio) => ({ Z: base.Z, Z0M: base.Z / ratio, KB_INV: base.KB_INV });
+
+// Coefficients { 'stable.bm': value, ... } → withParams overrides
+const coefficient_overrides = entries => {
+  const overrides = { unstable: {}, stable: {} };
+  entries.forEach(([name, value]) => {
+    const [regime, key] = name.split('.');
+    overrides[regime][key] = value;
+  });
+  return overrides;
+};
+
+/**
+ * First-order sensitivities of ζ, φ_m and φ_h to each uncertain source at
+ * the nominal solution. ζ solves Ri(ζ; θ) = x, so dζ/dθ = −(∂Ri/∂θ)/(dRi/dζ)
+ * (and dζ/dx = 1/(dRi/dζ)); φ picks up φ'(ζ) dζ/dθ plus its direct
+ * dependence on a coefficient. ∂/∂θ are central differences at fixed ζ.
+ */
+const sensitivities = (mode, zeta, p, base, sources) => {
+  const ri = mode === 'rig_to_zeta' ? (q, s) => ri_g(zeta, q) : (q, s) => ri_b(zeta, q, s);
+  const slope = mode === 'rig_to_zeta' ? dri_g_dzeta(zeta, p)
+    : mode === 'rib_to_zeta' ? dri_b_dzeta(zeta, p, base) : NaN;
+  const dphi_m = dphi(zeta, p, 'phi_m');
+  const dphi_h = dphi(zeta, p, 'phi_h');
+  const through_zeta = dz => ({ zeta: dz, phi_m: dphi_m * dz, phi_h: dphi_h * dz });
+  const step = NUMERICAL_PARAMS.SENSITIVITY_STEP;
+
+  return sources.map(({ source, nominal }) => {
+    if (source === 'input') return through_zeta(mode === 'zeta_to_all' ? 1 : 1 / slope);
+
+    const h = step * Math.max(1, Math.abs(nominal));
+    if (source === 'z_over_z0') {
+      const dri = (ri(p, with_z_over_z0(base, nominal + h)) - ri(p, with_z_over_z0(base, nominal - h))) / (2 * h);
+      return through_zeta(-dri / slope);
     }
-    return zeta;
-  }, []);
-
-  /**
-   * Invert Ri_b to find ζ using Newton's method.
-   * Similar to zeta_from_rig but for bulk Richardson number.
-   * 
-   * @param {number} rib_target - Target bulk Richardson number
-   * @param {string} prof - Profile name
-   * @param {number} [initial_guess=0.1] - Initial ζ for iteration
-   * @returns {number} Dimensionless height ζ = z/L
-   */
-  const zeta_from_rib = useCallback((rib_target, prof, initial_guess = 0.1) => {
-    let zeta = initial_guess;
-    const { NEWTON_TOL, NEWTON_MAX_ITER, DERIVATIVE_DZ, ZETA_BOUNDS } = NUMERICAL_PARAMS;
-
-    for (let i = 0; i < NEWTON_MAX_ITER; i++) {
-      // Avoid singularity at ζ = 0
-      if (Math.abs(zeta) < NUMERICAL_PARAMS.SINGULARITY_TOL) {
-        zeta = NUMERICAL_PARAMS.SINGULARITY_TOL;
-      }
 
-      const f = ri_b(zeta, prof) - rib_target;
-      if (Math.abs(f) < NEWTON_TOL) {
-        return zeta;
+    const up = withParams(p, coefficient_overrides([[source, nominal + h]]));
+    const down = withParams(p, coefficient_overrides([[source, nominal - h]]));
+    const d = mode === 'zeta_to_all' ? { zeta: 0, phi_m: 0, phi_h: 0 } : through_zeta(-(ri(up, base) - ri(down, base)) / (2 * h) / slope);
+    return {
+      zeta: d.zeta,
+      phi_m: d.phi_m + (up.phi_m(zeta, up) - down.phi_m(zeta, down)) / (2 * h),
+      phi_h: d.phi_h + (up.phi_h(zeta, up) - down.phi_h(zeta, down)) / (2 * h)
+    };
+  });
+};
+
+/**
+ * Propagate uncertainty through one conversion to ζ, φ_m and φ_h.
+ *
+ * Uncertain sources are the input value (Ri_g, Ri_b or ζ), z/z0m (Ri_b
+ * only; z0h follows with the surface's kB⁻¹) and any profile coefficients,
+ * each an independent Gaussian with the given standard deviation.
+ *
+ * - linear: first-order (delta-method) standard deviations from the
+ *   sensitivities at the nominal solution, with symmetric normal intervals;
+ *   each source's share of the output variance is reported
+ * - monte-carlo: `samples` draws of every source from a generator seeded
+ *   with `seed`, each solved with the same inversion as zeta_from_rig /
+ *   zeta_from_rib; percentile intervals and histograms of the draws that
+ *   converged. Draws past the critical Ri, or with z/z0 ≤ 1, have no ζ and
+ *   are counted under their solver reason
+ *
+ * The linear result is a good guide only while dRi/dζ changes little over
+ * the input spread; near the critical Ri the Monte Carlo result (and its
+ * failure count) is the one to trust.
+ *
+ * @param {string} mode - 'rig_to_zeta', 'rib_to_zeta' or 'zeta_to_all'
+ * @param {number} value - Nominal input value
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface for Ri_b (see surface_params)
+ * @param {{value?: number, z_over_z0?: number, coefficients?: Object<string, number>}} [options.sigma={}]
+ *   Standard deviations of the input, of z/z0m, and of coefficients keyed
+ *   '<regime>.<key>' as in the profile schema (e.g. { 'stable.bm': 0.5 });
+ *   zero or omitted means exact
+ * @param {string} [options.method='both'] - 'linear', 'monte-carlo' or 'both'
+ * @param {number} [options.samples=2000] - Monte Carlo draws
+ * @param {number} [options.level=0.95] - Confidence level
+ * @param {number} [options.seed=1] - Monte Carlo seed
+ * @param {number} [options.bins=30] - Histogram bins
+ * @returns {{mode: string, value: number, sigma: Object, level: number,
+ *   nominal: {zeta: number, phi_m: number, phi_h: number, reason: string},
+ *   linear: Object|null, monte_carlo: Object|null}}
+ *   linear is { zeta, phi_m, phi_h } each { value, sigma, ci }, plus sources
+ *   [{ source, sigma, sensitivity: {zeta, phi_m, phi_h}, share: {zeta, phi_m, phi_h} }]
+ *   (null if not requested or the nominal input has no ζ); monte_carlo is
+ *   { samples, seed, converged, failed, reasons, zeta, phi_m, phi_h } with
+ *   each output { mean, std, median, ci, histogram: { edges, counts } }
+ *   (null if not requested)
+ * @throws {Error} On an unknown mode or method, a negative or non-finite
+ *   sigma, an unknown coefficient, or invalid samples/level/bins
+ */
+export const propagate_uncertainty = (mode, value, prof, {
+  surface = SURFACE_PARAMS,
+  sigma = {},
+  method = UNCERTAINTY_DEFAULTS.method,
+  samples = UNCERTAINTY_DEFAULTS.samples,
+  level = UNCERTAINTY_DEFAULTS.level,
+  seed = UNCERTAINTY_DEFAULTS.seed,
+  bins = UNCERTAINTY_DEFAULTS.bins
+} = {}) => {
+  if (!['rig_to_zeta', 'rib_to_zeta', 'zeta_to_all'].includes(mode)) {
+    throw new Error(`Unknown conversion mode: ${mode}`);
+  }
+  if (!UNCERTAINTY_METHODS.includes(method)) {
+    throw new Error(`Invalid uncertainty: method must be ${UNCERTAINTY_METHODS.join(', ')} (got ${method})`);
+  }
+  if (!(Number.isInteger(samples) && samples >= 1 && samples <= MAX_MONTE_CARLO_SAMPLES)) {
+    throw new Error(`Invalid uncertainty: samples must be an integer from 1 to ${MAX_MONTE_CARLO_SAMPLES} (got ${samples})`);
+  }
+  if (!(level > 0 && level < 1)) {
+    throw new Error(`Invalid uncertainty: level must be between 0 and 1 (got ${level})`);
+  }
+  if (!(Number.isInteger(bins) && bins >= 1)) {
+    throw new Error(`Invalid uncertainty: bins must be a positive integer (got ${bins})`);
+  }
+
+  const p = getProfile(prof);
+  const base = surface_params(surface);
+  const ratio = base.Z / base.Z0M;
+  const check = (name, s) => {
+    if (!(Number.isFinite(s) && s >= 0)) {
+      throw new Error(`Invalid uncertainty: σ(${name}) must be a non-negative number (got ${s})`);
+    }
+    return s;
+  };
+  const coefficients = Object.entries(sigma.coefficients || {}).map(([name, s]) => {
+    const [regime, key] = name.split('.');
+    if (!['unstable', 'stable'].includes(regime) || !Number.isFinite(p[regime][key])) {
+      throw new Error(`Invalid uncertainty: profile '${p.name}' has no coefficient ${name}`);
+    }
+    return { source: name, nominal: p[regime][key], sigma: check(name, s) };
+  });
+
+  // Only sources that can move the result take part
+  const sources = [
+    { source: 'input', nominal: value, sigma: check('input', sigma.value ?? 0) },
+    ...(mode === 'rib_to_zeta' ? [{ source: 'z_over_z0', nominal: ratio, sigma: check('z/z0', sigma.z_over_z0 ?? 0) }] : []),
+    ...coefficients
+  ].filter(s => s.sigma > 0);
+
+  const nominal_zeta = convert_one(mode, value, p, base);
+  const nominal = {
+    zeta: nominal_zeta.zeta,
+    phi_m: Number.isFinite(nominal_zeta.zeta) ? p.phi_m(nominal_zeta.zeta, p) : NaN,
+    phi_h: Number.isFinite(nominal_zeta.zeta) ? p.phi_h(nominal_zeta.zeta, p) : NaN,
+    reason: nominal_zeta.reason
+  };
+  const tail = (1 - level) / 2;
+
+  let linear = null;
+  if (method !== 'monte-carlo' && Number.isFinite(nominal.zeta)) {
+    const z = normalQuantile(1 - tail);
+    const sens = sensitivities(mode, nominal.zeta, p, base, sources);
+    const spread = Object.fromEntries(UNCERTAIN_OUTPUTS.map(k => {
+      const variance = sources.reduce((sum, s, i) => sum + (sens[i][k] * s.sigma) ** 2, 0);
+      return [k, variance];
+    }));
+    linear = Object.fromEntries(UNCERTAIN_OUTPUTS.map(k => {
+      const sd = Math.sqrt(spread[k]);
+      return [k, { value: nominal[k], sigma: sd, ci: [nominal[k] - z * sd, nominal[k] + z * sd] }];
+    }));
+    linear.sources = sources.map((s, i) => ({
+      source: s.source,
+      sigma: s.sigma,
+      sensitivity: sens[i],
+      share: Object.fromEntries(UNCERTAIN_OUTPUTS.map(k => [k, spread[k] > 0 ? (sens[i][k] * s.sigma) ** 2 / spread[k] : 0]))
+    }));
+  }
+
+  let monte_carlo = null;
+  if (method !== 'linear') {
+    const normal = createNormalRng(createRng(seed));
+    const draws = Object.fromEntries(UNCERTAIN_OUTPUTS.map(k => [k, new Float64Array(samples)]));
+    const reasons = {};
+    let converged = 0;
+    for (let i = 0; i < samples; i++) {
+      // One deviate per source, in source order
+      const drawn = Object.fromEntries(sources.map(s => [s.source, s.nominal + s.sigma * normal()]));
+      const coeffs = coefficients.filter(c => c.source in drawn).map(c => [c.source, drawn[c.source]]);
+      const q = coeffs.length ? withParams(p, coefficient_overrides(coeffs)) : p;
+      let zeta = NaN;
+      let reason;
+      try {
+        const s = 'z_over_z0' in drawn ? with_z_over_z0(base, drawn.z_over_z0) : base;
+        ({ zeta, reason } = convert_one(mode, drawn.input ?? value, q, s));
+      } catch (e) {
+        // z/z0 drawn at or below 1
+        reason = 'invalid-surface';
       }
+      reasons[reason] = (reasons[reason] || 0) + 1;
+      const ok = Number.isFinite(zeta);
+      if (ok) converged++;
+      draws.zeta[i] = zeta;
+      draws.phi_m[i] = ok ? q.phi_m(zeta, q) : NaN;
+      draws.phi_h[i] = ok ? q.phi_h(zeta, q) : NaN;
+    }
 
-      const df =
-        (ri_b(zeta + DERIVATIVE_DZ, prof) - ri_b(zeta - DERIVATIVE_DZ, prof)) /
-        (2 * DERIVATIVE_DZ);
+    monte_carlo = { samples, seed, converged, failed: samples - converged, reasons };
+    UNCERTAIN_OUTPUTS.forEach(k => {
+      const { mean, std, median } = summarize(draws[k]);
+      const sorted = Float64Array.from(Array.prototype.filter.call(draws[k], Number.isFinite)).sort();
+      monte_carlo[k] = {
+        mean,
+        std,
+        median,
+        ci: [quantile(sorted, tail), quantile(sorted, 1 - tail)],
+        histogram: histogram(draws[k], bins)
+      };
+    });
+  }
 
-      if (Math.abs(df) < 1e-15) break;
+  return {
+    mode,
+    value,
+    sigma: {
+      value: sigma.value ?? 0,
+      z_over_z0: sigma.z_over_z0 ?? 0,
+      coefficients: Object.fromEntries(coefficients.map(c => [c.source, c.sigma]))
+    },
+    level,
+    nominal,
+    linear,
+    monte_carlo
+  };
+};
+
+// ============================================================================
+// COEFFICIENT FITTING
+// ============================================================================
 
-      zeta = zeta - f / df;
-      zeta = Math.max(ZETA_BOUNDS[0], Math.min(ZETA_BOUNDS[1], zeta));
+// Observed columns each fit target compares with the profile
+const FIT_TARGETS = {
+  phi_m: ['phi_m'],
+  phi_h: ['phi_h'],
+  phi: ['phi_m', 'phi_h'],
+  Ri_g: ['Ri_g']
+};
+
+// Profile value of an observed column at ζ
+const fit_model = (column, zeta, q) => (column === 'Ri_g' ? ri_g(zeta, q) : q[column](zeta, q));
+
+/**
+ * Fit profile coefficients to observations by nonlinear least squares
+ * (Levenberg–Marquardt, see lib/fit.js).
+ *
+ * The residuals are profile − observed for φ_m, φ_h, both (stacked), or
+ * Ri_g at the observed ζ, starting from the profile's own coefficients.
+ * Records with a non-finite ζ or observation (or a non-positive weight)
+ * are skipped. Coefficients the data cannot constrain (e.g. stable slopes
+ * when every record is unstable) are left at their starting value and
+ * listed in `fixed`.
+ *
+ * Goodness of fit: rss and reduced_chi2 are of the weighted residuals; the
+ * per-column rmse, bias and r² (1 − SS_res/SS_tot) are unweighted; aic is
+ * n ln(rss/n) + 2k for comparing fits of different coefficient sets.
+ *
+ * @param {{zeta: ArrayLike<number>, phi_m?: ArrayLike<number>, phi_h?: ArrayLike<number>,
+ *   Ri_g?: ArrayLike<number>}} data - Observed ζ and the columns the target needs
+ * @param {string|Object} prof - Profile whose functional form is fitted
+ * @param {Object} [options]
+ * @param {string} [options.target='phi'] - 'phi_m', 'phi_h', 'phi' (both) or 'Ri_g'
+ * @param {Array<string>} [options.parameters] - Coefficients to fit as '<regime>.<key>'
+ *   (default: every entry of the profile schema)
+ * @param {ArrayLike<number>} [options.weights] - Per-record weights, e.g. 1/σ²
+ * @returns {{profile: string, target: string, count: number, parameters: Array<Object>,
+ *   fixed: Array<string>, covariance: Array<Array<number>>|null, correlation: Array<Array<number>>|null,
+ *   coefficients: {unstable: Object, stable: Object}, goodness: Object,
+ *   fitted: Object<string, Float64Array>, residuals: Object<string, Float64Array>,
+ *   converged: boolean, iterations: number, reason: string}}
+ *   parameters is [{ name, symbol, initial, value, stderr }] (stderr NaN without a
+ *   covariance); coefficients is the full fitted set for withParams/registerProfile;
+ *   goodness is { n, k, dof, rss, reduced_chi2, aic, columns: { [column]: { rmse, bias, r2 } } };
+ *   fitted and residuals are per input record (NaN where skipped)
+ * @throws {Error} On an unknown target or coefficient, missing or mismatched columns,
+ *   or fewer residuals than free coefficients
+ */
+export const fit_profile = (data, prof, { target = 'phi', parameters, weights } = {}) => {
+  const columns = FIT_TARGETS[target];
+  if (!columns) {
+    throw new Error(`Unknown fit target: ${target} (expected ${Object.keys(FIT_TARGETS).join(', ')})`);
+  }
+  const n_in = data.zeta.length;
+  columns.forEach(c => {
+    if (!data[c] || data[c].length !== n_in) {
+      throw new Error(`Fit target ${target} needs a ${c} column with ${n_in} values`);
     }
-    return zeta;
-  }, []);
-
-  // ============================================================================
-  // DATA GENERATION: REFERENCE TABLES
-  // ============================================================================
-
-  /**
-   * Generate reference data for selected profile and regime.
-   * 
-   * Creates a regular grid of ζ values and computes all stability parameters.
-   * Memoized to avoid recalculation when UI updates.
-   * 
-   * Returns array of objects: { zeta, phi_m, phi_h, Ri_g, Ri_b }
-   * 
-   * @returns {Array<Object>} Reference data points
-   */
-  const referenceData = useMemo(() => {
-    const data = [];
-    let zetaRange = [];
-
-    // Select ζ range based on regime
-    if (regime === 'unstable') {
-      // Unstable: ζ from -10 to 0 (101 points)
-      zetaRange = Array.from({ length: 101 }, (_, i) => -10 + i * 0.1);
-    } else if (regime === 'stable') {
-      // Stable: ζ from 0 to 10 (101 points)
-      zetaRange = Array.from({ length: 101 }, (_, i) => i * 0.1);
-    } else {
-      // Full range: ζ from -10 to 10 (201 points)
-      zetaRange = Array.from({ length: 201 }, (_, i) => -10 + i * 0.1);
+  });
+  if (weights && weights.length !== n_in) {
+    throw new Error(`weights has ${weights.length} elements but there are ${n_in} records`);
+  }
+
+  const p = getProfile(prof);
+  const names = parameters ?? p.schema.map(({ regime, key }) => `${regime}.${key}`);
+  const initial = names.map(name => {
+    const [regime, key] = name.split('.');
+    const known = ['unstable', 'stable'].includes(regime) &&
+      (Number.isFinite(p[regime][key]) || p.schema.some(e => e.regime === regime && e.key === key));
+    if (!known) throw new Error(`Profile '${p.name}' has no coefficient ${name}`);
+    return p[regime][key] ?? 0; // optional terms (e.g. c_m) start at zero
+  });
+
+  const rows = [];
+  for (let i = 0; i < n_in; i++) {
+    const w = weights ? weights[i] : 1;
+    if (Number.isFinite(data.zeta[i]) && columns.every(c => Number.isFinite(data[c][i])) && Number.isFinite(w) && w > 0) {
+      rows.push(i);
     }
+  }
+  const sqrt_w = rows.map(i => Math.sqrt(weights ? weights[i] : 1));
 
-    // Calculate stability parameters for each ζ
-    for (const zeta of zetaRange) {
-      const pm = phi_m(zeta, profile);
-      const ph = phi_h(zeta, profile);
-      const rig = ri_g(zeta, profile);
-      // Avoid Ri_b calculation near singularity
-      const rib = Math.abs(zeta) > 1e-5 ? ri_b(zeta, profile) : 0;
-
-      data.push({
-        zeta: parseFloat(zeta.toFixed(4)),
-        phi_m: parseFloat(pm.toFixed(4)),
-        phi_h: parseFloat(ph.toFixed(4)),
-        Ri_g: parseFloat(rig.toFixed(4)),
-        Ri_b: parseFloat(rib.toFixed(4))
-      });
+  const profile_at = (fit_names, x) => withParams(p, coefficient_overrides(fit_names.map((name, j) => [name, x[j]])));
+  const residual_for = fit_names => x => {
+    const q = profile_at(fit_names, x);
+    const out = new Float64Array(rows.length * columns.length);
+    columns.forEach((c, m) => rows.forEach((i, r) => {
+      out[m * rows.length + r] = sqrt_w[r] * (fit_model(c, data.zeta[i], q) - data[c][i]);
+    }));
+    return out;
+  };
+
+  // Coefficients with no effect on any residual are not identifiable
+  const J0 = rows.length ? numericJacobian(residual_for(names), initial) : [];
+  const free = names.map((_, j) => J0.some(row => row[j] !== 0));
+  const active = names.filter((_, j) => free[j]);
+  const x0 = initial.filter((_, j) => free[j]);
+  const n = rows.length * columns.length;
+  if (n <= active.length) {
+    throw new Error(`Not enough data: ${n} residuals for ${active.length} free coefficients`);
+  }
+
+  const solved = levenbergMarquardt(residual_for(active), x0);
+  const q = profile_at(active, solved.x);
+  const stderr = solved.covariance ? solved.covariance.map((row, j) => Math.sqrt(row[j])) : active.map(() => NaN);
+  const symbol = name => {
+    const [regime, key] = name.split('.');
+    const entry = p.schema.find(e => e.regime === regime && e.key === key);
+    return entry ? entry.symbol : key;
+  };
+
+  const fitted = {};
+  const residuals = {};
+  const goodness_columns = {};
+  columns.forEach(c => {
+    fitted[c] = new Float64Array(n_in).fill(NaN);
+    residuals[c] = new Float64Array(n_in).fill(NaN);
+    let mean = 0;
+    rows.forEach(i => { mean += data[c][i] / rows.length; });
+    let ss_res = 0, ss_tot = 0, sum = 0;
+    rows.forEach(i => {
+      fitted[c][i] = fit_model(c, data.zeta[i], q);
+      residuals[c][i] = fitted[c][i] - data[c][i];
+      ss_res += residuals[c][i] ** 2;
+      ss_tot += (data[c][i] - mean) ** 2;
+      sum += residuals[c][i];
+    });
+    goodness_columns[c] = {
+      rmse: Math.sqrt(ss_res / rows.length),
+      bias: sum / rows.length,
+      r2: ss_tot > 0 ? 1 - ss_res / ss_tot : NaN
+    };
+  });
+
+  const k = active.length;
+  return {
+    profile: p.key,
+    target,
+    count: rows.length,
+    parameters: active.map((name, j) => ({ name, symbol: symbol(name), initial: x0[j], value: solved.x[j], stderr: stderr[j] })),
+    fixed: names.filter((_, j) => !free[j]),
+    covariance: solved.covariance,
+    correlation: solved.covariance && solved.covariance.map((row, a) => row.map((v, b) => v / (stderr[a] * stderr[b]))),
+    coefficients: { unstable: { ...q.unstable }, stable: { ...q.stable } },
+    goodness: {
+      n,
+      k,
+      dof: n - k,
+      rss: solved.rss,
+      reduced_chi2: solved.rss / (n - k),
+      aic: n * Math.log(solved.rss / n) + 2 * k,
+      columns: goodness_columns
+    },
+    fitted,
+    residuals,
+    converged: solved.converged,
+    iterations: solved.iterations,
+    reason: solved.reason
+  };
+};
+
+/**
+ * Register a fit_profile result as a new profile: the fitted profile's
+ * functional form with the fitted coefficients. It then appears in every
+ * dropdown, table and converter like any registered profile.
+ *
+ * @param {string} key - New profile key
+ * @param {Object} fit - fit_profile result
+ * @param {Object} [options]
+ * @param {string} [options.name] - Display name (default '<base name> (fitted)')
+ * @param {string} [options.reference] - Citation (default describes the fit)
+ * @param {boolean} [options.replace=false] - Allow overwriting an existing key
+ * @returns {Object} The registered profile
+ * @throws {Error} If the key is taken (without replace) or the base profile is gone
+ */
+export const register_fitted_profile = (key, fit, { name, reference, replace = false } = {}) => {
+  const base = getProfile(fit.profile);
+  const summary = fit.parameters
+    .map(({ symbol, name: coefficient, value, stderr }) => `${symbol} (${coefficient.split('.')[0]}) = ${Number(value.toPrecision(4))} ± ${Number(stderr.toPrecision(2))}`)
+    .join(', ');
+  return registerProfile(key, {
+    ...base,
+    base: base.base ?? base.key,
+    name: name || `${base.name} (fitted)`,
+    reference: reference || `Fitted to ${fit.count} records (${fit.target}) from ${base.key}: ${summary}`,
+    unstable: fit.coefficients.unstable,
+    stable: fit.coefficients.stable
+  }, { replace });
+};
+
+// ============================================================================
+// STABILITY CLASSES
+// ============================================================================
+
+// Stability regimes by ζ = z/L: [min, max) bounds, in ascending order, and
+// the colour of their chart bands
+export const STABILITY_CLASSES = [
+  { key: 'free-convection', label: 'Free convection', min: -Infinity, max: -1, color: '#e53935' },
+  { key: 'forced-convection', label: 'Forced convection', min: -1, max: -0.1, color: '#fb8c00' },
+  { key: 'near-neutral', label: 'Near-neutral', min: -0.1, max: 0.1, color: '#9e9e9e' },
+  { key: 'weakly-stable', label: 'Weakly stable', min: 0.1, max: 1, color: '#42a5f5' },
+  { key: 'very-stable', label: 'Very stable', min: 1, max: Infinity, color: '#3949ab' }
+];
+
+/**
+ * Index of the class containing ζ.
+ *
+ * @param {number} zeta - Stability parameter z/L
+ * @param {Array<{min: number, max: number}>} [classes=STABILITY_CLASSES] - Classes with
+ *   [min, max) bounds
+ * @returns {number} Index into classes, or -1 for a non-finite ζ or one outside every class
+ */
+export const stability_class_index = (zeta, classes = STABILITY_CLASSES) => {
+  if (!Number.isFinite(zeta)) return -1;
+  return classes.findIndex(({ min, max }) => zeta >= min && zeta < max);
+};
+
+/**
+ * Stability class of ζ (see STABILITY_CLASSES).
+ *
+ * @param {number} zeta - Stability parameter z/L
+ * @param {Array<Object>} [classes=STABILITY_CLASSES] - Classes with [min, max) bounds
+ * @returns {{key: string, label: string, min: number, max: number}|null} null if unclassified
+ */
+export const stability_class = (zeta, classes = STABILITY_CLASSES) => classes[stability_class_index(zeta, classes)] || null;
+
+// Pasquill–Gifford classes as Golder's (1972) nomogram fitted by
+// 1/L = a + b log10(z0) at the centre of each class (Seinfeld & Pandis 2006)
+export const GOLDER_COEFFICIENTS = [
+  { key: 'A', label: 'A: extremely unstable', a: -0.096, b: 0.029, color: '#d32f2f' },
+  { key: 'B', label: 'B: moderately unstable', a: -0.037, b: 0.029, color: '#f57c00' },
+  { key: 'C', label: 'C: slightly unstable', a: -0.002, b: 0.018, color: '#fbc02d' },
+  { key: 'D', label: 'D: neutral', a: 0, b: 0, color: '#9e9e9e' },
+  { key: 'E', label: 'E: slightly stable', a: 0.004, b: -0.018, color: '#4fc3f7' },
+  { key: 'F', label: 'F: moderately stable', a: 0.035, b: -0.036, color: '#1e88e5' }
+];
+
+/**
+ * Pasquill–Gifford classes A–F for a roughness length, in 1/L (m⁻¹).
+ *
+ * Each class is centred on Golder's 1/L = a + b log10(z0); the bounds lie
+ * halfway between neighbouring centres, and A and F are open-ended.
+ *
+ * @param {number} z0 - Roughness length (m)
+ * @returns {Array<{key: string, label: string, min: number, max: number, color: string, centre: number}>}
+ *   [min, max) bounds on 1/L, as STABILITY_CLASSES
+ * @throws {Error} If z0 is not positive, or so large that the fitted centres
+ *   are out of order (above about 1 m)
+ */
+export const pasquill_gifford_classes = z0 => {
+  if (!(z0 > 0)) throw new Error(`Invalid Pasquill–Gifford classes: z0 must be positive (got ${z0})`);
+  const centres = GOLDER_COEFFICIENTS.map(({ a, b }) => a + b * Math.log10(z0));
+  if (centres.some((c, i) => i > 0 && !(c > centres[i - 1]))) {
+    throw new Error(`Invalid Pasquill–Gifford classes: the Golder (1972) fit does not order the classes at z0 = ${z0} m`);
+  }
+  return GOLDER_COEFFICIENTS.map(({ key, label, color }, i) => ({
+    key,
+    label,
+    min: i === 0 ? -Infinity : (centres[i - 1] + centres[i]) / 2,
+    max: i === centres.length - 1 ? Infinity : (centres[i] + centres[i + 1]) / 2,
+    color,
+    centre: centres[i]
+  }));
+};
+
+// Quantities a class table can be bounded in
+export const CLASS_VARIABLES = {
+  zeta: { label: 'ζ = z/L', units: '1' },
+  inv_L: { label: '1/L', units: 'm-1' },
+  Ri_b: { label: 'Ri_b', units: '1' }
+};
+
+// Built-in classifications; classes(surface) gives the table for a surface
+export const CLASSIFICATIONS = {
+  regime: { name: 'Stability regime', variable: 'zeta', classes: () => STABILITY_CLASSES },
+  'pasquill-gifford': {
+    name: 'Pasquill–Gifford (Golder 1972)',
+    variable: 'inv_L',
+    classes: surface => pasquill_gifford_classes(surface_params(surface).Z0M)
+  }
+};
+
+// Band colours for user-defined classes, in table order
+const CLASS_COLORS = ['#d32f2f', '#f57c00', '#fbc02d', '#9e9e9e', '#4fc3f7', '#1e88e5', '#3949ab', '#8e24aa'];
+
+const check_classes = (classes, where) => {
+  if (!Array.isArray(classes) || classes.length === 0) throw new Error(`${where}: no classes`);
+  classes.forEach(({ min, max }, i) => {
+    if (!(min < max)) throw new Error(`${where}: class ${i + 1} needs min < max (got ${min}, ${max})`);
+    if (i > 0 && min < classes[i - 1].max) throw new Error(`${where}: class ${i + 1} overlaps the one before`);
+  });
+};
+
+/**
+ * A class table for a classification: a built-in key (see CLASSIFICATIONS)
+ * resolved for the surface, or a table object (e.g. from parse_class_table),
+ * checked and returned.
+ *
+ * @param {string|Object} [scheme='regime'] - Classification key or { name, variable, classes }
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface (z0m for Pasquill–Gifford)
+ * @returns {{key: string, name: string, variable: string, classes: Array<Object>}}
+ * @throws {Error} On an unknown key, variable or inconsistent classes
+ */
+export const classification_table = (scheme = 'regime', surface = SURFACE_PARAMS) => {
+  if (scheme && typeof scheme === 'object') {
+    if (!CLASS_VARIABLES[scheme.variable]) {
+      throw new Error(`Invalid class table: variable must be one of ${Object.keys(CLASS_VARIABLES).join(', ')} (got ${scheme.variable})`);
     }
+    check_classes(scheme.classes, 'Invalid class table');
+    return { key: 'custom', name: 'User-defined', ...scheme };
+  }
+  const def = CLASSIFICATIONS[scheme];
+  if (!def) throw new Error(`Unknown classification: ${scheme} (expected ${Object.keys(CLASSIFICATIONS).join(', ')} or a class table)`);
+  return { key: scheme, name: def.name, variable: def.variable, classes: def.classes(surface) };
+};
+
+/**
+ * Read a user-defined class table: one class per line as
+ * 'label, min, max' (comma, tab or semicolon separated), bounds ascending
+ * and not overlapping; '-inf'/'inf' (or an empty field) leave a side open.
+ * Blank lines and lines starting with '#' are skipped.
+ *
+ * @param {string} text - Table text
+ * @param {string} [variable='zeta'] - Quantity the bounds apply to (see CLASS_VARIABLES)
+ * @returns {{key: string, name: string, variable: string, classes: Array<Object>}}
+ * @throws {Error} On a malformed line or inconsistent bounds
+ */
+export const parse_class_table = (text, variable = 'zeta') => {
+  const bound = (field, open, line) => {
+    const t = field.toLowerCase().replace(/inf(inity)?$/, 'Infinity');
+    if (t === '') return open;
+    const v = Number(t);
+    if (Number.isNaN(v)) throw new Error(`Invalid class table (line ${line}): '${field}' is not a number`);
+    return v;
+  };
+  const classes = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const fields = raw.split(/[,;\t]/).map(f => f.trim());
+    if (fields.length !== 3 || !fields[0]) throw new Error(`Invalid class table (line ${i + 1}): expected 'label, min, max'`);
+    const label = fields[0];
+    classes.push({
+      key: label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `class-${classes.length + 1}`,
+      label,
+      min: bound(fields[1], -Infinity, i + 1),
+      max: bound(fields[2], Infinity, i + 1),
+      color: CLASS_COLORS[classes.length % CLASS_COLORS.length]
+    });
+  });
+  return classification_table({ key: 'custom', name: 'User-defined', variable, classes });
+};
+
+// Value of a table's variable at ζ
+const class_variable = (zeta, variable, p, surface) => {
+  if (variable === 'inv_L') return zeta / surface_params(surface).Z;
+  if (variable === 'Ri_b') return ri_b(zeta, p, surface);
+  return zeta;
+};
+
+/**
+ * Classify a stability given as ζ, L or Ri_b.
+ *
+ * The value is converted to ζ (ζ = z/L with z the surface height, or
+ * zeta_from_rib) and then to the table's variable; a value already in
+ * that variable is used as given. An Ri_b above the critical value has no
+ * ζ and is taken as ζ → ∞, i.e. the stablest class, with the solver message.
+ *
+ * @param {number} value - Input value
+ * @param {Object} [options]
+ * @param {string} [options.from='zeta'] - 'zeta', 'L' (m) or 'Ri_b'
+ * @param {string|Object} [options.scheme='regime'] - Classification (see classification_table)
+ * @param {string|Object} [options.prof='BD71'] - Profile for Ri_b
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface (height for L, z0m, Ri_b)
+ * @returns {{zeta: number, variable: string, value: number, index: number,
+ *   class: Object|null, table: Object, message?: string}} value is in the
+ *   table's variable; class is null (index −1) when unclassified, with a message
+ * @throws {Error} On an unknown input quantity or classification
+ */
+export const classify_stability = (value, { from = 'zeta', scheme = 'regime', prof = 'BD71', surface = SURFACE_PARAMS } = {}) => {
+  const table = classification_table(scheme, surface);
+  const p = getProfile(prof);
+  const { Z } = surface_params(surface);
+  let zeta;
+  let message;
+  if (from === 'zeta') zeta = value;
+  else if (from === 'L') zeta = value === 0 ? NaN : Z / value;
+  else if (from === 'Ri_b') {
+    const solved = zeta_from_rib(value, p, value >= 0 ? 0.1 : -0.1, surface);
+    // Beyond the critical Ri_b no finite ζ exists: the flow is stabler than any ζ
+    zeta = solved.converged ? solved.zeta : (solved.reason === 'no-solution' && value > 0 ? Infinity : NaN);
+    if (!solved.converged) message = solved.message;
+  } else {
+    throw new Error(`Invalid classification input: from must be 'zeta', 'L' or 'Ri_b' (got ${from})`);
+  }
+  const x = from === table.variable ? value : class_variable(zeta, table.variable, p, surface);
+  const last = table.classes.length - 1;
+  const index = x === Infinity && table.classes[last].max === Infinity ? last : stability_class_index(x, table.classes);
+  if (index < 0 && !message) message = `${CLASS_VARIABLES[table.variable].label} = ${x} is outside every class`;
+  return { zeta, variable: table.variable, value: x, index, class: table.classes[index] || null, table, ...(message && { message }) };
+};
 
-    return data;
-  }, [profile, regime]);
-
-  // ============================================================================
-  // EVENT HANDLERS: CONVERSION AND EXPORT
-  // ============================================================================
-
-  /**
-   * Handle user conversion request.
-   * 
-   * Validates input and calls appropriate conversion function based on mode.
-   * Updates conversionResult state with output parameters.
-   */
-  const handleConversion = useCallback(() => {
-    const input = parseFloat(inputValue);
-    if (isNaN(input)) {
-      setConversionResult({ error: 'Invalid input: Please enter a number' });
+/**
+ * Class index of every row of a reference table (rows with zeta and Ri_b).
+ *
+ * @param {Array<{zeta: number, Ri_b?: number}>} rows - e.g. reference_table rows
+ * @param {Object} table - classification_table result
+ * @param {string|Object} prof - Profile, for Ri_b when rows lack it
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface the rows were computed for
+ * @returns {Int16Array} Index into table.classes, −1 where unclassified
+ */
+export const classify_rows = (rows, table, prof, surface = SURFACE_PARAMS) => {
+  const p = getProfile(prof);
+  return Int16Array.from(rows, row => stability_class_index(
+    table.variable === 'Ri_b' && Number.isFinite(row.Ri_b) ? row.Ri_b : class_variable(row.zeta, table.variable, p, surface),
+    table.classes
+  ));
+};
+
+/**
+ * Chart bands of constant class along rows sorted by `x`: each run of rows
+ * in one class becomes a band, with edges halfway between the last row of
+ * one class and the first of the next.
+ *
+ * @param {Array<Object>} rows - Rows sorted by their `x` value
+ * @param {Int16Array|Array<number>} indices - Class index per row (see classify_rows)
+ * @param {Object} table - classification_table result
+ * @param {string} [x='zeta'] - Row key of the chart's x axis
+ * @returns {Array<{x1: number, x2: number, index: number, key: string, label: string, color: string}>}
+ */
+export const class_bands = (rows, indices, table, x = 'zeta') => {
+  const bands = [];
+  rows.forEach((row, i) => {
+    const value = row[x];
+    if (!Number.isFinite(value)) return;
+    const last = bands[bands.length - 1];
+    if (last && last.index === indices[i]) {
+      last.x2 = value;
       return;
     }
+    if (last) {
+      const edge = (last.x2 + value) / 2;
+      last.x2 = edge;
+      bands.push({ x1: edge, x2: value, index: indices[i] });
+    } else {
+      bands.push({ x1: value, x2: value, index: indices[i] });
+    }
+  });
+  return bands
+    .filter(b => b.index >= 0)
+    .map(b => {
+      const { key, label, color } = table.classes[b.index];
+      return { ...b, key, label, color };
+    });
+};
+
+/**
+ * Export metadata of a classification, with CF-style flag_values and
+ * flag_meanings for the class column of NetCDF exports (see CLASS_COLUMN).
+ *
+ * @param {Object} table - classification_table result
+ * @returns {Object} { scheme, name, variable, flag_values, flag_meanings, labels, intervals }
+ */
+export const classification_metadata = table => {
+  const bound = x => (Number.isFinite(x) ? Number(x.toPrecision(6)) : (x > 0 ? 'inf' : '-inf'));
+  return {
+    scheme: table.key,
+    name: table.name,
+    variable: table.variable,
+    flag_values: table.classes.map((_, i) => i),
+    flag_meanings: table.classes.map(c => c.key).join(' '),
+    labels: table.classes.map(c => c.label),
+    intervals: table.classes.map(c => `[${bound(c.min)}, ${bound(c.max)})`)
+  };
+};
 
-    let result = {};
+// ============================================================================
+// OBSERVATIONS
+// ============================================================================
 
-    try {
-      if (conversionMode === 'rig_to_zeta') {
-        // Input: Ri_g, Output: ζ and derived parameters
-        const initialGuess = input > 0 ? 0.1 : -0.1;
-        const zeta = zeta_from_rig(input, profile, initialGuess);
-        result = {
-          input: `Ri_g = ${input}`,
-          zeta: zeta.toFixed(6),
-          Ri_b: ri_b(zeta, profile).toFixed(6),
-          phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
-        };
-      } else if (conversionMode === 'rib_to_zeta') {
-        // Input: Ri_b, Output: ζ and derived parameters
-        const initialGuess = input > 0 ? 0.1 : -0.1;
-        const zeta = zeta_from_rib(input, profile, initialGuess);
-        result = {
-          input: `Ri_b = ${input}`,
-          zeta: zeta.toFixed(6),
-          Ri_g: ri_g(zeta, profile).toFixed(6),
-          phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
-        };
-      } else if (conversionMode === 'zeta_to_all') {
-        // Input: ζ, Output: All stability parameters
-        const zeta = input;
-        result = {
-          input: `ζ = ${input}`,
-          Ri_g: ri_g(zeta, profile).toFixed(6),
-          Ri_b: ri_b(zeta, profile).toFixed(6),
-          phi_m: phi_m(zeta, profile).toFixed(4),
-          phi_h: phi_h(zeta, profile).toFixed(4)
-        };
+const CELSIUS_OFFSET = 273.15;
+
+/**
+ * Stability of every record of an observation dataset.
+ *
+ * For each record the mapped profile columns go through solve_fluxes: Ri_b
+ * from the bulk or two-level differences, inverted to ζ with zeta_from_rib.
+ * A record with a missing value, invalid levels or no solution is flagged
+ * and its outputs are NaN; the series carries on.
+ *
+ * If sonic (eddy-covariance) columns are mapped, the measured stability is
+ * computed alongside for comparison:
+ *   ζ_sonic = z_sonic / L,  L = −u*³ T̄ / (κ g w'θ')
+ * with w'θ' taken from a kinematic flux column or from H / (ρ c_p), or L
+ * read directly. Use the buoyancy (sonic-temperature) flux where available.
+ *
+ * @param {Object} dataset - From readDataset (columns, length, time)
+ * @param {Object} mapping - Which columns hold what
+ * @param {Array<{z: number, u: string, theta: string}>} mapping.levels - One (bulk) or two
+ *   levels: height (m) and the names of the wind speed and temperature columns
+ * @param {string} [mapping.theta_s] - Surface temperature column (bulk)
+ * @param {Object} [mapping.surface=SURFACE_PARAMS] - Roughness for bulk mode ({ Z0M, Z0H } or
+ *   { Z0M, KB_INV }); the height comes from the level
+ * @param {string} [mapping.temperature_units='K'] - 'K' or 'C' for every temperature column
+ * @param {boolean} [mapping.air_temperature=false] - Temperatures are air temperatures: add
+ *   the dry-adiabatic g z / c_p to each level to get potential temperature
+ *   (relative to the surface)
+ * @param {Object} [mapping.sonic] - { z, u_star, w_theta | H | L, T? }: measurement height (m)
+ *   and column names of friction velocity (m s⁻¹), kinematic heat flux (K m s⁻¹),
+ *   sensible heat flux (W m⁻²) or Obukhov length (m), and the mean temperature used
+ *   in L (defaults to the profile's mean θ)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {Object} [options.constants=PHYSICAL_CONSTANTS] - { KAPPA, G, RHO, CP } overrides
+ * @returns {{length: number, time: Float64Array|null, Ri_b: Float64Array, zeta: Float64Array,
+ *   L: Float64Array, u_star: Float64Array, theta_star: Float64Array, H: Float64Array,
+ *   converged: Uint8Array, reason: Array<string>, zeta_sonic: Float64Array|null,
+ *   L_sonic: Float64Array|null, method: string, summary: Object}}
+ *   Per-record results and flags; reason is a zeta_from_rib reason or 'missing',
+ *   'invalid' or 'no-shear'. summary is batch_summary of the profile ζ plus
+ *   invalid (the 'invalid' records counted by solve_fluxes error message) and
+ *   comparison { count, bias, rmse, mae, r } of ζ against ζ_sonic (null without sonic data)
+ * @throws {Error} On an unknown column, an incomplete mapping or an invalid constant
+ */
+export const stability_series = (dataset, mapping, prof, { constants = PHYSICAL_CONSTANTS } = {}) => {
+  const { KAPPA, G, RHO, CP } = checked_constants(constants);
+  const p = getProfile(prof);
+  const { temperature_units = 'K', air_temperature = false, surface = SURFACE_PARAMS, sonic } = mapping;
+  if (temperature_units !== 'K' && temperature_units !== 'C') {
+    throw new Error(`Unknown temperature units: ${temperature_units} (expected K or C)`);
+  }
+  const toKelvin = temperature_units === 'C' ? CELSIUS_OFFSET : 0;
+  const column = (name, what) => {
+    const values = dataset.columns[name];
+    if (!values) throw new Error(`No numeric column '${name}' for ${what}`);
+    return values;
+  };
+
+  const levels = (mapping.levels || []).map(({ z, u, theta }, i) => {
+    if (!(Number.isFinite(z) && z > 0)) throw new Error(`Level ${i + 1} needs a height z > 0 m (got ${z})`);
+    return { z, u: column(u, `level ${i + 1} wind`), theta: column(theta, `level ${i + 1} temperature`) };
+  });
+  if (levels.length < 1 || levels.length > 2) throw new Error('Map one level (bulk) or two levels (profile)');
+  const bulk = levels.length === 1;
+  if (bulk && !mapping.theta_s) throw new Error('Bulk mode (one level) needs a surface temperature column theta_s');
+  const theta_s = bulk ? column(mapping.theta_s, 'the surface temperature') : null;
+  const lapse = air_temperature ? G / CP : 0;
+
+  let flux = null;
+  if (sonic) {
+    if (!(Number.isFinite(sonic.z) && sonic.z > 0)) throw new Error(`Sonic height must be > 0 m (got ${sonic.z})`);
+    flux = {
+      u_star: sonic.L ? null : column(sonic.u_star, 'the friction velocity'),
+      w_theta: sonic.w_theta ? column(sonic.w_theta, 'the kinematic heat flux') : null,
+      H: !sonic.w_theta && sonic.H ? column(sonic.H, 'the sensible heat flux') : null,
+      L: sonic.L ? column(sonic.L, 'the Obukhov length') : null,
+      T: sonic.T ? column(sonic.T, 'the sonic temperature') : null
+    };
+    if (!flux.L && !flux.w_theta && !flux.H) throw new Error('Sonic mapping needs a w_theta, H or L column');
+  }
+
+  const n = dataset.length;
+  const out = {
+    length: n,
+    time: dataset.time || null,
+    Ri_b: new Float64Array(n),
+    zeta: new Float64Array(n),
+    L: new Float64Array(n),
+    u_star: new Float64Array(n),
+    theta_star: new Float64Array(n),
+    H: new Float64Array(n),
+    converged: new Uint8Array(n),
+    reason: new Array(n),
+    zeta_sonic: flux ? new Float64Array(n) : null,
+    L_sonic: flux ? new Float64Array(n) : null,
+    method: bulk ? 'bulk' : 'two-level'
+  };
+  const invalid = {};
+
+  for (let i = 0; i < n; i++) {
+    const obs = {
+      levels: levels.map(({ z, u, theta }) => ({ z, u: u[i], theta: theta[i] + toKelvin + lapse * z })),
+      theta_s: bulk ? theta_s[i] + toKelvin : undefined,
+      surface
+    };
+    let result = null;
+    let reason;
+    if (obs.levels.some(l => !(Number.isFinite(l.u) && Number.isFinite(l.theta))) || (bulk && !Number.isFinite(obs.theta_s))) {
+      reason = 'missing';
+    } else {
+      try {
+        result = solve_fluxes(obs, p, constants);
+        reason = result.solver ? result.solver.reason : 'no-shear';
+      } catch (e) {
+        // A problem with this record's values, e.g. equal wind speeds at two levels
+        reason = 'invalid';
+        invalid[e.message] = (invalid[e.message] || 0) + 1;
       }
-      setConversionResult(result);
-    } catch (e) {
-      setConversionResult({ error: `Conversion failed: ${e.message}` });
     }
-  }, [inputValue, conversionMode, profile, zeta_from_rig, zeta_from_rib]);
-
-  /**
-   * Export reference data as CSV file.
-   * Downloads current table as comma-separated values.
-   */
-  const exportCSV = useCallback(() => {
-    const headers = ['zeta', 'phi_m', 'phi_h', 'Ri_g', 'Ri_b'];
-    const csv = [
-      headers.join(','),
-      ...referenceData.map(row => headers.map(h => row[h]).join(','))
-    ].join('\n');
-
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `MOST_reference_${profile}_${regime}.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
-  }, [referenceData, profile, regime]);
-
-  // ============================================================================
-  // RENDER: JSX COMPONENT
-  // ============================================================================
 
-  return (
-    <div className="w-full max-w-7xl mx-auto p-6 bg-gray-50">
-      <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-        {/* Header */}
-        <h1 className="text-3xl font-bold text-gray-800 mb-2">
-          MOST Stability Universal Reference Tool
-        </h1>
-        <p className="text-gray-600 mb-4">
-          Canonical reference data and conversions for Monin-Obukhov Similarity Theory
-        </p>
-
-        {/* Info box */}
-        <div className="flex items-start gap-2 bg-blue-50 border border-blue-200 rounded p-4 mb-6">
-          <Info className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
-          <div className="text-sm text-blue-800">
-            <p className="font-semibold mb-1">About this tool:</p>
-            <p>Provides high-precision (10⁻¹⁰ tolerance) conversions between stability parameters:
-            ζ (z/L), Ri_g (gradient Richardson), and Ri_b (bulk Richardson) using canonical MOST profiles.</p>
-          </div>
-        </div>
-
-        {/* Controls */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Profile Function
-            </label>
-            <select
-              value={profile}
-              onChange={(e) => setProfile(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-              aria-label="Select MOST profile"
-            >
-              {Object.entries(profiles).map(([key, val]) => (
-                <option key={key} value={key}>{val.name}</option>
-              ))}
-            </select>
-          </div>
-
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Stability Regime
-            </label>
-            <select
-              value={regime}
-              onChange={(e) => setRegime(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-              aria-label="Select stability regime"
-            >
-              <option value="full">Full Range (ζ: -10 to 10)</option>
-              <option value="unstable">Unstable (ζ: -10 to 0)</option>
-              <option value="stable">Stable (ζ: 0 to 10)</option>
-            </select>
-          </div>
-
-          <div className="flex items-end gap-2">
-            <button
-              onClick={() => setShowTable(!showTable)}
-              className="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition"
-              aria-pressed={showTable}
-              aria-label={showTable ? 'Hide reference table' : 'Show reference table'}
-            >
-              {showTable ? 'Hide' : 'Show'} Table
-            </button>
-            <button
-              onClick={exportCSV}
-              className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition flex items-center gap-2"
-              aria-label="Export reference data as CSV"
-            >
-              <Download className="w-4 h-4" />
-              CSV
-            </button>
-          </div>
-        </div>
-
-        {/* Conversion Tool */}
-        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
-          <h2 className="text-xl font-bold text-gray-800 mb-4">Parameter Conversion</h2>
-
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Conversion Type
-              </label>
-              <select
-                value={conversionMode}
-                onChange={(e) => setConversionMode(e.target.value)}
-                className="w-full p-2 border border-gray-300 rounded"
-                aria-label="Select conversion type"
-              >
-                <option value="rig_to_zeta">Ri_g → ζ (and Ri_b)</option>
-                <option value="rib_to_zeta">Ri_b → ζ (and Ri_g)</option>
-                <option value="zeta_to_all">ζ → All parameters</option>
-              </select>
-            </div>
-
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Input Value
-              </label>
-              <input
-                type="number"
-                step="0.001"
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                className="w-full p-2 border border-gray-300 rounded"
-                aria-label="Enter parameter value"
-              />
-            </div>
-
-            <div className="flex items-end">
-              <button
-                onClick={handleConversion}
-                className="w-full bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition"
-                aria-label="Perform conversion"
-              >
-                Convert
-              </button>
-            </div>
-          </div>
-
-          {/* Conversion Result Display */}
-          {conversionResult && (
-            <div className="bg-white border border-gray-300 rounded p-4">
-              {conversionResult.error ? (
-                <p className="text-red-600 font-semibold">{conversionResult.error}</p>
-              ) : (
-                <div>
-                  <p className="font-semibold text-gray-700 mb-2">{conversionResult.input}</p>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                    {Object.entries(conversionResult)
-                      .filter(([k]) => k !== 'input')
-                      .map(([key, val]) => (
-                        <div key={key} className="bg-gray-50 p-2 rounded">
-                          <p className="text-xs text-gray-600">{key}</p>
-                          <p className="text-lg font-mono font-bold text-gray-800">{val}</p>
-                        </div>
-                      ))}
-                  </div>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-
-        {/* Visualization */}
-        <div className="mb-6">
-          <h2 className="text-xl font-bold text-gray-800 mb-4">Stability Relationships</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {/* Richardson Numbers Chart */}
-            <div className="bg-white border border-gray-200 rounded p-4">
-              <h3 className="text-sm font-semibold text-gray-700 mb-2">ζ vs Richardson Numbers</h3>
-              <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={referenceData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="zeta"
-                    label={{ value: 'ζ = z/L', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis
-                    label={{ value: 'Richardson Number', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="Ri_g" stroke="#8884d8" dot={false} name="Ri_g" />
-                  <Line type="monotone" dataKey="Ri_b" stroke="#82ca9d" dot={false} name="Ri_b" />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-
-            {/* Stability Functions Chart */}
-            <div className="bg-white border border-gray-200 rounded p-4">
-              <h3 className="text-sm font-semibold text-gray-700 mb-2">Stability Functions φ</h3>
-              <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={referenceData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="zeta"
-                    label={{ value: 'ζ = z/L', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis label={{ value: 'φ', angle: -90, position: 'insideLeft' }} />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="phi_m" stroke="#ff7300" dot={false} name="φ_m" />
-                  <Line type="monotone" dataKey="phi_h" stroke="#d84aff" dot={false} name="φ_h" />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-          </div>
-        </div>
-
-        {/* Reference Table */}
-        {showTable && (
-          <div className="overflow-x-auto mb-6">
-            <h2 className="text-xl font-bold text-gray-800 mb-4">Reference Data Table</h2>
-            <div className="max-h-96 overflow-y-auto border border-gray-300 rounded">
-              <table className="min-w-full bg-white">
-                <thead className="bg-gray-100 sticky top-0">
-                  <tr>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">ζ</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">φ_m</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">φ_h</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">Ri_g</th>
-                    <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">Ri_b</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {referenceData.map((row, i) => (
-                    <tr key={i} className="border-t border-gray-200 hover:bg-gray-50">
-                      <td className="px-4 py-2 text-sm font-mono">{row.zeta}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.phi_m}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.phi_h}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.Ri_g}</td>
-                      <td className="px-4 py-2 text-sm font-mono">{row.Ri_b}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
-        )}
-
-        {/* Profile Information */}
-        <div className="mt-6 bg-gray-50 border border-gray-200 rounded p-4">
-          <h2 className="text-lg font-bold text-gray-800 mb-2">
-            Current Profile: {profiles[profile].name}
-          </h2>
-          <div className="grid grid-cols-2 gap-4 text-sm">
-            <div>
-              <p className="font-semibold text-gray-700">Unstable (ζ &lt; 0):</p>
-              <p className="font-mono text-gray-600">
-                φ_m = (1 - {profiles[profile].unstable.am}ζ)^(-{profiles[profile].unstable.bm})
-              </p>
-              <p className="font-mono text-gray-600">
-                φ_h = (1 - {profiles[profile].unstable.ah}ζ)^(-{profiles[profile].unstable.bh})
-              </p>
-            </div>
-            <div>
-              <p className="font-semibold text-gray-700">Stable (ζ &gt; 0):</p>
-              <p className="font-mono text-gray-600">
-                φ_m = 1 + {profiles[profile].stable.bm}ζ
-                {profiles[profile].stable.cm && ` + ${profiles[profile].stable.cm}ζ²`}
-              </p>
-              <p className="font-mono text-gray-600">
-                φ_h = 1 + {profiles[profile].stable.bh}ζ
-                {profiles[profile].stable.ch && ` + ${profiles[profile].stable.ch}ζ²`}
-              </p>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+    out.reason[i] = reason;
+    out.Ri_b[i] = result && result.intermediate.Ri_b !== undefined ? result.intermediate.Ri_b : NaN;
+    if (result && result.converged) {
+      out.converged[i] = 1;
+      out.zeta[i] = result.intermediate.zeta;
+      out.L[i] = result.L;
+      out.u_star[i] = result.u_star;
+      out.theta_star[i] = result.theta_star;
+      out.H[i] = result.H;
+    } else {
+      out.zeta[i] = out.L[i] = out.u_star[i] = out.theta_star[i] = out.H[i] = NaN;
+    }
+
+    if (flux) {
+      let zeta = NaN;
+      if (flux.L) {
+        zeta = sonic.z / flux.L[i];
+      } else {
+        const w_theta = flux.w_theta ? flux.w_theta[i] : flux.H[i] / (RHO * CP);
+        const T = flux.T
+          ? flux.T[i] + toKelvin
+          : obs.levels.reduce((s, l) => s + l.theta, 0) / obs.levels.length;
+        const u_star = flux.u_star[i];
+        if (u_star > 0) zeta = -sonic.z * KAPPA * G * w_theta / (T * u_star * u_star * u_star);
+      }
+      out.zeta_sonic[i] = zeta;
+      out.L_sonic[i] = zeta === 0 ? Infinity : sonic.z / zeta;
+    }
+  }
+
+  out.summary = {
+    ...batch_summary(out),
+    invalid,
+    comparison: flux ? errorStats(out.zeta, out.zeta_sonic) : null
+  };
+  return out;
+};
+
+// Stability series columns in export order
+export const SERIES_COLUMNS = [
+  { key: 'time', label: 'time', latex: 'time', units: 'seconds since 1970-01-01 00:00:00', long_name: 'time (UTC)', precision: { notation: 'full' } },
+  { key: 'Ri_b', label: 'Ri_b', latex: '$Ri_b$', units: '1', long_name: 'bulk Richardson number from the profile' },
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L from Ri_b' },
+  { key: 'L', label: 'L', latex: '$L$', units: 'm', long_name: 'Obukhov length from Ri_b' },
+  { key: 'u_star', label: 'u*', latex: '$u_*$', units: 'm s-1', long_name: 'friction velocity from Ri_b' },
+  { key: 'H', label: 'H', latex: '$H$', units: 'W m-2', long_name: 'sensible heat flux from Ri_b' },
+  { key: 'zeta_sonic', label: 'ζ_sonic', latex: '$\\zeta_{sonic}$', units: '1', long_name: 'stability parameter z/L from sonic fluxes' },
+  { key: 'converged', label: 'converged', latex: 'converged', units: '1', long_name: 'ζ inversion converged (1) or not (0)', precision: { notation: 'full' } }
+];
+
+/**
+ * Export a stability series with provenance (profile, mapping, source file).
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} series - stability_series result
+ * @param {string|Object} prof - Profile the series was computed with
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Column mapping used (recorded in the metadata)
+ * @param {string} [options.source] - Source file name
+ * @param {Object} [options.precision=DEFAULT_PRECISION] - See checkPrecision
+ * @param {string} [options.title='MOST stability series'] - Title line
+ * @param {string} [options.created] - ISO timestamp (defaults to now)
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ * @throws {Error} On an unknown format or invalid precision
+ */
+export const export_stability_series = (format, series, prof, {
+  mapping = {},
+  source,
+  precision = DEFAULT_PRECISION,
+  title = 'MOST stability series',
+  created
+} = {}) => {
+  const columns = SERIES_COLUMNS.filter(c => (c.key !== 'time' || series.time) && (c.key !== 'zeta_sonic' || series.zeta_sonic));
+  const rows = Array.from({ length: series.length }, (_, i) => Object.fromEntries(columns.map(({ key }) => [
+    key,
+    key === 'time' ? series.time[i] / 1000 : series[key][i]
+  ])));
+  // The observations carry their own heights and surface, recorded below
+  const meta = export_metadata(prof, { title, created });
+  delete meta.surface;
+  const levels = (mapping.levels || []).map(({ z, u, theta }) => ({ z, u, theta }));
+  const metadata = {
+    ...meta,
+    observations: {
+      source,
+      records: series.length,
+      method: series.method,
+      level1: levels[0],
+      level2: levels[1],
+      theta_s: mapping.theta_s,
+      temperature_units: mapping.temperature_units,
+      air_temperature: mapping.air_temperature,
+      surface: series.method === 'bulk' ? describe_surface({ ...(mapping.surface || SURFACE_PARAMS), Z: levels[0].z }).header : undefined,
+      sonic: mapping.sonic
+    }
+  };
+  const content = formatTable(format, { columns, rows, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  const base = source ? source.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_') : 'observations';
+  return { content, filename: `MOST_stability_${base}_${metadata.profile.key}.${extension}`, mime };
+};
+
+// ============================================================================
+// BIAS DIAGNOSTICS
+// ============================================================================
+
+// Stability variables a paired series may be given in
+const STABILITY_QUANTITIES = ['zeta', 'L', 'Ri_b', 'Ri_g'];
+
+// One side of a pair mapped into ζ with the library's own conversions
+const series_zeta = ({ quantity, values }, side, p, surface) => {
+  if (!STABILITY_QUANTITIES.includes(quantity)) {
+    throw new Error(`Unknown ${side} stability quantity: ${quantity} (expected ${STABILITY_QUANTITIES.join(', ')})`);
+  }
+  if (quantity === 'zeta') return Float64Array.from(values);
+  if (quantity === 'L') {
+    const { Z } = surface_params(surface);
+    return Float64Array.from(values, L => Z / L);
+  }
+  return convert_batch(quantity === 'Ri_b' ? 'rib_to_zeta' : 'rig_to_zeta', values, p, { surface }).zeta;
 };
 
-export default MOSTStabilityTool;
\ No newline at end of file
+/**
+ * Model-versus-observation error statistics, overall and per stability class.
+ *
+ * The model and observed stability may each be given as ζ, L, Ri_b or Ri_g;
+ * both are mapped to ζ with the library's conversions (Ri_b through
+ * zeta_from_rib on the given surface, L as z/L), so e.g. a model's Ri_b and
+ * an eddy-covariance z/L are compared in the same space. Records are then
+ * put in STABILITY_CLASSES (or the given classes) by the observed ζ, and the
+ * ζ pair, plus any flux pairs, get bias, RMSE, MAE and correlation with
+ * percentile bootstrap confidence intervals in every class.
+ *
+ * Every statistic draws from its own generator seeded with `seed`, so a
+ * result does not depend on which other pairs or classes were included.
+ *
+ * @param {{quantity: string, values: ArrayLike<number>}} model - Model stability:
+ *   quantity 'zeta', 'L' (m), 'Ri_b' or 'Ri_g'
+ * @param {{quantity: string, values: ArrayLike<number>}} observed - Observed stability
+ *   (same length)
+ * @param {string|Object} prof - Profile used for the Ri → ζ conversions
+ * @param {Object} [options]
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Height and roughness for Ri_b and L
+ * @param {Array<{name: string, units?: string, model: ArrayLike<number>,
+ *   observed: ArrayLike<number>}>} [options.fluxes=[]] - Further pairs to diagnose
+ *   (e.g. H, u*), binned by the same stability classes
+ * @param {Array<Object>} [options.classes=STABILITY_CLASSES] - Classes with [min, max) ζ bounds
+ * @param {string} [options.classify_by='observed'] - Bin by the 'observed' or 'model' ζ
+ * @param {number} [options.samples=1000] - Bootstrap resamples
+ * @param {number} [options.level=0.95] - Confidence level
+ * @param {number} [options.seed=1] - Bootstrap seed
+ * @returns {{length: number, zeta_model: Float64Array, zeta_observed: Float64Array,
+ *   class_index: Int16Array, classes: Array<Object>, classify_by: string,
+ *   unconverted: {model: number, observed: number}, quantities: Array<Object>,
+ *   bootstrap: {samples: number, level: number, seed: number}}}
+ *   class_index is -1 for unclassified records; unconverted counts finite inputs
+ *   without a ζ (no solution); quantities is [{ name, units, overall, bins }] with
+ *   ζ first, each statistics object as bootstrapErrorStats (bias = model − observed)
+ *   and bins in class order
+ * @throws {Error} On an unknown quantity, mismatched lengths or invalid bootstrap settings
+ */
+export const bias_diagnostics = (model, observed, prof, {
+  surface = SURFACE_PARAMS,
+  fluxes = [],
+  classes = STABILITY_CLASSES,
+  classify_by = 'observed',
+  samples = BOOTSTRAP_DEFAULTS.samples,
+  level = BOOTSTRAP_DEFAULTS.level,
+  seed = BOOTSTRAP_DEFAULTS.seed
+} = {}) => {
+  const n = observed.values.length;
+  if (model.values.length !== n) {
+    throw new Error(`Model series has ${model.values.length} values but the observed series has ${n}`);
+  }
+  fluxes.forEach(f => {
+    if (f.model.length !== n || f.observed.length !== n) {
+      throw new Error(`Flux '${f.name}' must have ${n} model and observed values`);
+    }
+  });
+  if (classify_by !== 'observed' && classify_by !== 'model') {
+    throw new Error(`Unknown classify_by: ${classify_by} (expected observed or model)`);
+  }
+
+  const p = getProfile(prof);
+  const zeta_model = series_zeta(model, 'model', p, surface);
+  const zeta_observed = series_zeta(observed, 'observed', p, surface);
+  const unconverted = side => {
+    const [values, zeta] = side === 'model' ? [model.values, zeta_model] : [observed.values, zeta_observed];
+    let count = 0;
+    for (let i = 0; i < n; i++) if (Number.isFinite(values[i]) && !Number.isFinite(zeta[i])) count++;
+    return count;
+  };
+
+  const reference = classify_by === 'model' ? zeta_model : zeta_observed;
+  const class_index = Int16Array.from(reference, zeta => stability_class_index(zeta, classes));
+  const members = classes.map((_, k) => {
+    const idx = [];
+    class_index.forEach((c, i) => { if (c === k) idx.push(i); });
+    return idx;
+  });
+
+  const diagnose = (a, b, indices) => bootstrapErrorStats(a, b, { indices, samples, level, rng: createRng(seed) });
+  const pairs = [
+    { name: 'zeta', units: '1', model: zeta_model, observed: zeta_observed },
+    ...fluxes.map(({ name, units = '', model: m, observed: o }) => ({ name, units, model: m, observed: o }))
+  ];
+
+  return {
+    length: n,
+    zeta_model,
+    zeta_observed,
+    class_index,
+    classes: classes.map(({ key, label, min, max }) => ({ key, label, min, max })),
+    classify_by,
+    unconverted: { model: unconverted('model'), observed: unconverted('observed') },
+    quantities: pairs.map(({ name, units, model: m, observed: o }) => ({
+      name,
+      units,
+      overall: diagnose(m, o),
+      bins: members.map(idx => diagnose(m, o, idx))
+    })),
+    bootstrap: { samples, level, seed }
+  };
+};
+
+// ============================================================================
+// REFERENCE GRIDS AND TABLES
+// ============================================================================
+
+const GRID_SPACINGS = ['linear', 'log', 'rig', 'rib'];
+
+/**
+ * ζ values for a reference table.
+ *
+ * Grid specification { spacing, min, max, step?, count?, min_abs? }:
+ * - 'linear'  ζ from min to max by `step` (or `count` points)
+ * - 'log'     ζ geometrically spaced in |ζ| (`count` points); a range
+ *             containing 0 includes 0 and starts each side at ±min_abs
+ *             (default 1e-3), resolving near-neutral behaviour
+ * - 'rig'     Ri_g from min to max by `step` (or `count` points), each
+ *             inverted to ζ with zeta_from_rig
+ * - 'rib'     as 'rig' for Ri_b (with the given surface)
+ *
+ * For Ri-spaced grids the root closest to neutral is taken (as in
+ * convert_batch); targets with no solution, such as Ri above the critical
+ * value, are left out and listed in `dropped`.
+ *
+ * @param {Object} spec - Grid specification (see above)
+ * @param {string|Object} prof - Profile name or profile object (used by 'rig'/'rib')
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface for 'rib' (see surface_params)
+ * @returns {{zeta: Float64Array, target: Float64Array|null, dropped: Array<{value: number, reason: string}>}}
+ *   Ascending-in-input ζ values, the Ri targets they solve (null for ζ grids),
+ *   and the targets that could not be inverted
+ * @throws {Error} On an unknown spacing or an invalid range/step/count
+ */
+export const zeta_grid = (spec, prof, surface = SURFACE_PARAMS) => {
+  const { spacing = 'linear', min, max, step, count, min_abs } = spec;
+  if (!GRID_SPACINGS.includes(spacing)) {
+    throw new Error(`Invalid grid: spacing must be one of ${GRID_SPACINGS.join(', ')} (got ${spacing})`);
+  }
+
+  if (spacing === 'linear') return { zeta: linearGrid(min, max, { step, count }), target: null, dropped: [] };
+  if (spacing === 'log') return { zeta: logGrid(min, max, { count, minAbs: min_abs }), target: null, dropped: [] };
+
+  const p = getProfile(prof);
+  const targets = linearGrid(min, max, { step, count });
+  const zeta = [];
+  const kept = [];
+  const dropped = [];
+  for (const x of targets) {
+    const guess = x >= 0 ? 0.1 : -0.1;
+    const solved = spacing === 'rig' ? zeta_from_rig(x, p, guess) : zeta_from_rib(x, p, guess, surface);
+    if (solved.converged) {
+      zeta.push(solved.zeta);
+      kept.push(x);
+    } else {
+      dropped.push({ value: x, reason: solved.reason });
+    }
+  }
+  return { zeta: Float64Array.from(zeta), target: Float64Array.from(kept), dropped };
+};
+
+/**
+ * Label a grid specification for export file names and headers.
+ *
+ * @param {Object} spec - Grid specification (see zeta_grid)
+ * @returns {{tag: string, header: string}} e.g. tag 'linear_-10_10_step0.1' and
+ *   header 'ζ from -10 to 10, step 0.1'
+ */
+export const describe_grid = spec => {
+  const { spacing = 'linear', min, max, step, count, min_abs = 1e-3 } = spec;
+  const variable = { rig: 'Ri_g', rib: 'Ri_b' }[spacing] || 'ζ';
+  const byStep = step !== undefined && spacing !== 'log';
+  const near = spacing === 'log' && min <= 0 && max >= 0 ? `, |ζ| ≥ ${min_abs}` : '';
+  const kind = { log: ', log-spaced', rig: ', ζ by inversion', rib: ', ζ by inversion' }[spacing] || '';
+  return {
+    tag: `${spacing}_${min}_${max}_${byStep ? `step${step}` : `${count}pts`}`,
+    header: `${variable} from ${min} to ${max}, ${byStep ? `step ${step}` : `${count} points`}${near}${kind}`
+  };
+};
+
+/**
+ * One reference table row at ζ: φ, Ri and the analytic Ri derivatives.
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface for Ri_b (see surface_params)
+ * @returns {{zeta: number, phi_m: number, phi_h: number, Ri_g: number, Ri_b: number,
+ *   dRi_g_dzeta: number, d2Ri_g_dzeta2: number, dRi_b_dzeta: number, d2Ri_b_dzeta2: number,
+ *   Ri_g_over_Ri_b: number, C_D: number, C_H: number, C_D_ratio: number, C_H_ratio: number}}
+ */
+export const reference_row = (zeta, prof, surface = SURFACE_PARAMS) => {
+  const p = getProfile(prof);
+  const { C_D, C_H, C_D_ratio, C_H_ratio } = transfer_coefficients(zeta, p, surface);
+  return {
+    zeta,
+    phi_m: p.phi_m(zeta, p),
+    phi_h: p.phi_h(zeta, p),
+    Ri_g: ri_g(zeta, p),
+    Ri_b: ri_b(zeta, p, surface),
+    dRi_g_dzeta: dri_g_dzeta(zeta, p),
+    d2Ri_g_dzeta2: d2ri_g_dzeta2(zeta, p),
+    dRi_b_dzeta: dri_b_dzeta(zeta, p, surface),
+    d2Ri_b_dzeta2: d2ri_b_dzeta2(zeta, p, surface),
+    Ri_g_over_Ri_b: ri_ratio(zeta, p, surface),
+    C_D,
+    C_H,
+    C_D_ratio,
+    C_H_ratio
+  };
+};
+
+/**
+ * Reference table (φ_m, φ_h, Ri_g, Ri_b and derivatives) on any grid.
+ *
+ * @param {Object} spec - Grid specification (see zeta_grid)
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [surface=SURFACE_PARAMS] - Surface for Ri_b and 'rib' grids
+ * @returns {{rows: Array<Object>, dropped: Array<{value: number, reason: string}>}}
+ *   Full-precision rows (see reference_row) and any Ri targets left out
+ * @throws {Error} On an invalid grid or surface
+ */
+export const reference_table = (spec, prof, surface = SURFACE_PARAMS) => {
+  const p = getProfile(prof);
+  const { zeta, dropped } = zeta_grid(spec, p, surface);
+  return { rows: Array.from(zeta, z => reference_row(z, p, surface)), dropped };
+};
+
+// ============================================================================
+// PROFILE COMPARISON
+// ============================================================================
+
+const COMPARED_QUANTITIES = ['phi_m', 'phi_h', 'Ri_g', 'Ri_b'];
+
+// How non-baseline profiles are set against the baseline
+const RELATIVE_MODES = {
+  difference: { op: (v, b) => v - b, join: 'minus', symbol: '−' },
+  ratio: { op: (v, b) => (b === 0 ? NaN : v / b), join: 'over', symbol: '/' }
+};
+
+// Profiles, their column keys and the baseline position, validated once
+const comparison_setup = (profs, { baseline, relative = 'difference' } = {}) => {
+  if (!RELATIVE_MODES[relative]) {
+    throw new Error(`Unknown comparison mode: ${relative} (expected ${Object.keys(RELATIVE_MODES).join(' or ')})`);
+  }
+  const ps = profs.map(prof => getProfile(prof));
+  if (ps.length === 0) throw new Error('Select at least one profile to compare');
+  const keys = ps.map(p => p.key ?? 'custom');
+  const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+  if (duplicate !== undefined) throw new Error(`Profile '${duplicate}' appears more than once in the comparison`);
+  const base = baseline === undefined ? 0 : keys.indexOf(typeof baseline === 'string' ? baseline : getProfile(baseline).key ?? 'custom');
+  if (base < 0) throw new Error(`Baseline '${baseline}' is not one of the compared profiles (${keys.join(', ')})`);
+  return { ps, keys, base, relative };
+};
+
+const relativeKey = (q, key, baseKey, relative) => `${q}_${key}_${RELATIVE_MODES[relative].join}_${baseKey}`;
+
+/**
+ * Column descriptions of a comparison table: ζ, then φ_m, φ_h, Ri_g, Ri_b
+ * for every profile, then each non-baseline profile against the baseline.
+ *
+ * @param {Array<string|Object>} profs - Profiles (names or objects)
+ * @param {Object} [options] - baseline (name; default the first profile) and
+ *   relative ('difference' or 'ratio')
+ * @returns {Array<Object>} Export columns ({ key, label, latex, units, long_name })
+ * @throws {Error} On an unknown mode or profile, a duplicate, or a baseline not in the list
+ */
+export const comparison_columns = (profs, options = {}) => {
+  const { keys, base, relative } = comparison_setup(profs, options);
+  const reference = Object.fromEntries(REFERENCE_COLUMNS.map(c => [c.key, c]));
+  const { symbol } = RELATIVE_MODES[relative];
+  return [
+    reference.zeta,
+    ...keys.flatMap(key => COMPARED_QUANTITIES.map(q => ({
+      key: `${q}_${key}`,
+      label: `${reference[q].label} (${key})`,
+      latex: `${reference[q].latex} (${key})`,
+      units: '1',
+      long_name: `${reference[q].long_name}, ${key}`
+    }))),
+    ...keys.filter((_, i) => i !== base).flatMap(key => COMPARED_QUANTITIES.map(q => ({
+      key: relativeKey(q, key, keys[base], relative),
+      label: `${reference[q].label} (${key} ${symbol} ${keys[base]})`,
+      latex: `${reference[q].latex} (${key} ${relative === 'ratio' ? '/' : '$-$'} ${keys[base]})`,
+      units: '1',
+      long_name: `${reference[q].long_name}, ${key} ${relative === 'ratio' ? 'divided by' : 'minus'} ${keys[base]}`
+    })))
+  ];
+};
+
+/**
+ * One comparison row at ζ (see comparison_columns for the keys).
+ *
+ * @param {number} zeta - Dimensionless height (z/L)
+ * @param {Array<string|Object>} profs - Profiles (names or objects)
+ * @param {Object} [options]
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface for Ri_b
+ * @param {string} [options.baseline] - Baseline profile name (default the first)
+ * @param {string} [options.relative='difference'] - 'difference' (profile − baseline)
+ *   or 'ratio' (profile / baseline; NaN where the baseline is 0)
+ * @returns {Object} { zeta, phi_m_<key>, …, Ri_b_<key>_minus_<baseline> | …_over_<baseline> }
+ */
+export const comparison_row = (zeta, profs, { surface = SURFACE_PARAMS, ...options } = {}) => {
+  const { ps, keys, base, relative } = comparison_setup(profs, options);
+  const rows = ps.map(p => reference_row(zeta, p, surface));
+  const row = { zeta };
+  keys.forEach((key, i) => COMPARED_QUANTITIES.forEach(q => { row[`${q}_${key}`] = rows[i][q]; }));
+  const { op } = RELATIVE_MODES[relative];
+  keys.forEach((key, i) => {
+    if (i === base) return;
+    COMPARED_QUANTITIES.forEach(q => { row[relativeKey(q, key, keys[base], relative)] = op(rows[i][q], rows[base][q]); });
+  });
+  return row;
+};
+
+/**
+ * Compare several profiles on one ζ grid.
+ *
+ * Ri-spaced grids are inverted with the baseline profile, so every profile
+ * is evaluated at the same ζ values.
+ *
+ * @param {Array<string|Object>} profs - Profiles (names or objects)
+ * @param {Object} spec - Grid specification (see zeta_grid)
+ * @param {Object} [options] - surface, baseline and relative (see comparison_row)
+ * @returns {{profiles: Array<string>, profile_objects: Array<Object>, baseline: string,
+ *   relative: string, rows: Array<Object>, columns: Array<Object>,
+ *   dropped: Array<{value: number, reason: string}>}} profiles are the column keys
+ *   ('custom' for an unregistered profile object); profile_objects the resolved
+ *   profiles in the same order
+ * @throws {Error} On an invalid grid, surface or comparison setup
+ */
+export const compare_profiles = (profs, spec, { surface = SURFACE_PARAMS, ...options } = {}) => {
+  const { ps, keys, base, relative } = comparison_setup(profs, options);
+  const settings = { surface, baseline: keys[base], relative };
+  const { zeta, dropped } = zeta_grid(spec, ps[base], surface);
+  return {
+    profiles: keys,
+    profile_objects: ps,
+    baseline: keys[base],
+    relative,
+    rows: Array.from(zeta, z => comparison_row(z, ps, settings)),
+    columns: comparison_columns(ps, settings),
+    dropped
+  };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Reference table columns in export order (units '1' = dimensionless)
+export const REFERENCE_COLUMNS = [
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L' },
+  { key: 'phi_m', label: 'φ_m', latex: '$\\phi_m$', units: '1', long_name: 'dimensionless wind shear' },
+  { key: 'phi_h', label: 'φ_h', latex: '$\\phi_h$', units: '1', long_name: 'dimensionless temperature gradient' },
+  { key: 'Ri_g', label: 'Ri_g', latex: '$Ri_g$', units: '1', long_name: 'gradient Richardson number' },
+  { key: 'Ri_b', label: 'Ri_b', latex: '$Ri_b$', units: '1', long_name: 'bulk Richardson number' },
+  { key: 'dRi_g_dzeta', label: 'dRi_g/dζ', latex: '$dRi_g/d\\zeta$', units: '1', long_name: 'derivative of Ri_g with respect to zeta' },
+  { key: 'd2Ri_g_dzeta2', label: 'd²Ri_g/dζ²', latex: '$d^2Ri_g/d\\zeta^2$', units: '1', long_name: 'second derivative of Ri_g with respect to zeta' },
+  { key: 'dRi_b_dzeta', label: 'dRi_b/dζ', latex: '$dRi_b/d\\zeta$', units: '1', long_name: 'derivative of Ri_b with respect to zeta' },
+  { key: 'd2Ri_b_dzeta2', label: 'd²Ri_b/dζ²', latex: '$d^2Ri_b/d\\zeta^2$', units: '1', long_name: 'second derivative of Ri_b with respect to zeta' },
+  { key: 'Ri_g_over_Ri_b', label: 'Ri_g/Ri_b', latex: '$Ri_g/Ri_b$', units: '1', long_name: 'ratio of gradient to bulk Richardson number' },
+  { key: 'C_D', label: 'C_D', latex: '$C_D$', units: '1', long_name: 'drag coefficient', significant: true },
+  { key: 'C_H', label: 'C_H', latex: '$C_H$', units: '1', long_name: 'heat transfer coefficient', significant: true },
+  { key: 'C_D_ratio', label: 'C_D/C_DN', latex: '$C_D/C_{DN}$', units: '1', long_name: 'drag coefficient relative to neutral' },
+  { key: 'C_H_ratio', label: 'C_H/C_HN', latex: '$C_H/C_{HN}$', units: '1', long_name: 'heat transfer coefficient relative to neutral' }
+];
+
+// Stability class column added to exports with a classification: the index
+// into its classes, written as the class key in the text formats and as the
+// index (see classification_metadata flag_values) in NetCDF; empty when
+// unclassified. with_class_column fills in the categories
+export const CLASS_COLUMN = {
+  key: 'stability_class', label: 'class', latex: 'class', units: '1',
+  long_name: 'stability class (see classification flag_meanings)', precision: { notation: 'full' }
+};
+
+// Transfer lookup table columns (see transfer_lookup)
+export const TRANSFER_COLUMNS = [
+  { key: 'z_over_z0m', label: 'z/z0m', latex: '$z/z_{0m}$', units: '1', long_name: 'height over momentum roughness length' },
+  { key: 'z_over_z0h', label: 'z/z0h', latex: '$z/z_{0h}$', units: '1', long_name: 'height over scalar roughness length' },
+  { key: 'Ri_b', label: 'Ri_b', latex: '$Ri_b$', units: '1', long_name: 'bulk Richardson number' },
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L' },
+  { key: 'C_D', label: 'C_D', latex: '$C_D$', units: '1', long_name: 'drag coefficient', significant: true },
+  { key: 'C_H', label: 'C_H', latex: '$C_H$', units: '1', long_name: 'heat transfer coefficient', significant: true },
+  { key: 'C_DN', label: 'C_DN', latex: '$C_{DN}$', units: '1', long_name: 'neutral drag coefficient', significant: true },
+  { key: 'C_HN', label: 'C_HN', latex: '$C_{HN}$', units: '1', long_name: 'neutral heat transfer coefficient', significant: true },
+  { key: 'C_D_ratio', label: 'C_D/C_DN', latex: '$C_D/C_{DN}$', units: '1', long_name: 'drag coefficient relative to neutral' },
+  { key: 'C_H_ratio', label: 'C_H/C_HN', latex: '$C_H/C_{HN}$', units: '1', long_name: 'heat transfer coefficient relative to neutral' },
+  { key: 'converged', label: 'converged', latex: 'converged', units: '1', long_name: 'Ri_b inversion converged (1) or no solution (0)', precision: { notation: 'full' } }
+];
+
+/**
+ * Column descriptions of a profile reconstruction: z, ζ, then u and θ for
+ * every profile and the neutral log profiles.
+ *
+ * @param {Array<string>} keys - Profile keys, in overlay order
+ * @returns {Array<Object>} Export columns ({ key, label, latex, units, long_name })
+ */
+export const reconstruction_columns = keys => [
+  { key: 'z', label: 'z', latex: '$z$', units: 'm', long_name: 'height above the surface' },
+  { key: 'zeta', label: 'ζ', latex: '$\\zeta$', units: '1', long_name: 'stability parameter z/L' },
+  ...[...keys, 'neutral'].flatMap(key => [
+    { key: `u_${key}`, label: `u (${key})`, latex: `$u$ (${key})`, units: 'm s-1', long_name: `wind speed, ${key}` },
+    { key: `theta_${key}`, label: `θ (${key})`, latex: `$\\theta$ (${key})`, units: 'K', long_name: `potential temperature, ${key}` }
+  ])
+];
+
+/**
+ * Provenance recorded in every export: tool version, profile and its
+ * coefficients, surface, grid and solver settings. The output precision is
+ * added by the writer.
+ *
+ * @param {string|Object} prof - Profile name or profile object
+ * @param {Object} [options]
+ * @param {Object} [options.surface=SURFACE_PARAMS] - Surface (see surface_params)
+ * @param {Object} [options.grid] - Grid specification (see zeta_grid), if any
+ * @param {string} [options.title='MOST reference table'] - Title line
+ * @param {string} [options.created] - ISO timestamp (defaults to now)
+ * @param {Object} [options.classification] - classification_table result, if the
+ *   export has a CLASS_COLUMN
+ * @returns {Object} Nested metadata
+ */
+export const export_metadata = (prof, {
+  surface = SURFACE_PARAMS,
+  grid,
+  title = 'MOST reference table',
+  created = new Date().toISOString(),
+  classification
+} = {}) => {
+  const p = getProfile(prof);
+  const { Z, Z0M, Z0H, KB_INV, LN_ZM, LN_ZH } = surface_params(surface);
+  return {
+    title,
+    tool: 'richardson most.js',
+    version: TOOL_VERSION,
+    created,
+    profile: {
+      key: p.key ?? 'custom',
+      name: p.name,
+      reference: p.reference,
+      unstable: p.unstable,
+      stable: p.stable
+    },
+    surface: { z: Z, z0m: Z0M, z0h: Z0H, kB_inv: KB_INV, ln_z_z0m: LN_ZM, ln_z_z0h: LN_ZH, units: 'm' },
+    grid: grid && { ...grid, description: describe_grid(grid).header },
+    classification: classification && classification_metadata(classification),
+    numerics: NUMERICAL_PARAMS
+  };
+};
+
+// Table with a CLASS_COLUMN appended when exporting with a classification
+const with_class_column = (table, classification, prof, surface) => {
+  if (!classification) return table;
+  const indices = classify_rows(table.rows, classification, prof, surface);
+  return {
+    columns: [...table.columns, { ...CLASS_COLUMN, categories: classification.classes.map(c => c.key) }],
+    rows: table.rows.map((row, i) => ({ ...row, stability_class: indices[i] < 0 ? NaN : indices[i] }))
+  };
+};
+
+/**
+ * Export reference table rows with provenance.
+ *
+ * @param {string} format - One of EXPORT_FORMATS ('csv', 'json', 'netcdf', 'latex', 'markdown')
+ * @param {Array<Object>} rows - Full-precision rows (see reference_row)
+ * @param {string|Object} prof - Profile the rows were computed with
+ * @param {Object} [options] - surface, grid, title, created (see export_metadata),
+ *   precision (default DEFAULT_PRECISION; see checkPrecision) and columns
+ *   (default REFERENCE_COLUMNS; pages with extra columns append their own);
+ *   with a classification (classification_table result) each row also gets
+ *   its class in a CLASS_COLUMN
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ *   File contents (bytes for NetCDF), a descriptive file name and MIME type
+ * @throws {Error} On an unknown format or invalid precision/surface
+ */
+export const export_reference_table = (format, rows, prof, options = {}) => {
+  const { surface = SURFACE_PARAMS, grid, precision = DEFAULT_PRECISION, columns = REFERENCE_COLUMNS, classification } = options;
+  const metadata = export_metadata(prof, options);
+  const table = with_class_column({ columns, rows }, classification, prof, surface);
+  const content = formatTable(format, { ...table, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  const gridTag = grid ? `_${describe_grid(grid).tag}` : '';
+  return {
+    content,
+    filename: `MOST_reference_${metadata.profile.key}${gridTag}_${describe_surface(surface).tag}.${extension}`,
+    mime
+  };
+};
+
+/**
+ * Export a transfer lookup table (see transfer_lookup) with provenance.
+ * The Ri_b values, roughness ratios and kB⁻¹ replace the single surface of
+ * the other exports.
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} lookup - transfer_lookup result
+ * @param {string|Object} prof - Profile the table was computed with
+ * @param {Object} [options] - title, created (see export_metadata), precision
+ *   (default 'significant' to 6 digits, since C_D spans decades) and
+ *   constants ({ KAPPA } used for the table)
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ * @throws {Error} On an unknown format or invalid precision
+ */
+export const export_transfer_table = (format, lookup, prof, options = {}) => {
+  const {
+    precision = { notation: 'significant', digits: 6 },
+    title = 'MOST bulk transfer coefficients',
+    constants = PHYSICAL_CONSTANTS
+  } = options;
+  // The lookup's roughness ratios and kB⁻¹ stand in for a single surface
+  const meta = export_metadata(prof, { ...options, title, surface: SURFACE_PARAMS, grid: undefined });
+  delete meta.surface;
+  const { rib, z_over_z0m, kb_inv } = lookup;
+  const metadata = {
+    ...meta,
+    lookup: {
+      Ri_b: { min: rib[0], max: rib[rib.length - 1], count: rib.length },
+      z_over_z0m,
+      kB_inv: kb_inv,
+      kappa: { ...PHYSICAL_CONSTANTS, ...constants }.KAPPA,
+      layout: 'one block of Ri_b rows per z/z0m; tau = rho C_D U^2, H = rho c_p C_H U (theta_s - theta)'
+    }
+  };
+  const content = formatTable(format, { columns: TRANSFER_COLUMNS, rows: lookup.rows, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  const p = getProfile(prof);
+  return {
+    content,
+    filename: `MOST_transfer_${p.key ?? 'custom'}_kB${Number(kb_inv.toPrecision(4))}.${extension}`,
+    mime
+  };
+};
+
+/**
+ * Export an Ri scheme comparison (see compare_ri_schemes) with provenance:
+ * the MOST profile and surface as usual, plus every scheme's coefficients,
+ * equations and its stable mixing relative to MOST.
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} comparison - compare_ri_schemes result
+ * @param {string|Object} prof - Profile the MOST columns were computed with
+ * @param {Object} [options] - surface, title, created (see export_metadata) and precision
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ * @throws {Error} On an unknown format or invalid precision/surface
+ */
+export const export_ri_scheme_comparison = (format, comparison, prof, options = {}) => {
+  const { surface = SURFACE_PARAMS, precision = DEFAULT_PRECISION, title = 'Ri-based schemes against MOST' } = options;
+  const { rows, columns, rib, schemes, critical, stable } = comparison;
+  const metadata = {
+    ...export_metadata(prof, { ...options, title, grid: undefined }),
+    rib: { min: rib[0], max: rib[rib.length - 1], count: rib.length, critical_most: critical },
+    schemes: Object.fromEntries(schemes.map(key => {
+      const s = getRiScheme(key);
+      return [key, {
+        name: s.name,
+        reference: s.reference,
+        tail: s.tail,
+        unstable: s.unstable,
+        stable: s.stable,
+        equations: s.equations(s),
+        stable_mixing_over_most: stable[key]
+      }];
+    }))
+  };
+  const content = formatTable(format, { columns, rows, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  return {
+    content,
+    filename: `MOST_ri_schemes_${metadata.profile.key}_${describe_surface(surface).tag}.${extension}`,
+    mime
+  };
+};
+
+/**
+ * Export reconstructed u(z), θ(z) profiles (see reconstruct_profiles) with
+ * the scales, roughness and every overlaid profile's coefficients.
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} reconstruction - reconstruct_profiles result
+ * @param {Object} [options] - title, created (see export_metadata), precision
+ *   (default DEFAULT_PRECISION) and constants ({ KAPPA } used)
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ * @throws {Error} On an unknown format or invalid precision
+ */
+export const export_profile_reconstruction = (format, reconstruction, options = {}) => {
+  const {
+    precision = DEFAULT_PRECISION,
+    title = 'MOST wind and temperature profiles',
+    constants = PHYSICAL_CONSTANTS
+  } = options;
+  const { rows, columns, profiles, u_star, theta_star, theta_s, L, surface: { Z0M, Z0H, Z_TOP } } = reconstruction;
+  const surface = { Z: Z_TOP, Z0M, Z0H };
+  const { profile, ...meta } = export_metadata(profiles[0], { ...options, title, surface, grid: undefined });
+  const metadata = {
+    ...meta,
+    profile,
+    scales: {
+      u_star,
+      theta_star,
+      theta_s,
+      L,
+      kappa: { ...PHYSICAL_CONSTANTS, ...constants }.KAPPA,
+      units: 'u_star m s-1, theta_star K, theta_s K, L m; surface.z is the top height'
+    },
+    profiles: Object.fromEntries(profiles.map(key => {
+      const p = getProfile(key);
+      return [key, { name: p.name, reference: p.reference, unstable: p.unstable, stable: p.stable }];
+    }))
+  };
+  const content = formatTable(format, { columns, rows, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  return {
+    content,
+    filename: `MOST_profiles_${profiles.join('-')}_${Number.isFinite(L) ? `L${fmt(L)}` : 'neutral'}_${describe_surface(surface).tag}.${extension}`,
+    mime
+  };
+};
+
+/**
+ * Export a profile comparison (see compare_profiles) with provenance for
+ * every compared profile.
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {{profiles: Array<string>, profile_objects?: Array<Object>, baseline: string,
+ *   relative: string, rows: Array<Object>, columns: Array<Object>}} comparison -
+ *   compare_profiles result (or the same fields assembled from worker chunks,
+ *   where profile_objects may be left out for registered profiles)
+ * @param {Object} [options] - surface, grid, title, created, classification (see
+ *   export_metadata) and precision; a classification adds a CLASS_COLUMN, with
+ *   Ri_b from the baseline
+ * @returns {{content: string|Uint8Array, filename: string, mime: string}}
+ * @throws {Error} On an unknown format or invalid precision/surface
+ */
+export const export_comparison_table = (format, comparison, options = {}) => {
+  const { surface = SURFACE_PARAMS, grid, precision = DEFAULT_PRECISION, title = 'MOST profile comparison', classification } = options;
+  const { profiles, baseline, relative, rows, columns } = comparison;
+  // Unregistered profiles can only be recovered from the objects themselves
+  const ps = comparison.profile_objects || profiles.map(key => getProfile(key));
+  const baseProfile = ps[profiles.indexOf(baseline)];
+  // Every compared profile is recorded under profiles, the baseline included
+  const meta = export_metadata(baseProfile, { ...options, title });
+  delete meta.profile;
+  const metadata = {
+    ...meta,
+    comparison: { profiles, baseline, relative },
+    profiles: Object.fromEntries(profiles.map((key, i) => {
+      const p = ps[i];
+      return [key, { name: p.name, reference: p.reference, unstable: p.unstable, stable: p.stable }];
+    }))
+  };
+  const table = with_class_column({ columns, rows }, classification, baseProfile, surface);
+  const content = formatTable(format, { ...table, metadata }, precision);
+  const { extension, mime } = EXPORT_FORMATS[format];
+  const gridTag = grid ? `_${describe_grid(grid).tag}` : '';
+  return {
+    content,
+    filename: `MOST_comparison_${profiles.join('-')}_${relative}${gridTag}_${describe_surface(surface).tag}.${extension}`,
+    mime
+  };
+};
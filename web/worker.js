@@ -0,0 +1,47 @@
+/**
+ * worker.js
+ *
+ * Worker entry point for most-worker.js. Loaded as a module Web Worker in
+ * the browser and as a worker_threads worker in Node; do not import it
+ * directly.
+ *
+ * Messages in:  { type: 'run', id, task, chunkSize } | { type: 'cancel', id }
+ * Messages out: { type: 'chunk', id, chunk } | { type: 'done', id, result }
+ *               | { type: 'error', id, message }
+ *
+ * @module worker
+ */
+
+import { runTask } from './most-worker.js';
+
+const NODE_WORKER_THREADS = 'node:worker_threads';
+
+const port = typeof self !== 'undefined' && typeof self.postMessage === 'function'
+  ? self
+  : (await import(/* @vite-ignore */ NODE_WORKER_THREADS)).parentPort;
+
+const cancelled = new Set();
+
+const onMessage = async ({ type, id, task, chunkSize }) => {
+  if (type === 'cancel') {
+    cancelled.add(id);
+    return;
+  }
+  if (type !== 'run') return;
+
+  try {
+    const result = await runTask(task, {
+      chunkSize,
+      onChunk: chunk => port.postMessage({ type: 'chunk', id, chunk }),
+      isCancelled: () => cancelled.has(id)
+    });
+    port.postMessage({ type: 'done', id, result });
+  } catch (e) {
+    port.postMessage({ type: 'error', id, message: e.message });
+  } finally {
+    cancelled.delete(id);
+  }
+};
+
+if (port.on) port.on('message', onMessage);
+else port.addEventListener('message', e => onMessage(e.data));